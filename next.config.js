@@ -1,7 +1,11 @@
 /** @type {import('next').NextConfig} */
 const nextConfig = {
   experimental: {
-    esmExternals: 'loose'
+    esmExternals: 'loose',
+    // tesseract.js starts worker threads from files it resolves at runtime
+    serverComponentsExternalPackages: ['tesseract.js'],
+    // Runs src/instrumentation.js at startup to check server secrets
+    instrumentationHook: true,
   },
   webpack: (config) => {
     config.externals = [...config.externals, { canvas: "canvas" }]; // required to make pdfjs work
@@ -0,0 +1,81 @@
+/**
+ * Fails the build if provider credentials ended up in the browser bundle
+ *
+ * Scans every file under .next/static (what browsers download) for:
+ *   - the values of the server secrets, as loaded from the .env files
+ *   - JWT-shaped strings, the format of CloudConvert API keys
+ *   - NEXT_PUBLIC_ names that provider keys were once read from
+ *
+ * Runs after `npm run build`; `npm run check:bundle` runs it on its own.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadEnvConfig } = require('@next/env');
+
+const SECRET_NAMES = [
+  'CLOUDCONVERT_API_KEY',
+  'CLOUDCONVERT_WEBHOOK_SECRET',
+  'S3_SECRET_ACCESS_KEY',
+  'DOWNLOAD_URL_SECRET',
+  'RATE_LIMIT_REDIS_TOKEN',
+  'JWT_SECRET',
+];
+const LEAKED_SECRET_NAMES = ['NEXT_PUBLIC_CLOUDCONVERT_API_KEY', 'NEXT_PUBLIC_CLOUD_CONVERT_API_KEY'];
+const JWT_PATTERN = /eyJ[A-Za-z0-9_-]{10,}\.eyJ[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,}/;
+
+// Short values would match by chance
+const MIN_SECRET_LENGTH = 8;
+
+const projectDir = path.join(__dirname, '..');
+const bundleDir = path.join(projectDir, '.next', 'static');
+
+const listFiles = (dir) => {
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap((entry) => {
+    const entryPath = path.join(dir, entry.name);
+    return entry.isDirectory() ? listFiles(entryPath) : [entryPath];
+  });
+};
+
+const main = () => {
+  if (!fs.existsSync(bundleDir)) {
+    console.error(`No client bundle at ${bundleDir}; run "npm run build" first`);
+    process.exit(1);
+  }
+
+  loadEnvConfig(projectDir);
+
+  const secrets = SECRET_NAMES
+    .map(name => ({ name, value: process.env[name] }))
+    .filter(({ value }) => value && value.length >= MIN_SECRET_LENGTH);
+
+  const files = listFiles(bundleDir).filter(file => /\.(js|json|html|map)$/.test(file));
+  const findings = [];
+
+  files.forEach((file) => {
+    const content = fs.readFileSync(file, 'utf8');
+    const relative = path.relative(projectDir, file);
+
+    secrets
+      .filter(({ value }) => content.includes(value))
+      .forEach(({ name }) => findings.push(`${relative}: value of ${name}`));
+
+    LEAKED_SECRET_NAMES
+      .filter(name => content.includes(name))
+      .forEach(name => findings.push(`${relative}: reference to ${name}`));
+
+    if (JWT_PATTERN.test(content)) {
+      findings.push(`${relative}: JWT-shaped token`);
+    }
+  });
+
+  if (findings.length > 0) {
+    console.error('Provider credentials found in the client bundle:');
+    findings.forEach(finding => console.error(`  - ${finding}`));
+    process.exit(1);
+  }
+
+  console.log(`Client bundle clean: ${files.length} files checked, ${secrets.length} secret values searched`);
+};
+
+main();
@@ -0,0 +1,38 @@
+import { NextResponse } from 'next/server';
+import { asyncHandler } from '../../../../utils/apiError';
+import { assertAdminKey } from '../../../../utils/auth';
+import { getStorageUsage, sweep } from '../../../../utils/retention';
+
+export const dynamic = 'force-dynamic';
+
+/**
+ * Reports storage usage per file class (upload, output, temp), the disk cap
+ * and the result of the last sweep
+ *
+ * Requires the X-Api-Key header to match API_SECRET_KEY.
+ */
+export const GET = asyncHandler(async (request) => {
+  assertAdminKey(request);
+
+  return NextResponse.json({
+    success: true,
+    data: await getStorageUsage(),
+  });
+}, { message: 'Failed to read storage usage' });
+
+/**
+ * Runs a retention sweep now and returns what it removed, with the usage after it
+ */
+export const POST = asyncHandler(async (request) => {
+  assertAdminKey(request);
+
+  const result = await sweep();
+
+  return NextResponse.json({
+    success: true,
+    data: {
+      sweep: result,
+      usage: await getStorageUsage(),
+    },
+  });
+}, { message: 'Storage sweep failed' });
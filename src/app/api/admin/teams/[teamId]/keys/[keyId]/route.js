@@ -0,0 +1,15 @@
+import { NextResponse } from 'next/server';
+import { asyncHandler } from '../../../../../../../utils/apiError';
+import { assertAdminKey, revokeApiKey } from '../../../../../../../utils/auth';
+
+/**
+ * Revokes an API key; requests using it get 401 from then on
+ */
+export const DELETE = asyncHandler(async (request, { params }) => {
+  assertAdminKey(request);
+
+  return NextResponse.json({
+    success: true,
+    data: revokeApiKey(params.teamId, params.keyId),
+  });
+}, { message: 'Failed to revoke API key' });
@@ -0,0 +1,40 @@
+import { NextResponse } from 'next/server';
+import { ApiError, asyncHandler } from '../../../../../../utils/apiError';
+import { assertAdminKey, getTeam, issueApiKey, listApiKeys } from '../../../../../../utils/auth';
+
+export const dynamic = 'force-dynamic';
+
+/**
+ * Lists a team's API keys (hints only, never the keys)
+ */
+export const GET = asyncHandler(async (request, { params }) => {
+  assertAdminKey(request);
+
+  if (!getTeam(params.teamId)) {
+    throw ApiError.notFound('Team not found', 'TEAM_NOT_FOUND');
+  }
+
+  return NextResponse.json({
+    success: true,
+    data: listApiKeys(params.teamId),
+  });
+}, { message: 'Failed to list API keys' });
+
+/**
+ * Issues an API key for a team
+ *
+ * Body: { name? } - a label for the key
+ * The response is the only time the key is shown.
+ */
+export const POST = asyncHandler(async (request, { params }) => {
+  assertAdminKey(request);
+
+  // The body is optional
+  const { name } = (await request.json().catch(() => null)) || {};
+  const { key, apiKey } = issueApiKey(params.teamId, { name });
+
+  return NextResponse.json({
+    success: true,
+    data: { ...apiKey, key },
+  }, { status: 201 });
+}, { message: 'Failed to issue API key' });
@@ -0,0 +1,48 @@
+import { NextResponse } from 'next/server';
+import { ApiError, asyncHandler, readJson } from '../../../../../utils/apiError';
+import { assertAdminKey, getTeam, listApiKeys, updateTeam, ANONYMOUS_TEAM_ID } from '../../../../../utils/auth';
+import { getQuotaReport } from '../../../../../utils/quotas';
+
+export const dynamic = 'force-dynamic';
+
+/**
+ * Returns a team with its quotas, this month's usage and its API keys
+ *
+ * "anonymous" reports the requests made without credentials (when
+ * AUTH_REQUIRED is off).
+ */
+export const GET = asyncHandler(async (request, { params }) => {
+  assertAdminKey(request);
+
+  const team = getTeam(params.teamId);
+  if (!team) {
+    throw ApiError.notFound('Team not found', 'TEAM_NOT_FOUND');
+  }
+
+  return NextResponse.json({
+    success: true,
+    data: {
+      ...team,
+      ...getQuotaReport(team),
+      apiKeys: team.id === ANONYMOUS_TEAM_ID ? [] : listApiKeys(team.id),
+    },
+  });
+}, { message: 'Failed to get team' });
+
+/**
+ * Renames a team or changes its quotas
+ *
+ * Body: { name?, quotas?: { conversionMinutes?, storageBytes?, maxFileSize? } }
+ * A quota set to null falls back to the QUOTA_* default again.
+ */
+export const PATCH = asyncHandler(async (request, { params }) => {
+  assertAdminKey(request);
+
+  const { name, quotas } = await readJson(request);
+  const team = updateTeam(params.teamId, { name, quotas });
+
+  return NextResponse.json({
+    success: true,
+    data: { ...team, ...getQuotaReport(team) },
+  });
+}, { message: 'Failed to update team' });
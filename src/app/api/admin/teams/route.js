@@ -0,0 +1,42 @@
+import { NextResponse } from 'next/server';
+import { asyncHandler, readJson } from '../../../../utils/apiError';
+import { assertAdminKey, createTeam } from '../../../../utils/auth';
+import { metadataStore } from '../../../../utils/metadataStore';
+import { getQuotaReport } from '../../../../utils/quotas';
+
+export const dynamic = 'force-dynamic';
+
+/**
+ * Lists teams with their effective quotas and this month's usage
+ *
+ * Requires the X-Api-Key header to match API_SECRET_KEY.
+ */
+export const GET = asyncHandler(async (request) => {
+  assertAdminKey(request);
+
+  return NextResponse.json({
+    success: true,
+    data: metadataStore.list('teams').map(team => ({ ...team, ...getQuotaReport(team) })),
+  });
+}, { message: 'Failed to list teams' });
+
+/**
+ * Creates a team
+ *
+ * Body: {
+ *   name: string,
+ *   quotas?: { conversionMinutes?, storageBytes?, maxFileSize? }  // defaults from QUOTA_*; 0 is unlimited
+ * }
+ * Issue API keys for it with POST /api/admin/teams/<id>/keys.
+ */
+export const POST = asyncHandler(async (request) => {
+  assertAdminKey(request);
+
+  const { name, quotas } = await readJson(request);
+  const team = createTeam({ name, quotas });
+
+  return NextResponse.json({
+    success: true,
+    data: { ...team, ...getQuotaReport(team) },
+  }, { status: 201 });
+}, { message: 'Failed to create team' });
@@ -0,0 +1,36 @@
+import { NextResponse } from 'next/server';
+import { ERROR_CODES } from '../../../../config/api';
+import { ApiError, asyncHandler } from '../../../../utils/apiError';
+import { authenticate, isJobOwnedBy } from '../../../../utils/auth';
+import { conversionQueue, isFinalStatus } from '../../../../utils/jobQueue';
+import { recordCancellation } from '../../../../utils/metrics';
+
+/**
+ * Cancels a CloudConvert job
+ *
+ * Stops the job on CloudConvert (whether it is followed by polling or by
+ * webhook) and marks it `cancelled`; a webhook arriving afterwards is ignored.
+ * The queue's cancel hook for CloudConvert jobs is registered at startup by
+ * utils/jobWorkers, so jobs restored after a restart are stopped as well.
+ */
+export const DELETE = asyncHandler(async (request, { params }) => {
+  const auth = authenticate(request);
+  const job = conversionQueue.get(params.jobId);
+
+  if (!job || job.type !== 'cloudconvert' || !isJobOwnedBy(auth, params.jobId)) {
+    throw ApiError.notFound('Job not found', ERROR_CODES.JOB_NOT_FOUND);
+  }
+
+  if (isFinalStatus(job.status)) {
+    throw ApiError.conflict(`Job is already ${job.status}`, ERROR_CODES.JOB_FINISHED);
+  }
+
+  recordCancellation(params.jobId);
+  const cancelled = conversionQueue.cancel(params.jobId);
+
+  return NextResponse.json({
+    success: true,
+    status: cancelled.status,
+    data: cancelled,
+  });
+}, { message: 'Failed to cancel job' });
@@ -1,148 +1,168 @@
 import { NextResponse } from 'next/server';
-import { CloudConvert } from '@cloudconvert/cloudconvert';
+import { ApiError, asyncHandler, readJson } from '../../../utils/apiError';
+import { authenticate, isJobOwnedBy } from '../../../utils/auth';
+import { conversionQueue } from '../../../utils/jobQueue';
+import { findConversion } from '../../../utils/capabilities';
+import { isWebhookEnabled } from '../../../utils/cloudConvert';
+import { getProvider, toProviderError } from '../../../utils/providers';
+import { providerErrorsTotal } from '../../../utils/metrics';
+import { assertConversionQuota, assertStorageQuota } from '../../../utils/quotas';
+import { API_CONFIG, ERROR_CODES, ERROR_MESSAGES } from '../../../config/api';
+import { serverEnv } from '../../../config/env';
+
+// Longest time a status request with `wait` is held open
+const LONG_POLL_TIMEOUT = 25000;
+
+// Browsers upload straight to CloudConvert, so these jobs cannot fall back to another provider
+const provider = getProvider('cloudconvert');
+
+export const POST = asyncHandler(async (request, { requestId, log }) => {
+  const auth = authenticate(request);
+  const { file, targetFormat } = await readJson(request);
+
+  if (!file || !targetFormat) {
+    throw ApiError.badRequest('Missing required parameters', ERROR_CODES.MISSING_PARAMETERS);
+  }
 
-// Initialize CloudConvert client
-const cloudConvert = new CloudConvert(process.env.NEXT_PUBLIC_CLOUDCONVERT_API_KEY);
+  validateFile(file);
 
-// In-memory storage for jobs (in production, use a database)
-const jobs = new Map();
+  const conversion = findConversion(getFileExtension(file.name), targetFormat);
+  if (!conversion) {
+    throw ApiError.badRequest(ERROR_MESSAGES.UNSUPPORTED_CONVERSION, ERROR_CODES.UNSUPPORTED_CONVERSION);
+  }
 
-export async function POST(request) {
-  try {
-    const { file, targetFormat } = await request.json();
-
-    if (!file || !targetFormat) {
-      return NextResponse.json(
-        { success: false, error: 'Missing required parameters' },
-        { status: 400 }
-      );
-    }
-
-    // Create a unique job ID
-    const jobId = `job_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-
-    // Create a job
-    const job = await cloudConvert.jobs.create({
-      tasks: {
-        'upload-file': {
-          operation: 'import/upload',
-          filename: file.name,
-        },
-        'convert-file': {
-          operation: 'convert',
-          input: 'upload-file',
-          output_format: targetFormat.toLowerCase(),
-          engine: 'office',
-          input_format: getFileExtension(file.name).toLowerCase(),
-          filename: file.name.replace(/\.[^/.]+$/, '') + '.' + targetFormat.toLowerCase()
-        },
-        'export-file': {
-          operation: 'export/url',
-          input: 'convert-file'
-        }
-      }
-    });
+  // The file goes straight to CloudConvert, but its output is stored here
+  assertStorageQuota(auth, file.size);
+  assertConversionQuota(auth);
 
-    // Get the upload URL
-    const uploadTask = job.tasks.filter(task => task.operation === 'import/upload')[0];
-    const uploadUrl = uploadTask.result?.form?.url || uploadTask.result?.url;
-
-    if (!uploadUrl) {
-      throw new Error('Failed to get upload URL');
-    }
-
-    // Store the job
-    jobs.set(jobId, {
-      id: job.id,
-      status: 'uploading',
-      createdAt: new Date().toISOString(),
-      file: {
-        name: file.name,
-        size: file.size,
-        type: file.type,
-      },
-      targetFormat,
-    });
+  // Create a unique job ID
+  const jobId = `job_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+  if (!provider.isAvailable()) {
+    throw ApiError.serviceUnavailable('CloudConvert is not configured', ERROR_CODES.PROVIDER_UNAVAILABLE);
+  }
 
-    return NextResponse.json({
-      success: true,
-      jobId,
-      uploadUrl,
-      method: 'PUT',
-      headers: {
-        'Content-Type': 'application/octet-stream',
-      },
+  const useWebhook = isWebhookEnabled();
+
+  // Create a job; the tag lets the webhook find our job record
+  let job;
+  try {
+    job = await provider.createJob({
+      name: file.name,
+      from: conversion.from,
+      to: conversion.to,
+      tag: jobId,
+      webhookUrl: useWebhook ? serverEnv.CLOUDCONVERT_WEBHOOK_URL : null,
     });
   } catch (error) {
-    console.error('Error creating conversion job:', error);
-    return NextResponse.json(
-      { success: false, error: error.message || 'Failed to create conversion job' },
-      { status: 500 }
-    );
+    throw countProviderError(toProviderError(provider.name, error));
   }
-}
 
-export async function GET(request) {
+  const jobData = {
+    cloudConvertJobId: job.id,
+    // Formats as labelled in metrics
+    from: conversion.from,
+    to: conversion.to,
+    file: {
+      name: file.name,
+      size: file.size,
+      type: file.type,
+    },
+    targetFormat,
+    teamId: auth.team.id,
+  };
+
+  // With webhooks, CloudConvert reports the outcome to /api/cloudconvert/webhook;
+  // otherwise a worker polls it until the job finishes
+  if (useWebhook) {
+    conversionQueue.track('cloudconvert', jobData, { id: jobId, requestId });
+  } else {
+    conversionQueue.enqueue('cloudconvert', jobData, { id: jobId, requestId });
+  }
+  log.info('CloudConvert job created', { jobId, cloudConvertJobId: job.id, targetFormat, webhook: useWebhook });
+
+  return NextResponse.json({
+    success: true,
+    jobId,
+    uploadUrl: job.upload.url,
+    method: job.upload.method,
+    headers: {
+      'Content-Type': 'application/octet-stream',
+    },
+  });
+}, { message: 'Failed to create conversion job' });
+
+/**
+ * Returns a conversion job's status
+ *
+ * Query: jobId, and optionally `wait=true` with `since=<updatedAt>` to long
+ * poll: the response is held until the job changes after `since` (or
+ * finishes), for up to 25 seconds. Failed jobs report `error` and a
+ * machine-readable `errorCode`.
+ */
+export const GET = asyncHandler(async (request) => {
+  const auth = authenticate(request);
   const { searchParams } = new URL(request.url);
   const jobId = searchParams.get('jobId');
+  const wait = searchParams.get('wait') === 'true';
 
   if (!jobId) {
-    return NextResponse.json(
-      { success: false, error: 'Missing jobId parameter' },
-      { status: 400 }
-    );
+    throw ApiError.badRequest('Missing jobId parameter', ERROR_CODES.MISSING_PARAMETERS);
   }
 
-  try {
-    // Check if job exists in our in-memory store
-    const jobInfo = jobs.get(jobId);
-    if (!jobInfo) {
-      return NextResponse.json(
-        { success: false, error: 'Job not found' },
-        { status: 404 }
-      );
-    }
-
-    // Get the latest job status from CloudConvert
-    const job = await cloudConvert.jobs.get(jobInfo.id);
-    const exportTask = job.tasks.find(task => task.operation === 'export/url');
-
-    // Update job status
-    let status = job.status;
-    let downloadUrl = null;
-    let error = null;
-
-    if (exportTask?.status === 'finished') {
-      status = 'finished';
-      downloadUrl = exportTask.result?.files?.[0]?.url;
-    } else if (job.status === 'error' || exportTask?.status === 'error') {
-      status = 'error';
-      error = job.message || exportTask?.message || 'Conversion failed';
-    }
-
-    // Update our job info
-    const updatedJobInfo = {
-      ...jobInfo,
-      status,
-      updatedAt: new Date().toISOString(),
-      downloadUrl,
-      error,
-    };
-
-    jobs.set(jobId, updatedJobInfo);
-
-    return NextResponse.json({
-      success: true,
-      status,
-      downloadUrl,
-      error,
-    });
-  } catch (error) {
-    console.error('Error getting job status:', error);
-    return NextResponse.json(
-      { success: false, error: error.message || 'Failed to get job status' },
-      { status: 500 }
-    );
+  if (!isJobOwnedBy(auth, jobId)) {
+    throw ApiError.notFound('Job not found', ERROR_CODES.JOB_NOT_FOUND);
+  }
+
+  const job = wait
+    ? await conversionQueue.waitForUpdate(jobId, { since: searchParams.get('since'), timeout: LONG_POLL_TIMEOUT })
+    : conversionQueue.get(jobId);
+  if (!job) {
+    throw ApiError.notFound('Job not found', ERROR_CODES.JOB_NOT_FOUND);
+  }
+
+  return NextResponse.json({
+    success: true,
+    status: job.status,
+    progress: job.progress,
+    downloadUrl: job.result?.url || null,
+    error: job.error,
+    errorCode: job.errorCode,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt,
+    startedAt: job.startedAt,
+    completedAt: job.completedAt,
+  });
+}, { message: 'Failed to get job status' });
+
+/**
+ * Count a failed CloudConvert request in the provider error metrics
+ */
+function countProviderError(error) {
+  providerErrorsTotal.inc({ provider: provider.name, code: error.code });
+  return error;
+}
+
+/**
+ * Check the description of the file the browser is about to upload; its size
+ * is what the team's quotas are checked against
+ * @throws {ApiError} 400 for a missing or malformed name, size or type
+ */
+function validateFile(file) {
+  if (typeof file.name !== 'string' || file.name.trim() === '') {
+    throw ApiError.badRequest('file.name must be a non-empty string', ERROR_CODES.BAD_REQUEST);
+  }
+
+  if (!Number.isSafeInteger(file.size) || file.size <= 0) {
+    throw ApiError.badRequest('file.size must be a positive whole number of bytes', ERROR_CODES.BAD_REQUEST);
+  }
+
+  // Browsers leave the type empty when they do not know it
+  if (file.type !== undefined && typeof file.type !== 'string') {
+    throw ApiError.badRequest('file.type must be a string', ERROR_CODES.BAD_REQUEST);
+  }
+  if (file.type && !API_CONFIG.ALLOWED_FILE_TYPES.includes(file.type)) {
+    throw ApiError.badRequest(`File type ${file.type} is not allowed`, ERROR_CODES.UNSUPPORTED_FILE_TYPE);
   }
 }
 
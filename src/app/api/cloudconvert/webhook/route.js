@@ -0,0 +1,87 @@
+import { NextResponse } from 'next/server';
+import { ERROR_CODES } from '../../../../config/api';
+import { ApiError, asyncHandler } from '../../../../utils/apiError';
+import { conversionQueue, isFinalStatus } from '../../../../utils/jobQueue';
+import { checkUploadedSize, getJobOutcome, isWebhookEnabled, verifyWebhookSignature, WEBHOOK_EVENTS } from '../../../../utils/cloudConvert';
+import { providerErrorsTotal, recordConversion, secondsSince } from '../../../../utils/metrics';
+import { removeOutputFiles } from '../../../../utils/outputFiles';
+import { storeProviderResult } from '../../../../utils/providers';
+
+/**
+ * Receives CloudConvert job.finished and job.failed events
+ *
+ * Jobs created by POST /api/cloudconvert carry our job ID as their tag and
+ * this URL as their webhook_url (CLOUDCONVERT_WEBHOOK_URL). Requests must be
+ * signed with CLOUDCONVERT_WEBHOOK_SECRET in the CloudConvert-Signature header.
+ * Events for unknown, finished or cancelled jobs are acknowledged and ignored,
+ * so CloudConvert does not retry them. Finished outputs are copied into file
+ * storage before the job completes, so clients never see CloudConvert's URLs.
+ */
+export const POST = asyncHandler(async (request, { log }) => {
+  if (!isWebhookEnabled()) {
+    throw ApiError.notFound('CloudConvert webhooks are not configured');
+  }
+  
+  // The signature covers the exact bytes sent, so read the body as text
+  const payload = await request.text();
+  
+  if (!verifyWebhookSignature(payload, request.headers.get('cloudconvert-signature'))) {
+    throw ApiError.unauthorized('Invalid webhook signature', 'INVALID_SIGNATURE');
+  }
+  
+  let event;
+  try {
+    event = JSON.parse(payload);
+  } catch (error) {
+    throw ApiError.badRequest('Invalid webhook payload', ERROR_CODES.INVALID_JSON);
+  }
+  
+  const cloudConvertJob = event.job || {};
+  const job = cloudConvertJob.tag ? conversionQueue.get(cloudConvertJob.tag) : null;
+  
+  if (
+    !WEBHOOK_EVENTS.includes(event.event) ||
+    !job || job.type !== 'cloudconvert' || isFinalStatus(job.status)
+  ) {
+    return NextResponse.json({ success: true, data: { handled: false } });
+  }
+  
+  const outcome = getJobOutcome(cloudConvertJob);
+  const { file, teamId, from, to } = conversionQueue.store.get('jobs', job.id).data;
+  conversionQueue.update(job.id, { tasks: outcome.tasks });
+  
+  // Quotas were checked against the declared size; keep nothing made from more
+  const sizeError = checkUploadedSize(outcome.inputSize, file.size);
+  if (sizeError) {
+    log.warn('CloudConvert received more than the declared size', { jobId: job.id, ...sizeError.details });
+    recordConversion({ from, to }, 'failed', secondsSince(job.createdAt));
+    conversionQueue.fail(job.id, sizeError.message, sizeError.code);
+    return NextResponse.json({ success: true, data: { handled: true, jobId: job.id } });
+  }
+  
+  if (event.event === 'job.finished' && outcome.status === 'finished') {
+    let stored;
+    try {
+      stored = await storeProviderResult('cloudconvert', { name: outcome.filename, url: outcome.downloadUrl }, { teamId });
+    } catch (error) {
+      log.error('Failed to store CloudConvert output', { jobId: job.id, error });
+      providerErrorsTotal.inc({ provider: 'cloudconvert', code: ERROR_CODES.PROVIDER_ERROR });
+      recordConversion({ from, to }, 'failed', secondsSince(job.createdAt));
+      conversionQueue.fail(job.id, 'Failed to retrieve the converted file', ERROR_CODES.PROVIDER_ERROR);
+      return NextResponse.json({ success: true, data: { handled: true, jobId: job.id } });
+    }
+    
+    // Cancelled while the output was being copied
+    if (conversionQueue.complete(job.id, stored)) {
+      recordConversion({ from, to }, 'completed', secondsSince(job.createdAt));
+    } else {
+      await removeOutputFiles(stored);
+    }
+  } else {
+    providerErrorsTotal.inc({ provider: 'cloudconvert', code: ERROR_CODES.PROVIDER_ERROR });
+    recordConversion({ from, to }, 'failed', secondsSince(job.createdAt));
+    conversionQueue.fail(job.id, outcome.error || cloudConvertJob.message || 'Conversion failed', ERROR_CODES.PROVIDER_ERROR);
+  }
+  
+  return NextResponse.json({ success: true, data: { handled: true, jobId: job.id } });
+}, { message: 'Failed to handle webhook' });
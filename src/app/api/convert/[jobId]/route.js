@@ -0,0 +1,33 @@
+import { NextResponse } from 'next/server';
+import { ERROR_CODES } from '../../../../config/api';
+import { ApiError, asyncHandler } from '../../../../utils/apiError';
+import { authenticate, isJobOwnedBy } from '../../../../utils/auth';
+import { conversionQueue, isFinalStatus } from '../../../../utils/jobQueue';
+import { recordCancellation } from '../../../../utils/metrics';
+
+/**
+ * Cancels a conversion job
+ *
+ * Works for every queued job type (conversions, PDF tools, OCR and
+ * CloudConvert jobs). Running work is aborted, files it produces are removed
+ * and the job is marked `cancelled`.
+ */
+export const DELETE = asyncHandler(async (request, { params }) => {
+  const auth = authenticate(request);
+  const job = conversionQueue.get(params.jobId);
+  
+  if (!job || !isJobOwnedBy(auth, params.jobId)) {
+    throw ApiError.notFound('Job not found', ERROR_CODES.JOB_NOT_FOUND);
+  }
+  
+  if (isFinalStatus(job.status)) {
+    throw ApiError.conflict(`Job is already ${job.status}`, ERROR_CODES.JOB_FINISHED);
+  }
+  
+  recordCancellation(params.jobId);
+  
+  return NextResponse.json({
+    success: true,
+    data: conversionQueue.cancel(params.jobId),
+  });
+}, { message: 'Failed to cancel job' });
@@ -1,128 +1,99 @@
 import { NextResponse } from 'next/server';
-import { v4 as uuidv4 } from 'uuid';
-import fs from 'fs/promises';
 import path from 'path';
-import { API_CONFIG, ERROR_MESSAGES } from '../../../config/api';
+import { ERROR_CODES, ERROR_MESSAGES } from '../../../config/api';
+import { ApiError, asyncHandler, readJson } from '../../../utils/apiError';
+import { authenticate, isOwnedBy, isJobOwnedBy } from '../../../utils/auth';
+import { findConversion, pickConversionOptions } from '../../../utils/capabilities';
+import { conversionQueue } from '../../../utils/jobQueue';
+import { metadataStore } from '../../../utils/metadataStore';
+import { getProviderChain } from '../../../utils/providers';
+import { assertConversionQuota } from '../../../utils/quotas';
 
-// In-memory storage for conversion jobs (in a real app, use a database)
-const conversionJobs = new Map();
+// Longest time a status request with `wait` is held open
+const LONG_POLL_TIMEOUT = 25000;
 
 /**
  * Handles file conversion requests
  */
-export async function POST(request) {
-  try {
-    const { fileId, targetFormat, options = {} } = await request.json();
-    
-    // Validate request
-    if (!fileId || !targetFormat) {
-      return NextResponse.json(
-        { success: false, error: 'Missing required parameters' },
-        { status: 400 }
-      );
-    }
-    
-    // Generate a unique job ID
-    const jobId = uuidv4();
-    
-    // In a real app, you would:
-    // 1. Look up the file in your storage
-    // 2. Validate the conversion is allowed
-    // 3. Queue the conversion job
-    // 4. Return the job ID for status checking
-    
-    // For demo purposes, we'll simulate a successful conversion
-    const convertedFile = {
-      id: uuidv4(),
-      originalFileId: fileId,
-      format: targetFormat,
-      url: `/api/files/${uuidv4()}/download?converted=true`,
-      size: 1024 * 1024, // Simulated file size
-      createdAt: new Date().toISOString(),
-    };
-    
-    // Store the conversion result
-    conversionJobs.set(jobId, {
-      status: 'completed',
-      result: convertedFile,
-      createdAt: new Date().toISOString(),
-    });
-    
-    // In a real app, you might return immediately with a job ID
-    // and have the client poll for completion
-    return NextResponse.json({
-      success: true,
-      data: convertedFile,
-      jobId,
-    });
-    
-  } catch (error) {
-    console.error('Conversion error:', error);
-    return NextResponse.json(
-      { 
-        success: false, 
-        error: ERROR_MESSAGES.CONVERSION_FAILED,
-        details: process.env.NODE_ENV === 'development' ? error.message : undefined
-      },
-      { status: 500 }
+export const POST = asyncHandler(async (request, { requestId, log }) => {
+  const auth = authenticate(request);
+  const { fileId, targetFormat, options = {} } = await readJson(request);
+  
+  // Validate request
+  if (!fileId || !targetFormat) {
+    throw ApiError.badRequest('Missing required parameters', ERROR_CODES.MISSING_PARAMETERS);
+  }
+  
+  // Look up the uploaded file
+  const source = metadataStore.get('files', fileId);
+  if (!isOwnedBy(auth, source)) {
+    throw ApiError.notFound('File not found', ERROR_CODES.FILE_NOT_FOUND);
+  }
+  
+  // Validate the conversion is allowed and a configured provider can run it
+  const sourceFormat = path.extname(source.name);
+  const conversion = findConversion(sourceFormat, targetFormat);
+  if (!conversion || getProviderChain(conversion.from, conversion.to).length === 0) {
+    // Point callers at the engine that can do it, if any
+    throw ApiError.badRequest(
+      ERROR_MESSAGES.UNSUPPORTED_CONVERSION,
+      ERROR_CODES.UNSUPPORTED_CONVERSION,
+      conversion ? { endpoint: conversion.endpoint } : {}
     );
   }
-}
+  
+  assertConversionQuota(auth);
+  
+  // Queue the conversion; workers pick it up as capacity frees
+  const job = conversionQueue.enqueue('convert', {
+    fileId,
+    targetFormat,
+    options: pickConversionOptions(conversion, options),
+    // Formats as labelled in metrics
+    from: conversion.from,
+    to: conversion.to,
+    teamId: auth.team.id,
+  }, { requestId });
+  log.info('Conversion queued', { jobId: job.id, fileId, targetFormat, teamId: auth.team.id });
+  
+  return NextResponse.json({
+    success: true,
+    data: job,
+    jobId: job.id,
+  }, { status: 202 });
+}, { message: ERROR_MESSAGES.CONVERSION_FAILED });
 
 /**
  * Get conversion job status
+ *
+ * Query: jobId, and optionally `wait=true` with `since=<updatedAt>` to long
+ * poll: the response is held until the job changes after `since` (or
+ * finishes), for up to 25 seconds.
  */
-export async function GET(request) {
-  try {
-    const { searchParams } = new URL(request.url);
-    const jobId = searchParams.get('jobId');
-    
-    if (!jobId) {
-      return NextResponse.json(
-        { success: false, error: 'Missing jobId parameter' },
-        { status: 400 }
-      );
-    }
-    
-    const job = conversionJobs.get(jobId);
-    
-    if (!job) {
-      return NextResponse.json(
-        { success: false, error: 'Job not found' },
-        { status: 404 }
-      );
-    }
-    
-    return NextResponse.json({
-      success: true,
-      data: job,
-    });
-    
-  } catch (error) {
-    console.error('Job status error:', error);
-    return NextResponse.json(
-      { 
-        success: false, 
-        error: 'Failed to get job status',
-        details: process.env.NODE_ENV === 'development' ? error.message : undefined
-      },
-      { status: 500 }
-    );
+export const GET = asyncHandler(async (request) => {
+  const auth = authenticate(request);
+  const { searchParams } = new URL(request.url);
+  const jobId = searchParams.get('jobId');
+  const wait = searchParams.get('wait') === 'true';
+  
+  if (!jobId) {
+    throw ApiError.badRequest('Missing jobId parameter', ERROR_CODES.MISSING_PARAMETERS);
+  }
+  
+  if (!isJobOwnedBy(auth, jobId)) {
+    throw ApiError.notFound('Job not found', ERROR_CODES.JOB_NOT_FOUND);
+  }
+  
+  const job = wait
+    ? await conversionQueue.waitForUpdate(jobId, { since: searchParams.get('since'), timeout: LONG_POLL_TIMEOUT })
+    : conversionQueue.get(jobId);
+  
+  if (!job) {
+    throw ApiError.notFound('Job not found', ERROR_CODES.JOB_NOT_FOUND);
   }
-}
-
-// Helper function to simulate file conversion (in a real app, use a proper conversion library)
-async function convertFile(filePath, targetFormat) {
-  // This is a placeholder for actual file conversion logic
-  // In a real app, you would use a library like:
-  // - pdf-lib for PDF manipulation
-  // - sharp for image conversion
-  // - libreoffice for document conversion
   
-  // For demo purposes, we'll just return a success response
-  return {
+  return NextResponse.json({
     success: true,
-    filePath: `${filePath}.${targetFormat}`,
-    size: 1024 * 1024, // Simulated file size
-  };
-}
+    data: job,
+  });
+}, { message: 'Failed to get job status' });
@@ -0,0 +1,41 @@
+import { ERROR_CODES } from '../../../../../config/api';
+import { ApiError, asyncHandler } from '../../../../../utils/apiError';
+import { metadataStore } from '../../../../../utils/metadataStore';
+import { downloadDuration } from '../../../../../utils/metrics';
+import { createFileResponse } from '../../../../../utils/fileServing';
+import { markFileAccessed } from '../../../../../utils/retention';
+import { consumeSignedUrl, verifySignedUrl } from '../../../../../utils/signedUrls';
+
+/**
+ * Streams a stored file as an attachment download
+ *
+ * Requires a signed link, see utils/signedUrls.
+ */
+export const GET = asyncHandler(async (request, { params }) => {
+  const endTimer = downloadDuration.startTimer({ disposition: 'attachment' });
+  
+  const linkError = verifySignedUrl(request.url);
+  if (linkError) {
+    throw linkError;
+  }
+  
+  const fileData = metadataStore.get('files', params.id);
+  
+  if (!fileData) {
+    throw ApiError.notFound('File not found', ERROR_CODES.FILE_NOT_FOUND);
+  }
+  
+  const response = await createFileResponse(fileData, { disposition: 'attachment' });
+  
+  // A single-use link is only used up once the file could be read
+  const usedError = consumeSignedUrl(request.url);
+  if (usedError) {
+    await response.body?.cancel();
+    throw usedError;
+  }
+  
+  markFileAccessed(params.id);
+  endTimer();
+  
+  return response;
+}, { message: 'Failed to download file' });
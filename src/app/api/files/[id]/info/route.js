@@ -0,0 +1,24 @@
+import { NextResponse } from 'next/server';
+import { ERROR_CODES } from '../../../../../config/api';
+import { ApiError, asyncHandler } from '../../../../../utils/apiError';
+import { authenticate, isOwnedBy } from '../../../../../utils/auth';
+import { metadataStore } from '../../../../../utils/metadataStore';
+import { toPublicFile } from '../../../../../utils/fileServing';
+import { signFileUrls } from '../../../../../utils/signedUrls';
+
+/**
+ * Returns metadata for a stored file
+ */
+export const GET = asyncHandler(async (request, { params }) => {
+  const auth = authenticate(request);
+  const fileData = metadataStore.get('files', params.id);
+  
+  if (!isOwnedBy(auth, fileData)) {
+    throw ApiError.notFound('File not found', ERROR_CODES.FILE_NOT_FOUND);
+  }
+  
+  return NextResponse.json({
+    success: true,
+    data: signFileUrls(toPublicFile(fileData)),
+  });
+}, { message: 'Failed to get file info' });
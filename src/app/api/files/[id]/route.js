@@ -0,0 +1,66 @@
+import { NextResponse } from 'next/server';
+import { ERROR_CODES } from '../../../../config/api';
+import { ApiError, asyncHandler } from '../../../../utils/apiError';
+import { authenticate, isOwnedBy } from '../../../../utils/auth';
+import { metadataStore } from '../../../../utils/metadataStore';
+import { downloadDuration } from '../../../../utils/metrics';
+import { createFileResponse } from '../../../../utils/fileServing';
+import { markFileAccessed } from '../../../../utils/retention';
+import { consumeSignedUrl, verifySignedUrl } from '../../../../utils/signedUrls';
+import { deleteStoredFile } from '../../../../utils/storage';
+
+/**
+ * Serves a stored file inline (uploads and converted outputs)
+ *
+ * Requires a signed link, see utils/signedUrls; the link is the credential,
+ * so no API key is needed.
+ */
+export const GET = asyncHandler(async (request, { params }) => {
+  const endTimer = downloadDuration.startTimer({ disposition: 'inline' });
+  
+  const linkError = verifySignedUrl(request.url);
+  if (linkError) {
+    throw linkError;
+  }
+  
+  const fileData = metadataStore.get('files', params.id);
+  
+  if (!fileData) {
+    throw ApiError.notFound('File not found', ERROR_CODES.FILE_NOT_FOUND);
+  }
+  
+  const response = await createFileResponse(fileData, { disposition: 'inline' });
+  
+  // A single-use link is only used up once the file could be read
+  const usedError = consumeSignedUrl(request.url);
+  if (usedError) {
+    await response.body?.cancel();
+    throw usedError;
+  }
+  
+  markFileAccessed(params.id);
+  endTimer();
+  
+  return response;
+}, { message: 'Failed to serve file' });
+
+/**
+ * Deletes a stored file and its metadata
+ */
+export const DELETE = asyncHandler(async (request, { params }) => {
+  const auth = authenticate(request);
+  const fileData = metadataStore.get('files', params.id);
+  
+  if (!isOwnedBy(auth, fileData)) {
+    throw ApiError.notFound('File not found', ERROR_CODES.FILE_NOT_FOUND);
+  }
+  
+  // Remove the bytes first; a file already gone from disk is not an error
+  await deleteStoredFile(fileData);
+  metadataStore.delete('files', params.id);
+  
+  return NextResponse.json({
+    success: true,
+    data: { id: params.id, deleted: true },
+  });
+}, { message: 'Failed to delete file' });
@@ -0,0 +1,19 @@
+import { NextResponse } from 'next/server';
+import { asyncHandler } from '../../../utils/apiError';
+import { authenticate } from '../../../utils/auth';
+import { getCapabilities } from '../../../utils/capabilities';
+
+/**
+ * Returns the conversion capability registry
+ *
+ * Lists the accepted file formats, every supported conversion with the
+ * engine that runs it and the options it takes, and the PDF tools.
+ */
+export const GET = asyncHandler(async (request) => {
+  authenticate(request);
+  
+  return NextResponse.json({
+    success: true,
+    data: getCapabilities(),
+  });
+}, { message: 'Failed to list formats' });
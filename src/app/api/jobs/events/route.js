@@ -0,0 +1,46 @@
+import { ERROR_CODES } from '../../../../config/api';
+import { ApiError, asyncHandler } from '../../../../utils/apiError';
+import { authenticate, isJobOwnedBy } from '../../../../utils/auth';
+import { conversionQueue } from '../../../../utils/jobQueue';
+import { createJobEventStream } from '../../../../utils/jobEvents';
+
+// Each request holds its own stream open
+export const dynamic = 'force-dynamic';
+
+/**
+ * Stream live job progress as Server-Sent Events
+ *
+ * Query: jobId for a single job, or jobIds=a,b,c for a batch.
+ * Emits a `job` event (status, progress, per-step tasks and the download URL
+ * once completed) on every change and a `done` event when all jobs have
+ * finished, then closes.
+ */
+export const GET = asyncHandler(async (request) => {
+  const auth = authenticate(request);
+  
+  const { searchParams } = new URL(request.url);
+  const jobIds = [...new Set(
+    (searchParams.get('jobIds') || searchParams.get('jobId') || '')
+      .split(',')
+      .map(id => id.trim())
+      .filter(Boolean)
+  )];
+  
+  if (jobIds.length === 0) {
+    throw ApiError.badRequest('Missing jobId or jobIds parameter', ERROR_CODES.MISSING_PARAMETERS);
+  }
+  
+  const missing = jobIds.filter(id => !conversionQueue.get(id) || !isJobOwnedBy(auth, id));
+  if (missing.length > 0) {
+    throw ApiError.notFound(`Job not found: ${missing.join(', ')}`, ERROR_CODES.JOB_NOT_FOUND);
+  }
+  
+  return new Response(createJobEventStream(jobIds, { signal: request.signal }), {
+    headers: {
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no',
+    },
+  });
+}, { message: 'Failed to stream job events' });
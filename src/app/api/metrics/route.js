@@ -0,0 +1,24 @@
+import { NextResponse } from 'next/server';
+import { asyncHandler } from '../../../utils/apiError';
+import { assertAdminKey } from '../../../utils/auth';
+import { CONTENT_TYPE, renderMetrics } from '../../../utils/metrics';
+
+export const dynamic = 'force-dynamic';
+
+/**
+ * Reports uploads, conversions, provider errors, latencies, queue depth and
+ * disk usage in the Prometheus text format, see utils/metrics
+ *
+ * Requires the X-Api-Key header to match API_SECRET_KEY, like the admin
+ * routes; configure the scrape job to send it.
+ */
+export const GET = asyncHandler(async (request) => {
+  assertAdminKey(request);
+
+  return new NextResponse(await renderMetrics(), {
+    headers: {
+      'Content-Type': CONTENT_TYPE,
+      'Cache-Control': 'no-store',
+    },
+  });
+}, { message: 'Failed to collect metrics' });
@@ -0,0 +1,67 @@
+import { NextResponse } from 'next/server';
+import { ERROR_CODES, ERROR_MESSAGES } from '../../../config/api';
+import { FORMATS, getFormatOfFile } from '../../../config/formats';
+import { ApiError, asyncHandler, readJson } from '../../../utils/apiError';
+import { authenticate, isOwnedBy } from '../../../utils/auth';
+import { conversionQueue } from '../../../utils/jobQueue';
+import { metadataStore } from '../../../utils/metadataStore';
+import { resolveOcrOptions, listOcrLanguages, OCR_OUTPUTS } from '../../../utils/ocr';
+import { assertConversionQuota } from '../../../utils/quotas';
+
+/**
+ * Lists the installed OCR languages
+ */
+export const GET = asyncHandler(async (request) => {
+  authenticate(request);
+  
+  const languages = await listOcrLanguages();
+  
+  return NextResponse.json({
+    success: true,
+    data: { languages, outputs: Object.keys(OCR_OUTPUTS) },
+  });
+}, { message: ERROR_MESSAGES.UNKNOWN_ERROR });
+
+/**
+ * Recognises the text of an uploaded image or scanned PDF, offline
+ *
+ * Body: {
+ *   fileId: string,
+ *   languages?: string[] | string,   // tesseract codes, e.g. ["eng", "deu"] or "eng+deu"
+ *   output?: 'txt' | 'pdf' | 'docx'  // default txt; pdf is searchable (invisible text layer)
+ * }
+ * The job result is the output file with `text` and an `ocr` report:
+ * languages, mean confidence (0-100) and per-page { page, text, confidence }.
+ * Returns a job ID to poll via GET /api/convert.
+ */
+export const POST = asyncHandler(async (request, { requestId }) => {
+  const auth = authenticate(request);
+  const { fileId, languages, output } = await readJson(request);
+  
+  if (!fileId) {
+    throw ApiError.badRequest('fileId is required', ERROR_CODES.MISSING_PARAMETERS);
+  }
+  
+  // Validate the options now rather than failing the job later
+  const options = await resolveOcrOptions({ languages, output });
+  
+  const source = metadataStore.get('files', fileId);
+  if (!isOwnedBy(auth, source)) {
+    throw ApiError.notFound(`File not found: ${fileId}`, ERROR_CODES.FILE_NOT_FOUND);
+  }
+  
+  const format = getFormatOfFile(source);
+  if (format !== 'pdf' && FORMATS[format]?.category !== 'image') {
+    throw ApiError.badRequest(`${source.name} is not an image or PDF`, ERROR_CODES.UNSUPPORTED_FILE_TYPE);
+  }
+  
+  assertConversionQuota(auth);
+  
+  const job = conversionQueue.enqueue('ocr', { fileId, ...options, teamId: auth.team.id }, { requestId });
+  
+  return NextResponse.json({
+    success: true,
+    data: job,
+    jobId: job.id,
+  }, { status: 202 });
+}, { message: ERROR_MESSAGES.CONVERSION_FAILED });
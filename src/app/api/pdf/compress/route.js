@@ -0,0 +1,53 @@
+import { NextResponse } from 'next/server';
+import path from 'path';
+import { ERROR_CODES, ERROR_MESSAGES } from '../../../../config/api';
+import { ApiError, asyncHandler, readJson } from '../../../../utils/apiError';
+import { authenticate, isOwnedBy } from '../../../../utils/auth';
+import { conversionQueue } from '../../../../utils/jobQueue';
+import { metadataStore } from '../../../../utils/metadataStore';
+import { resolveCompressionOptions } from '../../../../utils/pdfCompression';
+import { assertConversionQuota } from '../../../../utils/quotas';
+
+/**
+ * Compresses an uploaded PDF
+ *
+ * Body: {
+ *   fileId: string,
+ *   preset?: 'screen' | 'ebook' | 'print' | 'lossless',  // default ebook
+ *   imageDpi?: number,     // overrides the preset
+ *   jpegQuality?: number   // 1-100, overrides the preset
+ * }
+ * The job result is the compressed file with a `compression` report
+ * (originalSize, compressedSize, savedBytes, savedPercent). The output is
+ * never larger than the input. Returns a job ID to poll via GET /api/convert.
+ */
+export const POST = asyncHandler(async (request, { requestId }) => {
+  const auth = authenticate(request);
+  const { fileId, preset, imageDpi, jpegQuality } = await readJson(request);
+  
+  if (!fileId) {
+    throw ApiError.badRequest('fileId is required', ERROR_CODES.MISSING_PARAMETERS);
+  }
+  
+  // Validate the settings now rather than failing the job later
+  const options = resolveCompressionOptions({ preset, imageDpi, jpegQuality });
+  
+  const source = metadataStore.get('files', fileId);
+  if (!isOwnedBy(auth, source)) {
+    throw ApiError.notFound(`File not found: ${fileId}`, ERROR_CODES.FILE_NOT_FOUND);
+  }
+  
+  if (path.extname(source.name).toLowerCase() !== '.pdf') {
+    throw ApiError.badRequest(`${source.name} is not a PDF`, ERROR_CODES.UNSUPPORTED_FILE_TYPE);
+  }
+  
+  assertConversionQuota(auth);
+  
+  const job = conversionQueue.enqueue('compress', { fileId, options, teamId: auth.team.id }, { requestId });
+  
+  return NextResponse.json({
+    success: true,
+    data: job,
+    jobId: job.id,
+  }, { status: 202 });
+}, { message: ERROR_MESSAGES.CONVERSION_FAILED });
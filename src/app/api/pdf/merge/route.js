@@ -0,0 +1,56 @@
+import { NextResponse } from 'next/server';
+import path from 'path';
+import { ERROR_CODES, ERROR_MESSAGES } from '../../../../config/api';
+import { ApiError, asyncHandler, readJson } from '../../../../utils/apiError';
+import { authenticate, isOwnedBy } from '../../../../utils/auth';
+import { conversionQueue } from '../../../../utils/jobQueue';
+import { metadataStore } from '../../../../utils/metadataStore';
+import { isConversionSupported } from '../../../../utils/converters';
+import { assertConversionQuota } from '../../../../utils/quotas';
+
+/**
+ * Merges several uploaded files into one PDF
+ *
+ * Body: {
+ *   inputs: [{ fileId, pages? }],  // in output order; pages like "1-3,5,9-"
+ *   outputName?: string
+ * }
+ * Inputs may be PDFs, images, text or Word files; non-PDF inputs are
+ * converted locally first. Returns a job ID to poll via GET /api/convert.
+ */
+export const POST = asyncHandler(async (request, { requestId }) => {
+  const auth = authenticate(request);
+  const { inputs, outputName = 'merged.pdf' } = await readJson(request);
+  
+  if (!Array.isArray(inputs) || inputs.length < 2) {
+    throw ApiError.badRequest('At least two inputs are required', ERROR_CODES.BAD_REQUEST);
+  }
+  
+  // Validate every input before queueing
+  for (const input of inputs) {
+    const source = input?.fileId ? metadataStore.get('files', input.fileId) : null;
+    
+    if (!isOwnedBy(auth, source)) {
+      throw ApiError.notFound(`File not found: ${input?.fileId}`, ERROR_CODES.FILE_NOT_FOUND);
+    }
+    
+    const format = path.extname(source.name);
+    if (format.toLowerCase() !== '.pdf' && !isConversionSupported(format, 'pdf')) {
+      throw ApiError.badRequest(`${source.name} cannot be merged into a PDF`, ERROR_CODES.UNSUPPORTED_CONVERSION);
+    }
+  }
+  
+  assertConversionQuota(auth);
+  
+  const job = conversionQueue.enqueue('merge', {
+    inputs: inputs.map(({ fileId, pages }) => ({ fileId, pages: pages || '' })),
+    outputName: outputName.toLowerCase().endsWith('.pdf') ? outputName : `${outputName}.pdf`,
+    teamId: auth.team.id,
+  }, { requestId });
+  
+  return NextResponse.json({
+    success: true,
+    data: job,
+    jobId: job.id,
+  }, { status: 202 });
+}, { message: ERROR_MESSAGES.CONVERSION_FAILED });
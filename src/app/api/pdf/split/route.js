@@ -0,0 +1,67 @@
+import { NextResponse } from 'next/server';
+import path from 'path';
+import { ERROR_CODES, ERROR_MESSAGES } from '../../../../config/api';
+import { ApiError, asyncHandler, readJson } from '../../../../utils/apiError';
+import { authenticate, isOwnedBy } from '../../../../utils/auth';
+import { conversionQueue } from '../../../../utils/jobQueue';
+import { metadataStore } from '../../../../utils/metadataStore';
+import { SPLIT_MODES } from '../../../../utils/pdfTools';
+import { assertConversionQuota } from '../../../../utils/quotas';
+
+/**
+ * Splits an uploaded PDF into several PDFs
+ *
+ * Body: {
+ *   fileId: string,
+ *   mode: 'pages' | 'chunks' | 'ranges' | 'bookmarks',
+ *   chunkSize?: number,  // pages per part, for "chunks"
+ *   ranges?: string      // e.g. "1-3,5,9-", one part per comma, for "ranges"
+ * }
+ * The job result lists every part as its own file, plus a ZIP of all parts
+ * with a manifest.json. Returns a job ID to poll via GET /api/convert.
+ */
+export const POST = asyncHandler(async (request, { requestId }) => {
+  const auth = authenticate(request);
+  const { fileId, mode = 'pages', chunkSize, ranges } = await readJson(request);
+  
+  if (!fileId) {
+    throw ApiError.badRequest('fileId is required', ERROR_CODES.MISSING_PARAMETERS);
+  }
+  
+  if (!SPLIT_MODES.includes(mode)) {
+    throw ApiError.badRequest(`mode must be one of: ${SPLIT_MODES.join(', ')}`, ERROR_CODES.BAD_REQUEST);
+  }
+  
+  if (mode === 'chunks' && !(parseInt(chunkSize, 10) > 0)) {
+    throw ApiError.badRequest('chunkSize must be a positive number', ERROR_CODES.BAD_REQUEST);
+  }
+  
+  if (mode === 'ranges' && !String(ranges || '').trim()) {
+    throw ApiError.badRequest('ranges is required, e.g. "1-3,5,9-"', ERROR_CODES.MISSING_PARAMETERS);
+  }
+  
+  const source = metadataStore.get('files', fileId);
+  if (!isOwnedBy(auth, source)) {
+    throw ApiError.notFound(`File not found: ${fileId}`, ERROR_CODES.FILE_NOT_FOUND);
+  }
+  
+  if (path.extname(source.name).toLowerCase() !== '.pdf') {
+    throw ApiError.badRequest(`${source.name} is not a PDF`, ERROR_CODES.UNSUPPORTED_FILE_TYPE);
+  }
+  
+  assertConversionQuota(auth);
+  
+  const job = conversionQueue.enqueue('split', {
+    fileId,
+    mode,
+    chunkSize: chunkSize ? parseInt(chunkSize, 10) : null,
+    ranges: ranges || null,
+    teamId: auth.team.id,
+  }, { requestId });
+  
+  return NextResponse.json({
+    success: true,
+    data: job,
+    jobId: job.id,
+  }, { status: 202 });
+}, { message: ERROR_MESSAGES.CONVERSION_FAILED });
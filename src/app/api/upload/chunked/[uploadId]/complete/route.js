@@ -0,0 +1,35 @@
+import { NextResponse } from 'next/server';
+import { asyncHandler, readJson } from '../../../../../../utils/apiError';
+import { authenticate } from '../../../../../../utils/auth';
+import { completeUploadSession, getUploadSession } from '../../../../../../utils/chunkedUpload';
+import { toPublicFile } from '../../../../../../utils/fileServing';
+import { secondsSince, uploadDuration, uploadsTotal } from '../../../../../../utils/metrics';
+import { signFileUrls } from '../../../../../../utils/signedUrls';
+
+/**
+ * Assembles the uploaded chunks into the final file
+ *
+ * Body: { checksum? } - SHA-256 of the chunk checksums joined in order, verified if given
+ * Returns the same file metadata as POST /api/upload.
+ */
+export const POST = asyncHandler(async (request, { params, log }) => {
+  const auth = authenticate(request);
+  const session = getUploadSession(params.uploadId, { auth });
+  
+  const { checksum } = await readJson(request);
+  const fileData = await completeUploadSession(params.uploadId, checksum);
+  log.info('File uploaded', {
+    fileId: fileData.id,
+    uploadId: params.uploadId,
+    type: fileData.type,
+    size: fileData.size,
+    teamId: auth.team.id,
+  });
+  uploadsTotal.inc({ method: 'chunked' });
+  uploadDuration.observe({ method: 'chunked' }, secondsSince(session.createdAt));
+  
+  return NextResponse.json({
+    success: true,
+    data: signFileUrls(toPublicFile(fileData)),
+  });
+}, { message: 'Failed to complete upload' });
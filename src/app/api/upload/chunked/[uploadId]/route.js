@@ -0,0 +1,79 @@
+import { NextResponse } from 'next/server';
+import { ERROR_CODES } from '../../../../../config/api';
+import { ApiError, asyncHandler } from '../../../../../utils/apiError';
+import { authenticate } from '../../../../../utils/auth';
+import {
+  getUploadSession,
+  toSessionView,
+  writeChunk,
+  abortUploadSession,
+} from '../../../../../utils/chunkedUpload';
+
+/**
+ * Reports which chunks have been received, so clients can resume
+ */
+export const GET = asyncHandler(async (request, { params }) => {
+  const auth = authenticate(request);
+  const session = getUploadSession(params.uploadId, { auth });
+  
+  return NextResponse.json({
+    success: true,
+    data: toSessionView(session),
+  });
+}, { message: 'Failed to get upload status' });
+
+/**
+ * Receives one chunk
+ *
+ * Query: ?index=<zero-based chunk index>
+ * Headers: X-Chunk-Checksum (optional hex SHA-256 of the chunk)
+ * Body: raw chunk bytes, at most the session's chunk size
+ */
+export const PUT = asyncHandler(async (request, { params }) => {
+  const auth = authenticate(request);
+  const { chunkSize } = getUploadSession(params.uploadId, { auth });
+  
+  const { searchParams } = new URL(request.url);
+  const index = searchParams.get('index');
+  
+  if (index === null) {
+    throw ApiError.badRequest('Missing index parameter', ERROR_CODES.MISSING_PARAMETERS);
+  }
+  
+  // Refuse oversized bodies before reading them; writeChunk also stops
+  // reading bodies without a Content-Length once they pass the chunk size
+  const contentLength = parseInt(request.headers.get('content-length'), 10);
+  if (contentLength > chunkSize) {
+    throw ApiError.payloadTooLarge(
+      `Chunks must be at most ${chunkSize} bytes`,
+      ERROR_CODES.INVALID_CHUNK,
+      { limit: chunkSize, size: contentLength }
+    );
+  }
+  
+  const session = await writeChunk(
+    params.uploadId,
+    index,
+    request.body,
+    request.headers.get('x-chunk-checksum')
+  );
+  
+  return NextResponse.json({
+    success: true,
+    data: session,
+  });
+}, { message: 'Failed to store chunk' });
+
+/**
+ * Aborts an upload and discards the chunks received so far
+ */
+export const DELETE = asyncHandler(async (request, { params }) => {
+  const auth = authenticate(request);
+  getUploadSession(params.uploadId, { auth });
+  await abortUploadSession(params.uploadId);
+  
+  return NextResponse.json({
+    success: true,
+    data: { uploadId: params.uploadId, aborted: true },
+  });
+}, { message: 'Failed to abort upload' });
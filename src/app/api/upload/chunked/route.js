@@ -0,0 +1,27 @@
+import { NextResponse } from 'next/server';
+import { asyncHandler, readJson } from '../../../../utils/apiError';
+import { authenticate } from '../../../../utils/auth';
+import { createUploadSession } from '../../../../utils/chunkedUpload';
+import { assertStorageQuota } from '../../../../utils/quotas';
+
+/**
+ * Starts a resumable chunked upload
+ *
+ * Body: { name, type, size, chunkSize? }
+ * Returns the upload ID, the chunk size to use (the requested size, kept
+ * between 256KB and 20MB) and the number of chunks.
+ */
+export const POST = asyncHandler(async (request) => {
+  const auth = authenticate(request);
+  const { name, type, size, chunkSize } = await readJson(request);
+  
+  // The whole file counts against the team's storage from the start
+  assertStorageQuota(auth, parseInt(size, 10) || 0);
+  
+  const session = createUploadSession({ name, type, size, chunkSize, teamId: auth.team.id });
+  
+  return NextResponse.json({
+    success: true,
+    data: session,
+  }, { status: 201 });
+}, { message: 'Failed to start upload' });
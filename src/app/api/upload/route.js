@@ -1,176 +1,120 @@
 import { NextResponse } from 'next/server';
 import { v4 as uuidv4 } from 'uuid';
-import fs from 'fs/promises';
 import path from 'path';
+import { API_CONFIG, ERROR_CODES } from '../../../config/api';
+import { ApiError, asyncHandler } from '../../../utils/apiError';
+import { authenticate } from '../../../utils/auth';
+import { metadataStore } from '../../../utils/metadataStore';
+import { uploadDuration, uploadsTotal } from '../../../utils/metrics';
+import { toPublicFile } from '../../../utils/fileServing';
+import { signFileUrls } from '../../../utils/signedUrls';
+import { sampleBytes, verifyFileType } from '../../../utils/fileSignature';
+import { storage } from '../../../utils/storage';
+import { assertStorageQuota } from '../../../utils/quotas';
 
 // Configuration
 const config = {
-  // Maximum file size (10MB)
+  // Maximum file size for single-request uploads (10MB);
+  // larger files go through /api/upload/chunked
   maxFileSize: 10 * 1024 * 1024,
   
   // Allowed file types
-  allowedTypes: [
-    'application/pdf',
-    'application/msword',
-    'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
-    'application/vnd.ms-excel',
-    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
-    'application/vnd.ms-powerpoint',
-    'application/vnd.openxmlformats-officedocument.presentationml.presentation',
-    'image/jpeg',
-    'image/png',
-    'image/gif',
-    'text/plain'
-  ],
-  
-  // In-memory storage (for demo)
-  storage: new Map(),
-  
-  // File storage directory (for persistent storage)
-  uploadDir: path.join(process.cwd(), 'uploads'),
+  allowedTypes: API_CONFIG.ALLOWED_FILE_TYPES,
 };
 
 /**
  * Handles file uploads
  */
-export async function POST(request) {
-  try {
-    // Ensure upload directory exists
-    await fs.mkdir(config.uploadDir, { recursive: true });
-    
-    // Parse form data
-    const formData = await request.formData();
-    const file = formData.get('file');
-    
-    // Validate file
-    if (!file) {
-      return createErrorResponse('No file provided', 400);
-    }
-    
-    // File validation
-    const validationError = validateFile(file);
-    if (validationError) {
-      return validationError;
-    }
-    
-    // Process file
-    const { fileId, filePath, fileName } = await storeFile(file);
-    
-    // Create file metadata
-    const fileData = {
-      id: fileId,
-      name: file.name,
-      type: file.type,
-      size: file.size,
-      path: filePath,
-      url: `/api/files/${fileId}`,
-      uploadedAt: new Date().toISOString()
-    };
-    
-    // Store metadata in memory
-    config.storage.set(fileId, fileData);
-    
-    // Return success response
-    return NextResponse.json({
-      success: true,
-      data: fileData
-    });
-    
-  } catch (error) {
-    console.error('Upload error:', error);
-    return createErrorResponse('Failed to process file upload', 500, error);
+export const POST = asyncHandler(async (request, { log }) => {
+  const endTimer = uploadDuration.startTimer({ method: 'direct' });
+  const auth = authenticate(request);
+  
+  // Parse form data
+  const formData = await request.formData();
+  const file = formData.get('file');
+  
+  // Validate file
+  if (!file) {
+    throw ApiError.badRequest('No file provided', ERROR_CODES.NO_FILE);
   }
-}
-
-/**
- * Serves uploaded files
- */
-export async function GET(request) {
-  try {
-    const url = new URL(request.url);
-    const fileId = url.pathname.split('/').pop();
-    
-    // Validate file ID
-    if (!fileId || !config.storage.has(fileId)) {
-      return createErrorResponse('File not found', 404);
-    }
-    
-    const fileData = config.storage.get(fileId);
-    
-    // Read file from disk
-    const fileBuffer = await fs.readFile(fileData.path);
-    
-    return new NextResponse(fileBuffer, {
-      headers: {
-        'Content-Type': fileData.type,
-        'Content-Disposition': `inline; filename="${fileData.name}"`,
-        'Content-Length': fileData.size,
-        'Cache-Control': 'public, max-age=31536000, immutable'
-      }
+  
+  // File validation
+  validateFile(file);
+  
+  // The team's file size and storage quotas
+  assertStorageQuota(auth, file.size);
+  
+  // The declared type comes from the browser; check it against the content
+  const buffer = Buffer.from(await file.arrayBuffer());
+  const { head, tail } = sampleBytes(buffer);
+  const typeCheck = verifyFileType(file.type, head, tail);
+  if (!typeCheck.valid) {
+    throw ApiError.unsupportedMediaType(typeCheck.error, ERROR_CODES.FILE_TYPE_MISMATCH, {
+      declaredType: file.type,
+      detectedType: typeCheck.detected?.mimeType || null,
     });
-    
-  } catch (error) {
-    console.error('File serve error:', error);
-    return createErrorResponse('Failed to serve file', 500, error);
   }
-}
+  
+  // Process file
+  const { fileId, storageKey } = await storeFile(file, buffer);
+  
+  // Create file metadata
+  const fileData = {
+    id: fileId,
+    name: file.name,
+    type: file.type,
+    detectedType: typeCheck.detected.mimeType,
+    size: file.size,
+    storageKey,
+    kind: 'upload',
+    teamId: auth.team.id,
+    url: `/api/files/${fileId}`,
+    uploadedAt: new Date().toISOString()
+  };
+  
+  // Persist metadata so the file stays addressable across restarts
+  metadataStore.set('files', fileId, fileData);
+  log.info('File uploaded', { fileId, type: file.type, size: file.size, teamId: auth.team.id });
+  uploadsTotal.inc({ method: 'direct' });
+  endTimer();
+  
+  // Return success response, with a signed link to the file
+  return NextResponse.json({
+    success: true,
+    data: signFileUrls(toPublicFile(fileData))
+  });
+}, { message: 'Failed to process file upload' });
 
 /**
  * Validates a file against configured constraints
+ * @throws {ApiError} 413 FILE_TOO_LARGE or 415 UNSUPPORTED_FILE_TYPE
  */
 function validateFile(file) {
   // Check file size
   if (file.size > config.maxFileSize) {
-    const error = `File too large. Max size is ${config.maxFileSize / (1024 * 1024)}MB`;
-    return createErrorResponse(error, 400);
+    throw ApiError.payloadTooLarge(
+      `File too large. Max size is ${config.maxFileSize / (1024 * 1024)}MB, use a chunked upload for larger files`,
+      ERROR_CODES.FILE_TOO_LARGE,
+      { limit: config.maxFileSize, size: file.size }
+    );
   }
   
   // Check file type
   if (!config.allowedTypes.includes(file.type)) {
-    return createErrorResponse(`File type ${file.type} is not allowed`, 400);
+    throw ApiError.unsupportedMediaType(`File type ${file.type} is not allowed`, ERROR_CODES.UNSUPPORTED_FILE_TYPE);
   }
-  
-  return null;
 }
 
 /**
- * Stores a file on disk and returns its metadata
+ * Stores a file's contents with the configured storage driver
  */
-async function storeFile(file) {
+async function storeFile(file, buffer) {
   const fileId = uuidv4();
-  const fileExt = path.extname(file.name);
-  const fileName = `${fileId}${fileExt}`;
-  const filePath = path.join(config.uploadDir, fileName);
-  
-  // Convert file to buffer
-  const bytes = await file.arrayBuffer();
-  const buffer = Buffer.from(bytes);
-  
-  // Write file to disk
-  await fs.writeFile(filePath, buffer);
+  const storageKey = `${fileId}${path.extname(file.name)}`;
   
-  return { fileId, filePath, fileName };
-}
-
-/**
- * Creates a standardized error response
- */
-function createErrorResponse(message, status = 500, error = null) {
-  const response = {
-    success: false,
-    error: message,
-  };
-  
-  // Add error details in development
-  if (process.env.NODE_ENV === 'development' && error) {
-    response.details = {
-      message: error.message,
-      stack: error.stack,
-    };
-  }
+  await storage.put(storageKey, buffer, { contentType: file.type });
   
-  return NextResponse.json(response, { status });
+  return { fileId, storageKey };
 }
 
-// File serving is handled by the GET function above
-// This comment replaces the duplicate GET function that was here
+// Uploaded files are served by the /api/files/[id] routes
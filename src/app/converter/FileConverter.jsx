@@ -28,89 +28,83 @@ import {
   faExchangeAlt,
   faExclamationCircle,
   faTimes,
-  faCloud
+  faCloud,
+  faArrowUp,
+  faArrowDown,
+  faFileZipper,
+  faBan
 } from '@fortawesome/free-solid-svg-icons';
+import { apiService } from '../../services/api';
+import { waitForJob } from '../../utils/uploadUtils';
+import { formatFileSize } from '../../utils/fileUtils';
+import { ACCEPTED_EXTENSIONS, getFormatOfFile } from '../../config/formats';
+import useFormats from '../../hooks/useFormats';
+import { buildConversionCards, waitForCloudConvertJob, cancelConversionJob } from './conversionUtils';
 
-// Conversion options with Font Awesome icons
-const conversionOptions = [
-  {
-    id: "pdf-to-word",
-    name: "PDF to Word",
-    icon: faFileWord,
-    from: "PDF",
-    to: "DOCX",
-  },
-  {
-    id: "pdf-to-excel",
-    name: "PDF to Excel",
-    icon: faFileExcel,
-    from: "PDF",
-    to: "XLSX",
-  },
-  {
-    id: "pdf-to-powerpoint",
-    name: "PDF to PowerPoint",
-    icon: faFilePowerpoint,
-    from: "PDF",
-    to: "PPTX",
-  },
-  {
-    id: "pdf-to-jpg",
-    name: "PDF to JPG",
-    icon: faFileImage,
-    from: "PDF",
-    to: "JPG",
-  },
-  {
-    id: "word-to-pdf",
-    name: "Word to PDF",
-    icon: faFilePdf,
-    from: "DOCX",
-    to: "PDF",
-  },
-  {
-    id: "excel-to-pdf",
-    name: "Excel to PDF",
-    icon: faFilePdf,
-    from: "XLSX",
-    to: "PDF",
-  },
-  {
-    id: "powerpoint-to-pdf",
-    name: "PowerPoint to PDF",
-    icon: faFilePdf,
-    from: "PPTX",
-    to: "PDF",
-  },
-  {
-    id: "jpg-to-pdf",
-    name: "JPG to PDF",
-    icon: faFilePdf,
-    from: "JPG",
-    to: "PDF",
-  },
-  {
-    id: "compress-pdf",
-    name: "Compress PDF",
-    icon: faCompress,
-    from: "PDF",
-    to: "PDF",
-  },
+// Ways to split a PDF, and the hint shown for the value each one needs
+const splitModes = [
+  { id: "pages", name: "Every page" },
+  { id: "chunks", name: "Every N pages", placeholder: "Pages per part, e.g. 10" },
+  { id: "ranges", name: "Page ranges", placeholder: "One part per range, e.g. 1-3,5,9-" },
+  { id: "bookmarks", name: "Bookmarks" },
+];
+
+// Compression presets, from smallest file to best quality
+const compressionPresets = [
+  { id: "screen", name: "Screen (72 DPI, smallest)" },
+  { id: "ebook", name: "eBook (150 DPI)" },
+  { id: "print", name: "Print (300 DPI)" },
+  { id: "lossless", name: "Lossless (no image changes)" },
+];
+
+// OCR output formats
+const ocrOutputs = [
+  { id: "txt", name: "Plain text (.txt)" },
+  { id: "pdf", name: "Searchable PDF (.pdf)" },
+  { id: "docx", name: "Word document (.docx)" },
 ];
 
 // Main component with proper initialization
 function FileConverter() {
+  const { formats, conversions, tools, error: formatsError } = useFormats();
+  
+  // Conversion cards, built from the server's capability registry
+  const conversionOptions = React.useMemo(() => {
+    return buildConversionCards({ formats, conversions, tools });
+  }, [formats, conversions, tools]);
+  
   const [selectedFiles, setSelectedFiles] = React.useState([]);
   const [targetFormat, setTargetFormat] = React.useState("");
   const [isConverting, setIsConverting] = React.useState(false);
   const [convertedFiles, setConvertedFiles] = React.useState([]);
   const [error, setError] = React.useState("");
   const [uploading, setUploading] = React.useState(false);
+  // Page ranges per selected file (merge only), kept in the same order as selectedFiles
+  const [pageRanges, setPageRanges] = React.useState([]);
+  const [splitMode, setSplitMode] = React.useState("pages");
+  const [splitValue, setSplitValue] = React.useState("");
+  // ZIP of every split part, offered alongside the individual parts
+  const [splitArchive, setSplitArchive] = React.useState(null);
+  const [compression, setCompression] = React.useState({ preset: "ebook", imageDpi: "", jpegQuality: "" });
+  const [ocrOptions, setOcrOptions] = React.useState({ languages: "eng", output: "txt" });
+  // Selected file indices the user cancelled in the current run, and whether the whole run was cancelled
+  const [cancelledFiles, setCancelledFiles] = React.useState([]);
+  const [cancellingAll, setCancellingAll] = React.useState(false);
+  // Server jobs of the current run by selected file index ("batch" for merge and split),
+  // and what was cancelled, readable from inside the running loops
+  const runningJobsRef = React.useRef(new Map());
+  const cancelledRef = React.useRef({ all: false, keys: new Set() });
+  
+  const isMerge = targetFormat === "merge-pdf";
+  const isSplit = targetFormat === "split-pdf";
+  const isCompress = targetFormat === "compress-pdf";
+  const isOcr = targetFormat === "ocr";
+  const splitModeOption = splitModes.find(mode => mode.id === splitMode);
   
   // Get the selected conversion option
   const selectedOption = React.useMemo(() => {
     return conversionOptions.find(option => option.id === targetFormat) || null;
-  }, [targetFormat]);
+  }, [conversionOptions, targetFormat]);
 
   // Handle file selection
   const handleFileSelect = React.useCallback((event) => {
@@ -119,6 +113,7 @@ function FileConverter() {
       if (files.length === 0) return;
       
       setSelectedFiles(prev => [...prev, ...files]);
+      setPageRanges(prev => [...prev, ...files.map(() => "")]);
       setError("");
     } catch (err) {
       setError("Failed to select files. Please try again.");
@@ -126,6 +121,279 @@ function FileConverter() {
     }
   }, []);
 
+  // Move a selected file up or down in the merge order
+  const moveFile = React.useCallback((index, offset) => {
+    const target = index + offset;
+    const swap = (list) => {
+      if (target < 0 || target >= list.length) return list;
+      const next = [...list];
+      [next[index], next[target]] = [next[target], next[index]];
+      return next;
+    };
+    
+    setSelectedFiles(swap);
+    setPageRanges(swap);
+  }, []);
+  
+  // Forget the cancellations of the previous run
+  const startRun = React.useCallback(() => {
+    runningJobsRef.current.clear();
+    cancelledRef.current = { all: false, keys: new Set() };
+    setCancelledFiles([]);
+    setCancellingAll(false);
+  }, []);
+  
+  const isCancelled = React.useCallback((key) => {
+    return cancelledRef.current.all || cancelledRef.current.keys.has(key);
+  }, []);
+  
+  // Remember a started job so it can be cancelled; cancels it at once if the
+  // user already cancelled its file while it was uploading
+  const trackJob = React.useCallback((key, jobId, engine = 'local') => {
+    runningJobsRef.current.set(key, { jobId, engine });
+    if (isCancelled(key)) {
+      cancelConversionJob(jobId, engine);
+    }
+  }, [isCancelled]);
+  
+  // Cancel one selected file: skip it if not started, stop its job otherwise
+  const cancelFile = React.useCallback((key) => {
+    cancelledRef.current.keys.add(key);
+    setCancelledFiles(prev => [...prev, key]);
+    
+    const job = runningJobsRef.current.get(key);
+    if (job) {
+      cancelConversionJob(job.jobId, job.engine);
+    }
+  }, []);
+  
+  // Cancel the whole run: running jobs are stopped and the remaining files skipped
+  const cancelAll = React.useCallback(() => {
+    cancelledRef.current.all = true;
+    setCancellingAll(true);
+    
+    runningJobsRef.current.forEach(job => cancelConversionJob(job.jobId, job.engine));
+  }, []);
+  
+  // Remove a selected file
+  const removeFile = React.useCallback((index) => {
+    setSelectedFiles(prev => prev.filter((_, i) => i !== index));
+    setPageRanges(prev => prev.filter((_, i) => i !== index));
+  }, []);
+  
+  // Merge the selected files, in order, into a single PDF
+  const handleMerge = React.useCallback(async () => {
+    if (selectedFiles.length < 2) {
+      setError("Please select at least two files to merge");
+      return;
+    }
+    
+    try {
+      setIsConverting(true);
+      setError("");
+      startRun();
+      
+      // Upload every file first; the merge works on uploaded file IDs
+      setUploading(true);
+      const inputs = [];
+      for (let i = 0; i < selectedFiles.length; i++) {
+        if (isCancelled("batch")) return;
+        
+        const upload = await apiService.upload(selectedFiles[i]);
+        inputs.push({ fileId: upload.id, pages: (pageRanges[i] || "").trim() });
+      }
+      setUploading(false);
+      if (isCancelled("batch")) return;
+      
+      const merge = await apiService.mergePdfs(inputs);
+      
+      trackJob("batch", merge.id);
+      const job = await waitForJob(merge.id);
+      
+      setSplitArchive(null);
+      setConvertedFiles([{
+        id: job.result.id,
+        name: job.result.name,
+        type: 'pdf',
+        size: job.result.size,
+        url: job.result.url,
+      }]);
+      
+    } catch (err) {
+      if (err.cancelled) return;
+      console.error('Merge error:', err);
+      setError(err.message || "Failed to merge files. Please try again.");
+    } finally {
+      setUploading(false);
+      setIsConverting(false);
+    }
+  }, [selectedFiles, pageRanges, startRun, isCancelled, trackJob]);
+  
+  // Split the selected PDF into parts; each part and a ZIP of all of them can be downloaded
+  const handleSplit = React.useCallback(async () => {
+    if (selectedFiles.length !== 1) {
+      setError("Please select exactly one PDF to split");
+      return;
+    }
+    
+    if (splitModeOption.placeholder && !splitValue.trim()) {
+      setError(`Please enter ${splitMode === "chunks" ? "the number of pages per part" : "the page ranges"}`);
+      return;
+    }
+    
+    try {
+      setIsConverting(true);
+      setError("");
+      setSplitArchive(null);
+      startRun();
+      
+      setUploading(true);
+      const upload = await apiService.upload(selectedFiles[0]);
+      setUploading(false);
+      if (isCancelled("batch")) return;
+      
+      const split = await apiService.splitPdf(upload.id, {
+        mode: splitMode,
+        chunkSize: splitMode === "chunks" ? splitValue.trim() : undefined,
+        ranges: splitMode === "ranges" ? splitValue.trim() : undefined,
+      });
+      
+      trackJob("batch", split.id);
+      const job = await waitForJob(split.id);
+      
+      setConvertedFiles(job.result.parts.map(part => ({
+        id: part.id,
+        name: part.name,
+        type: 'pdf',
+        size: part.size,
+        url: part.url,
+        pages: part.pages,
+      })));
+      setSplitArchive(job.result.archive);
+      
+    } catch (err) {
+      if (err.cancelled) return;
+      console.error('Split error:', err);
+      setError(err.message || "Failed to split the PDF. Please try again.");
+    } finally {
+      setUploading(false);
+      setIsConverting(false);
+    }
+  }, [selectedFiles, splitMode, splitModeOption, splitValue, startRun, isCancelled, trackJob]);
+  
+  // Compress each selected PDF with the chosen preset and report the savings
+  const handleCompress = React.useCallback(async () => {
+    if (selectedFiles.length === 0) {
+      setError("Please select at least one PDF");
+      return;
+    }
+    
+    try {
+      setIsConverting(true);
+      setError("");
+      setSplitArchive(null);
+      
+      startRun();
+      
+      const compressed = [];
+      for (const [index, file] of selectedFiles.entries()) {
+        if (isCancelled(index)) continue;
+        
+        try {
+          setUploading(true);
+          const upload = await apiService.upload(file);
+          setUploading(false);
+          if (isCancelled(index)) continue;
+          
+          const job = await apiService.compressPdf(upload.id, {
+            preset: compression.preset,
+            imageDpi: compression.imageDpi || undefined,
+            jpegQuality: compression.jpegQuality || undefined,
+          });
+          
+          trackJob(index, job.id);
+          const { result } = await waitForJob(job.id);
+          compressed.push({
+            id: result.id,
+            name: result.name,
+            type: 'pdf',
+            size: result.size,
+            url: result.url,
+            compression: result.compression,
+          });
+        } catch (err) {
+          if (err.cancelled) continue;
+          console.error(`Error compressing file ${file.name}:`, err);
+          setError(`Failed to compress ${file.name}: ${err.message}`);
+        } finally {
+          setUploading(false);
+        }
+      }
+      
+      setConvertedFiles(compressed);
+      
+    } finally {
+      setUploading(false);
+      setIsConverting(false);
+    }
+  }, [selectedFiles, compression, startRun, isCancelled, trackJob]);
+  
+  // Read the text of each selected image or scanned PDF with the server's local OCR
+  const handleOcr = React.useCallback(async () => {
+    if (selectedFiles.length === 0) {
+      setError("Please select at least one image or PDF");
+      return;
+    }
+    
+    try {
+      setIsConverting(true);
+      setError("");
+      setSplitArchive(null);
+      
+      startRun();
+      
+      const recognised = [];
+      for (const [index, file] of selectedFiles.entries()) {
+        if (isCancelled(index)) continue;
+        
+        try {
+          setUploading(true);
+          const upload = await apiService.upload(file);
+          setUploading(false);
+          if (isCancelled(index)) continue;
+          
+          const job = await apiService.ocr(upload.id, {
+            languages: ocrOptions.languages.split(/[\s,+]+/).filter(Boolean),
+            output: ocrOptions.output,
+          });
+          
+          trackJob(index, job.id);
+          const { result } = await waitForJob(job.id);
+          recognised.push({
+            id: result.id,
+            name: result.name,
+            type: ocrOptions.output,
+            size: result.size,
+            url: result.url,
+            ocr: result.ocr,
+          });
+        } catch (err) {
+          if (err.cancelled) continue;
+          console.error(`Error reading text from ${file.name}:`, err);
+          setError(`Failed to read text from ${file.name}: ${err.message}`);
+        } finally {
+          setUploading(false);
+        }
+      }
+      
+      setConvertedFiles(recognised);
+      
+    } finally {
+      setUploading(false);
+      setIsConverting(false);
+    }
+  }, [selectedFiles, ocrOptions, startRun, isCancelled, trackJob]);
+  
   // Handle file conversion with CloudConvert
   const handleConvert = React.useCallback(async () => {
     if (!selectedOption) {
@@ -142,18 +410,51 @@ function FileConverter() {
       setIsConverting(true);
       setError("");
       
+      startRun();
+      
       // Convert each file using CloudConvert
       const converted = [];
       
-      for (const file of selectedFiles) {
+      for (const [index, file] of selectedFiles.entries()) {
+        if (isCancelled(index)) continue;
+        
         try {
+          const conversion = selectedOption.conversions
+            .find(candidate => candidate.from === getFormatOfFile(file));
+          
+          if (!conversion) {
+            throw new Error(`${file.name} cannot be converted to ${selectedOption.to}`);
+          }
+          
           setUploading(true);
           
+          // Conversions the local engine handles run on our own server
+          if (conversion.engine === 'local') {
+            const upload = await apiService.upload(file);
+            setUploading(false);
+            if (isCancelled(index)) continue;
+            
+            const job = await apiService.convert(upload.id, conversion.to);
+            
+            trackJob(index, job.id);
+            const { result } = await waitForJob(job.id);
+            
+            converted.push({
+              id: result.id,
+              name: result.name,
+              type: conversion.to,
+              size: result.size,
+              url: result.url,
+            });
+            continue;
+          }
+          
           // Call our API route to handle the conversion
           const response = await fetch('/api/cloudconvert', {
             method: 'POST',
             headers: {
               'Content-Type': 'application/json',
+              ...apiService.getAuthHeaders(),
             },
             body: JSON.stringify({
               file: {
@@ -161,16 +462,16 @@ function FileConverter() {
                 size: file.size,
                 type: file.type,
               },
-              targetFormat: selectedOption.to,
+              targetFormat: conversion.to,
             }),
           });
           
           if (!response.ok) {
-            const error = await response.json();
-            throw new Error(error.error || 'Failed to start conversion');
+            throw await apiService.parseErrorResponse(response);
           }
           
           const { jobId, uploadUrl, method, headers } = await response.json();
+          trackJob(index, jobId, 'cloudconvert');
           
           // Upload the file to CloudConvert
           const uploadResponse = await fetch(uploadUrl, {
@@ -186,36 +487,8 @@ function FileConverter() {
             throw new Error('Failed to upload file');
           }
           
-          // Poll for conversion completion
-          let downloadUrl;
-          let attempts = 0;
-          const maxAttempts = 60; // 1 minute timeout (60 * 1 second)
-          
-          while (attempts < maxAttempts) {
-            const statusResponse = await fetch(`/api/cloudconvert?jobId=${jobId}`);
-            
-            if (!statusResponse.ok) {
-              const error = await statusResponse.json();
-              throw new Error(error.error || 'Failed to get conversion status');
-            }
-            
-            const statusData = await statusResponse.json();
-            
-            if (statusData.status === 'finished') {
-              downloadUrl = statusData.downloadUrl;
-              break;
-            } else if (statusData.status === 'error') {
-              throw new Error(statusData.error || 'Conversion failed');
-            }
-            
-            // Wait before polling again
-            await new Promise(resolve => setTimeout(resolve, 1000));
-            attempts++;
-          }
-          
-          if (!downloadUrl) {
-            throw new Error('Conversion timed out');
-          }
+          // Wait for the server to report completion (no client-side time limit)
+          const { downloadUrl } = await waitForCloudConvertJob(jobId);
           
           converted.push({
             id: jobId,
@@ -226,6 +499,8 @@ function FileConverter() {
           });
           
         } catch (err) {
+          // A cancelled CloudConvert job also makes its pending upload fail
+          if (err.cancelled || isCancelled(index)) continue;
           console.error(`Error converting file ${file.name}:`, err);
           // Continue with other files even if one fails
           setError(`Failed to convert ${file.name}: ${err.message}`);
@@ -235,11 +510,14 @@ function FileConverter() {
       }
       
       setConvertedFiles(converted);
+      setSplitArchive(null);
       
-      if (converted.length === 0) {
+      // Cancelled files are neither converted nor failed
+      const wanted = selectedFiles.filter((_, index) => !isCancelled(index)).length;
+      if (wanted > 0 && converted.length === 0) {
         setError("Failed to convert any files. Please try again.");
-      } else if (converted.length < selectedFiles.length) {
-        setError(`Successfully converted ${converted.length} of ${selectedFiles.length} files. Some files failed to convert.`);
+      } else if (converted.length < wanted) {
+        setError(`Successfully converted ${converted.length} of ${wanted} files. Some files failed to convert.`);
       }
       
     } catch (err) {
@@ -248,7 +526,7 @@ function FileConverter() {
     } finally {
       setIsConverting(false);
     }
-  }, [selectedOption, selectedFiles]);
+  }, [selectedOption, selectedFiles, startRun, isCancelled, trackJob]);
 
   return (
     <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100">
@@ -270,7 +548,9 @@ function FileConverter() {
             <button
               onClick={() => {
                 setSelectedFiles([]);
+                setPageRanges([]);
                 setConvertedFiles([]);
+                setSplitArchive(null);
                 setError("");
               }}
               className="px-4 py-2 text-gray-600 hover:text-gray-800 transition-colors"
@@ -322,7 +602,7 @@ function FileConverter() {
               onChange={handleFileSelect}
               className="hidden"
               id="file-upload"
-              accept=".pdf,.doc,.docx,.xls,.xlsx,.ppt,.pptx,.jpg,.jpeg,.png"
+              accept={ACCEPTED_EXTENSIONS}
               disabled={isConverting}
             />
             <label htmlFor="file-upload" className="cursor-pointer">
@@ -356,29 +636,162 @@ function FileConverter() {
                         {file.name}
                       </span>
                     </div>
-                    <button
-                      onClick={() => {
-                        const newFiles = [...selectedFiles];
-                        newFiles.splice(index, 1);
-                        setSelectedFiles(newFiles);
-                      }}
-                      className="text-red-500 hover:text-red-700"
-                      disabled={isConverting}
-                    >
-                      <FontAwesomeIcon icon={faTimes} />
-                    </button>
+                    <div className="flex items-center space-x-3">
+                      {isMerge && (
+                        <>
+                          <input
+                            type="text"
+                            value={pageRanges[index] || ""}
+                            onChange={(e) => {
+                              const value = e.target.value;
+                              setPageRanges(prev => prev.map((range, i) => (i === index ? value : range)));
+                            }}
+                            placeholder="All pages (e.g. 1-3,5)"
+                            className="w-44 px-2 py-1 text-sm border border-gray-300 rounded"
+                            disabled={isConverting}
+                          />
+                          <button
+                            onClick={() => moveFile(index, -1)}
+                            className="text-gray-500 hover:text-gray-700 disabled:opacity-30"
+                            disabled={isConverting || index === 0}
+                            title="Move up"
+                          >
+                            <FontAwesomeIcon icon={faArrowUp} />
+                          </button>
+                          <button
+                            onClick={() => moveFile(index, 1)}
+                            className="text-gray-500 hover:text-gray-700 disabled:opacity-30"
+                            disabled={isConverting || index === selectedFiles.length - 1}
+                            title="Move down"
+                          >
+                            <FontAwesomeIcon icon={faArrowDown} />
+                          </button>
+                        </>
+                      )}
+                      {isConverting && !isMerge && !isSplit && (
+                        cancellingAll || cancelledFiles.includes(index) ? (
+                          <span className="text-xs text-gray-500">Cancelled</span>
+                        ) : (
+                          <button
+                            onClick={() => cancelFile(index)}
+                            className="text-xs text-gray-600 hover:text-red-600"
+                            title="Cancel this file"
+                          >
+                            <FontAwesomeIcon icon={faBan} className="mr-1" />
+                            Cancel
+                          </button>
+                        )
+                      )}
+                      <button
+                        onClick={() => removeFile(index)}
+                        className="text-red-500 hover:text-red-700"
+                        disabled={isConverting}
+                      >
+                        <FontAwesomeIcon icon={faTimes} />
+                      </button>
+                    </div>
                   </div>
                 ))}
               </div>
             </div>
           )}
+          
+          {/* Compression Options */}
+          {isCompress && (
+            <div className="mt-6 flex flex-col sm:flex-row gap-3">
+              <select
+                value={compression.preset}
+                onChange={(e) => setCompression(prev => ({ ...prev, preset: e.target.value }))}
+                className="px-3 py-2 text-sm border border-gray-300 rounded"
+                disabled={isConverting}
+              >
+                {compressionPresets.map(preset => (
+                  <option key={preset.id} value={preset.id}>{preset.name}</option>
+                ))}
+              </select>
+              <input
+                type="number"
+                min={36}
+                max={1200}
+                value={compression.imageDpi}
+                onChange={(e) => setCompression(prev => ({ ...prev, imageDpi: e.target.value }))}
+                placeholder="Image DPI (optional)"
+                className="sm:w-44 px-3 py-2 text-sm border border-gray-300 rounded"
+                disabled={isConverting}
+              />
+              <input
+                type="number"
+                min={1}
+                max={100}
+                value={compression.jpegQuality}
+                onChange={(e) => setCompression(prev => ({ ...prev, jpegQuality: e.target.value }))}
+                placeholder="JPEG quality 1-100 (optional)"
+                className="sm:w-56 px-3 py-2 text-sm border border-gray-300 rounded"
+                disabled={isConverting}
+              />
+            </div>
+          )}
+          
+          {/* OCR Options */}
+          {isOcr && (
+            <div className="mt-6 flex flex-col sm:flex-row gap-3">
+              <input
+                type="text"
+                value={ocrOptions.languages}
+                onChange={(e) => setOcrOptions(prev => ({ ...prev, languages: e.target.value }))}
+                placeholder="Languages, e.g. eng+deu"
+                className="flex-1 px-3 py-2 text-sm border border-gray-300 rounded"
+                disabled={isConverting}
+              />
+              <select
+                value={ocrOptions.output}
+                onChange={(e) => setOcrOptions(prev => ({ ...prev, output: e.target.value }))}
+                className="px-3 py-2 text-sm border border-gray-300 rounded"
+                disabled={isConverting}
+              >
+                {ocrOutputs.map(output => (
+                  <option key={output.id} value={output.id}>{output.name}</option>
+                ))}
+              </select>
+            </div>
+          )}
+          
+          {/* Split Options */}
+          {isSplit && (
+            <div className="mt-6 flex flex-col sm:flex-row gap-3">
+              <select
+                value={splitMode}
+                onChange={(e) => {
+                  setSplitMode(e.target.value);
+                  setSplitValue("");
+                }}
+                className="px-3 py-2 text-sm border border-gray-300 rounded"
+                disabled={isConverting}
+              >
+                {splitModes.map(mode => (
+                  <option key={mode.id} value={mode.id}>{mode.name}</option>
+                ))}
+              </select>
+              {splitModeOption?.placeholder && (
+                <input
+                  type={splitMode === "chunks" ? "number" : "text"}
+                  min={splitMode === "chunks" ? 1 : undefined}
+                  value={splitValue}
+                  onChange={(e) => setSplitValue(e.target.value)}
+                  placeholder={splitModeOption.placeholder}
+                  className="flex-1 px-3 py-2 text-sm border border-gray-300 rounded"
+                  disabled={isConverting}
+                />
+              )}
+            </div>
+          )}
         </div>
 
         {/* Convert Button */}
         {(selectedFiles.length > 0 && targetFormat) && (
           <div className="bg-white rounded-xl shadow-sm p-6 mb-6">
             <button
-              onClick={handleConvert}
+              onClick={isMerge ? handleMerge : isSplit ? handleSplit : isCompress ? handleCompress : isOcr ? handleOcr : handleConvert}
               disabled={isConverting || uploading}
               className={`w-full py-3 px-6 rounded-lg font-semibold text-white transition-colors ${
                 isConverting || uploading 
@@ -394,19 +807,51 @@ function FileConverter() {
               ) : (
                 <>
                   <FontAwesomeIcon icon={faExchangeAlt} className="mr-2" />
-                  Convert to {selectedOption?.to || 'Selected Format'}
+                  {isMerge
+                    ? 'Merge into one PDF'
+                    : isSplit
+                      ? 'Split PDF'
+                      : isCompress
+                        ? 'Compress PDF'
+                        : isOcr
+                          ? 'Extract text'
+                          : `Convert to ${selectedOption?.to || 'Selected Format'}`}
                 </>
               )}
             </button>
+            {isConverting && (
+              <button
+                onClick={cancelAll}
+                disabled={cancellingAll}
+                className="w-full mt-3 py-2 px-6 rounded-lg font-semibold border border-gray-300 text-gray-700 hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                <FontAwesomeIcon icon={faBan} className="mr-2" />
+                {cancellingAll
+                  ? 'Cancelling...'
+                  : selectedFiles.length > 1 && !isMerge && !isSplit ? 'Cancel all' : 'Cancel'}
+              </button>
+            )}
           </div>
         )}
 
         {/* Converted Files */}
         {convertedFiles.length > 0 && (
           <div className="bg-white rounded-xl shadow-sm p-6 mb-6">
-            <h2 className="text-lg font-semibold text-gray-900 mb-4">
-              Converted Files
-            </h2>
+            <div className="flex items-center justify-between mb-4">
+              <h2 className="text-lg font-semibold text-gray-900">
+                Converted Files
+              </h2>
+              {splitArchive && (
+                <a
+                  href={splitArchive.url}
+                  download={splitArchive.name}
+                  className="px-3 py-1 bg-blue-600 text-white text-sm font-medium rounded hover:bg-blue-700 transition-colors"
+                >
+                  <FontAwesomeIcon icon={faFileZipper} className="mr-2" />
+                  Download all (ZIP)
+                </a>
+              )}
+            </div>
             <div className="space-y-3">
               {convertedFiles.map((file, index) => (
                 <div key={index} className="flex items-center justify-between p-3 bg-green-50 rounded-lg">
@@ -415,6 +860,25 @@ function FileConverter() {
                     <span className="text-sm font-medium text-gray-900">
                       {file.name}
                     </span>
+                    {file.compression && (
+                      <span className="text-xs text-gray-500">
+                        {formatFileSize(file.compression.originalSize)} → {formatFileSize(file.compression.compressedSize)}
+                        {file.compression.savedBytes > 0
+                          ? ` (${file.compression.savedPercent}% smaller)`
+                          : ' (already optimized)'}
+                      </span>
+                    )}
+                    {file.ocr && (
+                      <span className="text-xs text-gray-500">
+                        {file.ocr.confidence}% confidence
+                        {file.ocr.pages.length > 1 && ` across ${file.ocr.pages.length} pages`}
+                      </span>
+                    )}
+                    {file.pages && (
+                      <span className="text-xs text-gray-500">
+                        {file.pages.length === 1 ? `Page ${file.pages[0]}` : `Pages ${file.pages[0]}-${file.pages[file.pages.length - 1]}`}
+                      </span>
+                    )}
                   </div>
                   <a
                     href={file.url}
@@ -430,11 +894,11 @@ function FileConverter() {
         )}
 
         {/* Error Message */}
-        {error && (
+        {(error || formatsError) && (
           <div className="bg-red-50 border border-red-200 rounded-lg p-4 mb-6">
             <div className="flex items-center">
               <FontAwesomeIcon icon={faExclamationCircle} className="text-red-500 mr-2" />
-              <p className="text-red-700">{error}</p>
+              <p className="text-red-700">{error || formatsError}</p>
             </div>
           </div>
         )}
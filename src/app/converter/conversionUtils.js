@@ -1,8 +1,171 @@
+import {
+  faFilePdf,
+  faFileWord,
+  faFileExcel,
+  faFilePowerpoint,
+  faFileImage,
+  faFileAlt,
+  faCompress,
+  faLayerGroup,
+  faScissors,
+  faFileLines,
+} from '@fortawesome/free-solid-svg-icons';
+import { apiService, createApiError } from '../../services/api';
+import { createCancelledError } from '../../utils/uploadUtils';
+
+// Card icons by target format category, with a few per-format overrides
+const CATEGORY_ICONS = {
+  document: faFileAlt,
+  spreadsheet: faFileExcel,
+  presentation: faFilePowerpoint,
+  image: faFileImage,
+};
+
+const FORMAT_ICONS = {
+  pdf: faFilePdf,
+  doc: faFileWord,
+  docx: faFileWord,
+};
+
+const TOOL_ICONS = {
+  'merge-pdf': faLayerGroup,
+  'split-pdf': faScissors,
+  'compress-pdf': faCompress,
+  ocr: faFileLines,
+};
+
+// Source formats listed on a card before it is shortened with "…"
+const MAX_LISTED_SOURCES = 4;
+
+const listSources = (sources) => {
+  const names = sources.map(source => source.toUpperCase());
+  return names.length > MAX_LISTED_SOURCES
+    ? `${names.slice(0, MAX_LISTED_SOURCES).join('/')}/…`
+    : names.join('/');
+};
+
+/**
+ * Build the conversion cards shown by the converter pages from the
+ * capability registry (GET /api/formats): one card per target format, then
+ * one per PDF tool
+ * @param {Object} registry - Registry with formats, conversions and tools
+ * @returns {Array<{id: string, name: string, icon: Object, from: string, to: string, conversions?: Array<Object>}>}
+ */
+export function buildConversionCards({ formats, conversions = [], tools = [] }) {
+  const byTarget = new Map();
+  conversions.forEach((conversion) => {
+    if (!byTarget.has(conversion.to)) byTarget.set(conversion.to, []);
+    byTarget.get(conversion.to).push(conversion);
+  });
+
+  const cards = [...byTarget.entries()].map(([to, targetConversions]) => {
+    const format = formats[to] || {};
+    return {
+      id: `to-${to}`,
+      name: `To ${format.label || to.toUpperCase()}`,
+      icon: FORMAT_ICONS[to] || CATEGORY_ICONS[format.category] || faFileAlt,
+      from: listSources(targetConversions.map(conversion => conversion.from)),
+      to: to.toUpperCase(),
+      conversions: targetConversions,
+    };
+  });
+
+  return cards.concat(tools.map(tool => ({
+    id: tool.id,
+    name: tool.name,
+    icon: TOOL_ICONS[tool.id] || faFilePdf,
+    from: listSources(tool.from),
+    to: tool.to.toUpperCase(),
+  })));
+}
+
+// Pause before retrying a status request that failed at the network level
+const RETRY_DELAY = 2000;
+
+/**
+ * Wait for a CloudConvert job to finish
+ *
+ * Long polls the status endpoint: each request is held by the server until
+ * the job changes, and finished jobs are answered at once. There is no
+ * overall time limit, so long Office conversions do not time out here.
+ * @param {string} jobId - Job ID returned by POST /api/cloudconvert
+ * @param {Function} onProgress - Called with the status on every change
+ * @returns {Promise<Object>} The completed job's status, with `downloadUrl`
+ * @throws {ApiClientError} If the job fails (with its `code`); `error.cancelled` is set if it was cancelled
+ */
+export async function waitForCloudConvertJob(jobId, onProgress = null) {
+  let since = '';
+
+  while (true) {
+    let statusResponse;
+    try {
+      statusResponse = await fetch(
+        `/api/cloudconvert?jobId=${encodeURIComponent(jobId)}&wait=true&since=${encodeURIComponent(since)}`,
+        { headers: apiService.getAuthHeaders() }
+      );
+    } catch (error) {
+      // Dropped connection (e.g. a proxy closing idle requests); try again
+      await new Promise(resolve => setTimeout(resolve, RETRY_DELAY));
+      continue;
+    }
+
+    if (!statusResponse.ok) {
+      throw await apiService.parseErrorResponse(statusResponse);
+    }
+
+    const statusData = await statusResponse.json();
+
+    onProgress && onProgress(statusData);
+
+    if (statusData.status === 'completed') {
+      return statusData;
+    }
+
+    if (statusData.status === 'failed') {
+      throw createApiError(statusResponse.status, {
+        error: statusData.error || 'Conversion failed',
+        code: statusData.errorCode,
+      });
+    }
+
+    if (statusData.status === 'cancelled') {
+      throw createCancelledError();
+    }
+
+    since = statusData.updatedAt || since;
+  }
+}
+
+/**
+ * Cancel a running job
+ * @param {string} jobId - Job ID
+ * @param {string} engine - 'cloudconvert' for jobs from POST /api/cloudconvert,
+ *   anything else for jobs of our own queue
+ * @returns {Promise<boolean>} Whether the job was cancelled
+ */
+export async function cancelConversionJob(jobId, engine = 'local') {
+  try {
+    if (engine === 'cloudconvert') {
+      const response = await fetch(`/api/cloudconvert/${encodeURIComponent(jobId)}`, {
+        method: 'DELETE',
+        headers: apiService.getAuthHeaders(),
+      });
+      return response.ok;
+    }
+
+    await apiService.cancelJob(jobId);
+    return true;
+  } catch (error) {
+    console.error('Error cancelling job:', error);
+    return false;
+  }
+}
+
 /**
  * Handles file conversion using CloudConvert API
  * @param {File} file - The file to convert
  * @param {string} targetFormat - The target format to convert to
- * @returns {Promise<{success: boolean, url?: string, filename?: string, error?: string}>}
+ * @returns {Promise<{success: boolean, url?: string, filename?: string, error?: string, code?: string}>}
  */
 export async function convertFileWithCloudConvert(file, targetFormat) {
   try {
@@ -11,6 +174,7 @@ export async function convertFileWithCloudConvert(file, targetFormat) {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
+        ...apiService.getAuthHeaders(),
       },
       body: JSON.stringify({
         file: {
@@ -23,8 +187,7 @@ export async function convertFileWithCloudConvert(file, targetFormat) {
     });
 
     if (!createResponse.ok) {
-      const error = await createResponse.json();
-      throw new Error(error.error || 'Failed to create conversion job');
+      throw await apiService.parseErrorResponse(createResponse);
     }
 
     const { jobId, uploadUrl, method, headers } = await createResponse.json();
@@ -43,47 +206,20 @@ export async function convertFileWithCloudConvert(file, targetFormat) {
       throw new Error('Failed to upload file');
     }
 
-    // 3. Poll for conversion completion
-    let attempts = 0;
-    const maxAttempts = 60; // 1 minute timeout (60 * 1 second)
-    let result;
-
-    while (attempts < maxAttempts) {
-      const statusResponse = await fetch(`/api/cloudconvert?jobId=${jobId}`);
-      
-      if (!statusResponse.ok) {
-        const error = await statusResponse.json();
-        throw new Error(error.error || 'Failed to get conversion status');
-      }
-
-      const statusData = await statusResponse.json();
-      
-      if (statusData.status === 'finished') {
-        result = {
-          success: true,
-          url: statusData.downloadUrl,
-          filename: file.name.replace(/\.[^/.]+$/, '') + '.' + targetFormat.toLowerCase(),
-        };
-        break;
-      } else if (statusData.status === 'error') {
-        throw new Error(statusData.error || 'Conversion failed');
-      }
-      
-      // Wait before polling again
-      await new Promise(resolve => setTimeout(resolve, 1000));
-      attempts++;
-    }
-
-    if (!result) {
-      throw new Error('Conversion timed out');
-    }
+    // 3. Wait for the server to report completion
+    const statusData = await waitForCloudConvertJob(jobId);
 
-    return result;
+    return {
+      success: true,
+      url: statusData.downloadUrl,
+      filename: file.name.replace(/\.[^/.]+$/, '') + '.' + targetFormat.toLowerCase(),
+    };
   } catch (error) {
     console.error('Error in convertFileWithCloudConvert:', error);
     return {
       success: false,
       error: error.message || 'Failed to convert file',
+      code: error.code,
     };
   }
 }
@@ -24,76 +24,19 @@ import {
   faFileMedical,
   faFileInvoiceDollar
 } from '@fortawesome/free-solid-svg-icons';
-
-// Conversion options with Font Awesome icons
-const conversionOptions = [
-  {
-    id: "pdf-to-word",
-    name: "PDF to Word",
-    icon: faFileWord,
-    from: "PDF",
-    to: "DOCX",
-  },
-  {
-    id: "pdf-to-excel",
-    name: "PDF to Excel",
-    icon: faFileExcel,
-    from: "PDF",
-    to: "XLSX",
-  },
-  {
-    id: "pdf-to-powerpoint",
-    name: "PDF to PowerPoint",
-    icon: faFilePowerpoint,
-    from: "PDF",
-    to: "PPTX",
-  },
-  {
-    id: "pdf-to-jpg",
-    name: "PDF to JPG",
-    icon: faFileImage,
-    from: "PDF",
-    to: "JPG",
-  },
-  {
-    id: "word-to-pdf",
-    name: "Word to PDF",
-    icon: faFilePdf,
-    from: "DOCX",
-    to: "PDF",
-  },
-  {
-    id: "excel-to-pdf",
-    name: "Excel to PDF",
-    icon: faFilePdf,
-    from: "XLSX",
-    to: "PDF",
-  },
-  {
-    id: "powerpoint-to-pdf",
-    name: "PowerPoint to PDF",
-    icon: faFilePdf,
-    from: "PPTX",
-    to: "PDF",
-  },
-  {
-    id: "jpg-to-pdf",
-    name: "JPG to PDF",
-    icon: faFilePdf,
-    from: "JPG",
-    to: "PDF",
-  },
-  {
-    id: "compress-pdf",
-    name: "Compress PDF",
-    icon: faCompress,
-    from: "PDF",
-    to: "PDF",
-  },
-];
+import { ACCEPTED_EXTENSIONS } from '../../config/formats';
+import useFormats from '../../hooks/useFormats';
+import { buildConversionCards } from './conversionUtils';
 
 // Main component with proper initialization
 function FileConverter() {
+  const { formats, conversions, tools } = useFormats();
+  
+  // Conversion cards, built from the server's capability registry
+  const conversionOptions = React.useMemo(() => {
+    return buildConversionCards({ formats, conversions, tools });
+  }, [formats, conversions, tools]);
+  
   const [selectedFiles, setSelectedFiles] = React.useState([]);
   const [targetFormat, setTargetFormat] = React.useState("");
   const [isConverting, setIsConverting] = React.useState(false);
@@ -104,7 +47,7 @@ function FileConverter() {
   // Get the selected conversion option
   const selectedOption = React.useMemo(() => {
     return conversionOptions.find(option => option.id === targetFormat) || null;
-  }, [targetFormat]);
+  }, [conversionOptions, targetFormat]);
 
   // Handle file selection
   const handleFileSelect = React.useCallback((event) => {
@@ -233,7 +176,7 @@ function FileConverter() {
               onChange={handleFileSelect}
               className="hidden"
               id="file-upload"
-              accept=".pdf,.doc,.docx,.xls,.xlsx,.ppt,.pptx,.jpg,.jpeg,.png"
+              accept={ACCEPTED_EXTENSIONS}
             />
             <label htmlFor="file-upload" className="cursor-pointer">
               <div className="flex flex-col items-center">
@@ -1,68 +1,28 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useCallback } from 'react';
 import { useFileUploadContext } from '../contexts/FileUploadContext';
+import useFormats from '../hooks/useFormats';
 import styles from '../app/converter/converter.module.css';
 
-// Supported conversion formats
-const CONVERSION_OPTIONS = {
-  'application/pdf': [
-    { value: 'docx', label: 'Word Document (.docx)' },
-    { value: 'jpg', label: 'JPEG Image (.jpg)' },
-    { value: 'png', label: 'PNG Image (.png)' },
-    { value: 'txt', label: 'Text File (.txt)' },
-  ],
-  'application/msword': [
-    { value: 'pdf', label: 'PDF Document (.pdf)' },
-    { value: 'docx', label: 'Word Document (.docx)' },
-    { value: 'txt', label: 'Text File (.txt)' },
-  ],
-  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': [
-    { value: 'pdf', label: 'PDF Document (.pdf)' },
-    { value: 'doc', label: 'Word 97-2003 (.doc)' },
-    { value: 'txt', label: 'Text File (.txt)' },
-  ],
-  'application/vnd.ms-excel': [
-    { value: 'pdf', label: 'PDF Document (.pdf)' },
-    { value: 'xlsx', label: 'Excel Workbook (.xlsx)' },
-    { value: 'csv', label: 'CSV File (.csv)' },
-  ],
-  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': [
-    { value: 'pdf', label: 'PDF Document (.pdf)' },
-    { value: 'xls', label: 'Excel 97-2003 (.xls)' },
-    { value: 'csv', label: 'CSV File (.csv)' },
-  ],
-  'image/jpeg': [
-    { value: 'png', label: 'PNG Image (.png)' },
-    { value: 'pdf', label: 'PDF Document (.pdf)' },
-    { value: 'webp', label: 'WebP Image (.webp)' },
-  ],
-  'image/png': [
-    { value: 'jpg', label: 'JPEG Image (.jpg)' },
-    { value: 'pdf', label: 'PDF Document (.pdf)' },
-    { value: 'webp', label: 'WebP Image (.webp)' },
-  ],
-  'text/plain': [
-    { value: 'pdf', label: 'PDF Document (.pdf)' },
-    { value: 'docx', label: 'Word Document (.docx)' },
-  ],
+/**
+ * Label for a target format, e.g. "Word Document (.docx)"
+ */
+const getFormatLabel = (formats, format) => {
+  const info = formats[format];
+  return info ? `${info.label} (.${format})` : format.toUpperCase();
 };
 
-// Default conversion options
-const DEFAULT_CONVERSION_OPTIONS = [
-  { value: 'pdf', label: 'PDF Document (.pdf)' },
-  { value: 'docx', label: 'Word Document (.docx)' },
-  { value: 'jpg', label: 'JPEG Image (.jpg)' },
-  { value: 'png', label: 'PNG Image (.png)' },
-];
-
 const ConversionOptions = () => {
   const { 
     files, 
     conversions, 
     handleConvertFile, 
+    cancelConversion,
     handleDownloadFile,
     isUploading,
   } = useFileUploadContext();
   
+  const { formats, getConversionsForFile } = useFormats();
+  
   const [selectedFormat, setSelectedFormat] = useState('');
   const [availableFormats, setAvailableFormats] = useState([]);
   
@@ -74,13 +34,15 @@ const ConversionOptions = () => {
       return;
     }
     
-    // For now, just use the first file's type to determine available formats
-    const file = files[0];
-    const formats = CONVERSION_OPTIONS[file.type] || DEFAULT_CONVERSION_OPTIONS;
+    // For now, just use the first file's type to determine available formats;
+    // only conversions the local engine runs are offered here
+    const targets = getConversionsForFile(files[0])
+      .filter(conversion => conversion.engine === 'local')
+      .map(conversion => ({ value: conversion.to, label: getFormatLabel(formats, conversion.to) }));
     
-    setAvailableFormats(formats);
-    setSelectedFormat(formats[0]?.value || '');
-  }, [files]);
+    setAvailableFormats(targets);
+    setSelectedFormat(targets[0]?.value || '');
+  }, [files, formats, getConversionsForFile]);
   
   const handleConvert = useCallback(() => {
     if (!selectedFormat || files.length === 0) return;
@@ -93,6 +55,15 @@ const ConversionOptions = () => {
     });
   }, [selectedFormat, files, handleConvertFile]);
   
+  // Cancel every conversion still running
+  const handleCancelAll = useCallback(() => {
+    Object.entries(conversions).forEach(([fileId, formatConversions]) => {
+      Object.entries(formatConversions)
+        .filter(([, conversion]) => conversion.status === 'converting')
+        .forEach(([format]) => cancelConversion(fileId, format));
+    });
+  }, [conversions, cancelConversion]);
+  
   // Show conversion results
   const renderConversionResults = () => {
     if (files.length === 0) return null;
@@ -114,7 +85,7 @@ const ConversionOptions = () => {
                 {formatKeys.map(format => {
                   const conversion = fileConversions[format];
                   const formatInfo = availableFormats.find(f => f.value === format) || 
-                    { label: format.toUpperCase() };
+                    { label: getFormatLabel(formats, format) };
                   
                   return (
                     <li key={format} className={styles.conversionItem}>
@@ -123,9 +94,21 @@ const ConversionOptions = () => {
                       </span>
                       
                       {conversion.status === 'converting' && (
-                        <span className={styles.status}>
-                          Converting... {conversion.progress}%
-                        </span>
+                        <>
+                          <span className={styles.status}>
+                            Converting... {conversion.progress}%
+                          </span>
+                          <button
+                            className={styles.removeButton}
+                            onClick={() => cancelConversion(file.id, format)}
+                          >
+                            Cancel
+                          </button>
+                        </>
+                      )}
+                      
+                      {conversion.status === 'cancelled' && (
+                        <span className={styles.status}>Cancelled</span>
                       )}
                       
                       {conversion.status === 'completed' && (
@@ -133,7 +116,7 @@ const ConversionOptions = () => {
                           className={styles.downloadButton}
                           onClick={() => {
                             const fileName = `${file.name.split('.').slice(0, -1).join('.')}.${format}`;
-                            handleDownloadFile(conversion.result.id, fileName);
+                            handleDownloadFile(conversion.result, fileName);
                           }}
                         >
                           Download
@@ -189,6 +172,15 @@ const ConversionOptions = () => {
         >
           {isConverting ? 'Converting...' : 'Convert'}
         </button>
+        
+        {isConverting && (
+          <button
+            className={styles.removeButton}
+            onClick={handleCancelAll}
+          >
+            Cancel all
+          </button>
+        )}
       </div>
       
       {renderConversionResults()}
@@ -1,3 +1,5 @@
+import { ALLOWED_MIME_TYPES } from './formats';
+
 // API configuration
 export const API_CONFIG = {
   // Base URL for API requests
@@ -6,30 +8,36 @@ export const API_CONFIG = {
   // API endpoints
   ENDPOINTS: {
     UPLOAD: '/upload',
+    UPLOAD_CHUNKED: '/upload/chunked',
     CONVERT: '/convert',
     FILES: '/files',
+    PDF_MERGE: '/pdf/merge',
+    PDF_SPLIT: '/pdf/split',
+    PDF_COMPRESS: '/pdf/compress',
+    OCR: '/ocr',
+    CLOUDCONVERT: '/cloudconvert',
+    FORMATS: '/formats',
+    JOB_EVENTS: '/jobs/events',
   },
   
   // Default request timeout in milliseconds
   TIMEOUT: 30000,
   
-  // Maximum file size in bytes (10MB)
-  MAX_FILE_SIZE: 10 * 1024 * 1024,
+  // Maximum file size in bytes (500MB)
+  MAX_FILE_SIZE: 500 * 1024 * 1024,
+  
+  // Files larger than this are uploaded in chunks (8MB)
+  CHUNKED_UPLOAD_THRESHOLD: 8 * 1024 * 1024,
+  
+  // Size of each chunk in a chunked upload (5MB)
+  CHUNK_SIZE: 5 * 1024 * 1024,
   
-  // Allowed file types
-  ALLOWED_FILE_TYPES: [
-    'application/pdf',
-    'application/msword',
-    'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
-    'application/vnd.ms-excel',
-    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
-    'application/vnd.ms-powerpoint',
-    'application/vnd.openxmlformats-officedocument.presentationml.presentation',
-    'image/jpeg',
-    'image/png',
-    'image/gif',
-    'text/plain'
-  ],
+  // Allowed file types, derived from the shared format list
+  ALLOWED_FILE_TYPES: ALLOWED_MIME_TYPES,
+  
+  // localStorage key of the API key or JWT sent with every request
+  // (stored by whatever signs the user in)
+  AUTH_TOKEN_KEY: 'apiToken',
   
   // Default headers
   HEADERS: {
@@ -51,17 +59,63 @@ export const ERROR_MESSAGES = {
   FILE_TOO_LARGE: 'File is too large',
   UPLOAD_FAILED: 'Failed to upload file',
   CONVERSION_FAILED: 'Failed to convert file',
+  UNSUPPORTED_CONVERSION: 'This conversion is not supported',
   DOWNLOAD_FAILED: 'Failed to download file',
   NETWORK_ERROR: 'Network error. Please check your connection.',
   UNKNOWN_ERROR: 'An unknown error occurred',
 };
 
+// Machine-readable error codes sent in the `code` field of API error
+// responses. They are stable: clients may branch on them, so existing
+// codes are never renamed or reused for something else.
+export const ERROR_CODES = {
+  // Requests
+  BAD_REQUEST: 'BAD_REQUEST',
+  NOT_FOUND: 'NOT_FOUND',
+  INVALID_JSON: 'INVALID_JSON',
+  MISSING_PARAMETERS: 'MISSING_PARAMETERS',
+  NO_FILE: 'NO_FILE',
+  FILE_TOO_LARGE: 'FILE_TOO_LARGE',
+  UNSUPPORTED_FILE_TYPE: 'UNSUPPORTED_FILE_TYPE',
+  FILE_TYPE_MISMATCH: 'FILE_TYPE_MISMATCH',
+  UNSUPPORTED_CONVERSION: 'UNSUPPORTED_CONVERSION',
+  FILE_NOT_FOUND: 'FILE_NOT_FOUND',
+  JOB_NOT_FOUND: 'JOB_NOT_FOUND',
+  JOB_FINISHED: 'JOB_FINISHED',
+  UPLOAD_NOT_FOUND: 'UPLOAD_NOT_FOUND',
+  INVALID_CHUNK: 'INVALID_CHUNK',
+  CHECKSUM_MISMATCH: 'CHECKSUM_MISMATCH',
+  MISSING_CHUNKS: 'MISSING_CHUNKS',
+
+  // Authentication, quotas and rate limits
+  AUTH_REQUIRED: 'AUTH_REQUIRED',
+  INVALID_API_KEY: 'INVALID_API_KEY',
+  INVALID_TOKEN: 'INVALID_TOKEN',
+  INVALID_SIGNATURE: 'INVALID_SIGNATURE',
+  TOKEN_EXPIRED: 'TOKEN_EXPIRED',
+  QUOTA_FILE_SIZE_EXCEEDED: 'QUOTA_FILE_SIZE_EXCEEDED',
+  QUOTA_STORAGE_EXCEEDED: 'QUOTA_STORAGE_EXCEEDED',
+  QUOTA_CONVERSION_MINUTES_EXCEEDED: 'QUOTA_CONVERSION_MINUTES_EXCEEDED',
+  RATE_LIMIT_EXCEEDED: 'RATE_LIMIT_EXCEEDED',
+
+  // Conversion providers and jobs (jobs report these as `errorCode`)
+  PROVIDER_UNAVAILABLE: 'PROVIDER_UNAVAILABLE',
+  PROVIDER_ERROR: 'PROVIDER_ERROR',
+  PROVIDER_TIMEOUT: 'PROVIDER_TIMEOUT',
+  JOB_FAILED: 'JOB_FAILED',
+
+  // Anything else
+  INTERNAL_SERVER_ERROR: 'INTERNAL_SERVER_ERROR',
+};
+
 // Helper function to get the full API URL
 export const getApiUrl = (endpoint) => {
   return `${API_CONFIG.BASE_URL}${endpoint}`;
 };
 
 // Helper function to validate file type
+// Checks the declared type only; see validateFileContent in utils/fileUtils
+// for the content check (the server always runs it)
 export const isValidFileType = (file) => {
   return API_CONFIG.ALLOWED_FILE_TYPES.includes(file.type);
 };
@@ -75,6 +129,7 @@ export default {
   ...API_CONFIG,
   CONVERSION_OPTIONS,
   ERROR_MESSAGES,
+  ERROR_CODES,
   getApiUrl,
   isValidFileType,
   isValidFileSize,
@@ -3,6 +3,8 @@
  * This file provides type-safe access to environment variables
  */
 
+import { ALLOWED_MIME_TYPES } from './formats';
+
 // Client-side environment variables (exposed to the browser)
 const clientEnv = {
   // Base URL for API requests
@@ -31,9 +33,9 @@ const clientEnv = {
   NEXT_PUBLIC_MAX_FILE_SIZE: parseInt(process.env.NEXT_PUBLIC_MAX_FILE_SIZE || '10485760', 10),
   
   // Allowed file types
-  NEXT_PUBLIC_ALLOWED_FILE_TYPES: (process.env.NEXT_PUBLIC_ALLOWED_FILE_TYPES || 
-    'image/jpeg,image/png,image/gif,application/pdf,application/msword,application/vnd.openxmlformats-officedocument.wordprocessingml.document,application/vnd.ms-excel,application/vnd.openxmlformats-officedocument.spreadsheetml.sheet,text/plain'
-  ).split(','),
+  NEXT_PUBLIC_ALLOWED_FILE_TYPES: process.env.NEXT_PUBLIC_ALLOWED_FILE_TYPES
+    ? process.env.NEXT_PUBLIC_ALLOWED_FILE_TYPES.split(',')
+    : ALLOWED_MIME_TYPES,
 };
 
 // Server-side only environment variables
@@ -46,6 +48,15 @@ const serverEnv = {
   
   // Authentication
   JWT_SECRET: process.env.JWT_SECRET,
+  // Reject /api requests without an API key or JWT (on by default in production)
+  AUTH_REQUIRED: process.env.AUTH_REQUIRED
+    ? process.env.AUTH_REQUIRED === 'true'
+    : process.env.NODE_ENV === 'production',
+  
+  // Default team quotas, for teams without their own (0 means unlimited)
+  QUOTA_CONVERSION_MINUTES: parseInt(process.env.QUOTA_CONVERSION_MINUTES || '600', 10), // per calendar month (UTC)
+  QUOTA_STORAGE_BYTES: parseInt(process.env.QUOTA_STORAGE_BYTES || '1073741824', 10), // 1GB of uploads and outputs
+  QUOTA_MAX_FILE_SIZE: parseInt(process.env.QUOTA_MAX_FILE_SIZE || '104857600', 10), // 100MB per file
   
   // External services
   CLOUDINARY_URL: process.env.CLOUDINARY_URL,
@@ -62,8 +73,82 @@ const serverEnv = {
   // Rate limiting
   RATE_LIMIT_WINDOW_MS: parseInt(process.env.RATE_LIMIT_WINDOW_MS || '900000', 10), // 15 minutes
   RATE_LIMIT_MAX: parseInt(process.env.RATE_LIMIT_MAX || '100', 10), // 100 requests per window
+  // Separate budgets per window (0 turns a budget off)
+  RATE_LIMIT_UPLOAD_MAX: parseInt(process.env.RATE_LIMIT_UPLOAD_MAX || '30', 10), // uploads started
+  RATE_LIMIT_CHUNK_MAX: parseInt(process.env.RATE_LIMIT_CHUNK_MAX || '3000', 10), // chunks of chunked uploads
+  RATE_LIMIT_CONVERT_MAX: parseInt(process.env.RATE_LIMIT_CONVERT_MAX || '30', 10), // conversions and PDF/OCR jobs
+  RATE_LIMIT_STATUS_MAX: parseInt(process.env.RATE_LIMIT_STATUS_MAX || '1000', 10), // job status polls and event streams
+  // Where counters live: 'memory' (per server) or 'redis' (shared, over a Redis REST API such as Upstash)
+  RATE_LIMIT_STORE: process.env.RATE_LIMIT_STORE || 'memory',
+  RATE_LIMIT_REDIS_URL: process.env.RATE_LIMIT_REDIS_URL,
+  RATE_LIMIT_REDIS_TOKEN: process.env.RATE_LIMIT_REDIS_TOKEN,
+  // Reverse proxies in front of the server whose X-Forwarded-For entries are trusted (0 = none)
+  TRUST_PROXY: parseInt(process.env.TRUST_PROXY || '0', 10),
+
+  // Structured logging: lowest level written ('debug', 'info', 'warn' or 'error')
+  LOG_LEVEL: process.env.LOG_LEVEL || (process.env.NODE_ENV === 'production' ? 'info' : 'debug'),
+
+  // Conversion job queue
+  CONVERSION_WORKERS: parseInt(process.env.CONVERSION_WORKERS || '2', 10), // jobs run in parallel
+  CONVERSION_TIMEOUT_MS: parseInt(process.env.CONVERSION_TIMEOUT_MS || '300000', 10), // 5 minutes per job
+
+  // Conversion providers to use, in order of preference; later ones are fallbacks ('local', 'cloudconvert', 'fake')
+  CONVERSION_PROVIDERS: process.env.CONVERSION_PROVIDERS || 'local,cloudconvert',
+  // Make every 'fake' provider job fail, to exercise fallback and error handling
+  FAKE_PROVIDER_FAIL: process.env.FAKE_PROVIDER_FAIL === 'true',
+
+  // File and job metadata ('file' persists to METADATA_STORE_PATH, 'memory' does not)
+  METADATA_STORE: process.env.METADATA_STORE || 'file',
+  METADATA_STORE_PATH: process.env.METADATA_STORE_PATH || 'data/metadata.json',
+
+  // Where file bytes are stored ('local', 's3' or 'memory'); local files go under STORAGE_LOCAL_DIR
+  STORAGE_DRIVER: process.env.STORAGE_DRIVER || 'local',
+  STORAGE_LOCAL_DIR: process.env.STORAGE_LOCAL_DIR || 'uploads',
+
+  // S3-compatible storage (S3_ENDPOINT for MinIO, R2, ...; AWS when unset)
+  S3_ENDPOINT: process.env.S3_ENDPOINT,
+  S3_REGION: process.env.S3_REGION || 'us-east-1',
+  S3_BUCKET: process.env.S3_BUCKET,
+  S3_ACCESS_KEY_ID: process.env.S3_ACCESS_KEY_ID,
+  S3_SECRET_ACCESS_KEY: process.env.S3_SECRET_ACCESS_KEY,
+
+  // Signed download links (DOWNLOAD_URL_SECRET signs them; required in production)
+  DOWNLOAD_URL_SECRET: process.env.DOWNLOAD_URL_SECRET,
+  DOWNLOAD_URL_TTL_MS: parseInt(process.env.DOWNLOAD_URL_TTL_MS || '3600000', 10), // links work for 1 hour
+  DOWNLOAD_URL_SINGLE_USE: process.env.DOWNLOAD_URL_SINGLE_USE === 'true', // links stop working after one download
+
+  // Storage retention (a TTL or cap of 0 disables it)
+  RETENTION_UPLOAD_TTL_MS: parseInt(process.env.RETENTION_UPLOAD_TTL_MS || '86400000', 10), // uploads kept 24 hours
+  RETENTION_OUTPUT_TTL_MS: parseInt(process.env.RETENTION_OUTPUT_TTL_MS || '86400000', 10), // converted files kept 24 hours
+  RETENTION_TEMP_TTL_MS: parseInt(process.env.RETENTION_TEMP_TTL_MS || '3600000', 10), // unfinished chunked uploads kept 1 hour
+  RETENTION_SWEEP_INTERVAL_MS: parseInt(process.env.RETENTION_SWEEP_INTERVAL_MS || '600000', 10), // sweep every 10 minutes
+  STORAGE_MAX_BYTES: parseInt(process.env.STORAGE_MAX_BYTES || '0', 10), // least recently used files are evicted above this
+
+  // Local OCR (tesseract language codes, e.g. "eng+deu"; OCR_LANG_PATH holds extra <lang>.traineddata.gz files)
+  OCR_LANGUAGES: process.env.OCR_LANGUAGES || 'eng',
+  OCR_LANG_PATH: process.env.OCR_LANG_PATH,
+
+  // CloudConvert API key; required when 'cloudconvert' is the first of CONVERSION_PROVIDERS
+  CLOUDCONVERT_API_KEY: process.env.CLOUDCONVERT_API_KEY,
+
+  // CloudConvert webhooks (public URL of /api/cloudconvert/webhook and the dashboard signing secret)
+  CLOUDCONVERT_WEBHOOK_URL: process.env.CLOUDCONVERT_WEBHOOK_URL,
+  CLOUDCONVERT_WEBHOOK_SECRET: process.env.CLOUDCONVERT_WEBHOOK_SECRET,
 };
 
+// Provider credentials; read only through getSecret() and never given a NEXT_PUBLIC_ name
+const SECRET_NAMES = [
+  'CLOUDCONVERT_API_KEY',
+  'CLOUDCONVERT_WEBHOOK_SECRET',
+  'S3_SECRET_ACCESS_KEY',
+  'DOWNLOAD_URL_SECRET',
+  'RATE_LIMIT_REDIS_TOKEN',
+  'JWT_SECRET',
+];
+
+// Names provider keys were once read from; Next.js inlines NEXT_PUBLIC_ values into the browser bundle
+const LEAKED_SECRET_NAMES = ['NEXT_PUBLIC_CLOUDCONVERT_API_KEY', 'NEXT_PUBLIC_CLOUD_CONVERT_API_KEY'];
+
 // Combine all environment variables
 const env = {
   ...clientEnv,
@@ -104,8 +189,75 @@ const getEnv = (key, defaultValue = null, type = 'string') => {
   }
 };
 
-// Validate required environment variables in production
-if (process.env.NODE_ENV === 'production') {
+/**
+ * Get a provider secret on the server
+ * @param {string} name - One of the secret names, e.g. 'CLOUDCONVERT_API_KEY'
+ * @returns {string|undefined} The secret, or undefined if not set
+ * @throws {Error} If called in the browser or for a name that is not a secret
+ */
+const getSecret = (name) => {
+  if (typeof window !== 'undefined') {
+    throw new Error(`${name} is only available on the server`);
+  }
+  
+  if (!SECRET_NAMES.includes(name)) {
+    throw new Error(`Unknown secret ${name}`);
+  }
+  
+  return serverEnv[name];
+};
+
+/**
+ * Check the secrets the configured providers need
+ *
+ * A provider that is only a fallback (not first in CONVERSION_PROVIDERS) and
+ * lacks its key is a warning rather than a problem: it reports itself
+ * unavailable, so conversions skip it.
+ * @returns {{problems: Array<string>, warnings: Array<string>}} One message
+ *   per problem, which should stop the server, and per warning; both empty
+ *   when all is well
+ */
+const checkServerSecrets = () => {
+  const problems = [];
+  const warnings = [];
+  const providers = serverEnv.CONVERSION_PROVIDERS.split(',').map(name => name.trim().toLowerCase()).filter(Boolean);
+  
+  LEAKED_SECRET_NAMES
+    .filter(name => process.env[name])
+    .forEach(name => problems.push(`${name} would be exposed to the browser; rename it to CLOUDCONVERT_API_KEY`));
+  
+  if (providers.includes('cloudconvert') && !serverEnv.CLOUDCONVERT_API_KEY) {
+    if (providers[0] === 'cloudconvert') {
+      problems.push('CLOUDCONVERT_API_KEY is missing (or remove "cloudconvert" from CONVERSION_PROVIDERS)');
+    } else {
+      warnings.push('CLOUDCONVERT_API_KEY is missing; conversions will not fall back to CloudConvert');
+    }
+  }
+  
+  if (serverEnv.CLOUDCONVERT_WEBHOOK_URL && !serverEnv.CLOUDCONVERT_WEBHOOK_SECRET) {
+    problems.push('CLOUDCONVERT_WEBHOOK_SECRET is missing but CLOUDCONVERT_WEBHOOK_URL is set');
+  }
+  
+  if (process.env.NODE_ENV === 'production' && !serverEnv.DOWNLOAD_URL_SECRET) {
+    problems.push('DOWNLOAD_URL_SECRET is missing; download links would stop working on every restart');
+  }
+  
+  if (serverEnv.RATE_LIMIT_STORE === 'redis' && (!serverEnv.RATE_LIMIT_REDIS_URL || !serverEnv.RATE_LIMIT_REDIS_TOKEN)) {
+    problems.push('RATE_LIMIT_REDIS_URL and RATE_LIMIT_REDIS_TOKEN are required when RATE_LIMIT_STORE is "redis"');
+  }
+  
+  if (serverEnv.STORAGE_DRIVER === 's3') {
+    ['S3_BUCKET', 'S3_ACCESS_KEY_ID', 'S3_SECRET_ACCESS_KEY']
+      .filter(name => !serverEnv[name])
+      .forEach(name => problems.push(`${name} is missing but STORAGE_DRIVER is "s3"`));
+  }
+  
+  return { problems, warnings };
+};
+
+// Validate required environment variables in production (the Edge runtime, which
+// runs the middleware, cannot exit)
+if (process.env.NODE_ENV === 'production' && typeof window === 'undefined' && process.env.NEXT_RUNTIME !== 'edge') {
   const requiredVars = [
     'NEXT_PUBLIC_API_BASE_URL',
     'DATABASE_URL',
@@ -122,5 +274,5 @@ if (process.env.NODE_ENV === 'production') {
   }
 }
 
-export { clientEnv, serverEnv, getEnv };
+export { clientEnv, serverEnv, getEnv, getSecret, checkServerSecrets };
 export default env;
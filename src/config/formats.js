@@ -0,0 +1,155 @@
+// File formats the service accepts and produces
+//
+// This is the one list of file types shared by the client and the server.
+// Which conversions exist between them is decided on the server and
+// published by GET /api/formats (see utils/capabilities.js).
+export const FORMATS = {
+  pdf: {
+    label: 'PDF Document',
+    category: 'document',
+    extensions: ['pdf'],
+    mimeTypes: ['application/pdf'],
+  },
+  doc: {
+    label: 'Word 97-2003',
+    category: 'document',
+    extensions: ['doc'],
+    mimeTypes: ['application/msword'],
+  },
+  docx: {
+    label: 'Word Document',
+    category: 'document',
+    extensions: ['docx'],
+    mimeTypes: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
+  },
+  txt: {
+    label: 'Text File',
+    category: 'document',
+    extensions: ['txt', 'text'],
+    mimeTypes: ['text/plain'],
+  },
+  xls: {
+    label: 'Excel 97-2003',
+    category: 'spreadsheet',
+    extensions: ['xls'],
+    mimeTypes: ['application/vnd.ms-excel'],
+  },
+  xlsx: {
+    label: 'Excel Workbook',
+    category: 'spreadsheet',
+    extensions: ['xlsx'],
+    mimeTypes: ['application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'],
+  },
+  csv: {
+    label: 'CSV File',
+    category: 'spreadsheet',
+    extensions: ['csv'],
+    mimeTypes: ['text/csv'],
+  },
+  ppt: {
+    label: 'PowerPoint 97-2003',
+    category: 'presentation',
+    extensions: ['ppt'],
+    mimeTypes: ['application/vnd.ms-powerpoint'],
+  },
+  pptx: {
+    label: 'PowerPoint Presentation',
+    category: 'presentation',
+    extensions: ['pptx'],
+    mimeTypes: ['application/vnd.openxmlformats-officedocument.presentationml.presentation'],
+  },
+  jpg: {
+    label: 'JPEG Image',
+    category: 'image',
+    extensions: ['jpg', 'jpeg'],
+    mimeTypes: ['image/jpeg'],
+  },
+  png: {
+    label: 'PNG Image',
+    category: 'image',
+    extensions: ['png'],
+    mimeTypes: ['image/png'],
+  },
+  webp: {
+    label: 'WebP Image',
+    category: 'image',
+    extensions: ['webp'],
+    mimeTypes: ['image/webp'],
+  },
+  gif: {
+    label: 'GIF Image',
+    category: 'image',
+    extensions: ['gif'],
+    mimeTypes: ['image/gif'],
+  },
+  tiff: {
+    label: 'TIFF Image',
+    category: 'image',
+    extensions: ['tiff', 'tif'],
+    mimeTypes: ['image/tiff'],
+  },
+  avif: {
+    label: 'AVIF Image',
+    category: 'image',
+    extensions: ['avif'],
+    mimeTypes: ['image/avif'],
+  },
+};
+
+// Every MIME type the upload endpoints accept
+export const ALLOWED_MIME_TYPES = Object.values(FORMATS).flatMap(format => format.mimeTypes);
+
+// Value for the `accept` attribute of file inputs
+export const ACCEPTED_EXTENSIONS = Object.values(FORMATS)
+  .flatMap(format => format.extensions)
+  .map(extension => `.${extension}`)
+  .join(',');
+
+/**
+ * Find the format of a MIME type
+ * @param {string} mimeType - MIME type, e.g. image/jpeg
+ * @returns {string|null} Format key, e.g. jpg
+ */
+export const getFormatFromMimeType = (mimeType) => {
+  const type = String(mimeType || '').toLowerCase().split(';')[0].trim();
+  return Object.keys(FORMATS).find(key => FORMATS[key].mimeTypes.includes(type)) || null;
+};
+
+/**
+ * Find the format of a file name or extension
+ * @param {string} fileName - File name or extension, e.g. photo.JPEG or .jpeg
+ * @returns {string|null} Format key, e.g. jpg
+ */
+export const getFormatFromFileName = (fileName) => {
+  const extension = String(fileName || '').toLowerCase().split('.').pop();
+  return Object.keys(FORMATS).find(key => FORMATS[key].extensions.includes(extension)) || null;
+};
+
+/**
+ * Format of a file, by MIME type first and then by extension
+ * @param {{name: string, type: string}} file - A File or stored file record
+ * @returns {string|null} Format key
+ */
+export const getFormatOfFile = (file) => {
+  return getFormatFromMimeType(file?.type) || getFormatFromFileName(file?.name);
+};
+
+/**
+ * Conversions available for a source format, from a capability registry
+ * @param {Array<Object>} conversions - `conversions` from GET /api/formats
+ * @param {string} format - Source format key
+ * @returns {Array<Object>} Matching conversions
+ */
+export const getConversionsFrom = (conversions, format) => {
+  return (conversions || []).filter(conversion => conversion.from === format);
+};
+
+export default {
+  FORMATS,
+  ALLOWED_MIME_TYPES,
+  ACCEPTED_EXTENSIONS,
+  getFormatFromMimeType,
+  getFormatFromFileName,
+  getFormatOfFile,
+  getConversionsFrom,
+};
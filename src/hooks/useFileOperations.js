@@ -27,6 +27,7 @@ export const useFileOperations = () => {
       return {
         success: false,
         error: err.message || 'Failed to upload file',
+        code: err.code,
       };
     } finally {
       setIsLoading(false);
@@ -49,28 +50,20 @@ export const useFileOperations = () => {
       return {
         success: false,
         error: err.message || 'Failed to convert file',
+        code: err.code,
       };
     } finally {
       setIsLoading(false);
     }
   }, [resetState]);
 
-  const downloadFile = useCallback(async (fileId, fileName) => {
+  // `file` is file metadata with a signed `url`, as returned by uploads and jobs
+  const downloadFile = useCallback(async (file, fileName) => {
     resetState();
     setIsLoading(true);
     
     try {
-      const response = await apiService.download(fileId);
-      
-      // Create a download link and trigger download
-      const url = window.URL.createObjectURL(new Blob([response.data]));
-      const link = document.createElement('a');
-      link.href = url;
-      link.setAttribute('download', fileName || 'download');
-      document.body.appendChild(link);
-      link.click();
-      link.remove();
-      
+      await apiService.download(file, fileName);
       return { success: true };
     } catch (err) {
       console.error('Download error:', err);
@@ -78,6 +71,7 @@ export const useFileOperations = () => {
       return {
         success: false,
         error: err.message || 'Failed to download file',
+        code: err.code,
       };
     } finally {
       setIsLoading(false);
@@ -1,14 +1,17 @@
-import { useState, useCallback } from 'react';
+import { useState, useCallback, useRef } from 'react';
 import { v4 as uuidv4 } from 'uuid';
 import { 
   processFileUpload, 
   processMultipleUploads,
-  convertFile,
+  waitForJob,
+  createCancelledError,
   downloadFile,
   validateFile as validateFileUtil,
   getFilePreview
 } from '../utils/uploadUtils';
+import { apiService } from '../services/api';
 import { API_CONFIG } from '../config/api';
+import useJobEvents from './useJobEvents';
 
 /**
  * Custom hook for handling file uploads and conversions
@@ -33,6 +36,37 @@ const useFileUpload = (options = {}) => {
   const [error, setError] = useState(null);
   const [conversions, setConversions] = useState({});
   
+  // Conversion each running job belongs to, by job ID
+  const conversionJobsRef = useRef({});
+  
+  /**
+   * Show a running job's progress on its conversion
+   */
+  const updateConversionProgress = useCallback((fileId, targetFormat, job) => {
+    setConversions(prev => ({
+      ...prev,
+      [fileId]: {
+        ...(prev[fileId] || {}),
+        [targetFormat]: {
+          ...(prev[fileId]?.[targetFormat] || {}),
+          status: 'converting',
+          progress: job.progress,
+          tasks: job.tasks || [],
+        },
+      },
+    }));
+  }, []);
+  
+  const handleJobUpdate = useCallback((job) => {
+    const conversion = conversionJobsRef.current[job.id];
+    if (conversion && job.status !== 'completed' && job.status !== 'failed') {
+      updateConversionProgress(conversion.fileId, conversion.targetFormat, job);
+    }
+  }, [updateConversionProgress]);
+  
+  // Live progress of conversion jobs
+  const { subscribe } = useJobEvents({ onUpdate: handleJobUpdate });
+  
   /**
    * Reset all state
    */
@@ -268,29 +302,51 @@ const useFileUpload = (options = {}) => {
     }));
     
     try {
-      const result = await convertFile(fileObj.id, targetFormat);
+      const { id: jobId } = await apiService.convert(fileObj.id, targetFormat, {});
+      let job;
       
-      if (result.success) {
-        // Update conversion status
-        setConversions(prev => ({
-          ...prev,
-          [fileId]: {
-            ...(prev[fileId] || {}),
-            [targetFormat]: {
-              status: 'completed',
-              progress: 100,
-              result: result.data,
-              completedAt: new Date().toISOString(),
-            },
-          },
-        }));
-        
-        return { success: true, data: result.data };
-      } else {
-        throw new Error(result.error || 'Conversion failed');
+      conversionJobsRef.current[jobId] = { fileId, targetFormat };
+      
+      try {
+        // Follow the job over the event stream, polling if it cannot be opened
+        [job] = await subscribe(jobId);
+      } catch (streamError) {
+        console.warn('Job event stream unavailable, polling instead:', streamError);
+        job = await waitForJob(jobId, (update) => updateConversionProgress(fileId, targetFormat, update));
+      } finally {
+        delete conversionJobsRef.current[jobId];
+      }
+      
+      if (job.status === 'cancelled') {
+        throw createCancelledError();
       }
+      
+      if (job.status !== 'completed') {
+        throw new Error(job.error || 'Conversion failed');
+      }
+      
+      // Update conversion status
+      setConversions(prev => ({
+        ...prev,
+        [fileId]: {
+          ...(prev[fileId] || {}),
+          [targetFormat]: {
+            status: 'completed',
+            progress: 100,
+            tasks: job.tasks || [],
+            jobId,
+            result: job.result,
+            downloadUrl: job.downloadUrl || job.result?.url || null,
+            completedAt: new Date().toISOString(),
+          },
+        },
+      }));
+      
+      return { success: true, data: job.result };
     } catch (err) {
-      console.error('Conversion error:', err);
+      if (!err.cancelled) {
+        console.error('Conversion error:', err);
+      }
       
       // Update conversion status with error
       setConversions(prev => ({
@@ -298,23 +354,47 @@ const useFileUpload = (options = {}) => {
         [fileId]: {
           ...(prev[fileId] || {}),
           [targetFormat]: {
-            status: 'error',
+            status: err.cancelled ? 'cancelled' : 'error',
             error: err.message || 'Conversion failed',
             progress: 0,
           },
         },
       }));
       
-      return { success: false, error: err.message || 'Conversion failed' };
+      return { success: false, cancelled: Boolean(err.cancelled), error: err.message || 'Conversion failed', code: err.code };
     }
-  }, [files]);
+  }, [files, subscribe, updateConversionProgress]);
+  
+  /**
+   * Cancel a running conversion
+   */
+  const cancelConversion = useCallback(async (fileId, targetFormat) => {
+    const jobId = Object.keys(conversionJobsRef.current).find((id) => {
+      const conversion = conversionJobsRef.current[id];
+      return conversion.fileId === fileId && conversion.targetFormat === targetFormat;
+    });
+    
+    if (!jobId) {
+      return { success: false, error: 'No running conversion to cancel' };
+    }
+    
+    // The job's final event (or the polling fallback) marks the conversion cancelled
+    try {
+      await apiService.cancelJob(jobId);
+      return { success: true };
+    } catch (err) {
+      return { success: false, error: err.message, code: err.code };
+    }
+  }, []);
   
   /**
-   * Download a file
+   * Download a file through its signed link
+   * @param {Object} file - File metadata with a signed `url`
+   * @param {string} fileName - Name to save it as
    */
-  const handleDownloadFile = useCallback(async (fileId, fileName) => {
+  const handleDownloadFile = useCallback(async (file, fileName) => {
     try {
-      const result = await downloadFile(fileId, fileName);
+      const result = await downloadFile(file, fileName);
       
       if (!result.success) {
         throw new Error(result.error || 'Download failed');
@@ -341,6 +421,7 @@ const useFileUpload = (options = {}) => {
     uploadAllFiles,
     removeFile,
     handleConvertFile,
+    cancelConversion,
     handleDownloadFile,
     reset,
     validateFile,
@@ -0,0 +1,64 @@
+import { useState, useEffect, useCallback } from 'react';
+import { apiService } from '../services/api';
+import { FORMATS, getConversionsFrom, getFormatOfFile } from '../config/formats';
+
+// The registry only changes on deploy, so every component shares one request
+let formatsRequest = null;
+
+const loadFormats = () => {
+  if (!formatsRequest) {
+    formatsRequest = apiService.getFormats().catch((error) => {
+      // Allow a retry on the next mount
+      formatsRequest = null;
+      throw error;
+    });
+  }
+  return formatsRequest;
+};
+
+/**
+ * Custom hook for the conversion capability registry (GET /api/formats)
+ * @returns {Object} Registry state and lookup helpers
+ */
+const useFormats = () => {
+  const [registry, setRegistry] = useState(null);
+  const [error, setError] = useState(null);
+  
+  useEffect(() => {
+    let active = true;
+    
+    loadFormats()
+      .then(data => active && setRegistry(data))
+      .catch(err => active && setError(err.message || 'Failed to load supported formats'));
+    
+    return () => {
+      active = false;
+    };
+  }, []);
+  
+  /**
+   * Conversions available for a file, by its MIME type or extension
+   */
+  const getConversionsForFile = useCallback((file) => {
+    return registry ? getConversionsFrom(registry.conversions, getFormatOfFile(file)) : [];
+  }, [registry]);
+  
+  /**
+   * Find the conversion between two formats
+   */
+  const findConversion = useCallback((from, to) => {
+    return registry?.conversions.find(conversion => conversion.from === from && conversion.to === to) || null;
+  }, [registry]);
+  
+  return {
+    formats: registry?.formats || FORMATS,
+    conversions: registry?.conversions || [],
+    tools: registry?.tools || [],
+    isLoading: !registry && !error,
+    error,
+    getConversionsForFile,
+    findConversion,
+  };
+};
+
+export default useFormats;
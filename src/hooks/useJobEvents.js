@@ -0,0 +1,197 @@
+import { useState, useRef, useCallback, useEffect } from 'react';
+import { API_CONFIG } from '../config/api';
+import { apiService } from '../services/api';
+
+const FINAL_STATUSES = ['completed', 'failed', 'cancelled'];
+
+/**
+ * Parse complete Server-Sent Events messages
+ * @param {string} text - Stream content made of whole messages
+ * @returns {Array<{event: string, data: Object}>}
+ */
+const parseEvents = (text) => {
+  return text
+    .split('\n\n')
+    .map((message) => {
+      let event = 'message';
+      const data = [];
+
+      message.split('\n').forEach((line) => {
+        if (line.startsWith('event:')) {
+          event = line.slice(6).trim();
+        } else if (line.startsWith('data:')) {
+          data.push(line.slice(5).trim());
+        }
+      });
+
+      return data.length > 0 ? { event, data: JSON.parse(data.join('\n')) } : null;
+    })
+    .filter(Boolean);
+};
+
+/**
+ * Read a Server-Sent Events stream until the server closes it
+ *
+ * Each whole message is handled as soon as it arrives and dropped; only an
+ * unfinished message is kept, so a long-lived stream uses constant memory.
+ * @param {Response} response - Response with a text/event-stream body
+ * @param {Function} onMessage - Called with each message, as `{ event, data }`
+ * @returns {Promise<void>}
+ */
+const readEvents = async (response, onMessage) => {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) return;
+
+    buffer += decoder.decode(value, { stream: true });
+
+    const end = buffer.lastIndexOf('\n\n');
+    if (end === -1) continue;
+
+    parseEvents(buffer.slice(0, end)).forEach(onMessage);
+    buffer = buffer.slice(end + 2);
+  }
+};
+
+/**
+ * Custom hook for live job progress from GET /api/jobs/events
+ *
+ * Jobs followed through `subscribe()` share one event stream; subscribing to
+ * more jobs reopens it for every job still running.
+ * @param {Object} options - Options for the hook
+ * @param {Function} options.onUpdate - Called with each job update
+ * @returns {Object} Job states and subscription methods
+ */
+const useJobEvents = ({ onUpdate } = {}) => {
+  const [jobs, setJobs] = useState({});
+  const [isStreaming, setIsStreaming] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Jobs being followed, with the callbacks of their subscribe() promises
+  const waitersRef = useRef(new Map());
+  const controllerRef = useRef(null);
+  const onUpdateRef = useRef(onUpdate);
+
+  useEffect(() => {
+    onUpdateRef.current = onUpdate;
+  }, [onUpdate]);
+
+  const rejectAll = useCallback((err) => {
+    waitersRef.current.forEach(waiters => waiters.forEach(({ reject }) => reject(err)));
+    waitersRef.current.clear();
+  }, []);
+
+  const handleJob = useCallback((job) => {
+    setJobs(prev => ({ ...prev, [job.id]: job }));
+    onUpdateRef.current && onUpdateRef.current(job);
+
+    if (FINAL_STATUSES.includes(job.status)) {
+      (waitersRef.current.get(job.id) || []).forEach(({ resolve }) => resolve(job));
+      waitersRef.current.delete(job.id);
+    }
+  }, []);
+
+  const handleFinish = useCallback(() => {
+    if (waitersRef.current.size > 0) {
+      const err = new Error('Lost connection to job updates');
+      setError(err.message);
+      rejectAll(err);
+    }
+  }, [rejectAll]);
+
+  /**
+   * Open one stream for every followed job, replacing the current one
+   */
+  const connect = useCallback(async () => {
+    controllerRef.current && controllerRef.current.abort();
+
+    const jobIds = [...waitersRef.current.keys()];
+    if (jobIds.length === 0) {
+      controllerRef.current = null;
+      setIsStreaming(false);
+      return;
+    }
+
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    setIsStreaming(true);
+    setError(null);
+
+    try {
+      const params = new URLSearchParams({ jobIds: jobIds.join(',') });
+      const response = await fetch(
+        `${API_CONFIG.BASE_URL}${API_CONFIG.ENDPOINTS.JOB_EVENTS}?${params}`,
+        { headers: { Accept: 'text/event-stream', ...apiService.getAuthHeaders() }, signal: controller.signal }
+      );
+
+      if (!response.ok) {
+        throw await apiService.parseErrorResponse(response);
+      }
+
+      await readEvents(response, ({ event, data }) => {
+        if (event === 'job') handleJob(data);
+      });
+      handleFinish();
+    } catch (err) {
+      // Replaced by a newer stream or unsubscribed
+      if (controller.signal.aborted) return;
+
+      console.error('Job events error:', err);
+      setError(err.message || 'Failed to follow jobs');
+      rejectAll(err);
+    } finally {
+      if (controllerRef.current === controller) {
+        controllerRef.current = null;
+        setIsStreaming(false);
+      }
+    }
+  }, [handleJob, handleFinish, rejectAll]);
+
+  /**
+   * Follow jobs until they finish
+   * @param {string|Array<string>} jobIds - Job ID, or the IDs of a batch
+   * @returns {Promise<Array<Object>>} The jobs' final states: completed, failed or cancelled
+   */
+  const subscribe = useCallback((jobIds) => {
+    const ids = [].concat(jobIds);
+
+    const finished = ids.map(id => new Promise((resolve, reject) => {
+      const waiters = waitersRef.current.get(id) || [];
+      waitersRef.current.set(id, [...waiters, { resolve, reject }]);
+    }));
+
+    connect();
+
+    return Promise.all(finished);
+  }, [connect]);
+
+  /**
+   * Stop following all jobs
+   */
+  const unsubscribe = useCallback(() => {
+    waitersRef.current.clear();
+    connect();
+  }, [connect]);
+
+  // Close the stream when the component unmounts
+  useEffect(() => {
+    return () => {
+      waitersRef.current.clear();
+      controllerRef.current && controllerRef.current.abort();
+    };
+  }, []);
+
+  return {
+    jobs,
+    isStreaming,
+    error,
+    subscribe,
+    unsubscribe,
+  };
+};
+
+export default useJobEvents;
@@ -0,0 +1,33 @@
+/**
+ * Runs once when the server starts
+ *
+ * Refuses to start when provider secrets are missing or exposed under a
+ * NEXT_PUBLIC_ name, instead of failing on the first conversion, then
+ * registers the job workers and starts the storage retention sweeper.
+ */
+export async function register() {
+  // The Edge runtime (middleware) has no process to stop. The imports must
+  // stay inside this branch: webpack only leaves them out of the Edge build
+  // when the condition itself is false there, not after an early return.
+  if (process.env.NEXT_RUNTIME === 'nodejs') {
+    const { checkServerSecrets } = await import('./config/env');
+    const { logger } = await import('./utils/logger');
+    const { problems, warnings } = checkServerSecrets();
+
+    if (warnings.length > 0) {
+      logger.warn('Incomplete server configuration', { warnings });
+    }
+
+    if (problems.length > 0) {
+      logger.error('Invalid server configuration', { problems });
+      process.exit(1);
+    }
+
+    // Jobs restored after a restart only run once their worker is registered
+    const { registerWorkers } = await import('./utils/jobWorkers');
+    registerWorkers();
+
+    const { startRetentionSweeper } = await import('./utils/retention');
+    startRetentionSweeper();
+  }
+}
@@ -1,4 +1,6 @@
 import { NextResponse } from 'next/server';
+import { errorHandler, getRequestId, getRequestLogger, REQUEST_ID_HEADER } from './utils/apiError';
+import { checkRateLimit } from './utils/rateLimit';
 
 // Define paths that should be handled by the middleware
 export const config = {
@@ -8,7 +10,7 @@ export const config = {
   ],
 };
 
-export function middleware(request) {
+export async function middleware(request) {
   // Skip middleware for static files and Next.js internals
   if (request.nextUrl.pathname.startsWith('/_next') || 
       request.nextUrl.pathname.startsWith('/static') ||
@@ -16,8 +18,15 @@ export function middleware(request) {
     return NextResponse.next();
   }
 
+  // Correlation ID: passed on to the route (and from there to the jobs and
+  // provider calls it starts) and returned to the client
+  const requestId = getRequestId(request);
+  const requestHeaders = new Headers(request.headers);
+  requestHeaders.set(REQUEST_ID_HEADER, requestId);
+
   // Create response object
-  const response = NextResponse.next();
+  const response = NextResponse.next({ request: { headers: requestHeaders } });
+  response.headers.set(REQUEST_ID_HEADER, requestId);
 
   // Security headers
   const securityHeaders = {
@@ -48,15 +57,34 @@ export function middleware(request) {
     // Add CORS headers for API routes
     response.headers.set('Access-Control-Allow-Origin', '*');
     response.headers.set('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-    response.headers.set('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+    response.headers.set('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Api-Key');
+    response.headers.set('Access-Control-Expose-Headers', 'Retry-After, X-Request-Id, X-RateLimit-Limit, X-RateLimit-Remaining, X-RateLimit-Reset, X-RateLimit-Policy');
 
     // Handle preflight requests
     if (request.method === 'OPTIONS') {
       return new NextResponse(null, { status: 204, headers: response.headers });
     }
 
-    // Rate limiting could be implemented here
-    // Example: check rate limit for the IP
+    // Per-client token buckets, with separate budgets for uploads, conversions and status polling
+    const rateLimit = await checkRateLimit(request);
+
+    if (rateLimit) {
+      Object.entries(rateLimit.headers).forEach(([key, value]) => {
+        response.headers.set(key, value);
+      });
+
+      if (!rateLimit.allowed) {
+        getRequestLogger(request, requestId).warn('Rate limit exceeded', { budget: rateLimit.budget });
+
+        // Same headers, minus the ones telling Next.js to continue to the route
+        const rejected = errorHandler(rateLimit.error, request, { requestId });
+        response.headers.forEach((value, key) => {
+          if (!key.startsWith('x-middleware-')) rejected.headers.set(key, value);
+        });
+
+        return rejected;
+      }
+    }
   }
 
   // Add project headers for create.xyz
@@ -1,5 +1,129 @@
 import axios from 'axios';
-import { API_CONFIG, getApiUrl, ERROR_MESSAGES } from '../config/api';
+import { API_CONFIG, getApiUrl, ERROR_MESSAGES, ERROR_CODES } from '../config/api';
+
+/**
+ * Error from an API request
+ *
+ * Built from the API's error envelope:
+ *
+ *   { success: false, error: <message>, code: <ERROR_CODES value>, details?, requestId }
+ *
+ * Branch on `code` (or on the subclass) rather than on the message, which is
+ * meant for people. `requestId` identifies the request in the server logs.
+ */
+export class ApiClientError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} options - Error fields
+   * @param {number} options.status - HTTP status (null when there was no response)
+   * @param {string} options.code - Machine-readable error code
+   * @param {Object} options.details - Additional error details
+   * @param {string} options.requestId - Request ID reported by the server
+   */
+  constructor(message, { status = null, code = ERROR_CODES.INTERNAL_SERVER_ERROR, details = {}, requestId = null } = {}) {
+    super(message);
+    this.name = 'ApiClientError';
+    this.status = status;
+    this.code = code;
+    this.details = details;
+    this.requestId = requestId;
+  }
+}
+
+// Missing, invalid or expired credentials (401)
+export class AuthenticationError extends ApiClientError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'AuthenticationError';
+  }
+}
+
+// A team quota is used up (QUOTA_* codes)
+export class QuotaExceededError extends ApiClientError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'QuotaExceededError';
+  }
+}
+
+// Too many requests (429); `retryAfter` is in seconds
+export class RateLimitError extends ApiClientError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'RateLimitError';
+    this.retryAfter = this.details.retryAfter || null;
+  }
+}
+
+// The request was rejected as it stands, e.g. FILE_TOO_LARGE or UNSUPPORTED_CONVERSION
+export class RequestError extends ApiClientError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'RequestError';
+  }
+}
+
+// The file, job or upload does not exist (or belongs to another team)
+export class NotFoundError extends ApiClientError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'NotFoundError';
+  }
+}
+
+// A conversion provider failed or timed out (PROVIDER_* codes); worth retrying later
+export class ProviderError extends ApiClientError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'ProviderError';
+  }
+}
+
+// No response from the server
+export class NetworkError extends ApiClientError {
+  constructor(message = ERROR_MESSAGES.NETWORK_ERROR, options = {}) {
+    super(message, { code: 'NETWORK_ERROR', ...options });
+    this.name = 'NetworkError';
+  }
+}
+
+/**
+ * Typed error for an error response
+ * @param {number} status - HTTP status
+ * @param {Object} body - Parsed response body (the error envelope, if the API sent one)
+ * @param {Object} options - Response metadata
+ * @param {string} options.requestId - Request ID from the X-Request-Id header, if the body has none
+ * @returns {ApiClientError}
+ */
+export const createApiError = (status, body, { requestId = null } = {}) => {
+  const message = (typeof body?.error === 'string' && body.error) || body?.message || ERROR_MESSAGES.UNKNOWN_ERROR;
+  const options = {
+    status,
+    code: body?.code || (status >= 500 ? ERROR_CODES.INTERNAL_SERVER_ERROR : ERROR_CODES.BAD_REQUEST),
+    details: body?.details || {},
+    requestId: body?.requestId || requestId,
+  };
+  
+  if (options.code.startsWith('QUOTA_')) return new QuotaExceededError(message, options);
+  if (options.code.startsWith('PROVIDER_')) return new ProviderError(message, options);
+  if (status === 401) return new AuthenticationError(message, options);
+  if (status === 429) return new RateLimitError(message, options);
+  if (status === 404) return new NotFoundError(message, options);
+  if (status >= 400 && status < 500) return new RequestError(message, options);
+  return new ApiClientError(message, options);
+};
+
+/**
+ * Typed error for a fetch() response that failed
+ *
+ * For the requests made without axios (CloudConvert uploads, server-sent events).
+ * @param {Response} response - The failed response
+ * @returns {Promise<ApiClientError>}
+ */
+export const parseErrorResponse = async (response) => {
+  const body = await response.json().catch(() => null);
+  return createApiError(response.status, body, { requestId: response.headers.get('x-request-id') });
+};
 
 // Create an axios instance with default config
 const api = axios.create({
@@ -11,20 +135,20 @@ const api = axios.create({
   withCredentials: true,
 });
 
+/**
+ * Authorization header for the stored API key or JWT, if there is one
+ * @returns {Object} Headers to add to a request
+ */
+const getAuthHeaders = () => {
+  const token = typeof window !== 'undefined' && window.localStorage.getItem(API_CONFIG.AUTH_TOKEN_KEY);
+  return token ? { Authorization: `Bearer ${token}` } : {};
+};
+
 // Request interceptor for API calls
 api.interceptors.request.use(
   (config) => {
-    // You can add auth tokens here if needed
-    // const token = localStorage.getItem('token');
-    // if (token) {
-    //   config.headers.Authorization = `Bearer ${token}`;
-    // }
-    
-    // Log request for debugging
-    console.log(`[API] ${config.method?.toUpperCase()} ${config.url}`, {
-      params: config.params,
-      data: config.data,
-    });
+    // Bodies and headers are not logged: they carry files and credentials
+    Object.assign(config.headers, getAuthHeaders());
     
     return config;
   },
@@ -37,35 +161,32 @@ api.interceptors.request.use(
 // Response interceptor for API calls
 api.interceptors.response.use(
   (response) => {
-    console.log(`[API] Response ${response.status} ${response.config.url}`, response.data);
     return response.data;
   },
-  (error) => {
-    // Handle errors globally
+  async (error) => {
     if (error.response) {
       // The request was made and the server responded with a status code
       // that falls out of the range of 2xx
+      let body = error.response.data;
+      
+      // Blob downloads get their error envelope as a blob too
+      if (typeof Blob !== 'undefined' && body instanceof Blob) {
+        body = await body.text().then(JSON.parse).catch(() => null);
+      }
+      
+      const apiError = createApiError(error.response.status, body, {
+        requestId: error.response.headers?.['x-request-id'],
+      });
+      
       console.error('[API] Error Response:', {
         url: error.config?.url,
         method: error.config?.method,
-        status: error.response.status,
-        data: error.response.data,
+        status: apiError.status,
+        code: apiError.code,
+        requestId: apiError.requestId,
       });
       
-      // Handle specific status codes
-      if (error.response.status === 401) {
-        // Handle unauthorized
-        // router.push('/login');
-      } else if (error.response.status === 404) {
-        // Handle not found
-      }
-      
-      return Promise.reject({
-        status: error.response.status,
-        message: error.response.data?.message || ERROR_MESSAGES.UNKNOWN_ERROR,
-        data: error.response.data,
-        isAxiosError: true,
-      });
+      return Promise.reject(apiError);
     } else if (error.request) {
       // The request was made but no response was received
       console.error('[API] No Response:', {
@@ -74,17 +195,12 @@ api.interceptors.response.use(
         error: error.message,
       });
       
-      return Promise.reject({
-        message: ERROR_MESSAGES.NETWORK_ERROR,
-        isNetworkError: true,
-      });
+      return Promise.reject(new NetworkError());
     } else {
       // Something happened in setting up the request that triggered an Error
       console.error('[API] Setup Error:', error.message);
       
-      return Promise.reject({
-        message: error.message || ERROR_MESSAGES.UNKNOWN_ERROR,
-      });
+      return Promise.reject(new ApiClientError(error.message || ERROR_MESSAGES.UNKNOWN_ERROR));
     }
   }
 );
@@ -97,70 +213,281 @@ api.interceptors.response.use(
  * @returns {Promise<Object>} - The uploaded file data
  */
 const uploadFile = async (file, options = {}, onUploadProgress = null) => {
-  try {
-    const formData = new FormData();
-    formData.append('file', file);
-    
-    // Add any additional fields to form data
-    if (options.fields) {
-      Object.entries(options.fields).forEach(([key, value]) => {
-        formData.append(key, value);
-      });
+  // Large files go through the resumable chunked protocol
+  if (file.size > API_CONFIG.CHUNKED_UPLOAD_THRESHOLD) {
+    return uploadFileInChunks(file, options, onUploadProgress);
+  }
+  
+  const formData = new FormData();
+  formData.append('file', file);
+  
+  // Add any additional fields to form data
+  if (options.fields) {
+    Object.entries(options.fields).forEach(([key, value]) => {
+      formData.append(key, value);
+    });
+  }
+  
+  const response = await api.post(API_CONFIG.ENDPOINTS.UPLOAD, formData, {
+    headers: {
+      'Content-Type': 'multipart/form-data',
+    },
+    onUploadProgress: (progressEvent) => {
+      if (onUploadProgress && progressEvent.lengthComputable) {
+        const percentCompleted = Math.round((progressEvent.loaded * 100) / progressEvent.total);
+        onUploadProgress(percentCompleted, progressEvent);
+      }
+    },
+  });
+  
+  return response.data;
+};
+
+/**
+ * Hex-encoded SHA-256 of a blob
+ *
+ * Web Crypto only exists in secure contexts (HTTPS or localhost); elsewhere
+ * uploads go without checksums, which the server then does not verify.
+ * @param {Blob} blob - Data to hash
+ * @returns {Promise<string|null>} Null when Web Crypto is unavailable
+ */
+const sha256Hex = async (blob) => {
+  if (!globalThis.crypto?.subtle) return null;
+  
+  const data = typeof blob === 'string' ? new TextEncoder().encode(blob) : await blob.arrayBuffer();
+  const digest = await globalThis.crypto.subtle.digest('SHA-256', data);
+  return Array.from(new Uint8Array(digest))
+    .map(byte => byte.toString(16).padStart(2, '0'))
+    .join('');
+};
+
+/**
+ * Key under which an in-progress upload is remembered for resuming
+ * @param {File} file - The file being uploaded
+ * @returns {string}
+ */
+const getResumeKey = (file) => `chunked-upload:${file.name}:${file.size}:${file.lastModified}`;
+
+/**
+ * Find an unfinished upload of this file, or start a new one
+ * @param {File} file - The file to upload
+ * @param {Object} options - Upload options
+ * @returns {Promise<Object>} The upload session
+ */
+const getOrCreateUploadSession = async (file, options = {}) => {
+  const resumeKey = getResumeKey(file);
+  const existingId = window.localStorage.getItem(resumeKey);
+  
+  if (existingId) {
+    try {
+      const response = await api.get(`${API_CONFIG.ENDPOINTS.UPLOAD_CHUNKED}/${existingId}`);
+      return response.data;
+    } catch (error) {
+      // Session expired or was completed elsewhere; start over
+      window.localStorage.removeItem(resumeKey);
     }
+  }
+  
+  const response = await api.post(API_CONFIG.ENDPOINTS.UPLOAD_CHUNKED, {
+    name: file.name,
+    type: file.type,
+    size: file.size,
+    chunkSize: options.chunkSize || API_CONFIG.CHUNK_SIZE,
+  });
+  
+  window.localStorage.setItem(resumeKey, response.data.uploadId);
+  return response.data;
+};
+
+/**
+ * Resumable chunked upload for large files
+ *
+ * Chunks already stored on the server (from an interrupted attempt) are
+ * skipped. Each chunk is retried a few times before giving up.
+ * @param {File} file - The file to upload
+ * @param {Object} options - Additional options
+ * @param {number} options.chunkSize - Chunk size in bytes
+ * @param {number} options.retries - Attempts per chunk (default 3)
+ * @param {Function} onUploadProgress - Progress callback
+ * @returns {Promise<Object>} - The uploaded file data
+ */
+const uploadFileInChunks = async (file, options = {}, onUploadProgress = null) => {
+  const retries = options.retries || 3;
+  
+  const session = await getOrCreateUploadSession(file, options);
+  const received = new Set(session.receivedChunks);
+  const chunkChecksums = [];
+  let uploadedBytes = 0;
+  
+  for (let index = 0; index < session.totalChunks; index++) {
+    const start = index * session.chunkSize;
+    const chunk = file.slice(start, Math.min(start + session.chunkSize, file.size));
+    const checksum = await sha256Hex(chunk);
+    chunkChecksums.push(checksum);
     
-    const response = await api.post(API_CONFIG.ENDPOINTS.UPLOAD, formData, {
-      headers: {
-        'Content-Type': 'multipart/form-data',
-      },
-      onUploadProgress: (progressEvent) => {
-        if (onUploadProgress && progressEvent.lengthComputable) {
-          const percentCompleted = Math.round((progressEvent.loaded * 100) / progressEvent.total);
-          onUploadProgress(percentCompleted, progressEvent);
+    if (!received.has(index)) {
+      for (let attempt = 1; ; attempt++) {
+        try {
+          await api.put(`${API_CONFIG.ENDPOINTS.UPLOAD_CHUNKED}/${session.uploadId}`, chunk, {
+            params: { index },
+            headers: {
+              'Content-Type': 'application/octet-stream',
+              ...(checksum && { 'X-Chunk-Checksum': checksum }),
+            },
+          });
+          break;
+        } catch (error) {
+          if (attempt >= retries || (error.status && error.status < 500)) {
+            throw error;
+          }
+          await new Promise(resolve => setTimeout(resolve, 1000 * attempt));
         }
-      },
-    });
+      }
+    }
     
-    return {
-      success: true,
-      data: response.data,
-    };
-  } catch (error) {
-    console.error('File upload failed:', error);
-    return {
-      success: false,
-      error: error.message || ERROR_MESSAGES.UPLOAD_FAILED,
-      details: error,
-    };
+    uploadedBytes += chunk.size;
+    if (onUploadProgress) {
+      onUploadProgress(Math.round((uploadedBytes * 100) / file.size), {
+        loaded: uploadedBytes,
+        total: file.size,
+        chunk: index,
+      });
+    }
   }
+  
+  const response = await api.post(
+    `${API_CONFIG.ENDPOINTS.UPLOAD_CHUNKED}/${session.uploadId}/complete`,
+    { checksum: await sha256Hex(chunkChecksums.join('')) }
+  );
+  
+  window.localStorage.removeItem(getResumeKey(file));
+  
+  return response.data;
 };
 
 /**
  * File conversion service
  * @param {string} fileId - The ID of the file to convert
  * @param {string} targetFormat - The target format to convert to
- * @param {Object} options - Additional conversion options
- * @returns {Promise<Object>} - The conversion result
+ * @param {Object} options - Conversion options (quality, pages, margin, ...), passed to the converter
+ * @returns {Promise<Object>} - The queued conversion job
  */
 const convertFile = async (fileId, targetFormat, options = {}) => {
-  try {
-    const response = await api.post(API_CONFIG.ENDPOINTS.CONVERT, {
-      fileId,
-      targetFormat,
-      ...options,
-    });
-    
-    return {
-      success: true,
-      data: response.data,
-    };
-  } catch (error) {
-    console.error('File conversion failed:', error);
-    return {
-      success: false,
-      error: error.message || ERROR_MESSAGES.CONVERSION_FAILED,
-      details: error,
-    };
-  }
+  const response = await api.post(API_CONFIG.ENDPOINTS.CONVERT, {
+    fileId,
+    targetFormat,
+    options,
+  });
+  
+  return response.data;
+};
+
+/**
+ * Merge several uploaded files into one PDF
+ * @param {Array<{fileId: string, pages?: string}>} inputs - Files in output order, with optional page ranges
+ * @param {Object} options - Additional merge options
+ * @param {string} options.outputName - Name of the merged file
+ * @returns {Promise<Object>} - The queued merge job
+ */
+const mergePdfs = async (inputs, options = {}) => {
+  const response = await api.post(API_CONFIG.ENDPOINTS.PDF_MERGE, {
+    inputs,
+    ...options,
+  });
+  
+  return response.data;
+};
+
+/**
+ * Split an uploaded PDF into several PDFs
+ * @param {string} fileId - The PDF to split
+ * @param {Object} options - Split options
+ * @param {string} options.mode - pages, chunks, ranges or bookmarks
+ * @param {number} options.chunkSize - Pages per part (chunks mode)
+ * @param {string} options.ranges - e.g. "1-3,5,9-", one part per comma (ranges mode)
+ * @returns {Promise<Object>} - The queued split job
+ */
+const splitPdf = async (fileId, options = {}) => {
+  const response = await api.post(API_CONFIG.ENDPOINTS.PDF_SPLIT, {
+    fileId,
+    ...options,
+  });
+  
+  return response.data;
+};
+
+/**
+ * Compress an uploaded PDF
+ * @param {string} fileId - The PDF to compress
+ * @param {Object} options - Compression options
+ * @param {string} options.preset - screen, ebook, print or lossless
+ * @param {number} options.imageDpi - Custom image resolution
+ * @param {number} options.jpegQuality - Custom JPEG quality (1-100)
+ * @returns {Promise<Object>} - The queued compression job
+ */
+const compressPdf = async (fileId, options = {}) => {
+  const response = await api.post(API_CONFIG.ENDPOINTS.PDF_COMPRESS, {
+    fileId,
+    ...options,
+  });
+  
+  return response.data;
+};
+
+/**
+ * Extract the text of an uploaded image or scanned PDF with local OCR
+ * @param {string} fileId - The image or PDF to read
+ * @param {Object} options - OCR options
+ * @param {Array<string>|string} options.languages - Tesseract language codes, e.g. ['eng', 'deu']
+ * @param {string} options.output - txt, pdf (searchable) or docx
+ * @returns {Promise<Object>} - The queued OCR job
+ */
+const ocr = async (fileId, options = {}) => {
+  const response = await api.post(API_CONFIG.ENDPOINTS.OCR, {
+    fileId,
+    ...options,
+  });
+  
+  return response.data;
+};
+
+/**
+ * Get the conversion capability registry
+ * @returns {Promise<Object>} - Formats, conversions and tools, see GET /api/formats
+ */
+const getFormats = async () => {
+  const response = await api.get(API_CONFIG.ENDPOINTS.FORMATS);
+  
+  return response.data;
+};
+
+/**
+ * Get the status of a conversion job
+ * @param {string} jobId - The job ID returned by convertFile
+ * @param {Object} options - Long-poll options
+ * @param {boolean} options.wait - Hold the request until the job changes
+ *   (or finishes), for up to 25 seconds
+ * @param {string} options.since - With `wait`, the `updatedAt` of the job
+ *   last seen
+ * @returns {Promise<Object>} - The job state, progress and result
+ */
+const getJobStatus = async (jobId, { wait = false, since } = {}) => {
+  const response = await api.get(API_CONFIG.ENDPOINTS.CONVERT, {
+    params: wait ? { jobId, wait: true, since } : { jobId },
+  });
+  
+  return response.data;
+};
+
+/**
+ * Cancel a conversion job
+ * @param {string} jobId - The job ID returned by convertFile or another tool
+ * @returns {Promise<Object>} - The cancelled job
+ */
+const cancelJob = async (jobId) => {
+  const response = await api.delete(`${API_CONFIG.ENDPOINTS.CONVERT}/${jobId}`);
+  
+  return response.data;
 };
 
 /**
@@ -169,66 +496,68 @@ const convertFile = async (fileId, targetFormat, options = {}) => {
  * @returns {Promise<Object>} - The file information
  */
 const getFileInfo = async (fileId) => {
-  try {
-    const response = await api.get(`${API_CONFIG.ENDPOINTS.FILES}/${fileId}/info`);
-    return {
-      success: true,
-      data: response.data,
-    };
-  } catch (error) {
-    console.error('Failed to get file info:', error);
-    return {
-      success: false,
-      error: error.message || 'Failed to get file information',
-      details: error,
-    };
-  }
+  const response = await api.get(`${API_CONFIG.ENDPOINTS.FILES}/${fileId}/info`);
+  return response.data;
 };
 
 /**
  * Download a file
- * @param {string} fileId - The ID of the file to download
+ *
+ * Files are served through signed, expiring links, which come with upload
+ * responses and job results (`url`); a link that has expired fails with
+ * status 410, and fetching the job again gives a fresh one.
+ * @param {Object|string} file - File metadata with a signed `url`, or the link itself
  * @param {string} fileName - Optional custom filename
- * @returns {Promise<Object>} - The download result
+ * @returns {Promise<void>}
  */
-const downloadFile = async (fileId, fileName = '') => {
-  try {
-    const response = await api.get(`${API_CONFIG.ENDPOINTS.FILES}/${fileId}/download`, {
-      responseType: 'blob',
-    });
-    
-    // Create a download link and trigger download
-    const url = window.URL.createObjectURL(new Blob([response.data]));
-    const link = document.createElement('a');
-    link.href = url;
-    link.setAttribute('download', fileName || `file-${fileId}`);
-    document.body.appendChild(link);
-    link.click();
-    link.remove();
-    
-    return {
-      success: true,
-    };
-  } catch (error) {
-    console.error('File download failed:', error);
-    return {
-      success: false,
-      error: error.message || ERROR_MESSAGES.DOWNLOAD_FAILED,
-      details: error,
-    };
+const downloadFile = async (file, fileName = '') => {
+  const link = typeof file === 'string' ? file : file?.url;
+  if (!link) {
+    throw new RequestError('No download link for this file', { code: ERROR_CODES.BAD_REQUEST });
   }
+  
+  // Links are paths on the API's origin
+  const apiOrigin = new URL(API_CONFIG.BASE_URL, window.location.origin).origin;
+  const blob = await api.get(new URL(link, apiOrigin).toString(), {
+    responseType: 'blob',
+  });
+  
+  // Create a download link and trigger download
+  const url = window.URL.createObjectURL(blob);
+  const anchor = document.createElement('a');
+  anchor.href = url;
+  anchor.setAttribute('download', fileName || file?.name || 'download');
+  document.body.appendChild(anchor);
+  anchor.click();
+  anchor.remove();
 };
 
-// Export the API service methods
+/**
+ * API service methods
+ *
+ * Each resolves to the `data` of the API's response and rejects with an
+ * ApiClientError subclass (see createApiError), so callers can tell e.g. a
+ * QuotaExceededError or RateLimitError from other failures.
+ */
 export const apiService = {
   // File operations
   upload: uploadFile,
+  uploadInChunks: uploadFileInChunks,
   convert: convertFile,
+  mergePdfs,
+  splitPdf,
+  compressPdf,
+  ocr,
+  getFormats,
+  getJobStatus,
+  cancelJob,
   getFileInfo,
   download: downloadFile,
   
   // Helper methods
   getApiUrl,
+  getAuthHeaders,
+  parseErrorResponse,
   isValidFileType: (file) => {
     return API_CONFIG.ALLOWED_FILE_TYPES.includes(file.type);
   },
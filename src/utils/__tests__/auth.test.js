@@ -0,0 +1,56 @@
+import { describe, expect, it } from 'vitest';
+import { verifyJwt } from '../auth';
+import { epochSeconds, signJwt } from './jwt';
+
+const SECRET = 'auth-test-secret';
+
+describe('verifyJwt', () => {
+  it('returns the claims of a token signed with the secret', () => {
+    const token = signJwt({ sub: 'user-1', team: 'team-1', exp: epochSeconds(60) }, SECRET);
+
+    expect(verifyJwt(token, SECRET)).toMatchObject({ sub: 'user-1', team: 'team-1' });
+  });
+
+  it('rejects a token signed with another secret', () => {
+    const token = signJwt({ team: 'team-1' }, 'another-secret');
+
+    expect(() => verifyJwt(token, SECRET)).toThrow(expect.objectContaining({
+      name: 'JsonWebTokenError',
+      message: 'invalid signature',
+    }));
+  });
+
+  it('rejects a token whose claims were changed', () => {
+    const [header, , signature] = signJwt({ team: 'team-1' }, SECRET).split('.');
+    const claims = Buffer.from(JSON.stringify({ team: 'team-2' })).toString('base64url');
+
+    expect(() => verifyJwt(`${header}.${claims}.${signature}`, SECRET)).toThrow('invalid signature');
+  });
+
+  it('rejects an expired token as TokenExpiredError', () => {
+    const token = signJwt({ team: 'team-1', exp: epochSeconds(-1) }, SECRET);
+
+    expect(() => verifyJwt(token, SECRET)).toThrow(expect.objectContaining({
+      name: 'TokenExpiredError',
+      message: 'jwt expired',
+    }));
+  });
+
+  it('rejects a token that is not active yet', () => {
+    const token = signJwt({ team: 'team-1', nbf: epochSeconds(60) }, SECRET);
+
+    expect(() => verifyJwt(token, SECRET)).toThrow('jwt not active');
+  });
+
+  it('rejects unsigned tokens and other algorithms', () => {
+    const [header, payload] = signJwt({ team: 'team-1' }, SECRET, { alg: 'none' }).split('.');
+
+    expect(() => verifyJwt(`${header}.${payload}.`, SECRET)).toThrow('invalid algorithm');
+    expect(() => verifyJwt(signJwt({ team: 'team-1' }, SECRET, { alg: 'HS384' }), SECRET)).toThrow('invalid algorithm');
+  });
+
+  it('rejects malformed tokens', () => {
+    expect(() => verifyJwt('not-a-jwt', SECRET)).toThrow('jwt malformed');
+    expect(() => verifyJwt('e30.!!!.sig', SECRET)).toThrow('jwt malformed');
+  });
+});
@@ -0,0 +1,23 @@
+import crypto from 'crypto';
+
+const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+/**
+ * Sign a compact JWT for tests
+ * @param {Object} claims - Token claims
+ * @param {string} secret - Signing secret
+ * @param {Object} header - Header fields to override, e.g. { alg: 'none' }
+ * @returns {string}
+ */
+export const signJwt = (claims, secret, header = {}) => {
+  const unsigned = `${encode({ alg: 'HS256', typ: 'JWT', ...header })}.${encode(claims)}`;
+  const signature = crypto.createHmac('sha256', secret).update(unsigned).digest('base64url');
+  return `${unsigned}.${signature}`;
+};
+
+/**
+ * Seconds since the epoch, as used by `exp` and `nbf`
+ * @param {number} offset - Seconds to add
+ * @returns {number}
+ */
+export const epochSeconds = (offset = 0) => Math.floor(Date.now() / 1000) + offset;
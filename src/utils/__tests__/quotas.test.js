@@ -0,0 +1,143 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { serverEnv } from '../../config/env';
+import { conversionQueue } from '../jobQueue';
+import { metadataStore } from '../metadataStore';
+import { assertConversionQuota, assertStorageQuota, getTeamUsage } from '../quotas';
+
+const MB = 1024 * 1024;
+const MINUTE = 60 * 1000;
+const NOW = Date.parse('2026-03-15T12:00:00.000Z');
+
+// Each test gets its own team, so records left by others do not count
+let teamCount = 0;
+const createAuth = (quotas = {}) => ({ team: { id: `quota-team-${++teamCount}`, quotas } });
+
+const addFile = (teamId, size) => {
+  const id = `file-${teamId}-${metadataStore.list('files').length}`;
+  metadataStore.set('files', id, { id, teamId, size });
+};
+
+const addJob = (teamId, startedAt, durationMs) => {
+  const id = `job-${teamId}-${conversionQueue.store.list('jobs').length}`;
+  conversionQueue.store.set('jobs', id, {
+    id,
+    type: 'convert',
+    status: durationMs === null ? 'running' : 'completed',
+    data: { teamId },
+    startedAt: new Date(startedAt).toISOString(),
+    completedAt: durationMs === null ? null : new Date(startedAt + durationMs).toISOString(),
+  });
+};
+
+let savedEnv;
+
+beforeEach(() => {
+  vi.useFakeTimers();
+  vi.setSystemTime(NOW);
+  savedEnv = { ...serverEnv };
+  Object.assign(serverEnv, {
+    QUOTA_CONVERSION_MINUTES: 10,
+    QUOTA_STORAGE_BYTES: 10 * MB,
+    QUOTA_MAX_FILE_SIZE: 5 * MB,
+  });
+});
+
+afterEach(() => {
+  Object.assign(serverEnv, savedEnv);
+  vi.useRealTimers();
+});
+
+describe('assertStorageQuota', () => {
+  it('allows files within the size and storage quotas', () => {
+    const auth = createAuth();
+    addFile(auth.team.id, 4 * MB);
+
+    expect(() => assertStorageQuota(auth, 5 * MB)).not.toThrow();
+  });
+
+  it('rejects a file over the maximum file size', () => {
+    const auth = createAuth();
+
+    expect(() => assertStorageQuota(auth, 5 * MB + 1)).toThrow(expect.objectContaining({
+      statusCode: 403,
+      code: 'QUOTA_FILE_SIZE_EXCEEDED',
+      details: { quota: 'maxFileSize', limit: 5 * MB, requested: 5 * MB + 1 },
+    }));
+  });
+
+  it('rejects a file that would take the team over its storage quota', () => {
+    const auth = createAuth();
+    addFile(auth.team.id, 4 * MB);
+    addFile(auth.team.id, 4 * MB);
+
+    expect(() => assertStorageQuota(auth, 3 * MB)).toThrow(expect.objectContaining({
+      statusCode: 403,
+      code: 'QUOTA_STORAGE_EXCEEDED',
+      details: { quota: 'storageBytes', limit: 10 * MB, used: 8 * MB, requested: 3 * MB },
+    }));
+  });
+
+  it('counts chunked uploads in progress and ignores other teams', () => {
+    const auth = createAuth();
+    const other = createAuth();
+    addFile(other.team.id, 9 * MB);
+    metadataStore.set('uploads', `upload-${auth.team.id}`, { id: `upload-${auth.team.id}`, teamId: auth.team.id, size: 4 * MB });
+
+    expect(getTeamUsage(auth.team.id).storageBytes).toBe(4 * MB);
+    expect(() => assertStorageQuota(auth, 5 * MB)).not.toThrow();
+    expect(() => assertStorageQuota(auth, 5 * MB + 1)).toThrow(expect.objectContaining({ code: 'QUOTA_FILE_SIZE_EXCEEDED' }));
+  });
+
+  it('uses the team\'s own quotas over the defaults, where 0 means unlimited', () => {
+    const auth = createAuth({ maxFileSize: 0, storageBytes: 0 });
+    addFile(auth.team.id, 100 * MB);
+
+    expect(() => assertStorageQuota(auth, 50 * MB)).not.toThrow();
+
+    const small = createAuth({ maxFileSize: MB });
+    expect(() => assertStorageQuota(small, 2 * MB)).toThrow(expect.objectContaining({ code: 'QUOTA_FILE_SIZE_EXCEEDED' }));
+  });
+});
+
+describe('assertConversionQuota', () => {
+  it('allows conversions while minutes are left this month', () => {
+    const auth = createAuth();
+    addJob(auth.team.id, NOW - 60 * MINUTE, 9 * MINUTE);
+
+    expect(() => assertConversionQuota(auth)).not.toThrow();
+  });
+
+  it('rejects conversions once the month\'s minutes are used up', () => {
+    const auth = createAuth();
+    addJob(auth.team.id, NOW - 60 * MINUTE, 6 * MINUTE);
+    addJob(auth.team.id, NOW - 30 * MINUTE, 4 * MINUTE);
+
+    expect(() => assertConversionQuota(auth)).toThrow(expect.objectContaining({
+      statusCode: 403,
+      code: 'QUOTA_CONVERSION_MINUTES_EXCEEDED',
+      details: { quota: 'conversionMinutes', limit: 10, used: 10, period: '2026-03' },
+    }));
+  });
+
+  it('counts running jobs up to now', () => {
+    const auth = createAuth();
+    addJob(auth.team.id, NOW - 10 * MINUTE, null);
+
+    expect(() => assertConversionQuota(auth)).toThrow(expect.objectContaining({ code: 'QUOTA_CONVERSION_MINUTES_EXCEEDED' }));
+  });
+
+  it('does not count jobs from earlier months', () => {
+    const auth = createAuth();
+    addJob(auth.team.id, Date.parse('2026-02-27T12:00:00.000Z'), 60 * MINUTE);
+
+    expect(getTeamUsage(auth.team.id).conversionMs).toBe(0);
+    expect(() => assertConversionQuota(auth)).not.toThrow();
+  });
+
+  it('never rejects a team with unlimited minutes', () => {
+    const auth = createAuth({ conversionMinutes: 0 });
+    addJob(auth.team.id, NOW - 60 * MINUTE, 60 * MINUTE);
+
+    expect(() => assertConversionQuota(auth)).not.toThrow();
+  });
+});
@@ -0,0 +1,184 @@
+import { afterEach, beforeEach, describe, expect, it } from 'vitest';
+import { serverEnv } from '../../config/env';
+import { checkRateLimit, createMemoryStore, isValidJwt } from '../rateLimit';
+import { epochSeconds, signJwt } from './jwt';
+
+const SECRET = 'rate-limit-test-secret';
+const WINDOW_MS = 60 * 1000;
+
+const request = (path, { method = 'GET', headers = {}, ip } = {}) => {
+  const req = new Request(`http://localhost:3000${path}`, { method, headers });
+  if (ip) req.ip = ip;
+  return req;
+};
+
+let savedEnv;
+
+beforeEach(() => {
+  savedEnv = { ...serverEnv };
+  Object.assign(serverEnv, {
+    JWT_SECRET: SECRET,
+    TRUST_PROXY: 0,
+    RATE_LIMIT_WINDOW_MS: WINDOW_MS,
+    RATE_LIMIT_MAX: 3,
+    RATE_LIMIT_UPLOAD_MAX: 2,
+    RATE_LIMIT_CHUNK_MAX: 10,
+    RATE_LIMIT_CONVERT_MAX: 2,
+    RATE_LIMIT_STATUS_MAX: 10,
+  });
+});
+
+afterEach(() => {
+  Object.assign(serverEnv, savedEnv);
+});
+
+describe('isValidJwt', () => {
+  it('accepts an unexpired token signed with JWT_SECRET', async () => {
+    expect(await isValidJwt(signJwt({ team: 'team-1', exp: epochSeconds(60) }, SECRET))).toBe(true);
+    expect(await isValidJwt(signJwt({ team: 'team-1' }, SECRET))).toBe(true);
+  });
+
+  it('rejects a token signed with another secret', async () => {
+    expect(await isValidJwt(signJwt({ team: 'team-1' }, 'another-secret'))).toBe(false);
+  });
+
+  it('rejects an expired token', async () => {
+    expect(await isValidJwt(signJwt({ team: 'team-1', exp: epochSeconds(-1) }, SECRET))).toBe(false);
+  });
+
+  it('rejects tokens that do not use HS256', async () => {
+    const [header, payload] = signJwt({ team: 'team-1' }, SECRET, { alg: 'none' }).split('.');
+
+    expect(await isValidJwt(`${header}.${payload}.`)).toBe(false);
+    expect(await isValidJwt(signJwt({ team: 'team-1' }, SECRET, { alg: 'HS512' }))).toBe(false);
+  });
+
+  it('rejects malformed tokens', async () => {
+    const token = signJwt({ team: 'team-1' }, SECRET);
+
+    expect(await isValidJwt('not-a-jwt')).toBe(false);
+    expect(await isValidJwt(`${token}.extra`)).toBe(false);
+    expect(await isValidJwt(`!!!.${token.split('.').slice(1).join('.')}`)).toBe(false);
+  });
+
+  it('rejects every token without JWT_SECRET', async () => {
+    const token = signJwt({ team: 'team-1' }, SECRET);
+    serverEnv.JWT_SECRET = undefined;
+
+    expect(await isValidJwt(token)).toBe(false);
+  });
+});
+
+describe('checkRateLimit', () => {
+  it('allows requests until the budget is spent, then rejects with 429', async () => {
+    const store = createMemoryStore();
+    const now = Date.now();
+
+    const results = [];
+    for (let i = 0; i < 4; i++) {
+      results.push(await checkRateLimit(request('/api/files/file-1'), { store, now }));
+    }
+
+    expect(results.map(result => result.allowed)).toEqual([true, true, true, false]);
+    expect(results[0].budget).toBe('default');
+    expect(results[0].headers).toMatchObject({ 'X-RateLimit-Limit': '3', 'X-RateLimit-Remaining': '2' });
+
+    const rejected = results[3];
+    expect(rejected.headers['X-RateLimit-Remaining']).toBe('0');
+    expect(Number(rejected.headers['Retry-After'])).toBeGreaterThan(0);
+    expect(rejected.error).toMatchObject({
+      statusCode: 429,
+      code: 'RATE_LIMIT_EXCEEDED',
+      details: { budget: 'default', limit: 3 },
+    });
+  });
+
+  it('refills the bucket over the window', async () => {
+    const store = createMemoryStore();
+    const now = Date.now();
+
+    for (let i = 0; i < 3; i++) {
+      await checkRateLimit(request('/api/files/file-1'), { store, now });
+    }
+    expect((await checkRateLimit(request('/api/files/file-1'), { store, now })).allowed).toBe(false);
+
+    // One token comes back every third of the window
+    const later = await checkRateLimit(request('/api/files/file-1'), { store, now: now + WINDOW_MS / 3 });
+    expect(later.allowed).toBe(true);
+  });
+
+  it('keeps separate budgets for uploads, conversions and other requests', async () => {
+    const store = createMemoryStore();
+    const now = Date.now();
+    const take = (path, method) => checkRateLimit(request(path, { method }), { store, now });
+
+    expect((await take('/api/upload', 'POST')).budget).toBe('upload');
+    expect((await take('/api/upload', 'POST')).allowed).toBe(true);
+    expect((await take('/api/upload', 'POST')).allowed).toBe(false);
+
+    expect(await take('/api/convert', 'POST')).toMatchObject({ allowed: true, budget: 'convert' });
+    expect(await take('/api/pdf/merge', 'POST')).toMatchObject({ allowed: true, budget: 'convert' });
+    expect(await take('/api/convert', 'GET')).toMatchObject({ allowed: true, budget: 'status' });
+    expect(await take('/api/files/file-1', 'GET')).toMatchObject({ allowed: true, budget: 'default' });
+  });
+
+  it('skips exempt routes and budgets turned off', async () => {
+    const store = createMemoryStore();
+
+    expect(await checkRateLimit(request('/api/cloudconvert/webhook', { method: 'POST' }), { store })).toBeNull();
+
+    serverEnv.RATE_LIMIT_MAX = 0;
+    expect(await checkRateLimit(request('/api/files/file-1'), { store })).toBeNull();
+  });
+
+  it('counts clients by IP', async () => {
+    const store = createMemoryStore();
+    const now = Date.now();
+
+    for (let i = 0; i < 3; i++) {
+      await checkRateLimit(request('/api/files/file-1', { ip: '203.0.113.1' }), { store, now });
+    }
+
+    expect((await checkRateLimit(request('/api/files/file-1', { ip: '203.0.113.1' }), { store, now })).allowed).toBe(false);
+    expect((await checkRateLimit(request('/api/files/file-1', { ip: '203.0.113.2' }), { store, now })).allowed).toBe(true);
+  });
+
+  it('ignores forwarded IPs unless TRUST_PROXY is set', async () => {
+    const store = createMemoryStore();
+    const now = Date.now();
+    const fromForwarded = (ip) => request('/api/files/file-1', { headers: { 'X-Forwarded-For': ip } });
+
+    for (let i = 0; i < 3; i++) {
+      await checkRateLimit(fromForwarded(`198.51.100.${i}`), { store, now });
+    }
+    expect((await checkRateLimit(fromForwarded('198.51.100.9'), { store, now })).allowed).toBe(false);
+
+    serverEnv.TRUST_PROXY = 1;
+    expect((await checkRateLimit(fromForwarded('198.51.100.9'), { store, now })).allowed).toBe(true);
+  });
+
+  it('gives a verified JWT its own budget, but not a forged one', async () => {
+    const store = createMemoryStore();
+    const now = Date.now();
+    const withToken = (token) => request('/api/files/file-1', {
+      ip: '203.0.113.1',
+      headers: { Authorization: `Bearer ${token}` },
+    });
+
+    for (let i = 0; i < 3; i++) {
+      await checkRateLimit(request('/api/files/file-1', { ip: '203.0.113.1' }), { store, now });
+    }
+
+    const forged = signJwt({ team: 'team-1' }, 'another-secret');
+    expect((await checkRateLimit(withToken(forged), { store, now })).allowed).toBe(false);
+
+    const valid = signJwt({ team: 'team-1' }, SECRET);
+    expect((await checkRateLimit(withToken(valid), { store, now })).allowed).toBe(true);
+  });
+
+  it('lets requests through when the store fails', async () => {
+    const store = { take: async () => { throw new Error('unreachable'); } };
+
+    expect(await checkRateLimit(request('/api/files/file-1'), { store })).toBeNull();
+  });
+});
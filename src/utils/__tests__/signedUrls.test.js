@@ -0,0 +1,95 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { consumeSignedUrl, createSignedUrl, verifySignedUrl } from '../signedUrls';
+
+const HOUR = 60 * 60 * 1000;
+
+// verifySignedUrl and consumeSignedUrl take the full request URL
+const toRequestUrl = (link) => `http://localhost:3000${link}`;
+
+describe('verifySignedUrl', () => {
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('accepts a link it signed', () => {
+    const link = createSignedUrl('file-1');
+
+    expect(link).toMatch(/^\/api\/files\/file-1\/download\?expires=\d+&signature=/);
+    expect(verifySignedUrl(toRequestUrl(link))).toBeNull();
+  });
+
+  it('accepts inline links to the file route', () => {
+    const link = createSignedUrl('file-1', { disposition: 'inline' });
+
+    expect(link).toMatch(/^\/api\/files\/file-1\?/);
+    expect(verifySignedUrl(toRequestUrl(link))).toBeNull();
+  });
+
+  it('rejects a link without a signature', () => {
+    const error = verifySignedUrl(toRequestUrl('/api/files/file-1/download?expires=9999999999'));
+
+    expect(error).toMatchObject({ statusCode: 403, code: 'LINK_INVALID' });
+  });
+
+  it('rejects a link whose file, expiry or token was changed', () => {
+    const link = createSignedUrl('file-1', { singleUse: true });
+    const expires = new URL(toRequestUrl(link)).searchParams.get('expires');
+
+    const tampered = [
+      link.replace('file-1', 'file-2'),
+      link.replace(`expires=${expires}`, `expires=${Number(expires) + 3600}`),
+      link.replace(/token=[0-9a-f]+/, 'token=0123456789abcdef0123456789abcdef'),
+      link.replace('/download', ''),
+    ];
+
+    tampered.forEach((url) => {
+      expect(verifySignedUrl(toRequestUrl(url))).toMatchObject({ statusCode: 403, code: 'LINK_INVALID' });
+    });
+  });
+
+  it('rejects an expired link with 410', () => {
+    vi.useFakeTimers();
+    const link = createSignedUrl('file-1', { expiresIn: HOUR });
+
+    vi.advanceTimersByTime(HOUR + 1000);
+
+    expect(verifySignedUrl(toRequestUrl(link))).toMatchObject({ statusCode: 410, code: 'LINK_EXPIRED' });
+  });
+});
+
+describe('consumeSignedUrl', () => {
+  it('leaves links that are not single-use working', () => {
+    const url = toRequestUrl(createSignedUrl('file-1', { singleUse: false }));
+
+    expect(consumeSignedUrl(url)).toBeNull();
+    expect(consumeSignedUrl(url)).toBeNull();
+    expect(verifySignedUrl(url)).toBeNull();
+  });
+
+  it('lets a single-use link be downloaded once', () => {
+    const url = toRequestUrl(createSignedUrl('file-1', { singleUse: true }));
+
+    expect(verifySignedUrl(url)).toBeNull();
+    expect(consumeSignedUrl(url)).toBeNull();
+
+    expect(verifySignedUrl(url)).toMatchObject({ statusCode: 410, code: 'LINK_USED' });
+    expect(consumeSignedUrl(url)).toMatchObject({ statusCode: 410, code: 'LINK_USED' });
+  });
+
+  it('does not use up a link that was only verified', () => {
+    const url = toRequestUrl(createSignedUrl('file-1', { singleUse: true }));
+
+    expect(verifySignedUrl(url)).toBeNull();
+    expect(verifySignedUrl(url)).toBeNull();
+    expect(consumeSignedUrl(url)).toBeNull();
+  });
+
+  it('keeps each single-use link separate', () => {
+    const first = toRequestUrl(createSignedUrl('file-1', { singleUse: true }));
+    const second = toRequestUrl(createSignedUrl('file-1', { singleUse: true }));
+
+    expect(consumeSignedUrl(first)).toBeNull();
+    expect(verifySignedUrl(second)).toBeNull();
+    expect(consumeSignedUrl(second)).toBeNull();
+  });
+});
@@ -1,3 +1,7 @@
+import { NextResponse } from 'next/server';
+import { v4 as uuidv4 } from 'uuid';
+import { logger } from './logger';
+
 /**
  * Custom API Error class for consistent error handling
  */
@@ -65,6 +69,43 @@ class ApiError extends Error {
     return new ApiError(404, message, code, details);
   }
 
+  /**
+   * Create a conflict error (409)
+   * @param {string} message - Error message
+   * @param {string} code - Custom error code
+   * @param {Object} details - Additional error details
+   * @returns {ApiError}
+   */
+  static conflict(message = 'Conflict', code = 'CONFLICT', details = {}) {
+    return new ApiError(409, message, code, details);
+  }
+
+  /**
+   * Create a payload too large error (413)
+   * @param {string} message - Error message
+   * @param {string} code - Custom error code
+   * @param {Object} details - Additional error details
+   * @returns {ApiError}
+   */
+  static payloadTooLarge(message = 'Payload Too Large', code = 'FILE_TOO_LARGE', details = {}) {
+    return new ApiError(413, message, code, details);
+  }
+
+  /**
+   * Create an unsupported media type error (415)
+   * @param {string} message - Error message
+   * @param {string} code - Custom error code
+   * @param {Object} details - Additional error details
+   * @returns {ApiError}
+   */
+  static unsupportedMediaType(
+    message = 'Unsupported Media Type',
+    code = 'UNSUPPORTED_FILE_TYPE',
+    details = {}
+  ) {
+    return new ApiError(415, message, code, details);
+  }
+
   /**
    * Create a validation error (422)
    * @param {string} message - Error message
@@ -127,6 +168,17 @@ class ApiError extends Error {
     return new ApiError(501, message, code, details);
   }
 
+  /**
+   * Create a bad gateway error (502), for failures of a conversion provider
+   * @param {string} message - Error message
+   * @param {string} code - Custom error code
+   * @param {Object} details - Additional error details
+   * @returns {ApiError}
+   */
+  static badGateway(message = 'Bad Gateway', code = 'PROVIDER_ERROR', details = {}) {
+    return new ApiError(502, message, code, details);
+  }
+
   /**
    * Create a service unavailable error (503)
    * @param {string} message - Error message
@@ -143,18 +195,29 @@ class ApiError extends Error {
   }
 
   /**
-   * Convert error to JSON response
-   * @returns {Object} JSON response object
+   * Create a gateway timeout error (504), for providers that do not answer in time
+   * @param {string} message - Error message
+   * @param {string} code - Custom error code
+   * @param {Object} details - Additional error details
+   * @returns {ApiError}
+   */
+  static gatewayTimeout(message = 'Gateway Timeout', code = 'PROVIDER_TIMEOUT', details = {}) {
+    return new ApiError(504, message, code, details);
+  }
+
+  /**
+   * Convert error to the JSON error envelope
+   *
+   * `error` stays the human-readable message (older clients show it as is);
+   * `code` is the stable, machine-readable part.
+   * @returns {{success: false, error: string, code: string, details?: Object}}
    */
   toJSON() {
     return {
       success: false,
-      error: {
-        code: this.code,
-        message: this.message,
-        ...(Object.keys(this.details).length > 0 && { details: this.details }),
-        ...(process.env.NODE_ENV !== 'production' && { stack: this.stack }),
-      },
+      error: this.message,
+      code: this.code,
+      ...(Object.keys(this.details).length > 0 && { details: this.details }),
     };
   }
 
@@ -188,46 +251,72 @@ class ApiError extends Error {
   }
 }
 
+// Header carrying the request ID, in both directions
+export const REQUEST_ID_HEADER = 'X-Request-Id';
+
 /**
- * Error handler middleware for Express/Next.js API routes
+ * ID of a request, reported with its errors so they can be found in the logs
+ *
+ * An ID sent by the client or a proxy is kept when it looks sane; otherwise a
+ * new one is made.
+ * @param {Request} request - Incoming request
+ * @returns {string}
+ */
+const getRequestId = (request) => {
+  const id = request?.headers?.get(REQUEST_ID_HEADER);
+  return id && /^[\w.:-]{1,128}$/.test(id) ? id : uuidv4();
+};
+
+/**
+ * Parse a request's JSON body
+ *
+ * Only errors from parsing the body are reported as INVALID_JSON; a
+ * SyntaxError thrown anywhere else is a bug and stays a 500.
+ * @param {Request} request - Incoming request
+ * @returns {Promise<Object>} The body
+ * @throws {ApiError} 400 when the body is not a JSON object
+ */
+const readJson = async (request) => {
+  let body;
+  try {
+    body = await request.json();
+  } catch (error) {
+    throw ApiError.badRequest('Request body is not valid JSON', 'INVALID_JSON');
+  }
+
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    throw ApiError.badRequest('Request body must be a JSON object', 'INVALID_JSON');
+  }
+
+  return body;
+};
+
+/**
+ * Turn anything thrown by a route into an ApiError
  * @param {Error} err - Error object
- * @param {import('next').NextApiRequest} req - Request object
- * @param {import('next').NextApiResponse} res - Response object
+ * @param {Object} fallback - Used for unexpected errors
+ * @param {string} fallback.message - Message shown to clients
+ * @param {string} fallback.code - Error code
+ * @returns {ApiError}
  */
-const errorHandler = (err, req, res) => {
-  // Log the error for debugging
-  console.error(`[${new Date().toISOString()}] Error:`, {
-    message: err.message,
-    stack: err.stack,
-    url: req?.url,
-    method: req?.method,
-    ...(err.details && { details: err.details }),
-  });
-
-  // Handle API errors
+const toApiError = (err, { message = 'Internal Server Error', code = 'INTERNAL_SERVER_ERROR' } = {}) => {
   if (err instanceof ApiError) {
-    return res.status(err.statusCode).json(err.toJSON());
+    return err;
   }
 
   // Handle JWT errors
   if (err.name === 'JsonWebTokenError' || err.name === 'TokenExpiredError') {
-    const authError = ApiError.unauthorized('Invalid or expired token', 'INVALID_TOKEN');
-    return res.status(authError.statusCode).json(authError.toJSON());
+    return ApiError.unauthorized('Invalid or expired token', 'INVALID_TOKEN');
   }
 
-  // Handle validation errors (e.g., from express-validator)
-  if (err.name === 'ValidationError' || Array.isArray(err.errors)) {
-    const validationError = ApiError.validationError(
-      'Validation failed',
-      err.errors,
-      'VALIDATION_ERROR'
-    );
-    return res.status(validationError.statusCode).json(validationError.toJSON());
+  // Handle validation errors
+  if (err.name === 'ValidationError') {
+    return ApiError.validationError('Validation failed', err.errors, 'VALIDATION_ERROR');
   }
 
   // Handle rate limiting errors
   if (err.statusCode === 429) {
-    const rateLimitError = ApiError.tooManyRequests(
+    return ApiError.tooManyRequests(
       'Too many requests, please try again later',
       'RATE_LIMIT_EXCEEDED',
       {
@@ -236,31 +325,111 @@ const errorHandler = (err, req, res) => {
         current: err.current,
       }
     );
-    return res.status(rateLimitError.statusCode).json(rateLimitError.toJSON());
   }
 
   // Default to 500 Internal Server Error
-  const internalError = ApiError.internal(
-    process.env.NODE_ENV === 'production' ? 'Internal Server Error' : err.message,
-    'INTERNAL_SERVER_ERROR',
-    process.env.NODE_ENV === 'development' ? { stack: err.stack } : {}
+  return ApiError.internal(
+    message,
+    code,
+    process.env.NODE_ENV === 'development' ? { originalError: err.message } : {}
   );
+};
 
-  return res.status(internalError.statusCode).json(internalError.toJSON());
+/**
+ * Logger for a request: every entry carries its request ID, method and path
+ * @param {Request} request - Incoming request
+ * @param {string} requestId - Request ID (read or generated if omitted)
+ * @returns {Object} Child logger
+ */
+const getRequestLogger = (request, requestId = getRequestId(request)) => {
+  const url = request?.url ? new URL(request.url, 'http://localhost') : null;
+  return logger.child({ requestId, method: request?.method, path: url?.pathname });
 };
 
 /**
- * Async handler for API routes to catch async/await errors
+ * JSON error response for an ApiError
+ * @private
+ */
+const createErrorResponse = (error, requestId) => {
+  const headers = { [REQUEST_ID_HEADER]: requestId };
+  if (error.statusCode === 401) {
+    headers['WWW-Authenticate'] = 'Bearer';
+  }
+  if (error.details.retryAfter) {
+    headers['Retry-After'] = String(error.details.retryAfter);
+  }
+
+  return NextResponse.json({ ...error.toJSON(), requestId }, { status: error.statusCode, headers });
+};
+
+/**
+ * Error handler for App Router route handlers
+ *
+ * Responds with the JSON error envelope:
+ *
+ *   { success: false, error: <message>, code: <stable code>, details?: {...}, requestId }
+ *
+ * The request ID is also sent in the X-Request-Id header. Unexpected errors
+ * are logged and reported as 500s with the fallback message, so internals
+ * never reach clients outside development.
+ * @param {Error} err - Error object
+ * @param {Request} request - Incoming request
+ * @param {Object} options - Options
+ * @param {string} options.requestId - Request ID (read or generated if omitted)
+ * @param {string} options.message - Message for unexpected errors
+ * @param {string} options.code - Code for unexpected errors
+ * @returns {NextResponse}
+ */
+const errorHandler = (err, request, { requestId = getRequestId(request), message, code } = {}) => {
+  const error = toApiError(err, { message, code });
+
+  if (error.statusCode >= 500) {
+    getRequestLogger(request, requestId).error('Request failed', { status: error.statusCode, code: error.code, error: err });
+  }
+
+  return createErrorResponse(error, requestId);
+};
+
+/**
+ * Wrap an App Router route handler so thrown errors become error responses
+ *
+ *   export const POST = asyncHandler(async (request, { params, log }) => { ... },
+ *     { message: 'Failed to do the thing' });
+ *
+ * The handler's context gets the `requestId` and a `log` that tags entries
+ * with it. Every response, successful or not, carries the X-Request-Id header,
+ * and each request is logged once it is answered, with its status and
+ * duration (and the error, for failures).
  * @param {Function} handler - Async route handler function
+ * @param {Object} fallback - Message and code for unexpected errors
  * @returns {Function} Wrapped handler with error handling
  */
-const asyncHandler = (handler) => async (req, res) => {
+const asyncHandler = (handler, fallback = {}) => async (request, context = {}) => {
+  const startedAt = Date.now();
+  const requestId = getRequestId(request);
+  const log = getRequestLogger(request, requestId);
+
+  let response;
+  let failure = null;
   try {
-    await handler(req, res);
-  } catch (error) {
-    return errorHandler(error, req, res);
+    response = await handler(request, { ...context, requestId, log });
+    response?.headers?.set(REQUEST_ID_HEADER, requestId);
+  } catch (err) {
+    failure = { err, error: toApiError(err, fallback) };
+    response = createErrorResponse(failure.error, requestId);
   }
+
+  const status = response?.status;
+  const entry = { status, durationMs: Date.now() - startedAt };
+  if (failure) {
+    entry.code = failure.error.code;
+    // The cause of server errors; client errors are explained by their code
+    if (status >= 500) entry.error = failure.err;
+  }
+  log[status >= 500 ? 'error' : 'info']('Request completed', entry);
+
+  return response;
 };
 
-export { ApiError, errorHandler, asyncHandler };
+export { ApiError, getRequestId, getRequestLogger, readJson, toApiError, errorHandler, asyncHandler };
 export default ApiError;
@@ -0,0 +1,362 @@
+import crypto from 'crypto';
+import { v4 as uuidv4 } from 'uuid';
+import { serverEnv, getSecret } from '../config/env';
+import { ApiError } from './apiError';
+import { conversionQueue } from './jobQueue';
+import { metadataStore } from './metadataStore';
+
+/**
+ * Authentication of /api requests
+ *
+ * Every request acts for a team. Clients identify it with either:
+ *   - an API key, sent as `X-Api-Key: fck_...` or `Authorization: Bearer fck_...`.
+ *     Keys are issued per team through /api/admin/teams and only their
+ *     SHA-256 hash is stored (`apiKeys` collection).
+ *   - a JWT signed with JWT_SECRET (HS256), sent as `Authorization: Bearer <jwt>`,
+ *     whose `team` claim names the team.
+ *
+ * Teams are kept in the `teams` collection with their quotas (see quotas.js).
+ * Files, upload sessions and jobs record the `teamId` that created them and
+ * are only visible to that team. Without AUTH_REQUIRED, requests without
+ * credentials act for the built-in anonymous team.
+ *
+ * Admin routes use the separate API_SECRET_KEY, see `assertAdminKey`.
+ */
+
+export const ANONYMOUS_TEAM_ID = 'anonymous';
+
+const API_KEY_PREFIX = 'fck_';
+
+// lastUsedAt is only written this often, not on every request
+const LAST_USED_RESOLUTION = 60 * 1000;
+
+/**
+ * SHA-256 of an API key, the ID of its record
+ * @param {string} key - API key
+ * @returns {string}
+ */
+export const hashApiKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+/**
+ * Create a team
+ * @param {Object} params - Team details
+ * @param {string} params.name - Display name
+ * @param {Object} params.quotas - Quota overrides: conversionMinutes, storageBytes, maxFileSize
+ * @returns {Object} The team
+ */
+export const createTeam = ({ name, quotas = {} }) => {
+  if (!name || typeof name !== 'string') {
+    throw ApiError.badRequest('name is required');
+  }
+
+  const now = new Date().toISOString();
+  const team = {
+    id: uuidv4(),
+    name,
+    quotas: sanitizeQuotas(quotas),
+    createdAt: now,
+    updatedAt: now,
+  };
+
+  metadataStore.set('teams', team.id, team);
+  return team;
+};
+
+/**
+ * Change a team's name or quotas
+ * @param {string} teamId - Team ID
+ * @param {Object} changes - New name and/or quota overrides (null removes an override)
+ * @returns {Object} The updated team
+ */
+export const updateTeam = (teamId, { name, quotas } = {}) => {
+  const team = getTeam(teamId);
+  if (!team || teamId === ANONYMOUS_TEAM_ID) {
+    throw ApiError.notFound('Team not found', 'TEAM_NOT_FOUND');
+  }
+
+  return metadataStore.update('teams', teamId, {
+    ...(name && { name }),
+    ...(quotas && { quotas: sanitizeQuotas({ ...team.quotas, ...quotas }) }),
+    updatedAt: new Date().toISOString(),
+  });
+};
+
+/**
+ * Get a team
+ * @param {string} teamId - Team ID
+ * @returns {Object|null} The team, or null if unknown
+ */
+export const getTeam = (teamId) => {
+  if (teamId === ANONYMOUS_TEAM_ID) {
+    return { id: ANONYMOUS_TEAM_ID, name: 'Anonymous', quotas: {} };
+  }
+  return metadataStore.get('teams', teamId);
+};
+
+/**
+ * Issue an API key for a team
+ *
+ * The key itself is only returned here; it cannot be recovered later.
+ * @param {string} teamId - Team ID
+ * @param {Object} params - Key details
+ * @param {string} params.name - Label, e.g. where the key is used
+ * @returns {{key: string, apiKey: Object}} The key and its public record
+ */
+export const issueApiKey = (teamId, { name = 'API key' } = {}) => {
+  if (teamId === ANONYMOUS_TEAM_ID || !getTeam(teamId)) {
+    throw ApiError.notFound('Team not found', 'TEAM_NOT_FOUND');
+  }
+
+  const key = `${API_KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+  const record = {
+    id: hashApiKey(key),
+    keyId: uuidv4(),
+    teamId,
+    name,
+    // Enough to tell keys apart in listings
+    hint: `${key.slice(0, API_KEY_PREFIX.length + 4)}…${key.slice(-4)}`,
+    createdAt: new Date().toISOString(),
+    lastUsedAt: null,
+    revokedAt: null,
+  };
+
+  metadataStore.set('apiKeys', record.id, record);
+  return { key, apiKey: toPublicApiKey(record) };
+};
+
+/**
+ * List a team's API keys, without the keys themselves
+ * @param {string} teamId - Team ID
+ * @returns {Array<Object>}
+ */
+export const listApiKeys = (teamId) => {
+  return metadataStore
+    .list('apiKeys', record => record.teamId === teamId)
+    .map(toPublicApiKey);
+};
+
+/**
+ * Revoke an API key; requests using it are rejected from now on
+ * @param {string} teamId - Team ID
+ * @param {string} keyId - Public key ID (`keyId` in listings)
+ * @returns {Object} The revoked key
+ */
+export const revokeApiKey = (teamId, keyId) => {
+  const [record] = metadataStore.list('apiKeys', key => key.teamId === teamId && key.keyId === keyId);
+  if (!record) {
+    throw ApiError.notFound('API key not found', 'API_KEY_NOT_FOUND');
+  }
+
+  return toPublicApiKey(metadataStore.update('apiKeys', record.id, {
+    revokedAt: record.revokedAt || new Date().toISOString(),
+  }));
+};
+
+/**
+ * Verify an HS256 JWT
+ *
+ * Errors are named like those of the jsonwebtoken package
+ * (JsonWebTokenError, TokenExpiredError), which errorHandler understands.
+ * @param {string} token - Compact JWT
+ * @param {string} secret - Signing secret
+ * @returns {Object} The token's claims
+ */
+export const verifyJwt = (token, secret) => {
+  const fail = (message, name = 'JsonWebTokenError') => {
+    const error = new Error(message);
+    error.name = name;
+    return error;
+  };
+
+  const [encodedHeader, encodedPayload, signature = ''] = token.split('.');
+  let header;
+  let claims;
+  try {
+    header = JSON.parse(Buffer.from(encodedHeader, 'base64url').toString());
+    claims = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString());
+  } catch (error) {
+    throw fail('jwt malformed');
+  }
+
+  // Only the algorithm we sign with; never "none" or one chosen by the token
+  if (header.alg !== 'HS256') {
+    throw fail('invalid algorithm');
+  }
+
+  const expected = Buffer.from(crypto
+    .createHmac('sha256', secret)
+    .update(`${encodedHeader}.${encodedPayload}`)
+    .digest('base64url'));
+  const provided = Buffer.from(signature);
+
+  if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+    throw fail('invalid signature');
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  if (typeof claims.exp === 'number' && claims.exp <= now) {
+    throw fail('jwt expired', 'TokenExpiredError');
+  }
+  if (typeof claims.nbf === 'number' && claims.nbf > now) {
+    throw fail('jwt not active');
+  }
+
+  return claims;
+};
+
+/**
+ * Identify the team a request acts for
+ * @param {Request} request - Incoming request
+ * @returns {{team: Object, method: 'api-key'|'jwt'|'anonymous', keyId?: string, subject?: string}}
+ * @throws {ApiError} 401 for missing (when required), unknown, revoked or invalid credentials
+ */
+export const authenticate = (request) => {
+  const authorization = request.headers.get('authorization') || '';
+  const bearer = authorization.startsWith('Bearer ') ? authorization.slice(7).trim() : '';
+  const apiKey = request.headers.get('x-api-key') || (bearer.startsWith(API_KEY_PREFIX) ? bearer : '');
+
+  if (apiKey) {
+    return authenticateApiKey(apiKey);
+  }
+
+  if (bearer) {
+    return authenticateJwt(bearer);
+  }
+
+  if (serverEnv.AUTH_REQUIRED) {
+    throw ApiError.unauthorized('Authentication required: send an API key or a bearer token', 'AUTH_REQUIRED');
+  }
+
+  return { team: getTeam(ANONYMOUS_TEAM_ID), method: 'anonymous' };
+};
+
+/**
+ * Whether a file, upload session or job's data belongs to the request's team
+ *
+ * Records from before teams existed belong to the anonymous team.
+ * @param {Object} auth - Auth context from authenticate()
+ * @param {Object} record - Record with an optional `teamId`
+ * @returns {boolean}
+ */
+export const isOwnedBy = (auth, record) => {
+  return Boolean(record) && (record.teamId || ANONYMOUS_TEAM_ID) === auth.team.id;
+};
+
+/**
+ * Whether a job was started by the request's team
+ * @param {Object} auth - Auth context from authenticate()
+ * @param {string} jobId - Job ID
+ * @returns {boolean}
+ */
+export const isJobOwnedBy = (auth, jobId) => {
+  return isOwnedBy(auth, conversionQueue.store.get('jobs', jobId)?.data);
+};
+
+/**
+ * Check that the request carries the admin key (API_SECRET_KEY)
+ * @param {Request} request - Incoming request
+ * @throws {ApiError} 503 when admin routes are disabled, 401 for a missing or wrong key
+ */
+export const assertAdminKey = (request) => {
+  if (!serverEnv.API_SECRET_KEY) {
+    throw ApiError.serviceUnavailable('Admin endpoints are disabled; set API_SECRET_KEY', 'ADMIN_DISABLED');
+  }
+
+  const expected = Buffer.from(serverEnv.API_SECRET_KEY);
+  const provided = Buffer.from(request.headers.get('x-api-key') || '');
+
+  if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+    throw ApiError.unauthorized('Invalid or missing API key', 'UNAUTHORIZED');
+  }
+};
+
+/**
+ * Team of an API key
+ * @private
+ */
+function authenticateApiKey(key) {
+  const record = metadataStore.get('apiKeys', hashApiKey(key));
+  if (!record || record.revokedAt) {
+    throw ApiError.unauthorized('Invalid or revoked API key', 'INVALID_API_KEY');
+  }
+
+  const team = getTeam(record.teamId);
+  if (!team) {
+    throw ApiError.unauthorized('The team of this API key no longer exists', 'INVALID_API_KEY');
+  }
+
+  const now = Date.now();
+  if (!record.lastUsedAt || now - Date.parse(record.lastUsedAt) > LAST_USED_RESOLUTION) {
+    metadataStore.update('apiKeys', record.id, { lastUsedAt: new Date(now).toISOString() });
+  }
+
+  return { team, method: 'api-key', keyId: record.keyId };
+}
+
+/**
+ * Team named by a JWT
+ * @private
+ */
+function authenticateJwt(token) {
+  const secret = getSecret('JWT_SECRET');
+  if (!secret) {
+    throw ApiError.unauthorized('Bearer tokens are not accepted; set JWT_SECRET or use an API key', 'INVALID_TOKEN');
+  }
+
+  let claims;
+  try {
+    claims = verifyJwt(token, secret);
+  } catch (error) {
+    const expired = error.name === 'TokenExpiredError';
+    throw ApiError.unauthorized(expired ? 'Token has expired' : 'Invalid or expired token', expired ? 'TOKEN_EXPIRED' : 'INVALID_TOKEN');
+  }
+
+  const team = claims.team && claims.team !== ANONYMOUS_TEAM_ID ? getTeam(claims.team) : null;
+  if (!team) {
+    throw ApiError.unauthorized('Token does not name a known team', 'INVALID_TOKEN');
+  }
+
+  return { team, method: 'jwt', subject: claims.sub };
+}
+
+/**
+ * Keep only known, non-negative quota overrides
+ * @private
+ */
+function sanitizeQuotas(quotas) {
+  return Object.fromEntries(
+    ['conversionMinutes', 'storageBytes', 'maxFileSize']
+      .filter(name => quotas[name] !== undefined && quotas[name] !== null)
+      .map((name) => {
+        const value = Number(quotas[name]);
+        if (!Number.isFinite(value) || value < 0) {
+          throw ApiError.badRequest(`quotas.${name} must be a non-negative number`, 'INVALID_QUOTA');
+        }
+        return [name, value];
+      })
+  );
+}
+
+/**
+ * API key record without its hash
+ * @private
+ */
+function toPublicApiKey({ id, ...record }) {
+  return record;
+}
+
+export default {
+  ANONYMOUS_TEAM_ID,
+  hashApiKey,
+  createTeam,
+  updateTeam,
+  getTeam,
+  issueApiKey,
+  listApiKeys,
+  revokeApiKey,
+  verifyJwt,
+  authenticate,
+  isOwnedBy,
+  isJobOwnedBy,
+  assertAdminKey,
+};
@@ -0,0 +1,185 @@
+import { API_CONFIG } from '../config/api';
+import { serverEnv } from '../config/env';
+import { FORMATS, ALLOWED_MIME_TYPES } from '../config/formats';
+import { listConversions, normalizeFormat } from './converters';
+import { SPLIT_MODES } from './pdfTools';
+import { COMPRESSION_PRESETS, DEFAULT_COMPRESSION_PRESET } from './pdfCompression';
+import { OCR_OUTPUTS, DEFAULT_OCR_OUTPUT } from './ocr';
+
+/**
+ * Conversion capability registry
+ *
+ * Combines the local converters, the conversions delegated to CloudConvert
+ * and the PDF and OCR tools into one description served by GET /api/formats. Upload
+ * and conversion routes validate against it, and the UIs build their menus
+ * from it.
+ */
+
+const ENGINES = {
+  local: { endpoint: API_CONFIG.ENDPOINTS.CONVERT },
+  cloudconvert: { endpoint: API_CONFIG.ENDPOINTS.CLOUDCONVERT },
+};
+
+// Conversions only CloudConvert can do; pairs the local engine also handles use it instead
+const CLOUDCONVERT_CONVERSIONS = [
+  { from: ['pdf'], to: ['docx', 'xlsx', 'pptx', 'txt'] },
+  {
+    from: ['pdf'],
+    to: ['jpg', 'png'],
+    options: [{ name: 'quality', type: 'number', min: 1, max: 100, default: 90, description: 'Image quality' }],
+  },
+  { from: ['doc', 'docx', 'xls', 'xlsx', 'ppt', 'pptx'], to: ['pdf'] },
+  { from: ['doc'], to: ['docx', 'txt'] },
+  { from: ['docx'], to: ['doc'] },
+  { from: ['txt'], to: ['docx'] },
+  { from: ['xlsx'], to: ['xls'] },
+  { from: ['ppt'], to: ['pptx'] },
+];
+
+/**
+ * Every supported conversion pair, local engine first
+ * @returns {Array<Object>} { id, from, to, engine, endpoint, options }; endpoints
+ *   are relative to the API base URL
+ */
+const buildConversions = () => {
+  const conversions = new Map();
+  const add = (from, to, engine, options = []) => {
+    const id = `${from}-to-${to}`;
+    if (from !== to && FORMATS[from] && FORMATS[to] && !conversions.has(id)) {
+      conversions.set(id, { id, from, to, engine, endpoint: ENGINES[engine].endpoint, options });
+    }
+  };
+
+  listConversions().forEach(({ from, to, options }) => add(from, to, 'local', options));
+
+  CLOUDCONVERT_CONVERSIONS.forEach(({ from, to, options }) => {
+    from.forEach(source => to.forEach(target => add(source, target, 'cloudconvert', options)));
+  });
+
+  return [...conversions.values()];
+};
+
+/**
+ * PDF and OCR tools that are not one-to-one conversions
+ * @param {Array<Object>} conversions - Output of buildConversions
+ * @returns {Array<Object>}
+ */
+const buildTools = (conversions) => {
+  const toPdfLocally = conversions
+    .filter(conversion => conversion.to === 'pdf' && conversion.engine === 'local')
+    .map(conversion => conversion.from);
+
+  return [
+    {
+      id: 'merge-pdf',
+      name: 'Merge PDF',
+      from: ['pdf', ...toPdfLocally],
+      to: 'pdf',
+      engine: 'local',
+      endpoint: API_CONFIG.ENDPOINTS.PDF_MERGE,
+      options: [
+        { name: 'pages', type: 'string', description: 'Pages to take from each input, e.g. "1-3,5,9-"' },
+        { name: 'outputName', type: 'string', default: 'merged.pdf', description: 'Name of the merged file' },
+      ],
+    },
+    {
+      id: 'split-pdf',
+      name: 'Split PDF',
+      from: ['pdf'],
+      to: 'zip',
+      engine: 'local',
+      endpoint: API_CONFIG.ENDPOINTS.PDF_SPLIT,
+      options: [
+        { name: 'mode', type: 'enum', values: SPLIT_MODES, default: 'pages', description: 'How to split the document' },
+        { name: 'chunkSize', type: 'number', min: 1, description: 'Pages per part (chunks mode)' },
+        { name: 'ranges', type: 'string', description: 'One part per range, e.g. "1-3,5,9-" (ranges mode)' },
+      ],
+    },
+    {
+      id: 'compress-pdf',
+      name: 'Compress PDF',
+      from: ['pdf'],
+      to: 'pdf',
+      engine: 'local',
+      endpoint: API_CONFIG.ENDPOINTS.PDF_COMPRESS,
+      options: [
+        {
+          name: 'preset',
+          type: 'enum',
+          values: Object.keys(COMPRESSION_PRESETS),
+          default: DEFAULT_COMPRESSION_PRESET,
+          description: 'Quality preset',
+        },
+        { name: 'imageDpi', type: 'number', min: 36, max: 1200, description: 'Image resolution, overrides the preset' },
+        { name: 'jpegQuality', type: 'number', min: 1, max: 100, description: 'JPEG quality, overrides the preset' },
+      ],
+    },
+    {
+      id: 'ocr',
+      name: 'Extract Text (OCR)',
+      from: ['pdf', ...Object.keys(FORMATS).filter(format => FORMATS[format].category === 'image')],
+      to: DEFAULT_OCR_OUTPUT,
+      engine: 'local',
+      endpoint: API_CONFIG.ENDPOINTS.OCR,
+      options: [
+        { name: 'languages', type: 'string', default: serverEnv.OCR_LANGUAGES, description: 'Tesseract language codes, e.g. "eng+deu"' },
+        { name: 'output', type: 'enum', values: Object.keys(OCR_OUTPUTS), default: DEFAULT_OCR_OUTPUT, description: 'txt, searchable pdf or docx' },
+      ],
+    },
+  ];
+};
+
+/**
+ * The full capability registry
+ * @returns {{formats: Object, conversions: Array<Object>, tools: Array<Object>, allowedMimeTypes: Array<string>, maxFileSize: number}}
+ */
+export const getCapabilities = () => {
+  const conversions = buildConversions();
+
+  return {
+    formats: FORMATS,
+    conversions,
+    tools: buildTools(conversions),
+    allowedMimeTypes: ALLOWED_MIME_TYPES,
+    maxFileSize: API_CONFIG.MAX_FILE_SIZE,
+  };
+};
+
+/**
+ * Look up a conversion pair
+ * @param {string} from - Source format or extension
+ * @param {string} to - Target format or extension
+ * @param {string} engine - Only match conversions run by this engine
+ * @returns {Object|null} The conversion, or null if unsupported
+ */
+export const findConversion = (from, to, engine = null) => {
+  const id = `${normalizeFormat(from)}-to-${normalizeFormat(to)}`;
+  const conversion = buildConversions().find(candidate => candidate.id === id) || null;
+
+  return conversion && (!engine || conversion.engine === engine) ? conversion : null;
+};
+
+/**
+ * The options of a request that a conversion declares
+ *
+ * Options are passed on to converters and providers (CloudConvert task
+ * settings among them), so anything a conversion does not list is dropped.
+ * @param {Object} conversion - Conversion from findConversion
+ * @param {Object} options - Options sent by the client
+ * @returns {Object} The declared options that were set
+ */
+export const pickConversionOptions = (conversion, options) => {
+  if (!options || typeof options !== 'object' || Array.isArray(options)) return {};
+
+  return Object.fromEntries(
+    conversion.options
+      .filter(option => Object.hasOwn(options, option.name) && options[option.name] !== undefined)
+      .map(option => [option.name, options[option.name]])
+  );
+};
+
+export default {
+  getCapabilities,
+  findConversion,
+  pickConversionOptions,
+};
@@ -0,0 +1,359 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { Readable, Transform } from 'stream';
+import { pipeline } from 'stream/promises';
+import { v4 as uuidv4 } from 'uuid';
+import { API_CONFIG } from '../config/api';
+import { serverEnv } from '../config/env';
+import { metadataStore } from './metadataStore';
+import { ApiError } from './apiError';
+import { isOwnedBy } from './auth';
+import { SAMPLE_SIZE, verifyFileType } from './fileSignature';
+import { storage } from './storage';
+
+/**
+ * Resumable chunked uploads
+ *
+ * 1. `createUploadSession` registers the file and fixes the chunk size.
+ * 2. `writeChunk` streams each chunk to disk (in any order, retries allowed)
+ *    and checks its size and SHA-256.
+ * 3. `completeUploadSession` verifies every chunk arrived, checks the
+ *    client's checksum, assembles the final file, checks its content
+ *    matches the declared type and hands it to the storage driver.
+ *
+ * Sessions live in the `uploads` collection of the metadata store, so an
+ * interrupted upload can resume after a reload or a server restart.
+ */
+
+// Chunks stay on local disk under STORAGE_LOCAL_DIR, whichever driver stores the finished file
+export const CHUNK_DIR = path.resolve(process.cwd(), serverEnv.STORAGE_LOCAL_DIR, 'chunks');
+
+// Chunks smaller than this would make large uploads needlessly chatty
+const MIN_CHUNK_SIZE = 256 * 1024;
+
+// Larger chunks would let one request hold a big part of the file
+export const MAX_CHUNK_SIZE = API_CONFIG.CHUNK_SIZE * 4;
+
+/**
+ * SHA-256 of a buffer as a hex string
+ * @param {Buffer|string} data - Data to hash
+ * @returns {string}
+ */
+export const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+
+/**
+ * Checksum the client sends on completion: the SHA-256 of the chunk hashes
+ * joined in order. Browsers can compute it one chunk at a time without
+ * holding the whole file in memory.
+ * @param {Array<string>} chunkChecksums - Hex SHA-256 of each chunk, in order
+ * @returns {string}
+ */
+export const combineChecksums = (chunkChecksums) => sha256(chunkChecksums.join(''));
+
+/**
+ * Read the start and end of a file for type detection
+ * @param {string} filePath - File to sample
+ * @param {number} size - File size in bytes
+ * @returns {Promise<{head: Buffer, tail: Buffer|null}>}
+ */
+const readSamples = async (filePath, size) => {
+  const handle = await fs.promises.open(filePath, 'r');
+
+  try {
+    const head = Buffer.alloc(Math.min(SAMPLE_SIZE, size));
+    await handle.read(head, 0, head.length, 0);
+
+    let tail = null;
+    if (size > SAMPLE_SIZE) {
+      const start = Math.max(SAMPLE_SIZE, size - SAMPLE_SIZE);
+      tail = Buffer.alloc(size - start);
+      await handle.read(tail, 0, tail.length, start);
+    }
+
+    return { head, tail };
+  } finally {
+    await handle.close();
+  }
+};
+
+/**
+ * Public view of a session, including which chunks are already stored
+ * @param {Object} session - Stored session
+ * @returns {Object}
+ */
+export const toSessionView = (session) => ({
+  uploadId: session.id,
+  name: session.name,
+  type: session.type,
+  size: session.size,
+  chunkSize: session.chunkSize,
+  totalChunks: session.totalChunks,
+  receivedChunks: Object.keys(session.chunks).map(Number).sort((a, b) => a - b),
+  createdAt: session.createdAt,
+  updatedAt: session.updatedAt,
+});
+
+/**
+ * Get a session or fail with 404
+ * @param {string} uploadId - Upload session ID
+ * @param {Object} options - Lookup options
+ * @param {Object} options.auth - Auth context; sessions of other teams are not found
+ * @returns {Object} The stored session
+ */
+export const getUploadSession = (uploadId, { auth = null } = {}) => {
+  const session = metadataStore.get('uploads', uploadId);
+  if (!session || (auth && !isOwnedBy(auth, session))) {
+    throw ApiError.notFound('Upload session not found', 'UPLOAD_NOT_FOUND');
+  }
+  return session;
+};
+
+/**
+ * Start a chunked upload
+ * @param {Object} params - File description
+ * @param {string} params.name - Original file name
+ * @param {string} params.type - MIME type
+ * @param {number} params.size - Total size in bytes
+ * @param {number} params.chunkSize - Requested chunk size in bytes, kept
+ *   between MIN_CHUNK_SIZE and MAX_CHUNK_SIZE
+ * @param {string} params.teamId - Team uploading the file
+ * @returns {Object} The new session
+ */
+export const createUploadSession = ({ name, type, size, chunkSize, teamId }) => {
+  const totalSize = parseInt(size, 10);
+
+  if (!name || !type || !totalSize || totalSize < 0) {
+    throw ApiError.badRequest('name, type and size are required', 'MISSING_PARAMETERS');
+  }
+
+  if (totalSize > API_CONFIG.MAX_FILE_SIZE) {
+    throw ApiError.payloadTooLarge(
+      `File too large. Max size is ${API_CONFIG.MAX_FILE_SIZE / (1024 * 1024)}MB`,
+      'FILE_TOO_LARGE',
+      { limit: API_CONFIG.MAX_FILE_SIZE, size: totalSize }
+    );
+  }
+
+  if (!API_CONFIG.ALLOWED_FILE_TYPES.includes(type)) {
+    throw ApiError.unsupportedMediaType(`File type ${type} is not allowed`, 'UNSUPPORTED_FILE_TYPE');
+  }
+
+  const requested = parseInt(chunkSize, 10) || API_CONFIG.CHUNK_SIZE;
+  const partSize = Math.min(MAX_CHUNK_SIZE, Math.max(MIN_CHUNK_SIZE, requested));
+  const now = new Date().toISOString();
+  const session = {
+    id: uuidv4(),
+    name,
+    type,
+    size: totalSize,
+    chunkSize: partSize,
+    totalChunks: Math.ceil(totalSize / partSize),
+    chunks: {},
+    teamId,
+    createdAt: now,
+    updatedAt: now,
+  };
+
+  metadataStore.set('uploads', session.id, session);
+  return toSessionView(session);
+};
+
+/**
+ * Node stream over a chunk body
+ * @param {Buffer|ReadableStream|Readable|null} body - Chunk bytes or a stream of them
+ * @returns {Readable}
+ */
+const toReadable = (body) => {
+  if (!body) return Readable.from([]);
+  if (Buffer.isBuffer(body)) return Readable.from([body]);
+  if (body instanceof Readable) return body;
+  return Readable.fromWeb(body);
+};
+
+/**
+ * Store one chunk
+ *
+ * The body is streamed to disk and hashed on the way, so a chunk is never
+ * held in memory; a body longer than the chunk is cut off with 413.
+ * @param {string} uploadId - Upload session ID
+ * @param {number} index - Zero-based chunk index
+ * @param {Buffer|ReadableStream|Readable} body - Chunk bytes, or a stream of them (such as a request body)
+ * @param {string} checksum - Optional hex SHA-256 of the chunk, verified if given
+ * @returns {Promise<Object>} The updated session
+ */
+export const writeChunk = async (uploadId, index, body, checksum = null) => {
+  const session = getUploadSession(uploadId);
+  const chunkIndex = parseInt(index, 10);
+
+  if (!Number.isInteger(chunkIndex) || chunkIndex < 0 || chunkIndex >= session.totalChunks) {
+    throw ApiError.badRequest(`Chunk index must be between 0 and ${session.totalChunks - 1}`, 'INVALID_CHUNK');
+  }
+
+  const isLast = chunkIndex === session.totalChunks - 1;
+  const expectedSize = isLast
+    ? session.size - session.chunkSize * (session.totalChunks - 1)
+    : session.chunkSize;
+
+  const sessionDir = path.join(CHUNK_DIR, uploadId);
+  await fs.promises.mkdir(sessionDir, { recursive: true });
+
+  // Written under a temporary name, so a failed or concurrent retry never
+  // leaves a partial chunk where completion would read it
+  const tempPath = path.join(sessionDir, `${chunkIndex}.part.${uuidv4()}.tmp`);
+  const hash = crypto.createHash('sha256');
+  let received = 0;
+
+  const meter = new Transform({
+    transform(data, encoding, callback) {
+      received += data.length;
+      if (received > expectedSize) {
+        callback(ApiError.payloadTooLarge(
+          `Chunk ${chunkIndex} must be ${expectedSize} bytes`,
+          'INVALID_CHUNK',
+          { limit: expectedSize }
+        ));
+        return;
+      }
+      hash.update(data);
+      callback(null, data);
+    },
+  });
+
+  let actual;
+  try {
+    await pipeline(toReadable(body), meter, fs.createWriteStream(tempPath));
+
+    if (received !== expectedSize) {
+      throw ApiError.badRequest(`Chunk ${chunkIndex} must be ${expectedSize} bytes, got ${received}`, 'INVALID_CHUNK');
+    }
+
+    actual = hash.digest('hex');
+    if (checksum && checksum.toLowerCase() !== actual) {
+      throw ApiError.validationError(`Checksum mismatch for chunk ${chunkIndex}`, [], 'CHECKSUM_MISMATCH', { chunk: chunkIndex });
+    }
+
+    await fs.promises.rename(tempPath, path.join(sessionDir, `${chunkIndex}.part`));
+  } catch (error) {
+    await fs.promises.rm(tempPath, { force: true });
+    throw error;
+  }
+
+  // Re-read the session: other chunks may have landed while we were writing
+  const current = getUploadSession(uploadId);
+  const updated = metadataStore.update('uploads', uploadId, {
+    chunks: { ...current.chunks, [chunkIndex]: actual },
+    updatedAt: new Date().toISOString(),
+  });
+
+  return toSessionView(updated);
+};
+
+/**
+ * Assemble the chunks into the final file
+ * @param {string} uploadId - Upload session ID
+ * @param {string} checksum - Client checksum, see combineChecksums; verified
+ *   if given (browsers outside secure contexts cannot compute one)
+ * @returns {Promise<Object>} Stored file metadata
+ */
+export const completeUploadSession = async (uploadId, checksum) => {
+  const session = getUploadSession(uploadId);
+  const view = toSessionView(session);
+
+  if (view.receivedChunks.length !== session.totalChunks) {
+    const missing = [];
+    for (let i = 0; i < session.totalChunks; i++) {
+      if (!session.chunks[i]) missing.push(i);
+    }
+    throw ApiError.conflict(`Missing chunks: ${missing.join(', ')}`, 'MISSING_CHUNKS', { missing });
+  }
+
+  const chunkChecksums = Array.from({ length: session.totalChunks }, (_, i) => session.chunks[i]);
+  if (checksum && checksum.toLowerCase() !== combineChecksums(chunkChecksums)) {
+    throw ApiError.validationError('Checksum mismatch', [], 'CHECKSUM_MISMATCH');
+  }
+
+  const fileId = uuidv4();
+  const storageKey = `${fileId}${path.extname(session.name)}`;
+  const sessionDir = path.join(CHUNK_DIR, uploadId);
+  // Assembled next to the chunks, then stored once it has been checked
+  const filePath = path.join(sessionDir, 'assembled');
+  const fileHash = crypto.createHash('sha256');
+  const output = fs.createWriteStream(filePath);
+
+  try {
+    for (let i = 0; i < session.totalChunks; i++) {
+      const data = await fs.promises.readFile(path.join(sessionDir, `${i}.part`));
+
+      // Guard against chunks that changed on disk since they were accepted
+      if (sha256(data) !== session.chunks[i]) {
+        throw ApiError.conflict(`Chunk ${i} is corrupted, upload it again`, 'MISSING_CHUNKS', { missing: [i] });
+      }
+
+      fileHash.update(data);
+      if (!output.write(data)) {
+        await new Promise(resolve => output.once('drain', resolve));
+      }
+    }
+
+    await new Promise((resolve, reject) => {
+      output.end((error) => (error ? reject(error) : resolve()));
+    });
+  } catch (error) {
+    output.destroy();
+    await fs.promises.rm(filePath, { force: true });
+
+    if (error instanceof ApiError && error.details.missing) {
+      // Forget the bad chunk so the client re-sends it on resume
+      const [chunk] = error.details.missing;
+      const { [chunk]: removed, ...chunks } = session.chunks;
+      metadataStore.update('uploads', uploadId, { chunks });
+    }
+    throw error;
+  }
+
+  // The declared type came from the browser; a mismatch will not go away on retry
+  const { head, tail } = await readSamples(filePath, session.size);
+  const typeCheck = verifyFileType(session.type, head, tail);
+  if (!typeCheck.valid) {
+    await fs.promises.rm(filePath, { force: true });
+    await abortUploadSession(uploadId);
+    throw ApiError.unsupportedMediaType(typeCheck.error, 'FILE_TYPE_MISMATCH', {
+      declaredType: session.type,
+      detectedType: typeCheck.detected?.mimeType || null,
+    });
+  }
+
+  await storage.put(storageKey, fs.createReadStream(filePath), { contentType: session.type, size: session.size });
+
+  const fileData = {
+    id: fileId,
+    name: session.name,
+    type: session.type,
+    detectedType: typeCheck.detected.mimeType,
+    size: session.size,
+    storageKey,
+    kind: 'upload',
+    teamId: session.teamId,
+    checksum: fileHash.digest('hex'),
+    url: `/api/files/${fileId}`,
+    uploadedAt: new Date().toISOString(),
+  };
+
+  metadataStore.set('files', fileId, fileData);
+  metadataStore.delete('uploads', uploadId);
+  await fs.promises.rm(sessionDir, { recursive: true, force: true });
+
+  return fileData;
+};
+
+/**
+ * Abort an upload and discard its chunks
+ * @param {string} uploadId - Upload session ID
+ * @returns {Promise<void>}
+ */
+export const abortUploadSession = async (uploadId) => {
+  getUploadSession(uploadId);
+  metadataStore.delete('uploads', uploadId);
+  await fs.promises.rm(path.join(CHUNK_DIR, uploadId), { recursive: true, force: true });
+};
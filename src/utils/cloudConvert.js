@@ -1,81 +1,127 @@
-import { CloudConvert } from '@cloudconvert/cloudconvert';
+import crypto from 'crypto';
+import CloudConvert from 'cloudconvert';
+import { serverEnv, getSecret } from '../config/env';
+import { ERROR_CODES } from '../config/api';
+import { ApiError } from './apiError';
 
-// Initialize CloudConvert client
-const cloudConvert = new CloudConvert(process.env.NEXT_PUBLIC_CLOUDCONVERT_API_KEY);
+// Initialize CloudConvert client; the key is server-only and checked at startup (src/instrumentation.js)
+export const cloudConvert = new CloudConvert(getSecret('CLOUDCONVERT_API_KEY'));
 
-export async function convertFile(file, targetFormat) {
-  try {
-    // 1. Create a job
-    let job = await cloudConvert.jobs.create({
-      tasks: {
-        'upload-file': {
-          operation: 'import/upload',
-          file: file
-        },
-        'convert-file': {
-          operation: 'convert',
-          input: 'upload-file',
-          output_format: targetFormat.toLowerCase(),
-          engine: 'office',
-          input_format: getFileExtension(file.name).toLowerCase(),
-          filename: file.name.replace(/\.[^/.]+$/, '') + '.' + targetFormat.toLowerCase()
-        },
-        'export-file': {
-          operation: 'export/url',
-          input: 'convert-file'
-        }
-      }
-    });
+/**
+ * Whether an API key is set, so CloudConvert can be used at all
+ * @returns {boolean}
+ */
+export const isCloudConvertConfigured = () => {
+  return Boolean(getSecret('CLOUDCONVERT_API_KEY'));
+};
 
-    // 2. Upload the file
-    const uploadTask = job.tasks.filter(task => task.operation === 'import/upload')[0];
-    await cloudConvert.tasks.upload(uploadTask, file);
+// Events CloudConvert sends to a job's webhook_url
+export const WEBHOOK_EVENTS = ['job.finished', 'job.failed'];
 
-    // 3. Wait for job completion
-    job = await waitForJobCompletion(job.id);
-    
-    // 4. Get the download URL
-    const exportTask = job.tasks.filter(task => task.operation === 'export/url' && task.status === 'finished')[0];
-    const fileUrl = exportTask.result.files[0].url;
-    
+/**
+ * Whether CloudConvert reports job outcomes to our webhook
+ *
+ * Needs the public URL of POST /api/cloudconvert/webhook and the signing
+ * secret from the CloudConvert dashboard. Without them, jobs are followed by
+ * polling CloudConvert from the server.
+ * @returns {boolean}
+ */
+export const isWebhookEnabled = () => {
+  return Boolean(serverEnv.CLOUDCONVERT_WEBHOOK_URL && serverEnv.CLOUDCONVERT_WEBHOOK_SECRET);
+};
+
+/**
+ * Check the CloudConvert-Signature header of a webhook request
+ * @param {string} payload - Raw request body
+ * @param {string} signature - Value of the CloudConvert-Signature header
+ * @param {string} secret - Webhook signing secret
+ * @returns {boolean} True if the body was signed with the secret
+ */
+export const verifyWebhookSignature = (payload, signature, secret = getSecret('CLOUDCONVERT_WEBHOOK_SECRET')) => {
+  if (!payload || !signature || !secret) {
+    return false;
+  }
+
+  const expected = crypto.createHmac('sha256', secret).update(payload).digest('hex');
+  const received = String(signature).trim().toLowerCase();
+
+  return received.length === expected.length &&
+    crypto.timingSafeEqual(Buffer.from(received), Buffer.from(expected));
+};
+
+/**
+ * Summarise a CloudConvert job
+ * @param {Object} job - Job as returned by the API or sent to webhooks
+ * @returns {{status: 'finished'|'failed'|'processing', progress: number,
+ *   tasks: Array<{name: string, status: string}>, inputSize: number|null,
+ *   downloadUrl?: string, filename?: string, size?: number, error?: string}}
+ */
+export const getJobOutcome = (job) => {
+  const tasks = job?.tasks || [];
+  const importTask = tasks.find(task => task.operation === 'import/upload');
+  const exportTask = tasks.find(task => task.operation === 'export/url');
+  const failedTask = tasks.find(task => task.status === 'error');
+  const steps = getJobSteps(tasks);
+  // Bytes CloudConvert actually received, once the upload has finished
+  const inputSize = importTask?.result?.files?.[0]?.size ?? null;
+
+  if (job?.status === 'error' || failedTask) {
     return {
-      success: true,
-      url: fileUrl,
-      filename: exportTask.result.files[0].filename,
-      size: file.size
+      status: 'failed',
+      progress: 0,
+      tasks: steps,
+      inputSize,
+      error: failedTask?.message || job?.message || 'Conversion failed',
     };
-  } catch (error) {
-    console.error('Error converting file:', error);
+  }
+
+  if (exportTask?.status === 'finished') {
+    const file = exportTask.result?.files?.[0] || {};
     return {
-      success: false,
-      error: error.message || 'Failed to convert file'
+      status: 'finished',
+      progress: 100,
+      tasks: steps,
+      inputSize,
+      downloadUrl: file.url || null,
+      filename: file.filename || null,
+      size: file.size ?? null,
     };
   }
-}
 
-async function waitForJobCompletion(jobId) {
-  return new Promise((resolve, reject) => {
-    const checkJob = async () => {
-      try {
-        const job = await cloudConvert.jobs.get(jobId);
-        
-        if (job.status === 'finished') {
-          resolve(job);
-        } else if (job.status === 'error') {
-          reject(new Error('Job failed'));
-        } else {
-          // Check again after a delay
-          setTimeout(checkJob, 1000);
-        }
-      } catch (error) {
-        reject(error);
-      }
-    };
-    
-    checkJob();
-  });
-}
+  // Share of finished tasks (import, convert, export)
+  const finished = tasks.filter(task => task.status === 'finished').length;
+  return {
+    status: 'processing',
+    progress: tasks.length > 0 ? (finished / tasks.length) * 100 : 0,
+    tasks: steps,
+    inputSize,
+  };
+};
+
+/**
+ * Check the bytes CloudConvert received against the size declared when the
+ * job was created, which is what the team's quotas were checked against
+ * @param {number|null} inputSize - Uploaded size from getJobOutcome
+ * @param {number} declaredSize - Size sent to POST /api/cloudconvert
+ * @returns {ApiError|null} 413 FILE_TOO_LARGE if more was uploaded
+ */
+export const checkUploadedSize = (inputSize, declaredSize) => {
+  if (inputSize == null || inputSize <= declaredSize) return null;
+
+  return ApiError.payloadTooLarge(
+    'The uploaded file is larger than declared',
+    ERROR_CODES.FILE_TOO_LARGE,
+    { declared: declaredSize, uploaded: inputSize }
+  );
+};
 
-function getFileExtension(filename) {
-  return filename.split('.').pop();
+/**
+ * Name CloudConvert's tasks after the step they perform ('import/upload'
+ * becomes 'import'), in the order the job runs them
+ */
+function getJobSteps(tasks) {
+  const order = ['import', 'convert', 'export'];
+  return tasks
+    .map(task => ({ name: task.operation.split('/')[0], status: task.status }))
+    .sort((a, b) => order.indexOf(a.name) - order.indexOf(b.name));
 }
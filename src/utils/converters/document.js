@@ -0,0 +1,87 @@
+import JSZip from 'jszip';
+import { textToPdf, TEXT_PDF_OPTIONS } from './pdf';
+
+const XML_ENTITIES = {
+  '&amp;': '&',
+  '&lt;': '<',
+  '&gt;': '>',
+  '&quot;': '"',
+  '&apos;': "'",
+};
+
+/**
+ * Decode the XML entities used in WordprocessingML text runs
+ * @param {string} value - Encoded text
+ * @returns {string} Decoded text
+ */
+const decodeXml = (value) => {
+  return value
+    .replace(/&(amp|lt|gt|quot|apos);/g, (entity) => XML_ENTITIES[entity])
+    .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(parseInt(dec, 10)));
+};
+
+/**
+ * Extract plain text from a .docx file, one line per paragraph
+ * @param {Buffer} buffer - DOCX bytes
+ * @returns {Promise<Buffer>} UTF-8 text
+ */
+const extractText = async (buffer) => {
+  const zip = await JSZip.loadAsync(buffer);
+  const documentXml = zip.file('word/document.xml');
+
+  if (!documentXml) {
+    throw new Error('Invalid DOCX file: word/document.xml is missing');
+  }
+
+  const xml = await documentXml.async('string');
+  const body = xml.split(/<w:body[^>]*>/)[1] || xml;
+
+  const paragraphs = body.split(/<\/w:p>/).map((paragraph) => {
+    const parts = [];
+    const tokenPattern = /<w:t(?:\s[^>]*)?>([^<]*)<\/w:t>|<w:tab\/>|<w:br\/>|<w:cr\/>/g;
+    let match;
+
+    while ((match = tokenPattern.exec(paragraph)) !== null) {
+      if (match[1] !== undefined) {
+        parts.push(decodeXml(match[1]));
+      } else if (match[0] === '<w:tab/>') {
+        parts.push('\t');
+      } else {
+        parts.push('\n');
+      }
+    }
+
+    return parts.join('');
+  });
+
+  // The chunk after the last </w:p> holds section properties, not text
+  paragraphs.pop();
+
+  return Buffer.from(paragraphs.join('\n'), 'utf8');
+};
+
+/**
+ * Convert a .docx file to text, or to a text-only PDF
+ *
+ * The PDF keeps paragraphs but not styling, tables or images; it exists so
+ * Word files can take part in local PDF operations such as merging.
+ */
+const convert = async (buffer, { to, options = {} }) => {
+  const text = await extractText(buffer);
+
+  if (to === 'pdf') {
+    return textToPdf(text, options);
+  }
+
+  return text;
+};
+
+export default {
+  name: 'document',
+  from: ['docx'],
+  to: ['txt', 'pdf'],
+  // Only the PDF output has layout options
+  options: TEXT_PDF_OPTIONS,
+  convert,
+};
@@ -0,0 +1,56 @@
+import sharp from 'sharp';
+
+// Raster formats sharp can both read and write
+const IMAGE_FORMATS = ['jpg', 'png', 'webp', 'gif', 'tiff', 'avif'];
+
+// sharp uses `jpeg` rather than `jpg` as the output format name
+const SHARP_FORMATS = {
+  jpg: 'jpeg',
+};
+
+/**
+ * Re-encode an image into another raster format
+ * @param {Buffer} buffer - Input image bytes
+ * @param {Object} params - Conversion parameters
+ * @param {string} params.to - Target format
+ * @param {Object} params.options - Image options
+ * @param {number} params.options.quality - Output quality (1-100) for lossy formats
+ * @param {number} params.options.width - Maximum output width in pixels
+ * @param {number} params.options.height - Maximum output height in pixels
+ * @returns {Promise<Buffer>} The encoded image
+ */
+const convert = async (buffer, { to, options = {} }) => {
+  const { quality, width, height } = options;
+
+  let image = sharp(buffer, { animated: to === 'gif' || to === 'webp' }).rotate();
+
+  if (width || height) {
+    image = image.resize({
+      width: width ? parseInt(width, 10) : undefined,
+      height: height ? parseInt(height, 10) : undefined,
+      fit: 'inside',
+      withoutEnlargement: true,
+    });
+  }
+
+  // JPEG has no alpha channel; flatten onto white instead of black
+  if (to === 'jpg') {
+    image = image.flatten({ background: '#ffffff' });
+  }
+
+  const formatOptions = quality ? { quality: parseInt(quality, 10) } : {};
+
+  return image.toFormat(SHARP_FORMATS[to] || to, formatOptions).toBuffer();
+};
+
+export default {
+  name: 'image',
+  from: IMAGE_FORMATS,
+  to: IMAGE_FORMATS,
+  options: [
+    { name: 'quality', type: 'number', min: 1, max: 100, description: 'Output quality for lossy formats' },
+    { name: 'width', type: 'number', min: 1, description: 'Maximum width in pixels' },
+    { name: 'height', type: 'number', min: 1, description: 'Maximum height in pixels' },
+  ],
+  convert,
+};
@@ -0,0 +1,156 @@
+import imageConverter from './image';
+import pdfConverter from './pdf';
+import spreadsheetConverter from './spreadsheet';
+import documentConverter from './document';
+
+/**
+ * Local conversion engine
+ *
+ * Converters are plain objects describing which formats they accept and
+ * produce, plus an async `convert` function that turns an input buffer into
+ * an output buffer:
+ *
+ *   {
+ *     name: 'image',
+ *     from: ['jpg', 'png'],
+ *     to: ['webp'],
+ *     options: [{ name: 'quality', type: 'number', min: 1, max: 100 }],
+ *     convert: async (buffer, { from, to, options }) => Buffer,
+ *   }
+ *
+ * `options` describes the settings `convert` understands; it is published
+ * through the capability registry (GET /api/formats).
+ *
+ * The first registered converter that handles a from/to pair wins, so custom
+ * converters registered later only fill gaps unless `prepend` is used.
+ */
+
+// Aliases so that `jpeg` and `jpg` (etc.) resolve to the same converter
+const FORMAT_ALIASES = {
+  jpeg: 'jpg',
+  tif: 'tiff',
+  text: 'txt',
+};
+
+const converters = [];
+
+/**
+ * Normalize a format or extension to its canonical lowercase form
+ * @param {string} format - Format name or file extension (with or without dot)
+ * @returns {string} The canonical format
+ */
+export const normalizeFormat = (format) => {
+  if (!format) return '';
+  const value = String(format).toLowerCase().replace(/^\./, '');
+  return FORMAT_ALIASES[value] || value;
+};
+
+/**
+ * Register a converter with the local engine
+ * @param {Object} converter - Converter descriptor
+ * @param {Object} options - Registration options
+ * @param {boolean} options.prepend - Give the converter priority over existing ones
+ */
+export const registerConverter = (converter, { prepend = false } = {}) => {
+  if (!converter || typeof converter.convert !== 'function') {
+    throw new Error('Converter must provide a convert function');
+  }
+
+  const entry = {
+    ...converter,
+    from: (converter.from || []).map(normalizeFormat),
+    to: (converter.to || []).map(normalizeFormat),
+  };
+
+  if (prepend) {
+    converters.unshift(entry);
+  } else {
+    converters.push(entry);
+  }
+};
+
+/**
+ * Find the converter able to handle a conversion
+ * @param {string} from - Source format
+ * @param {string} to - Target format
+ * @returns {Object|null} The converter, or null if none matches
+ */
+export const findConverter = (from, to) => {
+  const source = normalizeFormat(from);
+  const target = normalizeFormat(to);
+
+  return converters.find(
+    (converter) => converter.from.includes(source) && converter.to.includes(target)
+  ) || null;
+};
+
+/**
+ * Check whether a conversion is supported locally
+ * @param {string} from - Source format
+ * @param {string} to - Target format
+ * @returns {boolean}
+ */
+export const isConversionSupported = (from, to) => {
+  return findConverter(from, to) !== null;
+};
+
+/**
+ * List every supported conversion pair
+ * @returns {Array<{from: string, to: string, converter: string, options: Array<Object>}>}
+ */
+export const listConversions = () => {
+  const pairs = [];
+  const seen = new Set();
+
+  converters.forEach((converter) => {
+    converter.from.forEach((from) => {
+      converter.to.forEach((to) => {
+        const key = `${from}:${to}`;
+        if (from !== to && !seen.has(key)) {
+          seen.add(key);
+          pairs.push({ from, to, converter: converter.name, options: converter.options || [] });
+        }
+      });
+    });
+  });
+
+  return pairs;
+};
+
+/**
+ * Convert a buffer from one format to another
+ * @param {Buffer} buffer - Input bytes
+ * @param {string} from - Source format
+ * @param {string} to - Target format
+ * @param {Object} options - Converter-specific options
+ * @returns {Promise<Buffer>} Output bytes
+ */
+export const convertBuffer = async (buffer, from, to, options = {}) => {
+  const converter = findConverter(from, to);
+
+  if (!converter) {
+    throw new Error(`Conversion from ${normalizeFormat(from)} to ${normalizeFormat(to)} is not supported`);
+  }
+
+  const output = await converter.convert(buffer, {
+    from: normalizeFormat(from),
+    to: normalizeFormat(to),
+    options,
+  });
+
+  return Buffer.isBuffer(output) ? output : Buffer.from(output);
+};
+
+// Built-in converters
+[imageConverter, pdfConverter, spreadsheetConverter, documentConverter].forEach((converter) => {
+  registerConverter(converter);
+});
+
+export default {
+  normalizeFormat,
+  registerConverter,
+  findConverter,
+  isConversionSupported,
+  listConversions,
+  convertBuffer,
+};
@@ -0,0 +1,164 @@
+import { PDFDocument, StandardFonts, PageSizes } from 'pdf-lib';
+import sharp from 'sharp';
+
+// Image formats pdf-lib can embed directly; everything else goes through PNG
+const EMBEDDABLE_IMAGES = ['jpg', 'png'];
+const IMAGE_FORMATS = ['jpg', 'png', 'webp', 'gif', 'tiff', 'avif'];
+
+const PAGE_SIZES = {
+  a4: PageSizes.A4,
+  letter: PageSizes.Letter,
+  legal: PageSizes.Legal,
+};
+
+// Options understood by textToPdf, advertised by every converter that uses it
+export const TEXT_PDF_OPTIONS = [
+  { name: 'fontSize', type: 'number', min: 4, max: 72, default: 11, description: 'Font size in points' },
+  { name: 'pageSize', type: 'enum', values: Object.keys(PAGE_SIZES), default: 'a4', description: 'Page size' },
+  { name: 'margin', type: 'number', min: 0, default: 56, description: 'Page margin in points' },
+];
+
+/**
+ * Replace characters the standard (WinAnsi) PDF fonts cannot encode
+ * @param {string} text - Input text
+ * @returns {string} Text safe to draw with a standard font
+ */
+const toWinAnsi = (text) => {
+  return text
+    .replace(/\t/g, '    ')
+    .replace(/[\u2018\u2019]/g, "'")
+    .replace(/[\u201C\u201D]/g, '"')
+    .replace(/[\u2013\u2014]/g, '-')
+    .replace(/[^\n\x20-\x7E\xA0-\xFF]/g, '?');
+};
+
+/**
+ * Split a paragraph into lines that fit within the given width
+ * @param {string} paragraph - A single line of source text
+ * @param {Object} font - Embedded pdf-lib font
+ * @param {number} fontSize - Font size in points
+ * @param {number} maxWidth - Available width in points
+ * @returns {Array<string>} Wrapped lines
+ */
+const wrapText = (paragraph, font, fontSize, maxWidth) => {
+  if (!paragraph) return [''];
+
+  const lines = [];
+  let current = '';
+
+  paragraph.split(' ').forEach((word) => {
+    const candidate = current ? `${current} ${word}` : word;
+
+    if (font.widthOfTextAtSize(candidate, fontSize) <= maxWidth) {
+      current = candidate;
+      return;
+    }
+
+    if (current) lines.push(current);
+
+    // Hard-break words that are wider than a whole line
+    let remainder = word;
+    while (font.widthOfTextAtSize(remainder, fontSize) > maxWidth && remainder.length > 1) {
+      let cut = remainder.length - 1;
+      while (cut > 1 && font.widthOfTextAtSize(remainder.slice(0, cut), fontSize) > maxWidth) {
+        cut--;
+      }
+      lines.push(remainder.slice(0, cut));
+      remainder = remainder.slice(cut);
+    }
+    current = remainder;
+  });
+
+  lines.push(current);
+  return lines;
+};
+
+/**
+ * Render plain text onto paginated PDF pages
+ * @param {Buffer} buffer - UTF-8 text
+ * @param {Object} options - Layout options
+ * @param {number} options.fontSize - Font size in points (default 11)
+ * @param {string} options.pageSize - a4, letter or legal (default a4)
+ * @param {number} options.margin - Page margin in points (default 56)
+ * @returns {Promise<Uint8Array>} PDF bytes
+ */
+export const textToPdf = async (buffer, options = {}) => {
+  const fontSize = parseFloat(options.fontSize) || 11;
+  // 0 is a valid margin, so only fall back when none was given
+  const parsedMargin = parseFloat(options.margin);
+  const margin = Number.isFinite(parsedMargin) && parsedMargin >= 0 ? parsedMargin : 56;
+  const [pageWidth, pageHeight] = PAGE_SIZES[String(options.pageSize || 'a4').toLowerCase()] || PageSizes.A4;
+  const lineHeight = fontSize * 1.4;
+
+  const pdfDoc = await PDFDocument.create();
+  const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
+  const maxWidth = pageWidth - margin * 2;
+
+  const text = toWinAnsi(buffer.toString('utf8').replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n'));
+  const lines = text
+    .split('\n')
+    .flatMap((paragraph) => wrapText(paragraph, font, fontSize, maxWidth));
+
+  let page = null;
+  let y = 0;
+
+  lines.forEach((line) => {
+    if (!page || y < margin) {
+      page = pdfDoc.addPage([pageWidth, pageHeight]);
+      y = pageHeight - margin - fontSize;
+    }
+
+    if (line) {
+      page.drawText(line, { x: margin, y, size: fontSize, font });
+    }
+    y -= lineHeight;
+  });
+
+  return pdfDoc.save();
+};
+
+/**
+ * Place an image on a single PDF page of the same size
+ * @param {Buffer} buffer - Image bytes
+ * @param {string} from - Source image format
+ * @returns {Promise<Uint8Array>} PDF bytes
+ */
+const imageToPdf = async (buffer, from) => {
+  const pdfDoc = await PDFDocument.create();
+
+  let bytes = buffer;
+  let format = from;
+
+  if (!EMBEDDABLE_IMAGES.includes(from)) {
+    bytes = await sharp(buffer).png().toBuffer();
+    format = 'png';
+  }
+
+  const image = format === 'jpg'
+    ? await pdfDoc.embedJpg(bytes)
+    : await pdfDoc.embedPng(bytes);
+
+  const page = pdfDoc.addPage([image.width, image.height]);
+  page.drawImage(image, { x: 0, y: 0, width: image.width, height: image.height });
+
+  return pdfDoc.save();
+};
+
+/**
+ * Produce a PDF from text or an image
+ */
+const convert = async (buffer, { from, options = {} }) => {
+  if (from === 'txt') {
+    return textToPdf(buffer, options);
+  }
+
+  return imageToPdf(buffer, from);
+};
+
+export default {
+  name: 'pdf',
+  from: ['txt', ...IMAGE_FORMATS],
+  to: ['pdf'],
+  options: TEXT_PDF_OPTIONS,
+  convert,
+};
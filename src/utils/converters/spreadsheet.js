@@ -0,0 +1,42 @@
+import * as XLSX from 'xlsx';
+
+/**
+ * Convert between CSV and Excel workbooks
+ * @param {Buffer} buffer - Input bytes
+ * @param {Object} params - Conversion parameters
+ * @param {string} params.from - Source format
+ * @param {string} params.to - Target format
+ * @param {Object} params.options - Spreadsheet options
+ * @param {string} params.options.sheet - Sheet to export when writing CSV (defaults to the first)
+ * @param {string} params.options.delimiter - CSV field separator (default ",")
+ * @returns {Promise<Buffer>} Output bytes
+ */
+const convert = async (buffer, { from, to, options = {} }) => {
+  const delimiter = options.delimiter || ',';
+
+  const workbook = from === 'csv'
+    ? XLSX.read(buffer.toString('utf8'), { type: 'string', FS: delimiter, raw: true })
+    : XLSX.read(buffer, { type: 'buffer' });
+
+  if (to === 'csv') {
+    const sheetName = options.sheet && workbook.SheetNames.includes(options.sheet)
+      ? options.sheet
+      : workbook.SheetNames[0];
+
+    const csv = XLSX.utils.sheet_to_csv(workbook.Sheets[sheetName], { FS: delimiter });
+    return Buffer.from(csv, 'utf8');
+  }
+
+  return XLSX.write(workbook, { type: 'buffer', bookType: to });
+};
+
+export default {
+  name: 'spreadsheet',
+  from: ['csv', 'xlsx', 'xls'],
+  to: ['csv', 'xlsx'],
+  options: [
+    { name: 'sheet', type: 'string', description: 'Sheet to export when writing CSV (defaults to the first)' },
+    { name: 'delimiter', type: 'string', default: ',', description: 'CSV field separator' },
+  ],
+  convert,
+};
@@ -0,0 +1,246 @@
+import path from 'path';
+import JSZip from 'jszip';
+import { storeOutputFile } from './outputFiles';
+
+/**
+ * WordprocessingML (.docx) writer
+ *
+ * Turns plain or lightly structured text into a Word document: paragraphs
+ * with line breaks, headings and page breaks. Headings use Word's built-in
+ * "Heading 1-3" styles so they show up in the navigation pane and tables of
+ * contents. The result opens in Word, LibreOffice and Google Docs.
+ */
+
+export const DOCX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+
+const CONTENT_TYPES = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+<Default Extension="xml" ContentType="application/xml"/>
+<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>
+<Override PartName="/word/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml"/>
+<Override PartName="/docProps/core.xml" ContentType="application/vnd.openxmlformats-package.core-properties+xml"/>
+</Types>`;
+
+const PACKAGE_RELS = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/>
+<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties" Target="docProps/core.xml"/>
+</Relationships>`;
+
+const DOCUMENT_RELS = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>
+</Relationships>`;
+
+// Heading sizes in half-points, by level
+const HEADING_SIZES = { 1: 32, 2: 28, 3: 24 };
+
+const headingStyle = (level) => `<w:style w:type="paragraph" w:styleId="Heading${level}">
+<w:name w:val="heading ${level}"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:uiPriority w:val="9"/><w:qFormat/>
+<w:pPr><w:keepNext/><w:spacing w:before="${level === 1 ? 360 : 240}" w:after="120"/><w:outlineLvl w:val="${level - 1}"/></w:pPr>
+<w:rPr><w:b/><w:sz w:val="${HEADING_SIZES[level]}"/></w:rPr>
+</w:style>`;
+
+const STYLES = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:styles xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">
+<w:docDefaults>
+<w:rPrDefault><w:rPr><w:rFonts w:ascii="Calibri" w:hAnsi="Calibri" w:eastAsia="Calibri" w:cs="Calibri"/><w:sz w:val="22"/><w:szCs w:val="22"/><w:lang w:val="en-US"/></w:rPr></w:rPrDefault>
+<w:pPrDefault><w:pPr><w:spacing w:after="160" w:line="259" w:lineRule="auto"/></w:pPr></w:pPrDefault>
+</w:docDefaults>
+<w:style w:type="paragraph" w:default="1" w:styleId="Normal"><w:name w:val="Normal"/><w:qFormat/></w:style>
+${Object.keys(HEADING_SIZES).map(level => headingStyle(Number(level))).join('\n')}
+</w:styles>`;
+
+// Characters XML 1.0 does not allow, which OCR output occasionally contains
+const INVALID_XML_CHARS = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g;
+
+// Longest line still considered a heading
+const MAX_HEADING_LENGTH = 80;
+
+/**
+ * Escape text for use in XML content and attributes
+ * @param {string} value - Raw text
+ * @returns {string} Escaped text
+ */
+const escapeXml = (value) => {
+  return String(value)
+    .replace(INVALID_XML_CHARS, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+};
+
+/**
+ * Heading level of a paragraph, judged from its layout, or 0 for body text
+ *
+ * A heading is a paragraph of one short line that does not end like a
+ * sentence, and is either marked up ("# Title", or underlined with === or
+ * --- on the next line), numbered like a section ("2.1 Scope") or written in
+ * capitals ("TERMS AND CONDITIONS").
+ * @param {Array<string>} lines - Lines of the paragraph
+ * @returns {{level: number, text: string}}
+ */
+const detectHeading = (lines) => {
+  const [first, second] = lines.map(line => line.trim());
+  const body = { level: 0, text: lines.join('\n') };
+
+  // Setext style: a line underlined with === or ---
+  if (lines.length === 2 && /^(=+|-+)$/.test(second) && first.length <= MAX_HEADING_LENGTH) {
+    return { level: second[0] === '=' ? 1 : 2, text: first };
+  }
+
+  if (lines.length !== 1 || first.length > MAX_HEADING_LENGTH) {
+    return body;
+  }
+
+  const marked = first.match(/^(#{1,6})\s+(.+?)\s*#*$/);
+  if (marked) {
+    return { level: Math.min(marked[1].length, 3), text: marked[2] };
+  }
+
+  // Sentences, list items, table rows and "Label: value" lines are body text
+  if (/[.,;:!?]$/.test(first) || /: /.test(first) || /^[-*•]\s/.test(first) || /\t| {3,}/.test(first)) {
+    return body;
+  }
+
+  const numbered = first.match(/^(\d+(?:\.\d+){0,2})\.?\s+\p{Lu}/u);
+  if (numbered) {
+    return { level: numbered[1].split('.').length, text: first };
+  }
+
+  // Capitals, but not codes such as "VAT DE123456789"
+  const letters = first.replace(/[^\p{L}]/gu, '');
+  const digits = first.replace(/\D/g, '');
+  if (
+    letters.length >= 4 && letters.length > digits.length &&
+    letters === letters.toUpperCase() && letters !== letters.toLowerCase()
+  ) {
+    return { level: 1, text: first };
+  }
+
+  return body;
+};
+
+/**
+ * Split text into the blocks of a document
+ *
+ * Form feeds start a new page, blank lines separate paragraphs and single
+ * newlines are line breaks within a paragraph.
+ * @param {string} text - Plain text
+ * @param {Object} options - Parsing options
+ * @param {boolean} options.detectHeadings - Turn heading-like paragraphs into headings
+ * @returns {Array<{type: 'heading'|'paragraph'|'pageBreak', text?: string, level?: number}>}
+ */
+export const parseTextBlocks = (text, { detectHeadings = true } = {}) => {
+  const pages = String(text || '')
+    .replace(/\r\n?/g, '\n')
+    .split('\f');
+
+  return pages.flatMap((page, index) => {
+    const blocks = page
+      .split(/\n[^\S\n]*\n/)
+      .map(paragraph => paragraph.replace(/^\n+|\n+$/g, '').split('\n').map(line => line.trimEnd()))
+      .filter(lines => lines.some(Boolean))
+      .map((lines) => {
+        const { level, text: content } = detectHeadings ? detectHeading(lines) : { level: 0, text: lines.join('\n') };
+        return level > 0
+          ? { type: 'heading', level, text: content }
+          : { type: 'paragraph', text: content };
+      });
+
+    return index > 0 ? [{ type: 'pageBreak' }, ...blocks] : blocks;
+  });
+};
+
+/**
+ * A run of text, keeping tabs and leading or trailing spaces
+ */
+const textRun = (text) => {
+  const parts = text.split('\t').map(part => (part
+    ? `<w:t xml:space="preserve">${escapeXml(part)}</w:t>`
+    : ''));
+  return `<w:r>${parts.join('<w:tab/>')}</w:r>`;
+};
+
+/**
+ * WordprocessingML for one block
+ */
+const blockXml = (block) => {
+  if (block.type === 'pageBreak') {
+    return '<w:p><w:r><w:br w:type="page"/></w:r></w:p>';
+  }
+
+  const properties = block.type === 'heading'
+    ? `<w:pPr><w:pStyle w:val="Heading${block.level}"/></w:pPr>`
+    : '';
+  const lines = block.text.split('\n').map(textRun);
+
+  return `<w:p>${properties}${lines.join('<w:r><w:br/></w:r>')}</w:p>`;
+};
+
+const coreXml = (title) => `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:dcterms="http://purl.org/dc/terms/" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">
+<dc:title>${escapeXml(title)}</dc:title>
+<dcterms:created xsi:type="dcterms:W3CDTF">${new Date().toISOString().replace(/\.\d+Z$/, 'Z')}</dcterms:created>
+</cp:coreProperties>`;
+
+/**
+ * Build a .docx file from plain text
+ * @param {Array<string>|string} pages - Text of each page, or a single text
+ *   (see parseTextBlocks for how it is structured)
+ * @param {Object} options - Document options
+ * @param {string} options.title - Document title (core properties)
+ * @param {boolean} options.detectHeadings - Turn heading-like paragraphs into headings
+ * @returns {Promise<Buffer>} DOCX bytes
+ */
+export const createDocx = async (pages, { title = '', detectHeadings = true } = {}) => {
+  const text = Array.isArray(pages) ? pages.join('\f') : pages;
+  const blocks = parseTextBlocks(text, { detectHeadings });
+
+  // Word needs at least one paragraph before the section properties
+  const body = blocks.length > 0 ? blocks.map(blockXml).join('') : '<w:p/>';
+
+  const documentXml = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">
+<w:body>${body}<w:sectPr><w:pgSz w:w="11906" w:h="16838"/><w:pgMar w:top="1440" w:right="1440" w:bottom="1440" w:left="1440" w:header="708" w:footer="708" w:gutter="0"/></w:sectPr></w:body>
+</w:document>`;
+
+  const zip = new JSZip();
+  zip.file('[Content_Types].xml', CONTENT_TYPES);
+  zip.file('_rels/.rels', PACKAGE_RELS);
+  zip.file('word/document.xml', documentXml);
+  zip.file('word/_rels/document.xml.rels', DOCUMENT_RELS);
+  zip.file('word/styles.xml', STYLES);
+  zip.file('docProps/core.xml', coreXml(title));
+
+  return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE', mimeType: DOCX_MIME_TYPE });
+};
+
+/**
+ * Write text to a Word document in the converted files storage
+ * @param {string} text - Plain text, see parseTextBlocks
+ * @param {string} fileName - Name of the file the text came from; the
+ *   document is named after it
+ * @param {Object} options - Storage options
+ * @param {string} options.originalFileId - ID of the source file, if stored
+ * @returns {Promise<Object>} Stored file metadata, including `url` and `size`
+ */
+export const createWordDocument = async (text, fileName, { originalFileId = null } = {}) => {
+  const baseName = path.basename(fileName || 'document', path.extname(fileName || '')) || 'document';
+  const buffer = await createDocx(text, { title: baseName });
+
+  return storeOutputFile(buffer, {
+    name: `${baseName}.docx`,
+    type: DOCX_MIME_TYPE,
+    originalFileId,
+  });
+};
+
+export default {
+  DOCX_MIME_TYPE,
+  parseTextBlocks,
+  createDocx,
+  createWordDocument,
+};
@@ -0,0 +1,63 @@
+import { Readable } from 'stream';
+import { NextResponse } from 'next/server';
+import { ERROR_CODES } from '../config/api';
+import { ApiError } from './apiError';
+import { storage, getFileKey } from './storage';
+
+/**
+ * Build a Content-Disposition header that survives non-ASCII file names
+ * @param {'inline'|'attachment'} type - Disposition type
+ * @param {string} fileName - File name shown to the user
+ * @returns {string} Header value
+ */
+export const contentDisposition = (type, fileName) => {
+  const fallback = fileName.replace(/[^\x20-\x7E]/g, '_').replace(/["\\]/g, '_');
+  const encoded = encodeURIComponent(fileName).replace(/['()*]/g, (c) => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+
+  return `${type}; filename="${fallback}"; filename*=UTF-8''${encoded}`;
+};
+
+/**
+ * Strip server-only fields from a file record before returning it to clients
+ * @param {Object} fileData - Stored file metadata
+ * @returns {Object} Public metadata
+ */
+export const toPublicFile = (fileData) => {
+  const { path: filePath, storageKey, ...publicData } = fileData;
+  return publicData;
+};
+
+/**
+ * Stream a stored file back to the client
+ * @param {Object} fileData - Stored file metadata
+ * @param {Object} options - Response options
+ * @param {'inline'|'attachment'} options.disposition - How the browser should treat the file
+ * @returns {Promise<NextResponse>} The streaming response
+ * @throws {ApiError} 404 FILE_NOT_FOUND if the bytes are gone
+ */
+export const createFileResponse = async (fileData, { disposition = 'inline' } = {}) => {
+  // Stat first so a missing file becomes a 404 instead of a broken stream
+  const key = getFileKey(fileData);
+  const stats = await storage.stat(key);
+  if (!stats) {
+    throw ApiError.notFound('File not found', ERROR_CODES.FILE_NOT_FOUND);
+  }
+
+  const stream = Readable.toWeb(await storage.getStream(key));
+
+  return new NextResponse(stream, {
+    headers: {
+      'Content-Type': fileData.type || 'application/octet-stream',
+      'Content-Disposition': contentDisposition(disposition, fileData.name),
+      'Content-Length': String(stats.size),
+      // Links expire, so neither browsers nor proxies may keep a copy
+      'Cache-Control': 'private, no-store',
+    },
+  });
+};
+
+export default {
+  contentDisposition,
+  toPublicFile,
+  createFileResponse,
+};
@@ -0,0 +1,221 @@
+import { FORMATS, getFormatFromMimeType } from '../config/formats';
+
+/**
+ * File type detection from content ("magic bytes")
+ *
+ * Browsers derive `file.type` from the file name, so it cannot be trusted.
+ * These helpers look at the bytes instead. They work on plain Uint8Arrays
+ * (Node Buffers included) so the same checks run in the browser and on the
+ * server.
+ *
+ * Only the start and the end of a file are needed: the end matters for ZIP
+ * archives, whose central directory lists the entry names that tell Word,
+ * Excel and PowerPoint files apart.
+ */
+
+// Bytes read from each end of a file for detection
+export const SAMPLE_SIZE = 64 * 1024;
+
+// Detected types that are never accepted, whatever the declared type
+const EXECUTABLE = { format: 'exe', mimeType: 'application/x-msdownload', family: 'executable' };
+
+// ZIP entry prefixes of the Office Open XML formats
+const OOXML_PARTS = [
+  ['word/', 'docx'],
+  ['xl/', 'xlsx'],
+  ['ppt/', 'pptx'],
+];
+
+// OLE2 stream names (stored as UTF-16LE) of the legacy Office formats
+const OLE2_STREAMS = [
+  ['WordDocument', 'doc'],
+  ['Workbook', 'xls'],
+  ['Book', 'xls'],
+  ['PowerPoint Document', 'ppt'],
+];
+
+// Formats the generic families may be declared as
+const FAMILY_FORMATS = {
+  text: ['txt', 'csv'],
+  ole2: ['doc', 'xls', 'ppt'],
+};
+
+const startsWith = (bytes, signature, offset = 0) => {
+  if (bytes.length < offset + signature.length) return false;
+  return signature.every((byte, i) => byte === null || bytes[offset + i] === byte);
+};
+
+const ascii = (text) => Array.from(text, char => char.charCodeAt(0));
+
+const utf16le = (text) => Array.from(text).flatMap(char => [char.charCodeAt(0), 0]);
+
+const includesBytes = (bytes, needle) => {
+  outer: for (let i = 0; i + needle.length <= bytes.length; i++) {
+    for (let j = 0; j < needle.length; j++) {
+      if (bytes[i + j] !== needle[j]) continue outer;
+    }
+    return true;
+  }
+  return false;
+};
+
+const concatSamples = (head, tail) => {
+  if (!tail || tail.length === 0) return head;
+  const joined = new Uint8Array(head.length + tail.length);
+  joined.set(head, 0);
+  joined.set(tail, head.length);
+  return joined;
+};
+
+const result = (format, family = format) => ({
+  format,
+  mimeType: FORMATS[format]?.mimeTypes[0] || null,
+  family,
+});
+
+/**
+ * Whether a sample looks like text: no NUL bytes and valid UTF-8, or a
+ * UTF-16 byte order mark
+ */
+const isText = (bytes) => {
+  if (startsWith(bytes, [0xFF, 0xFE]) || startsWith(bytes, [0xFE, 0xFF])) {
+    return true;
+  }
+
+  if (bytes.includes(0)) {
+    return false;
+  }
+
+  try {
+    // `stream` tolerates a multi-byte character cut off at the sample edge
+    new TextDecoder('utf-8', { fatal: true }).decode(bytes, { stream: true });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Detect a file's type from its content
+ * @param {Uint8Array} head - The first bytes of the file (up to SAMPLE_SIZE)
+ * @param {Uint8Array} tail - The last bytes of the file, for large files
+ * @returns {{format: string|null, mimeType: string|null, family: string}|null}
+ *   The detected type, or null if it is not recognised. `family` groups
+ *   formats that cannot be told apart reliably (text, ole2, zip).
+ */
+export const detectFileType = (head, tail = null) => {
+  if (!head || head.length === 0) {
+    return null;
+  }
+
+  // PDF readers accept the header anywhere in the first kilobyte
+  if (includesBytes(head.subarray(0, 1024), ascii('%PDF-'))) return result('pdf');
+
+  if (startsWith(head, [0xFF, 0xD8, 0xFF])) return result('jpg');
+  if (startsWith(head, [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A])) return result('png');
+  if (startsWith(head, ascii('GIF87a')) || startsWith(head, ascii('GIF89a'))) return result('gif');
+  if (startsWith(head, ascii('RIFF')) && startsWith(head, ascii('WEBP'), 8)) return result('webp');
+  if (startsWith(head, [0x49, 0x49, 0x2A, 0x00]) || startsWith(head, [0x4D, 0x4D, 0x00, 0x2A])) return result('tiff');
+  if (startsWith(head, ascii('ftypavif'), 4) || startsWith(head, ascii('ftypavis'), 4)) return result('avif');
+
+  // ZIP: Office Open XML documents are ZIPs with known part names
+  if (startsWith(head, [0x50, 0x4B, 0x03, 0x04]) || startsWith(head, [0x50, 0x4B, 0x05, 0x06])) {
+    const sample = concatSamples(head, tail);
+    const part = OOXML_PARTS.find(([prefix]) => includesBytes(sample, ascii(prefix)));
+    return part
+      ? result(part[1], 'ooxml')
+      : { format: null, mimeType: 'application/zip', family: 'zip' };
+  }
+
+  // OLE2 compound file: legacy .doc, .xls and .ppt
+  if (startsWith(head, [0xD0, 0xCF, 0x11, 0xE0, 0xA1, 0xB1, 0x1A, 0xE1])) {
+    const sample = concatSamples(head, tail);
+    const stream = OLE2_STREAMS.find(([name]) => includesBytes(sample, utf16le(name)));
+    return stream
+      ? result(stream[1], 'ole2')
+      : { format: null, mimeType: 'application/x-ole-storage', family: 'ole2' };
+  }
+
+  // Windows, Linux and macOS executables, and scripts
+  if (
+    startsWith(head, ascii('MZ')) ||
+    startsWith(head, [0x7F, 0x45, 0x4C, 0x46]) ||
+    [[0xFE, 0xED, 0xFA, 0xCE], [0xFE, 0xED, 0xFA, 0xCF], [0xCE, 0xFA, 0xED, 0xFE], [0xCF, 0xFA, 0xED, 0xFE], [0xCA, 0xFE, 0xBA, 0xBE]]
+      .some(signature => startsWith(head, signature)) ||
+    startsWith(head, ascii('#!'))
+  ) {
+    return EXECUTABLE;
+  }
+
+  if (isText(head)) return result('txt', 'text');
+
+  return null;
+};
+
+/**
+ * Check a detected type against the type the client declared
+ * @param {string} declaredType - Declared MIME type
+ * @param {Object|null} detected - Result of detectFileType
+ * @returns {boolean} True if the content matches the declared type
+ */
+export const isDetectedTypeCompatible = (declaredType, detected) => {
+  const declared = getFormatFromMimeType(declaredType);
+
+  if (!declared || !detected || detected.family === 'executable') {
+    return false;
+  }
+
+  if (detected.format === declared) {
+    return true;
+  }
+
+  // Plain text is also valid CSV, and unrecognised OLE2 files may be any legacy Office format
+  if (detected.family === 'text' || !detected.format) {
+    return (FAMILY_FORMATS[detected.family] || []).includes(declared);
+  }
+
+  return false;
+};
+
+/**
+ * Detect a file's type and compare it with the declared type
+ * @param {string} declaredType - Declared MIME type
+ * @param {Uint8Array} head - The first bytes of the file
+ * @param {Uint8Array} tail - The last bytes of the file
+ * @returns {{valid: boolean, detected: Object|null, error?: string}}
+ */
+export const verifyFileType = (declaredType, head, tail = null) => {
+  const detected = detectFileType(head, tail);
+
+  if (isDetectedTypeCompatible(declaredType, detected)) {
+    return { valid: true, detected };
+  }
+
+  const description = detected
+    ? detected.mimeType || detected.family
+    : 'an unrecognised type';
+
+  return {
+    valid: false,
+    detected,
+    error: `File content does not match its declared type ${declaredType}: it looks like ${description}`,
+  };
+};
+
+/**
+ * Split an in-memory file into the samples detectFileType expects
+ * @param {Uint8Array} bytes - Whole file
+ * @returns {{head: Uint8Array, tail: Uint8Array|null}}
+ */
+export const sampleBytes = (bytes) => ({
+  head: bytes.subarray(0, SAMPLE_SIZE),
+  tail: bytes.length > SAMPLE_SIZE ? bytes.subarray(Math.max(SAMPLE_SIZE, bytes.length - SAMPLE_SIZE)) : null,
+});
+
+export default {
+  SAMPLE_SIZE,
+  detectFileType,
+  isDetectedTypeCompatible,
+  verifyFileType,
+  sampleBytes,
+};
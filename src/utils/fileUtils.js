@@ -2,6 +2,8 @@
  * Utility functions for file operations
  */
 
+import { SAMPLE_SIZE, verifyFileType } from './fileSignature';
+
 export const FILE_TYPES = {
   // Document types
   PDF: 'application/pdf',
@@ -18,6 +20,8 @@ export const FILE_TYPES = {
   PNG: 'image/png',
   GIF: 'image/gif',
   WEBP: 'image/webp',
+  TIFF: 'image/tiff',
+  AVIF: 'image/avif',
   
   // Text types
   TXT: 'text/plain',
@@ -157,6 +161,32 @@ export const fileToDataURL = (file) => {
   });
 };
 
+/**
+ * Check that a file's content matches its declared type
+ *
+ * `file.type` is derived from the file name by the browser, so this reads
+ * the first and last bytes and checks their signature. The server repeats
+ * the check; this one only gives faster feedback.
+ * @param {File} file - The file to check
+ * @returns {Promise<{valid: boolean, error?: string, detectedType?: string}>} Validation result
+ */
+export const validateFileContent = async (file) => {
+  if (!file) {
+    return { valid: false, error: 'No file provided' };
+  }
+  
+  const head = new Uint8Array(await file.slice(0, SAMPLE_SIZE).arrayBuffer());
+  const tail = file.size > SAMPLE_SIZE
+    ? new Uint8Array(await file.slice(Math.max(SAMPLE_SIZE, file.size - SAMPLE_SIZE)).arrayBuffer())
+    : null;
+  
+  const { valid, detected, error } = verifyFileType(file.type, head, tail);
+  
+  return valid
+    ? { valid: true, detectedType: detected.mimeType }
+    : { valid: false, error };
+};
+
 /**
  * Download a file from a URL
  * @param {string} url - The URL of the file to download
@@ -0,0 +1,110 @@
+import { conversionQueue, isFinalStatus } from './jobQueue';
+
+// Comment line sent while jobs are quiet, so proxies keep the stream open
+const HEARTBEAT_INTERVAL = 15000;
+
+/**
+ * Public state of a job as sent to event stream clients
+ * @param {Object} job - Job from the queue
+ * @returns {Object} The job's state, step statuses and download URL once done
+ */
+export const toJobEvent = (job) => {
+  const result = job.result || null;
+
+  return {
+    id: job.id,
+    type: job.type,
+    status: job.status,
+    progress: job.progress,
+    tasks: job.tasks || [],
+    error: job.error,
+    downloadUrl: result?.url || result?.downloadUrl || result?.archive?.url || null,
+    result,
+    updatedAt: job.updatedAt,
+  };
+};
+
+/**
+ * Format one Server-Sent Events message
+ * @param {string} event - Event name
+ * @param {Object} data - Payload, sent as JSON
+ * @returns {string}
+ */
+export const formatEvent = (event, data) => {
+  return `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+};
+
+/**
+ * Stream the changes of a set of jobs as Server-Sent Events
+ *
+ * Sends a `job` event with each job's current state, then one for every
+ * change. When all jobs have finished a `done` event lists their final
+ * states and the stream closes.
+ * @param {Array<string>} jobIds - Jobs to follow; all must exist
+ * @param {Object} options - Stream options
+ * @param {AbortSignal} options.signal - Closes the stream when the client goes away
+ * @returns {ReadableStream<Uint8Array>}
+ */
+export const createJobEventStream = (jobIds, { signal } = {}) => {
+  const encoder = new TextEncoder();
+  const watched = new Set(jobIds);
+  let cleanup = () => {};
+
+  return new ReadableStream({
+    start(controller) {
+      let closed = false;
+
+      const send = (chunk) => {
+        if (!closed) controller.enqueue(encoder.encode(chunk));
+      };
+
+      const close = () => {
+        if (closed) return;
+        closed = true;
+        cleanup();
+        controller.close();
+      };
+
+      const finishIfDone = () => {
+        const jobs = jobIds.map(id => conversionQueue.get(id));
+        if (jobs.every(job => job && isFinalStatus(job.status))) {
+          send(formatEvent('done', { jobs: jobs.map(toJobEvent) }));
+          close();
+        }
+      };
+
+      const onJob = (job) => {
+        if (!watched.has(job.id)) return;
+        send(formatEvent('job', toJobEvent(job)));
+        if (isFinalStatus(job.status)) finishIfDone();
+      };
+
+      const heartbeat = setInterval(() => send(': heartbeat\n\n'), HEARTBEAT_INTERVAL);
+
+      cleanup = () => {
+        clearInterval(heartbeat);
+        conversionQueue.events.off('job', onJob);
+        signal?.removeEventListener('abort', close);
+      };
+
+      conversionQueue.events.on('job', onJob);
+      signal?.addEventListener('abort', close);
+
+      jobIds.forEach((id) => {
+        const job = conversionQueue.get(id);
+        if (job) send(formatEvent('job', toJobEvent(job)));
+      });
+      finishIfDone();
+    },
+
+    cancel() {
+      cleanup();
+    },
+  });
+};
+
+export default {
+  toJobEvent,
+  formatEvent,
+  createJobEventStream,
+};
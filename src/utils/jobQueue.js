@@ -0,0 +1,521 @@
+import { EventEmitter } from 'events';
+import { v4 as uuidv4 } from 'uuid';
+import { serverEnv } from '../config/env';
+import { ApiError } from './apiError';
+import { logger } from './logger';
+import { metadataStore, MemoryStore } from './metadataStore';
+import { signFileUrls } from './signedUrls';
+
+/**
+ * Job lifecycle states
+ */
+export const JOB_STATUS = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled',
+};
+
+const FINAL_STATUSES = [JOB_STATUS.COMPLETED, JOB_STATUS.FAILED, JOB_STATUS.CANCELLED];
+
+/**
+ * Whether a job has reached a state it will not leave
+ * @param {string} status - Job status
+ * @returns {boolean}
+ */
+export const isFinalStatus = (status) => FINAL_STATUSES.includes(status);
+
+/**
+ * States of the steps within a job (import, convert, export), matching
+ * CloudConvert's task states
+ */
+export const TASK_STATUS = {
+  WAITING: 'waiting',
+  PROCESSING: 'processing',
+  FINISHED: 'finished',
+  ERROR: 'error',
+};
+
+/**
+ * In-process job queue with a fixed-size worker pool
+ *
+ * Handlers are registered per job type with `process()`. Each handler receives
+ * the job's data and a context with `progress(percent)`, `task(name, status)`
+ * to report the step it is on (e.g. 'import', 'convert', 'export'), an
+ * AbortSignal that fires when the job exceeds its timeout or is cancelled, and
+ * a `log` whose entries carry the job's ID and the ID of the request that
+ * queued it.
+ *
+ * `cancel()` stops a queued or running job. The job type's `onCancel` hook
+ * can stop work done elsewhere, and its `cleanup` hook receives any result
+ * the handler still produces, so output files can be removed.
+ *
+ * Jobs run elsewhere (e.g. by CloudConvert) can be recorded with `track()`
+ * and finished with `complete()` or `fail()` when their outcome arrives.
+ *
+ * Job records are kept in the `jobs` collection of a metadata store. Jobs that
+ * were queued or running when the process stopped are queued again on startup,
+ * and start once their type's handler is registered (see utils/jobWorkers);
+ * tracked jobs are left running until their outcome arrives. Every change is
+ * emitted as a `job` event with the updated job.
+ */
+class JobQueue {
+  /**
+   * Create a job queue
+   * @param {Object} options - Queue options
+   * @param {number} options.concurrency - Number of jobs run in parallel
+   * @param {number} options.timeout - Default per-job timeout in milliseconds
+   * @param {MemoryStore} options.store - Where job records are kept
+   */
+  constructor({ concurrency = 2, timeout = 5 * 60 * 1000, store = new MemoryStore() } = {}) {
+    this.concurrency = Math.max(1, concurrency);
+    this.timeout = timeout;
+    this.store = store;
+    this.handlers = new Map();
+    this.hooks = new Map();
+    this.controllers = new Map();
+    this.pending = [];
+    this.active = 0;
+    this.events = new EventEmitter();
+    // Every waiting client adds a listener
+    this.events.setMaxListeners(0);
+
+    this.restore();
+  }
+
+  /**
+   * Re-queue jobs left unfinished by a previous process
+   * @private
+   */
+  restore() {
+    this.store
+      .list('jobs', (job) => !FINAL_STATUSES.includes(job.status) && !job.external)
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+      .forEach((job) => {
+        this.store.update('jobs', job.id, {
+          status: JOB_STATUS.QUEUED,
+          progress: 0,
+          tasks: [],
+          startedAt: null,
+          updatedAt: new Date().toISOString(),
+        });
+        this.pending.push(job.id);
+      });
+  }
+
+  /**
+   * Register the handler for a job type
+   * @param {string} type - Job type
+   * @param {Function} handler - async (data, { job, progress, task, signal }) => result
+   * @param {Object} hooks - Optional lifecycle hooks
+   * @param {Function} hooks.onCancel - async (data, job) => void, when a job is cancelled
+   * @param {Function} hooks.cleanup - async (result, data) => void, with the result of a
+   *   job that finished after it was cancelled or timed out
+   */
+  process(type, handler, hooks = {}) {
+    this.handlers.set(type, handler);
+    this.hooks.set(type, hooks);
+    this.drain();
+  }
+
+  /**
+   * Add a job to the queue
+   * @param {string} type - Job type
+   * @param {Object} data - Job input, passed to the handler
+   * @param {Object} options - Job options
+   * @param {string} options.id - Use a specific job ID
+   * @param {number} options.timeout - Override the default timeout
+   * @param {string} options.requestId - ID of the request that started the job, for the logs
+   * @returns {Object} The queued job
+   */
+  enqueue(type, data = {}, { id = uuidv4(), timeout = this.timeout, requestId = null } = {}) {
+    const now = new Date().toISOString();
+    const job = {
+      id,
+      type,
+      status: JOB_STATUS.QUEUED,
+      progress: 0,
+      tasks: [],
+      data,
+      result: null,
+      error: null,
+      errorCode: null,
+      requestId,
+      timeout,
+      createdAt: now,
+      updatedAt: now,
+      startedAt: null,
+      completedAt: null,
+    };
+
+    this.store.set('jobs', id, job);
+    this.pending.push(id);
+    this.drain();
+
+    return toView(job);
+  }
+
+  /**
+   * Record a job that runs outside the queue, such as a CloudConvert job
+   *
+   * The job starts as running and stays so until `complete()` or `fail()`
+   * is called; it has no handler and no timeout.
+   * @param {string} type - Job type
+   * @param {Object} data - Job input
+   * @param {Object} options - Job options
+   * @param {string} options.id - Use a specific job ID
+   * @param {string} options.requestId - ID of the request that started the job, for the logs
+   * @returns {Object} The tracked job
+   */
+  track(type, data = {}, { id = uuidv4(), requestId = null } = {}) {
+    const now = new Date().toISOString();
+    const job = {
+      id,
+      type,
+      status: JOB_STATUS.RUNNING,
+      progress: 0,
+      tasks: [],
+      data,
+      result: null,
+      error: null,
+      errorCode: null,
+      requestId,
+      external: true,
+      createdAt: now,
+      updatedAt: now,
+      startedAt: now,
+      completedAt: null,
+    };
+
+    this.store.set('jobs', id, job);
+    this.events.emit('job', toView(job));
+
+    return toView(job);
+  }
+
+  /**
+   * Mark a job as completed
+   * @param {string} id - Job ID
+   * @param {*} result - Job result; its file URLs are stored as signed links (see utils/signedUrls)
+   * @returns {Object|null} The updated job, or null if unknown or already finished
+   */
+  complete(id, result = null) {
+    const job = this.store.get('jobs', id);
+    if (!job || FINAL_STATUSES.includes(job.status)) return null;
+
+    const completed = this.update(id, {
+      status: JOB_STATUS.COMPLETED,
+      progress: 100,
+      tasks: settleTasks(job.tasks, TASK_STATUS.FINISHED),
+      // Signed once, so a single-use link stays used up however often the job is read
+      result: signFileUrls(result),
+      completedAt: new Date().toISOString(),
+    });
+    getJobLogger(job).info('Job completed', { durationMs: getDuration(completed) });
+
+    return completed;
+  }
+
+  /**
+   * Mark a job as failed
+   * @param {string} id - Job ID
+   * @param {string} error - Error message
+   * @param {string} code - Machine-readable error code (see ERROR_CODES in config/api)
+   * @returns {Object|null} The updated job, or null if unknown or already finished
+   */
+  fail(id, error, code = 'JOB_FAILED') {
+    const job = this.store.get('jobs', id);
+    if (!job || FINAL_STATUSES.includes(job.status)) return null;
+
+    const failed = this.update(id, {
+      status: JOB_STATUS.FAILED,
+      tasks: settleTasks(job.tasks, TASK_STATUS.ERROR),
+      error: error || 'Job failed',
+      errorCode: code,
+      completedAt: new Date().toISOString(),
+    });
+    getJobLogger(job).warn('Job failed', { errorCode: code, error: failed.error, durationMs: getDuration(failed) });
+
+    return failed;
+  }
+
+  /**
+   * Cancel a queued or running job
+   *
+   * Queued jobs never start; running jobs have their signal aborted. The
+   * job is marked cancelled at once, without waiting for its handler.
+   * @param {string} id - Job ID
+   * @returns {Object|null} The cancelled job, or null if unknown or already finished
+   */
+  cancel(id) {
+    const job = this.store.get('jobs', id);
+    if (!job || FINAL_STATUSES.includes(job.status)) return null;
+
+    this.pending = this.pending.filter(pendingId => pendingId !== id);
+
+    const view = this.update(id, {
+      status: JOB_STATUS.CANCELLED,
+      tasks: settleTasks(job.tasks, TASK_STATUS.ERROR),
+      completedAt: new Date().toISOString(),
+    });
+
+    this.controllers.get(id)?.abort(new Error('Job was cancelled'));
+    getJobLogger(job).info('Job cancelled', { previousStatus: job.status });
+
+    const { onCancel } = this.hooks.get(job.type) || {};
+    if (onCancel) {
+      Promise.resolve()
+        .then(() => onCancel(job.data, view))
+        .catch(error => getJobLogger(job).error('Failed to cancel job', error));
+    }
+
+    return view;
+  }
+
+  /**
+   * Set the status of one step of a running job
+   *
+   * Steps run one after another, so starting a step finishes the one in
+   * progress. Steps are listed in the order they are first reported.
+   * @param {string} id - Job ID
+   * @param {string} name - Step name, e.g. 'import', 'convert' or 'export'
+   * @param {string} status - One of TASK_STATUS
+   * @returns {Object|null} The updated job, or null if unknown or already finished
+   */
+  setTask(id, name, status = TASK_STATUS.PROCESSING) {
+    const job = this.store.get('jobs', id);
+    if (!job || FINAL_STATUSES.includes(job.status)) return null;
+
+    const tasks = (job.tasks || []).map(task => (
+      status === TASK_STATUS.PROCESSING && task.status === TASK_STATUS.PROCESSING && task.name !== name
+        ? { ...task, status: TASK_STATUS.FINISHED }
+        : task
+    ));
+
+    const index = tasks.findIndex(task => task.name === name);
+    if (index === -1) {
+      tasks.push({ name, status });
+    } else {
+      tasks[index] = { name, status };
+    }
+
+    return this.update(id, { tasks });
+  }
+
+  /**
+   * Wait until a job changes, for long polling
+   * @param {string} id - Job ID
+   * @param {Object} options - Wait options
+   * @param {string} options.since - `updatedAt` the caller already has; resolves
+   *   at once if the job is newer or finished
+   * @param {number} options.timeout - Longest wait in milliseconds
+   * @returns {Promise<Object|null>} The job as it is when it changes or the
+   *   wait ends, or null if unknown
+   */
+  waitForUpdate(id, { since = null, timeout = 25000 } = {}) {
+    const current = this.get(id);
+    if (!current || FINAL_STATUSES.includes(current.status) || (since && current.updatedAt > since)) {
+      return Promise.resolve(current);
+    }
+
+    return new Promise((resolve) => {
+      const onJob = (job) => {
+        if (job.id === id) finish();
+      };
+      const finish = () => {
+        clearTimeout(timer);
+        this.events.off('job', onJob);
+        resolve(this.get(id));
+      };
+      const timer = setTimeout(finish, timeout);
+
+      this.events.on('job', onJob);
+    });
+  }
+
+  /**
+   * Get a job by ID
+   * @param {string} id - Job ID
+   * @returns {Object|null} The job, or null if unknown
+   */
+  get(id) {
+    const job = this.store.get('jobs', id);
+    return job ? toView(job) : null;
+  }
+
+  /**
+   * Merge fields into a job record
+   * @param {string} id - Job ID
+   * @param {Object} changes - Fields to update
+   * @returns {Object|null} The updated job
+   */
+  update(id, changes) {
+    const job = this.store.update('jobs', id, {
+      ...changes,
+      updatedAt: new Date().toISOString(),
+    });
+
+    if (!job) return null;
+
+    const view = toView(job);
+    this.events.emit('job', view);
+    return view;
+  }
+
+  /**
+   * Get queue depth and worker usage
+   * @returns {{queued: number, running: number, concurrency: number}}
+   */
+  stats() {
+    return {
+      queued: this.pending.length,
+      running: this.active,
+      concurrency: this.concurrency,
+    };
+  }
+
+  /**
+   * Start queued jobs while workers are free
+   * @private
+   */
+  drain() {
+    while (this.active < this.concurrency) {
+      const index = this.pending.findIndex((id) => this.handlers.has(this.store.get('jobs', id)?.type));
+      if (index === -1) return;
+
+      const [id] = this.pending.splice(index, 1);
+      this.active++;
+
+      this.run(this.store.get('jobs', id)).finally(() => {
+        this.active--;
+        this.drain();
+      });
+    }
+  }
+
+  /**
+   * Run a single job with its timeout
+   * @private
+   */
+  async run(job) {
+    const handler = this.handlers.get(job.type);
+    const controller = new AbortController();
+    const log = getJobLogger(job);
+    let timer;
+
+    this.controllers.set(job.id, controller);
+
+    this.update(job.id, {
+      status: JOB_STATUS.RUNNING,
+      startedAt: new Date().toISOString(),
+    });
+    log.info('Job started', { queuedMs: Date.now() - Date.parse(job.createdAt) });
+
+    const progress = (percent) => {
+      const current = this.store.get('jobs', job.id);
+      if (!current || FINAL_STATUSES.includes(current.status)) return;
+      const value = Math.max(0, Math.min(100, Math.round(percent)));
+      if (value > current.progress) {
+        this.update(job.id, { progress: value });
+      }
+    };
+
+    const task = (name, status) => this.setTask(job.id, name, status);
+
+    // Settles when the job times out or is cancelled
+    const aborted = new Promise((_, reject) => {
+      controller.signal.addEventListener('abort', () => reject(controller.signal.reason));
+    });
+
+    timer = setTimeout(() => {
+      controller.abort(ApiError.gatewayTimeout(`Job timed out after ${job.timeout}ms`, 'PROVIDER_TIMEOUT'));
+    }, job.timeout);
+
+    const work = Promise.resolve().then(() => (
+      handler(job.data, { job: toView(job), progress, task, signal: controller.signal, log })
+    ));
+
+    try {
+      const result = await Promise.race([work, aborted]);
+
+      if (!this.complete(job.id, result ?? null)) {
+        this.discard(job, result);
+      }
+    } catch (error) {
+      if (this.store.get('jobs', job.id)?.status !== JOB_STATUS.CANCELLED) {
+        // Only ApiError codes are stable enough to pass on to clients
+        if (!(error instanceof ApiError)) {
+          log.error('Job handler threw an unexpected error', error);
+        }
+        this.fail(job.id, error.message, error instanceof ApiError ? error.code : undefined);
+      }
+
+      // The handler may still finish after a timeout or cancellation
+      work.then(result => this.discard(job, result), () => {});
+    } finally {
+      clearTimeout(timer);
+      this.controllers.delete(job.id);
+    }
+  }
+
+  /**
+   * Pass the result of a job that no longer wants it to the cleanup hook
+   * @private
+   */
+  discard(job, result) {
+    const { cleanup } = this.hooks.get(job.type) || {};
+    if (!cleanup || result == null) return;
+
+    Promise.resolve()
+      .then(() => cleanup(result, job.data))
+      .catch(error => getJobLogger(job).error('Failed to clean up job', error));
+  }
+}
+
+/**
+ * Logger whose entries carry a job's ID and type, and the ID of the request
+ * that started it
+ */
+function getJobLogger(job) {
+  return logger.child({ requestId: job.requestId || undefined, jobId: job.id, jobType: job.type });
+}
+
+/**
+ * Milliseconds a finished job ran for
+ */
+function getDuration(job) {
+  return job.startedAt ? Date.parse(job.completedAt) - Date.parse(job.startedAt) : null;
+}
+
+/**
+ * Close the steps still in progress when a job ends
+ */
+function settleTasks(tasks = [], status) {
+  return tasks.map(task => (task.status === TASK_STATUS.PROCESSING ? { ...task, status } : task));
+}
+
+/**
+ * Public representation of a job (omits internal input data)
+ */
+function toView(job) {
+  const { data, timeout, external, ...view } = job;
+  return view;
+}
+
+/**
+ * Shared queue instance
+ *
+ * Kept on globalThis so every route module (and dev hot reloads) uses the
+ * same queue and worker pool.
+ */
+const conversionQueue = globalThis.__conversionQueue || new JobQueue({
+  concurrency: serverEnv.CONVERSION_WORKERS,
+  timeout: serverEnv.CONVERSION_TIMEOUT_MS,
+  store: metadataStore,
+});
+
+globalThis.__conversionQueue = conversionQueue;
+
+export { JobQueue, conversionQueue };
+export default conversionQueue;
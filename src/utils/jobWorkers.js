@@ -0,0 +1,251 @@
+import path from 'path';
+import { ERROR_CODES } from '../config/api';
+import { getFormatOfFile } from '../config/formats';
+import { ApiError } from './apiError';
+import { checkUploadedSize } from './cloudConvert';
+import { conversionQueue } from './jobQueue';
+import { metadataStore } from './metadataStore';
+import { providerErrorsTotal, queueWaitDuration, secondsSince, startConversion } from './metrics';
+import { recognize } from './ocr';
+import { compressPdf } from './pdfCompression';
+import { createPartsArchive, mergePdfs, splitPdf } from './pdfTools';
+import { getProvider, runConversion, storeProviderResult, toProviderError } from './providers';
+import { removeOutputFiles, storeOutputFile } from './outputFiles';
+import { readStoredFile } from './storage';
+
+/**
+ * Workers for every queued job type
+ *
+ * Registered once at startup (src/instrumentation.js), before any request
+ * arrives, so jobs restored from the metadata store after a restart run, and
+ * can be cancelled, without waiting for the route that created them to load.
+ * Registering again replaces the handlers, which is harmless.
+ */
+
+/**
+ * Count a failed CloudConvert request in the provider error metrics
+ * @private
+ */
+const countProviderError = (error) => {
+  providerErrorsTotal.inc({ provider: 'cloudconvert', code: error.code });
+  return error;
+};
+
+/**
+ * Register the handler and hooks of every job type with the conversion queue
+ */
+export const registerWorkers = () => {
+  // Browsers upload straight to CloudConvert, so these jobs cannot fall back to another provider
+  const cloudConvertProvider = getProvider('cloudconvert');
+
+  // Worker for queued conversions; the configured providers are tried in order
+  conversionQueue.process('convert', async ({ fileId, targetFormat, options, from, to }, { job, progress, task, signal, log }) => {
+    queueWaitDuration.observe({ type: 'convert' }, secondsSince(job.createdAt));
+    const finish = startConversion({ from, to }, { id: job.id, signal });
+
+    try {
+      const source = metadataStore.get('files', fileId);
+      if (!source) {
+        throw new Error('Source file no longer exists');
+      }
+
+      const result = await runConversion(source, targetFormat, {
+        options,
+        originalFileId: fileId,
+        onProgress: progress,
+        onTask: task,
+        signal,
+        log,
+      });
+
+      finish('completed');
+      return result;
+    } catch (error) {
+      finish('failed');
+      throw error;
+    }
+  }, { cleanup: removeOutputFiles });
+
+  // Worker that follows a CloudConvert job until it finishes, for setups without webhooks
+  conversionQueue.process('cloudconvert', async ({ cloudConvertJobId, file, teamId, from, to }, { job, progress, signal }) => {
+    queueWaitDuration.observe({ type: 'cloudconvert' }, secondsSince(job.createdAt));
+    const finish = startConversion({ from, to }, { id: job.id, signal });
+
+    try {
+      while (!signal.aborted) {
+        const status = await cloudConvertProvider.getStatus(cloudConvertJobId).catch((error) => {
+          throw countProviderError(toProviderError(cloudConvertProvider.name, error));
+        });
+        conversionQueue.update(job.id, { tasks: status.tasks });
+
+        // Quotas were checked against the declared size; stop before converting more
+        const sizeError = checkUploadedSize(status.inputSize, file.size);
+        if (sizeError) {
+          await cloudConvertProvider.cancel(cloudConvertJobId).catch(() => {});
+          throw sizeError;
+        }
+
+        if (status.status === 'finished') {
+          // Keep a copy, so clients download through our signed links
+          const result = await storeProviderResult(cloudConvertProvider.name, await cloudConvertProvider.getResult(cloudConvertJobId), { teamId });
+          finish('completed');
+          return result;
+        }
+
+        if (status.status === 'failed') {
+          throw countProviderError(ApiError.badGateway(status.error || 'Conversion failed', ERROR_CODES.PROVIDER_ERROR));
+        }
+
+        progress(status.progress);
+
+        await new Promise(resolve => setTimeout(resolve, cloudConvertProvider.pollInterval));
+      }
+    } catch (error) {
+      finish('failed');
+      throw error;
+    }
+
+    // Stopped by a timeout or cancellation
+    finish('failed');
+  }, {
+    // Stop the CloudConvert job so it does not use up credits
+    onCancel: ({ cloudConvertJobId }) => cloudConvertProvider.cancel(cloudConvertJobId),
+    cleanup: removeOutputFiles,
+  });
+
+  // Worker for queued OCR runs
+  conversionQueue.process('ocr', async ({ fileId, languages, output }, { progress, task, signal }) => {
+    task('import');
+    const source = metadataStore.get('files', fileId);
+    if (!source) {
+      throw new Error(`File ${fileId} no longer exists`);
+    }
+
+    const baseName = path.basename(source.name, path.extname(source.name));
+    const input = await readStoredFile(source);
+
+    task('convert');
+    const result = await recognize(input, {
+      format: getFormatOfFile(source),
+      languages,
+      output,
+      title: baseName,
+    }, progress, signal);
+
+    task('export');
+    const file = await storeOutputFile(result.output.buffer, {
+      // Searchable PDFs of PDF inputs would otherwise share the source's name
+      name: `${baseName}${output === 'pdf' ? '_ocr' : ''}.${result.output.extension}`,
+      type: result.output.type,
+      originalFileId: fileId,
+      extra: {
+        ocr: {
+          languages: result.languages,
+          confidence: result.confidence,
+          pages: result.pages,
+        },
+      },
+    });
+
+    return { ...file, text: result.text };
+  }, { cleanup: removeOutputFiles });
+
+  // Worker for queued splits
+  conversionQueue.process('split', async ({ fileId, mode, chunkSize, ranges }, { progress, task }) => {
+    task('import');
+    const source = metadataStore.get('files', fileId);
+    if (!source) {
+      throw new Error(`File ${fileId} no longer exists`);
+    }
+
+    const baseName = path.basename(source.name, path.extname(source.name));
+    const input = await readStoredFile(source);
+
+    task('convert');
+    const parts = await splitPdf(input, { mode, chunkSize, ranges, baseName }, progress);
+
+    task('export');
+    const files = [];
+    for (const part of parts) {
+      const file = await storeOutputFile(part.buffer, {
+        name: part.name,
+        type: 'application/pdf',
+        originalFileId: fileId,
+        extra: { title: part.title, pages: part.pages },
+      });
+      files.push(file);
+    }
+    progress(90);
+
+    const archive = await storeOutputFile(
+      await createPartsArchive(parts, { source: source.name, mode }),
+      {
+        name: `${baseName}_split.zip`,
+        type: 'application/zip',
+        originalFileId: fileId,
+        extra: { partCount: parts.length },
+      }
+    );
+
+    return { parts: files, archive };
+  }, { cleanup: removeOutputFiles });
+
+  // Worker for queued merges
+  conversionQueue.process('merge', async ({ inputs, outputName }, { progress, task }) => {
+    task('import');
+    const documents = [];
+
+    for (const input of inputs) {
+      const source = metadataStore.get('files', input.fileId);
+      if (!source) {
+        throw new Error(`File ${input.fileId} no longer exists`);
+      }
+
+      documents.push({
+        buffer: await readStoredFile(source),
+        format: path.extname(source.name),
+        pages: input.pages,
+      });
+    }
+
+    task('convert');
+    const { buffer, pageCount } = await mergePdfs(documents, progress);
+
+    task('export');
+    const file = await storeOutputFile(buffer, {
+      name: outputName,
+      type: 'application/pdf',
+      originalFileId: inputs.map(input => input.fileId),
+    });
+
+    return { ...file, pageCount };
+  }, { cleanup: removeOutputFiles });
+
+  // Worker for queued compressions
+  conversionQueue.process('compress', async ({ fileId, options }, { progress, task }) => {
+    task('import');
+    const source = metadataStore.get('files', fileId);
+    if (!source) {
+      throw new Error(`File ${fileId} no longer exists`);
+    }
+
+    const input = await readStoredFile(source);
+
+    task('convert');
+    const { buffer, ...report } = await compressPdf(input, options, progress);
+
+    task('export');
+    const file = await storeOutputFile(buffer, {
+      name: `${path.basename(source.name, path.extname(source.name))}_compressed.pdf`,
+      type: 'application/pdf',
+      originalFileId: fileId,
+      extra: { compression: report },
+    });
+
+    return file;
+  }, { cleanup: removeOutputFiles });
+};
+
+export default {
+  registerWorkers,
+};
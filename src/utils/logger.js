@@ -0,0 +1,166 @@
+import { serverEnv } from '../config/env';
+
+/**
+ * Structured JSON logging for the server
+ *
+ * Every entry is one line of JSON:
+ *
+ *   {"time":"...","level":"info","msg":"Conversion queued","requestId":"...","jobId":"..."}
+ *
+ * Entries below LOG_LEVEL (debug, info, warn, error) are dropped. Child
+ * loggers add their fields to every entry they write, so all the lines of one
+ * request, or of the job it started, share its `requestId`:
+ *
+ *   const log = logger.child({ requestId });
+ *   log.info('Conversion queued', { jobId, targetFormat });
+ *   log.error('Conversion failed', error);
+ *
+ * Values are redacted before they are written: fields named like credentials
+ * (authorization, apiKey, token, secret, password, cookie, signature, ...),
+ * bearer tokens inside strings and the signature and token parameters of
+ * URLs. File contents are reduced to their length. Only uses console, so it
+ * also works in the Edge runtime.
+ */
+
+export const LOG_LEVELS = {
+  debug: 10,
+  info: 20,
+  warn: 30,
+  error: 40,
+};
+
+export const REDACTED = '[REDACTED]';
+
+// Field names whose values are never logged
+const SENSITIVE_KEY = /pass(word)?|secret|token|authori[sz]ation|cookie|api[-_]?key|signature|credential|private[-_]?key/i;
+
+// URL query parameters that grant access (our signed links, S3 presigned URLs, ...)
+const SENSITIVE_PARAM = /^(signature|token|sig|key|api[-_]?key|access[-_]?token|x-amz-(signature|credential|security-token))$/i;
+
+const MAX_DEPTH = 6;
+const MAX_STRING_LENGTH = 2000;
+
+/**
+ * Redact a string: bearer tokens and sensitive URL parameters
+ * @param {string} value - String to clean
+ * @returns {string}
+ */
+const redactString = (value) => {
+  let result = value.replace(/\b(Bearer|Basic)\s+[\w.~+/=-]+/gi, `$1 ${REDACTED}`);
+
+  if (result.includes('?') && result.includes('=')) {
+    result = result.replace(/([?&])([^=&#\s]+)=([^&#\s]*)/g, (match, separator, name) => (
+      SENSITIVE_PARAM.test(name) ? `${separator}${name}=${REDACTED}` : match
+    ));
+  }
+
+  return result.length > MAX_STRING_LENGTH
+    ? `${result.slice(0, MAX_STRING_LENGTH)}... (${result.length} characters)`
+    : result;
+};
+
+/**
+ * Copy of a value that is safe to log
+ * @param {*} value - Value to clean
+ * @param {number} depth - Current nesting depth
+ * @param {WeakSet} seen - Objects already visited, to break cycles
+ * @returns {*} JSON-serializable value
+ */
+export const redact = (value, depth = 0, seen = new WeakSet()) => {
+  if (value === null || value === undefined) return value;
+  if (typeof value === 'string') return redactString(value);
+  if (typeof value === 'bigint') return value.toString();
+  if (typeof value !== 'object') return typeof value === 'function' ? undefined : value;
+
+  if (value instanceof Date) return value.toISOString();
+  if (value instanceof ArrayBuffer || ArrayBuffer.isView(value)) {
+    return `[Binary ${value.byteLength} bytes]`;
+  }
+  if (typeof Blob !== 'undefined' && value instanceof Blob) {
+    return { name: value.name, type: value.type, size: value.size };
+  }
+
+  if (seen.has(value)) return '[Circular]';
+  if (depth >= MAX_DEPTH) return '[Truncated]';
+  seen.add(value);
+
+  if (value instanceof Error) {
+    return {
+      name: value.name,
+      message: redactString(value.message || ''),
+      ...(value.code && { code: value.code }),
+      ...(value.statusCode && { statusCode: value.statusCode }),
+      ...(value.stack && { stack: redactString(value.stack) }),
+    };
+  }
+
+  if (typeof Headers !== 'undefined' && value instanceof Headers) {
+    return redact(Object.fromEntries(value.entries()), depth, seen);
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, depth + 1, seen));
+  }
+
+  const result = {};
+  for (const [key, item] of Object.entries(value)) {
+    result[key] = SENSITIVE_KEY.test(key) && item != null && item !== ''
+      ? REDACTED
+      : redact(item, depth + 1, seen);
+  }
+  return result;
+};
+
+/**
+ * Create a logger
+ * @param {Object} fields - Fields added to every entry
+ * @returns {{debug: Function, info: Function, warn: Function, error: Function, child: Function}}
+ */
+export const createLogger = (fields = {}) => {
+  const write = (level, msg, extra) => {
+    const threshold = LOG_LEVELS[serverEnv.LOG_LEVEL] ?? LOG_LEVELS.info;
+    if (LOG_LEVELS[level] < threshold) return;
+
+    // An error may be passed on its own
+    const data = extra instanceof Error ? { error: extra } : extra;
+
+    const entry = {
+      time: new Date().toISOString(),
+      level,
+      msg: redactString(String(msg)),
+      ...redact({ ...fields, ...data }),
+    };
+
+    let line;
+    try {
+      line = JSON.stringify(entry);
+    } catch (error) {
+      line = JSON.stringify({ time: entry.time, level, msg: entry.msg, logError: error.message });
+    }
+
+    if (LOG_LEVELS[level] >= LOG_LEVELS.warn) {
+      console.error(line);
+    } else {
+      console.log(line);
+    }
+  };
+
+  return {
+    debug: (msg, extra) => write('debug', msg, extra),
+    info: (msg, extra) => write('info', msg, extra),
+    warn: (msg, extra) => write('warn', msg, extra),
+    error: (msg, extra) => write('error', msg, extra),
+    child: (childFields = {}) => createLogger({ ...fields, ...childFields }),
+  };
+};
+
+// Logger for code that is not handling a particular request
+export const logger = createLogger();
+
+export default {
+  LOG_LEVELS,
+  REDACTED,
+  redact,
+  createLogger,
+  logger,
+};
@@ -0,0 +1,275 @@
+import fs from 'fs';
+import path from 'path';
+import { serverEnv } from '../config/env';
+import { logger } from './logger';
+
+/**
+ * Metadata store for uploaded files and conversion jobs
+ *
+ * Records live in named collections (`files`, `jobs`, ...) keyed by ID. Reads
+ * are synchronous and served from memory; the file-backed store persists
+ * changes to a JSON file in the background so records survive restarts.
+ */
+
+// The file store writes at most this often, so frequent small updates (job
+// progress) do not re-serialize every record each time
+const PERSIST_DELAY_MS = 250;
+
+/**
+ * In-memory store (lost on restart)
+ */
+class MemoryStore {
+  constructor() {
+    this.collections = {};
+  }
+
+  /**
+   * Get the records of a collection, creating it if needed
+   * @private
+   */
+  collection(name) {
+    if (!this.collections[name]) {
+      this.collections[name] = {};
+    }
+    return this.collections[name];
+  }
+
+  /**
+   * Get a record
+   * @param {string} collection - Collection name
+   * @param {string} id - Record ID
+   * @returns {Object|null} The record, or null if missing
+   */
+  get(collection, id) {
+    return this.collection(collection)[id] || null;
+  }
+
+  /**
+   * Check whether a record exists
+   * @param {string} collection - Collection name
+   * @param {string} id - Record ID
+   * @returns {boolean}
+   */
+  has(collection, id) {
+    return Object.prototype.hasOwnProperty.call(this.collection(collection), id);
+  }
+
+  /**
+   * Create or replace a record
+   * @param {string} collection - Collection name
+   * @param {string} id - Record ID
+   * @param {Object} value - Record data
+   * @returns {Object} The stored record
+   */
+  set(collection, id, value) {
+    this.collection(collection)[id] = value;
+    return value;
+  }
+
+  /**
+   * Merge fields into an existing record
+   * @param {string} collection - Collection name
+   * @param {string} id - Record ID
+   * @param {Object} changes - Fields to update
+   * @returns {Object|null} The updated record, or null if missing
+   */
+  update(collection, id, changes) {
+    const existing = this.get(collection, id);
+    if (!existing) return null;
+
+    return this.set(collection, id, { ...existing, ...changes });
+  }
+
+  /**
+   * Delete a record
+   * @param {string} collection - Collection name
+   * @param {string} id - Record ID
+   * @returns {boolean} True if a record was deleted
+   */
+  delete(collection, id) {
+    if (!this.has(collection, id)) return false;
+
+    delete this.collection(collection)[id];
+    return true;
+  }
+
+  /**
+   * List the records of a collection
+   * @param {string} collection - Collection name
+   * @param {Function} filter - Optional predicate
+   * @returns {Array<Object>} Matching records
+   */
+  list(collection, filter = null) {
+    const records = Object.values(this.collection(collection));
+    return filter ? records.filter(filter) : records;
+  }
+}
+
+/**
+ * Store persisted to a JSON file
+ */
+class JsonFileStore extends MemoryStore {
+  /**
+   * Create a file-backed store
+   * @param {string} filePath - Location of the JSON file, relative to the working directory
+   * @param {Object} options - Store options
+   * @param {number} options.persistDelay - Milliseconds to gather changes before writing
+   */
+  constructor(filePath, { persistDelay = PERSIST_DELAY_MS } = {}) {
+    super();
+    this.filePath = path.resolve(process.cwd(), filePath);
+    this.persistDelay = persistDelay;
+    this.writing = Promise.resolve();
+    this.writeInProgress = false;
+    this.timer = null;
+    this.load();
+
+    // Changes still waiting for their write when the process ends
+    process.once('exit', () => this.flushSync());
+  }
+
+  /**
+   * Load existing records from disk
+   *
+   * A file that cannot be parsed is moved aside to `<file>.corrupt-<timestamp>`
+   * before starting empty, so the next write does not destroy it. Any other
+   * read failure is thrown rather than risk overwriting records.
+   * @private
+   */
+  load() {
+    let contents;
+    try {
+      contents = fs.readFileSync(this.filePath, 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      this.collections = {};
+      return;
+    }
+
+    try {
+      this.collections = JSON.parse(contents) || {};
+    } catch (error) {
+      const corruptPath = `${this.filePath}.corrupt-${Date.now()}`;
+      fs.renameSync(this.filePath, corruptPath);
+      logger.error('Metadata file is corrupt, moved it aside and starting empty', {
+        file: this.filePath,
+        movedTo: corruptPath,
+        error,
+      });
+      this.collections = {};
+    }
+  }
+
+  set(collection, id, value) {
+    const record = super.set(collection, id, value);
+    this.persist();
+    return record;
+  }
+
+  delete(collection, id) {
+    const deleted = super.delete(collection, id);
+    if (deleted) this.persist();
+    return deleted;
+  }
+
+  /**
+   * Schedule a write of the current state
+   *
+   * Changes made within `persistDelay` of the first are folded into one
+   * write, and writes are serialized.
+   * @private
+   */
+  persist() {
+    if (this.timer) return;
+
+    this.timer = setTimeout(() => this.startWrite(), this.persistDelay);
+    this.timer.unref?.();
+  }
+
+  /**
+   * Queue a write now, in place of the scheduled one
+   * @private
+   */
+  startWrite() {
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    this.writing = this.writing
+      .then(() => this.write())
+      .catch((error) => {
+        logger.error('Failed to persist metadata', { file: this.filePath, error });
+      });
+  }
+
+  /**
+   * Write the store atomically (temp file + rename)
+   * @private
+   */
+  async write() {
+    const tempPath = `${this.filePath}.${process.pid}.tmp`;
+
+    this.writeInProgress = true;
+    try {
+      await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+      await fs.promises.writeFile(tempPath, JSON.stringify(this.collections));
+      await fs.promises.rename(tempPath, this.filePath);
+    } finally {
+      this.writeInProgress = false;
+    }
+  }
+
+  /**
+   * Write the current state now, blocking, if a write is scheduled or
+   * unfinished; for when the process is exiting and they will not get to run
+   * @private
+   */
+  flushSync() {
+    if (!this.timer && !this.writeInProgress) return;
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    try {
+      const tempPath = `${this.filePath}.${process.pid}.tmp`;
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      fs.writeFileSync(tempPath, JSON.stringify(this.collections));
+      fs.renameSync(tempPath, this.filePath);
+    } catch (error) {
+      logger.error('Failed to persist metadata', { file: this.filePath, error });
+    }
+  }
+
+  /**
+   * Write scheduled changes now and wait for all writes to finish
+   * @returns {Promise<void>}
+   */
+  flush() {
+    if (this.timer) this.startWrite();
+    return this.writing;
+  }
+}
+
+/**
+ * Create the store selected by configuration
+ * @param {Object} options - Store options
+ * @param {'file'|'memory'} options.type - Store implementation
+ * @param {string} options.filePath - JSON file used by the file store
+ * @returns {MemoryStore}
+ */
+const createStore = ({
+  type = serverEnv.METADATA_STORE,
+  filePath = serverEnv.METADATA_STORE_PATH,
+} = {}) => {
+  if (type === 'memory') {
+    return new MemoryStore();
+  }
+
+  return new JsonFileStore(filePath);
+};
+
+// Shared across route modules and dev hot reloads
+const metadataStore = globalThis.__metadataStore || createStore();
+
+globalThis.__metadataStore = metadataStore;
+
+export { MemoryStore, JsonFileStore, createStore, metadataStore };
+export default metadataStore;
@@ -0,0 +1,388 @@
+import { conversionQueue, JOB_STATUS } from './jobQueue';
+import { CHUNK_DIR } from './chunkedUpload';
+import { metadataStore } from './metadataStore';
+import { getDirectorySize } from './retention';
+
+/**
+ * Operational metrics in the Prometheus text format
+ *
+ * Counters and histograms are updated by the routes as work happens; gauges
+ * are read when GET /api/metrics is scraped. Values are kept in memory per
+ * server process and start from zero on restart, which Prometheus expects
+ * of counters.
+ *
+ *   conversionsTotal.inc({ from: 'docx', to: 'pdf', outcome: 'completed' });
+ *   const end = uploadDuration.startTimer({ method: 'direct' });
+ *   ...
+ *   end();
+ */
+
+const PREFIX = 'file_converter_';
+
+// Transfers take milliseconds to a few minutes
+const TRANSFER_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120];
+
+// Conversions and queue waits take up to the job timeout (5 minutes by default)
+const JOB_BUCKETS = [0.1, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300, 600];
+
+// Job types counted as conversions; their data carries `from` and `to`
+const CONVERSION_JOB_TYPES = ['convert', 'cloudconvert'];
+
+export const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// One registry per process, shared by every route bundle and kept across
+// hot reloads in development, like the job queue
+const registry = globalThis.__metrics || (globalThis.__metrics = new Map());
+
+/**
+ * Escape a label value for the text format
+ * @private
+ */
+const escapeLabel = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/\n/g, '\\n')
+  .replace(/"/g, '\\"');
+
+/**
+ * Render a label set, e.g. {from="docx",to="pdf"}
+ * @private
+ */
+const formatLabels = (labels) => {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+};
+
+/**
+ * Format a sample value; the text format spells infinities +Inf and -Inf
+ * @private
+ */
+const formatValue = (value) => {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+};
+
+/**
+ * Base for metric types: a name, help text and fixed label names
+ * @private
+ */
+class Metric {
+  constructor(type, { name, help, labelNames = [] }) {
+    this.type = type;
+    this.name = PREFIX + name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.series = new Map();
+  }
+
+  /**
+   * Series key of a label set; labels outside labelNames are ignored and
+   * missing ones are empty
+   * @private
+   */
+  labelsFor(labels = {}) {
+    return Object.fromEntries(this.labelNames.map(name => [name, labels[name] ?? '']));
+  }
+
+  /**
+   * Get or create the series for a label set
+   * @private
+   */
+  getSeries(labels, create) {
+    const normalized = this.labelsFor(labels);
+    const key = JSON.stringify(normalized);
+
+    if (!this.series.has(key)) {
+      this.series.set(key, { labels: normalized, ...create() });
+    }
+    return this.series.get(key);
+  }
+
+  header() {
+    return [
+      `# HELP ${this.name} ${this.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`,
+      `# TYPE ${this.name} ${this.type}`,
+    ];
+  }
+}
+
+/**
+ * Value that only goes up, such as the number of uploads
+ */
+class Counter extends Metric {
+  constructor(options) {
+    super('counter', options);
+  }
+
+  /**
+   * Add to the counter
+   * @param {Object} labels - Label values
+   * @param {number} value - Amount to add
+   */
+  inc(labels = {}, value = 1) {
+    if (!(value >= 0)) return;
+    this.getSeries(labels, () => ({ value: 0 })).value += value;
+  }
+
+  async collect() {
+    return [
+      ...this.header(),
+      ...[...this.series.values()].map(({ labels, value }) => `${this.name}${formatLabels(labels)} ${formatValue(value)}`),
+    ];
+  }
+}
+
+/**
+ * Distribution of observed values, such as request durations in seconds
+ */
+class Histogram extends Metric {
+  constructor({ buckets, ...options }) {
+    super('histogram', options);
+    this.buckets = [...buckets].sort((a, b) => a - b);
+  }
+
+  /**
+   * Record a value
+   * @param {Object} labels - Label values
+   * @param {number} value - Observed value
+   */
+  observe(labels = {}, value) {
+    if (!Number.isFinite(value)) return;
+
+    const series = this.getSeries(labels, () => ({
+      counts: new Array(this.buckets.length).fill(0),
+      sum: 0,
+      count: 0,
+    }));
+
+    const index = this.buckets.findIndex(bound => value <= bound);
+    if (index !== -1) series.counts[index] += 1;
+    series.sum += value;
+    series.count += 1;
+  }
+
+  /**
+   * Start timing something
+   * @param {Object} labels - Label values
+   * @returns {Function} Records the seconds elapsed when called, with any
+   *   labels passed to it added, and returns them
+   */
+  startTimer(labels = {}) {
+    const start = performance.now();
+
+    return (moreLabels = {}) => {
+      const seconds = (performance.now() - start) / 1000;
+      this.observe({ ...labels, ...moreLabels }, seconds);
+      return seconds;
+    };
+  }
+
+  async collect() {
+    const lines = this.header();
+
+    for (const { labels, counts, sum, count } of this.series.values()) {
+      let cumulative = 0;
+      this.buckets.forEach((bound, i) => {
+        cumulative += counts[i];
+        lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: formatValue(bound) })} ${cumulative}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+      lines.push(`${this.name}_sum${formatLabels(labels)} ${formatValue(sum)}`);
+      lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+    }
+
+    return lines;
+  }
+}
+
+/**
+ * Value read when metrics are scraped, such as the queue depth
+ */
+class Gauge extends Metric {
+  /**
+   * @param {Object} options - Metric options
+   * @param {Function} options.read - Returns the current samples, as
+   *   `[{ labels, value }]` (or a promise of them)
+   */
+  constructor({ read, ...options }) {
+    super('gauge', options);
+    this.read = read;
+  }
+
+  async collect() {
+    const samples = await this.read();
+    return [
+      ...this.header(),
+      ...samples.map(({ labels = {}, value }) => `${this.name}${formatLabels(this.labelsFor(labels))} ${formatValue(value)}`),
+    ];
+  }
+}
+
+/**
+ * Get a registered metric, registering it the first time
+ * @private
+ */
+const register = (MetricClass, options) => {
+  const name = PREFIX + options.name;
+  const existing = registry.get(name);
+
+  // Keep the values gathered so far, but pick up changes to gauge readers on reload
+  if (existing) {
+    if (options.read) existing.read = options.read;
+    return existing;
+  }
+
+  const metric = new MetricClass(options);
+  registry.set(name, metric);
+  return metric;
+};
+
+export const uploadsTotal = register(Counter, {
+  name: 'uploads_total',
+  help: 'Files uploaded, by upload method (direct or chunked).',
+  labelNames: ['method'],
+});
+
+export const conversionsTotal = register(Counter, {
+  name: 'conversions_total',
+  help: 'Finished conversions, by source and target format and outcome (completed, failed or cancelled).',
+  labelNames: ['from', 'to', 'outcome'],
+});
+
+export const providerErrorsTotal = register(Counter, {
+  name: 'provider_errors_total',
+  help: 'Failed requests to conversion providers, by provider and error code.',
+  labelNames: ['provider', 'code'],
+});
+
+export const uploadDuration = register(Histogram, {
+  name: 'upload_duration_seconds',
+  help: 'Time to receive and store an upload; chunked uploads are timed from their first request.',
+  labelNames: ['method'],
+  buckets: TRANSFER_BUCKETS,
+});
+
+export const queueWaitDuration = register(Histogram, {
+  name: 'queue_wait_seconds',
+  help: 'Time conversion jobs spend queued before a worker starts them.',
+  labelNames: ['type'],
+  buckets: JOB_BUCKETS,
+});
+
+export const conversionDuration = register(Histogram, {
+  name: 'conversion_duration_seconds',
+  help: 'Time from the start of a conversion to its outcome, by source and target format.',
+  labelNames: ['from', 'to'],
+  buckets: JOB_BUCKETS,
+});
+
+export const downloadDuration = register(Histogram, {
+  name: 'download_duration_seconds',
+  help: 'Time to look up a stored file and start sending it.',
+  labelNames: ['disposition'],
+  buckets: TRANSFER_BUCKETS,
+});
+
+register(Gauge, {
+  name: 'queue_depth',
+  help: 'Conversion jobs waiting for or using a worker.',
+  labelNames: ['status'],
+  read: () => {
+    const { queued, running } = conversionQueue.stats();
+    return [
+      { labels: { status: 'queued' }, value: queued },
+      { labels: { status: 'running' }, value: running },
+    ];
+  },
+});
+
+register(Gauge, {
+  name: 'disk_usage_bytes',
+  help: 'Bytes of stored files, in whichever storage driver holds them, plus unfinished chunked uploads.',
+  // File sizes come from their metadata, as for quotas; chunks are always on local disk
+  read: async () => [{
+    value: metadataStore.list('files').reduce((sum, file) => sum + (file.size || 0), 0) +
+      await getDirectorySize(CHUNK_DIR),
+  }],
+});
+
+/**
+ * Count a finished conversion and record how long it took
+ * @param {Object} labels - Conversion
+ * @param {string} labels.from - Source format
+ * @param {string} labels.to - Target format
+ * @param {'completed'|'failed'|'cancelled'} outcome - How it ended
+ * @param {number} seconds - Time from its start to its outcome
+ */
+export const recordConversion = ({ from, to }, outcome, seconds) => {
+  conversionsTotal.inc({ from, to, outcome });
+  conversionDuration.observe({ from, to }, seconds);
+};
+
+/**
+ * Start timing a conversion run by a job queue worker
+ * @param {Object} labels - Conversion: `from` and `to` formats
+ * @param {Object} job - Its job
+ * @param {string} job.id - Job ID
+ * @param {AbortSignal} job.signal - The signal passed to the worker
+ * @returns {Function} Call with 'completed' or 'failed' when the worker is done
+ */
+export const startConversion = (labels, { id, signal } = {}) => {
+  const start = performance.now();
+
+  return (outcome) => {
+    // A job that timed out or was cancelled has ended, whatever its worker did afterwards
+    if (signal?.aborted) {
+      outcome = conversionQueue.get(id)?.status === JOB_STATUS.CANCELLED ? 'cancelled' : 'failed';
+    }
+    recordConversion(labels, outcome, (performance.now() - start) / 1000);
+  };
+};
+
+/**
+ * Count a conversion job about to be cancelled that no worker will report:
+ * one still queued, or one CloudConvert reports to the webhook
+ * @param {string} jobId - Job ID
+ */
+export const recordCancellation = (jobId) => {
+  const job = conversionQueue.store.get('jobs', jobId);
+  if (!job || !CONVERSION_JOB_TYPES.includes(job.type)) return;
+
+  if (job.status === JOB_STATUS.QUEUED || job.external) {
+    recordConversion({ from: job.data.from, to: job.data.to }, 'cancelled', secondsSince(job.createdAt));
+  }
+};
+
+/**
+ * Seconds since an ISO timestamp
+ * @param {string} timestamp - ISO 8601 date
+ * @returns {number} Seconds, or NaN when the timestamp is missing
+ */
+export const secondsSince = (timestamp) => (Date.now() - Date.parse(timestamp)) / 1000;
+
+/**
+ * Render every metric in the Prometheus text format
+ * @returns {Promise<string>}
+ */
+export const renderMetrics = async () => {
+  const blocks = await Promise.all([...registry.values()].map(metric => metric.collect()));
+  return `${blocks.map(lines => lines.join('\n')).join('\n')}\n`;
+};
+
+export { Counter, Histogram, Gauge };
+
+export default {
+  CONTENT_TYPE,
+  uploadsTotal,
+  conversionsTotal,
+  providerErrorsTotal,
+  uploadDuration,
+  queueWaitDuration,
+  conversionDuration,
+  downloadDuration,
+  recordConversion,
+  startConversion,
+  recordCancellation,
+  secondsSince,
+  renderMetrics,
+};
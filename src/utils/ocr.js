@@ -0,0 +1,338 @@
+import fs from 'fs/promises';
+import path from 'path';
+import sharp from 'sharp';
+import { createWorker, OEM } from 'tesseract.js';
+import { PDFDocument } from 'pdf-lib';
+import { serverEnv } from '../config/env';
+import { ApiError } from './apiError';
+import { extractPageImages } from './pdfTools';
+import { createDocx, DOCX_MIME_TYPE } from './docxWriter';
+
+/**
+ * Local OCR with tesseract.js
+ *
+ * Runs entirely offline: language models are read from installed
+ * `@tesseract.js-data/<lang>` packages or from OCR_LANG_PATH, never
+ * downloaded. Scanned PDFs are recognised page by page from their page
+ * images; multi-page TIFF and GIF files are handled the same way.
+ *
+ * Additional languages are installed with `npm install @tesseract.js-data/deu`
+ * (etc.) or by dropping `<lang>.traineddata.gz` files into OCR_LANG_PATH.
+ */
+
+export const OCR_OUTPUTS = {
+  txt: { extension: 'txt', type: 'text/plain' },
+  pdf: { extension: 'pdf', type: 'application/pdf' },
+  docx: { extension: 'docx', type: DOCX_MIME_TYPE },
+};
+
+export const DEFAULT_OCR_OUTPUT = 'txt';
+
+// Model variant shipped by the @tesseract.js-data packages
+const MODEL_DIR = '4.0.0_best_int';
+
+// tesseract.js reads every model from one directory, so the models in use are gathered here
+const LANGUAGE_CACHE_DIR = path.join(process.cwd(), 'data', 'ocr-languages');
+
+const PACKAGES_DIR = path.join(process.cwd(), 'node_modules', '@tesseract.js-data');
+
+const LANGUAGE_PATTERN = /^[a-z]{3}(_[a-z]+)?$/i;
+
+/**
+ * Directories that may hold `<lang>.traineddata.gz` for a language
+ */
+const getModelDirs = (language) => [
+  serverEnv.OCR_LANG_PATH,
+  path.join(PACKAGES_DIR, language, MODEL_DIR),
+].filter(Boolean);
+
+const exists = async (filePath) => {
+  try {
+    await fs.access(filePath);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * List the languages that can be used for OCR
+ * @returns {Promise<Array<string>>} Tesseract language codes, sorted
+ */
+export const listOcrLanguages = async () => {
+  const languages = new Set();
+
+  if (serverEnv.OCR_LANG_PATH) {
+    const entries = await fs.readdir(serverEnv.OCR_LANG_PATH).catch(() => []);
+    entries
+      .filter(entry => entry.endsWith('.traineddata.gz'))
+      .forEach(entry => languages.add(entry.replace('.traineddata.gz', '')));
+  }
+
+  const packages = await fs.readdir(PACKAGES_DIR).catch(() => []);
+  for (const language of packages) {
+    if (await exists(path.join(PACKAGES_DIR, language, MODEL_DIR, `${language}.traineddata.gz`))) {
+      languages.add(language);
+    }
+  }
+
+  return [...languages].sort();
+};
+
+/**
+ * Parse a language selection
+ * @param {Array<string>|string} languages - Codes as an array or joined with "+"
+ *   or ","; defaults to OCR_LANGUAGES
+ * @returns {Array<string>} Unique lowercase language codes
+ */
+export const parseOcrLanguages = (languages) => {
+  const value = languages && languages.length > 0 ? languages : serverEnv.OCR_LANGUAGES;
+  const list = (Array.isArray(value) ? value : String(value).split(/[+,]/))
+    .map(language => String(language).trim().toLowerCase())
+    .filter(Boolean);
+
+  const invalid = list.filter(language => !LANGUAGE_PATTERN.test(language));
+  if (list.length === 0 || invalid.length > 0) {
+    throw ApiError.badRequest(
+      `Invalid OCR language${invalid.length > 1 ? 's' : ''}: ${invalid.join(', ') || 'none given'}`,
+      'INVALID_OCR_OPTIONS'
+    );
+  }
+
+  return [...new Set(list)];
+};
+
+/**
+ * Validate OCR options against the installed languages
+ * @param {Object} options - Requested options
+ * @param {Array<string>|string} options.languages - See parseOcrLanguages
+ * @param {string} options.output - One of OCR_OUTPUTS
+ * @returns {Promise<{languages: Array<string>, output: string}>}
+ * @throws {ApiError} If an option is invalid or a language is not installed
+ */
+export const resolveOcrOptions = async ({ languages, output = DEFAULT_OCR_OUTPUT } = {}) => {
+  if (!OCR_OUTPUTS[output]) {
+    throw ApiError.badRequest(
+      `Invalid OCR output: ${output}. Use one of ${Object.keys(OCR_OUTPUTS).join(', ')}`,
+      'INVALID_OCR_OPTIONS'
+    );
+  }
+
+  const selected = parseOcrLanguages(languages);
+  const installed = await listOcrLanguages();
+  const missing = selected.filter(language => !installed.includes(language));
+
+  if (missing.length > 0) {
+    throw ApiError.badRequest(
+      `OCR language not installed: ${missing.join(', ')}. Available: ${installed.join(', ') || 'none'}`,
+      'OCR_LANGUAGE_UNAVAILABLE',
+      { installed }
+    );
+  }
+
+  return { languages: selected, output };
+};
+
+/**
+ * Copy the models of the requested languages into the language cache
+ * @param {Array<string>} languages - Language codes
+ */
+const prepareLanguages = async (languages) => {
+  await fs.mkdir(LANGUAGE_CACHE_DIR, { recursive: true });
+
+  for (const language of languages) {
+    const fileName = `${language}.traineddata.gz`;
+    const target = path.join(LANGUAGE_CACHE_DIR, fileName);
+
+    if (await exists(target)) continue;
+
+    let source = null;
+    for (const dir of getModelDirs(language)) {
+      if (await exists(path.join(dir, fileName))) {
+        source = path.join(dir, fileName);
+        break;
+      }
+    }
+
+    if (!source) {
+      throw new Error(`OCR language model ${fileName} not found`);
+    }
+
+    await fs.copyFile(source, target);
+  }
+};
+
+/**
+ * Tesseract workers by language set, kept on globalThis so route modules
+ * and dev hot reloads share them. Loading a model takes about a second.
+ */
+const workers = globalThis.__ocrWorkers || new Map();
+globalThis.__ocrWorkers = workers;
+
+/**
+ * Get (or start) the worker for a set of languages
+ * @param {Array<string>} languages - Language codes
+ * @returns {Promise<Object>} A tesseract.js worker
+ */
+const getWorker = async (languages) => {
+  const key = [...languages].sort().join('+');
+
+  if (!workers.has(key)) {
+    const starting = prepareLanguages(languages)
+      .then(() => createWorker(languages, OEM.LSTM_ONLY, {
+        langPath: LANGUAGE_CACHE_DIR,
+        gzip: true,
+        cacheMethod: 'none',
+      }));
+
+    // Forget failed starts so the next job can retry
+    starting.catch(() => workers.delete(key));
+    workers.set(key, starting);
+  }
+
+  return workers.get(key);
+};
+
+/**
+ * Split an input into page images
+ * @param {Buffer} buffer - Image or PDF bytes
+ * @param {string} format - Source format (pdf, jpg, png, tiff, ...)
+ * @returns {Promise<Array<{page: number, image: Buffer|null, error?: string}>>}
+ */
+const loadPages = async (buffer, format) => {
+  if (format === 'pdf') {
+    return extractPageImages(buffer);
+  }
+
+  const { pages = 1 } = await sharp(buffer).metadata();
+  const images = [];
+
+  for (let page = 0; page < pages; page++) {
+    images.push({
+      page: page + 1,
+      // Apply EXIF orientation so photographed documents read upright
+      image: await sharp(buffer, { page }).rotate().png().toBuffer(),
+    });
+  }
+
+  return images;
+};
+
+/**
+ * Searchable PDF from the per-page PDFs tesseract renders (page image plus an
+ * invisible text layer). Pages that could not be recognised are copied from
+ * the source PDF unchanged.
+ */
+const buildSearchablePdf = async (pages, sourceBuffer, format) => {
+  const output = await PDFDocument.create();
+  const source = format === 'pdf' ? await PDFDocument.load(sourceBuffer, { ignoreEncryption: true }) : null;
+
+  for (const page of pages) {
+    if (page.pdf) {
+      const pagePdf = await PDFDocument.load(page.pdf);
+      const copied = await output.copyPages(pagePdf, pagePdf.getPageIndices());
+      copied.forEach(copy => output.addPage(copy));
+    } else if (source) {
+      const [copy] = await output.copyPages(source, [page.page - 1]);
+      output.addPage(copy);
+    }
+  }
+
+  return Buffer.from(await output.save());
+};
+
+/**
+ * Recognise the text of an image or scanned PDF
+ * @param {Buffer} buffer - Image or PDF bytes
+ * @param {Object} options - OCR options
+ * @param {string} options.format - Source format
+ * @param {Array<string>|string} options.languages - Languages, see resolveOcrOptions
+ * @param {string} options.output - 'txt', 'pdf' (searchable) or 'docx'
+ * @param {string} options.title - Title of PDF and DOCX outputs
+ * @param {Function} onProgress - Called with a completion percentage
+ * @param {AbortSignal} signal - Stops before the next page when aborted
+ * @returns {Promise<Object>} { text, confidence, languages, pages, output: { buffer, extension, type } };
+ *   `pages` lists { page, text, confidence, error? } and confidences are 0-100
+ */
+export const recognize = async (buffer, {
+  format,
+  languages,
+  output: requestedOutput,
+  title = '',
+} = {}, onProgress = () => {}, signal = null) => {
+  const { languages: selected, output } = await resolveOcrOptions({ languages, output: requestedOutput });
+  const worker = await getWorker(selected);
+  onProgress(10);
+
+  const images = await loadPages(buffer, format);
+  onProgress(20);
+
+  const pages = [];
+  for (let i = 0; i < images.length; i++) {
+    if (signal?.aborted) {
+      throw new Error('OCR aborted');
+    }
+
+    const { page, image, error } = images[i];
+
+    if (!image) {
+      pages.push({ page, text: '', confidence: 0, error });
+    } else {
+      const { data } = await worker.recognize(
+        image,
+        { pdfTitle: title },
+        { text: true, pdf: output === 'pdf' }
+      );
+
+      pages.push({
+        page,
+        text: data.text.trim(),
+        confidence: Math.round(data.confidence * 10) / 10,
+        pdf: data.pdf ? Buffer.from(data.pdf) : null,
+      });
+    }
+
+    onProgress(20 + Math.round(((i + 1) / images.length) * 70));
+  }
+
+  const recognised = pages.filter(page => !page.error);
+  if (recognised.length === 0) {
+    throw new ApiError(422, 'No page contains an image that can be recognised', 'OCR_NO_IMAGES', {
+      pages: pages.map(({ page, error }) => ({ page, error })),
+    });
+  }
+
+  const confidence = Math.round(
+    (recognised.reduce((sum, page) => sum + page.confidence, 0) / recognised.length) * 10
+  ) / 10;
+
+  // Form feeds separate pages in the plain text output
+  const text = pages.map(page => page.text).join('\n\f\n');
+
+  let outputBuffer;
+  if (output === 'pdf') {
+    outputBuffer = await buildSearchablePdf(pages, buffer, format);
+  } else if (output === 'docx') {
+    outputBuffer = await createDocx(pages.map(page => page.text), { title });
+  } else {
+    outputBuffer = Buffer.from(text, 'utf8');
+  }
+  onProgress(100);
+
+  return {
+    text,
+    confidence,
+    languages: selected,
+    pages: pages.map(({ pdf, ...page }) => page),
+    output: { buffer: outputBuffer, ...OCR_OUTPUTS[output] },
+  };
+};
+
+export default {
+  OCR_OUTPUTS,
+  DEFAULT_OCR_OUTPUT,
+  listOcrLanguages,
+  parseOcrLanguages,
+  resolveOcrOptions,
+  recognize,
+};
@@ -0,0 +1,82 @@
+import { v4 as uuidv4 } from 'uuid';
+import { getFileExtension, getFileType } from './fileUtils';
+import { metadataStore } from './metadataStore';
+import { storage, deleteStoredFile } from './storage';
+
+// Converted and generated files are stored next to the uploads they came from
+export const OUTPUT_PREFIX = 'converted';
+
+/**
+ * Store a generated file and register it in the metadata store
+ * @param {Buffer} buffer - File contents
+ * @param {Object} params - File details
+ * @param {string} params.name - Download name, including extension
+ * @param {string} params.type - MIME type (derived from the name if omitted)
+ * @param {string|Array<string>} params.originalFileId - Source file ID(s)
+ * @param {string} params.teamId - Owning team; defaults to the (first) source file's team
+ * @param {Object} params.extra - Additional metadata to store
+ * @returns {Promise<Object>} Public file metadata
+ */
+export const storeOutputFile = async (buffer, { name, type, originalFileId = null, teamId, extra = {} }) => {
+  const id = uuidv4();
+  const format = getFileExtension(name);
+  const storageKey = `${OUTPUT_PREFIX}/${id}.${format}`;
+  const fileType = type || getFileType(name);
+
+  await storage.put(storageKey, buffer, { contentType: fileType });
+
+  const fileData = {
+    id,
+    originalFileId,
+    name,
+    format,
+    type: fileType,
+    size: buffer.length,
+    storageKey,
+    kind: 'output',
+    teamId: teamId || metadataStore.get('files', [].concat(originalFileId)[0])?.teamId,
+    url: `/api/files/${id}/download`,
+    createdAt: new Date().toISOString(),
+    ...extra,
+  };
+
+  metadataStore.set('files', id, fileData);
+
+  const { storageKey: storedKey, ...publicData } = fileData;
+  return publicData;
+};
+
+/**
+ * Delete the output files referenced by a job result
+ *
+ * Looks at the shapes job handlers return: a single file, `files` or `parts`
+ * lists and an `archive`. Only generated outputs are removed, never uploads.
+ * @param {Object} result - Job result
+ * @returns {Promise<Array<string>>} IDs of the removed files
+ */
+export const removeOutputFiles = async (result) => {
+  const ids = [
+    result?.id,
+    ...(result?.files || []).map(file => file.id),
+    ...(result?.parts || []).map(file => file.id),
+    result?.archive?.id,
+  ].filter(Boolean);
+
+  const removed = [];
+  for (const id of ids) {
+    const fileData = metadataStore.get('files', id);
+    if (fileData?.kind !== 'output') continue;
+
+    await deleteStoredFile(fileData);
+    metadataStore.delete('files', id);
+    removed.push(id);
+  }
+
+  return removed;
+};
+
+export default {
+  OUTPUT_PREFIX,
+  storeOutputFile,
+  removeOutputFiles,
+};
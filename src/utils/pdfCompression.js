@@ -0,0 +1,207 @@
+import zlib from 'zlib';
+import sharp from 'sharp';
+import { PDFDocument, PDFName, PDFRawStream, PDFRef } from 'pdf-lib';
+import { ApiError } from './apiError';
+import { logger } from './logger';
+import { decodeImageXObject } from './pdfTools';
+
+/**
+ * PDF compression
+ *
+ * Two passes, both done locally:
+ * 1. Images are downsampled to the target DPI and re-encoded as JPEG at the
+ *    target quality (skipped by the `lossless` preset).
+ * 2. Uncompressed streams are deflated and objects are packed into object
+ *    streams.
+ *
+ * Each image is only replaced when the new encoding is smaller, and the
+ * original file is returned if the whole result is not smaller than it.
+ */
+
+export const COMPRESSION_PRESETS = {
+  screen: { imageDpi: 72, jpegQuality: 50 },
+  ebook: { imageDpi: 150, jpegQuality: 70 },
+  print: { imageDpi: 300, jpegQuality: 85 },
+  lossless: { imageDpi: null, jpegQuality: null },
+};
+
+export const DEFAULT_COMPRESSION_PRESET = 'ebook';
+
+const MIN_DPI = 36;
+const MAX_DPI = 1200;
+
+// Streams smaller than this are not worth deflating
+const MIN_DEFLATE_SIZE = 64;
+
+/**
+ * Merge a preset with custom image settings and validate the result
+ * @param {Object} options - Compression options
+ * @param {string} options.preset - screen, ebook, print or lossless
+ * @param {number} options.imageDpi - Overrides the preset's image resolution
+ * @param {number} options.jpegQuality - Overrides the preset's JPEG quality (1-100)
+ * @returns {{preset: string, imageDpi: number|null, jpegQuality: number|null}}
+ */
+export const resolveCompressionOptions = ({ preset = DEFAULT_COMPRESSION_PRESET, imageDpi, jpegQuality } = {}) => {
+  const defaults = COMPRESSION_PRESETS[preset];
+
+  if (!defaults) {
+    throw ApiError.badRequest(
+      `Unknown preset "${preset}". Use one of: ${Object.keys(COMPRESSION_PRESETS).join(', ')}`,
+      'INVALID_COMPRESSION_OPTIONS'
+    );
+  }
+
+  const resolved = { preset, ...defaults };
+
+  if (imageDpi !== undefined && imageDpi !== null && imageDpi !== '') {
+    const dpi = parseInt(imageDpi, 10);
+    if (!Number.isInteger(dpi) || dpi < MIN_DPI || dpi > MAX_DPI) {
+      throw ApiError.badRequest(`imageDpi must be between ${MIN_DPI} and ${MAX_DPI}`, 'INVALID_COMPRESSION_OPTIONS');
+    }
+    resolved.imageDpi = dpi;
+  }
+
+  if (jpegQuality !== undefined && jpegQuality !== null && jpegQuality !== '') {
+    const quality = parseInt(jpegQuality, 10);
+    if (!Number.isInteger(quality) || quality < 1 || quality > 100) {
+      throw ApiError.badRequest('jpegQuality must be between 1 and 100', 'INVALID_COMPRESSION_OPTIONS');
+    }
+    resolved.jpegQuality = quality;
+  }
+
+  // Custom image settings on top of "lossless" still need both values
+  if (resolved.imageDpi || resolved.jpegQuality) {
+    resolved.imageDpi = resolved.imageDpi || COMPRESSION_PRESETS.print.imageDpi;
+    resolved.jpegQuality = resolved.jpegQuality || COMPRESSION_PRESETS.print.jpegQuality;
+  }
+
+  return resolved;
+};
+
+/**
+ * Re-encode one image XObject, or return null to keep the original
+ * @param {PDFRawStream} stream - Image stream
+ * @param {Object} settings - Target settings
+ * @param {number} settings.maxPixels - Longest side allowed at the target DPI
+ * @param {number} settings.jpegQuality - JPEG quality
+ * @param {Function} lookup - Resolves indirect references
+ * @returns {Promise<{entries: Object, contents: Buffer}|null>}
+ */
+const recompressImage = async (stream, { maxPixels, jpegQuality }, lookup) => {
+  const decoded = decodeImageXObject(stream, lookup);
+  if (!decoded) {
+    return null;
+  }
+
+  const { width, height, channels } = decoded;
+  let { image } = decoded;
+
+  if (Math.max(width, height) > maxPixels) {
+    image = image.resize({ width: maxPixels, height: maxPixels, fit: 'inside' });
+  }
+
+  if (channels === 1) {
+    image = image.grayscale();
+  }
+
+  const { data, info } = await image
+    .jpeg({ quality: jpegQuality, mozjpeg: true })
+    .toBuffer({ resolveWithObject: true });
+
+  if (data.length >= stream.contents.length) {
+    return null;
+  }
+
+  const entries = {
+    Type: 'XObject',
+    Subtype: 'Image',
+    Width: info.width,
+    Height: info.height,
+    ColorSpace: channels === 1 ? 'DeviceGray' : 'DeviceRGB',
+    BitsPerComponent: 8,
+    Filter: 'DCTDecode',
+  };
+
+  // Soft masks are separate images and may keep their own resolution
+  ['SMask', 'Interpolate', 'Intent'].forEach((key) => {
+    const value = stream.dict.get(PDFName.of(key));
+    if (value) entries[key] = value;
+  });
+
+  return { entries, contents: data };
+};
+
+/**
+ * Compress a PDF
+ * @param {Buffer} buffer - PDF bytes
+ * @param {Object} options - See resolveCompressionOptions
+ * @param {Function} onProgress - Called with a completion percentage
+ * @returns {Promise<Object>} `buffer` plus the size report: originalSize,
+ *   compressedSize, savedBytes, savedPercent, imagesOptimized and the
+ *   settings used
+ */
+export const compressPdf = async (buffer, options = {}, onProgress = () => {}) => {
+  const settings = resolveCompressionOptions(options);
+  const pdfDoc = await PDFDocument.load(buffer, { ignoreEncryption: true, updateMetadata: false });
+  const { context } = pdfDoc;
+  const lookup = (value) => (value instanceof PDFRef ? context.lookup(value) : value);
+
+  // An image never needs more pixels than the largest page at the target DPI
+  const largestSide = Math.max(...pdfDoc.getPages().map((page) => {
+    const { width, height } = page.getSize();
+    return Math.max(width, height);
+  }));
+  const maxPixels = settings.imageDpi ? Math.ceil((largestSide / 72) * settings.imageDpi) : null;
+
+  const streams = context.enumerateIndirectObjects()
+    .filter(([, object]) => object instanceof PDFRawStream);
+  let imagesOptimized = 0;
+
+  for (let i = 0; i < streams.length; i++) {
+    const [ref, stream] = streams[i];
+    const isImage = stream.dict.get(PDFName.of('Subtype')) === PDFName.of('Image');
+
+    if (isImage && maxPixels) {
+      try {
+        const replacement = await recompressImage(stream, { maxPixels, jpegQuality: settings.jpegQuality }, lookup);
+        if (replacement) {
+          context.assign(ref, PDFRawStream.of(context.obj(replacement.entries), replacement.contents));
+          imagesOptimized++;
+        }
+      } catch (error) {
+        // Images sharp cannot decode stay as they are
+        logger.debug('Skipping PDF image', { ref: ref.toString(), error: error.message });
+      }
+    } else if (!stream.dict.has(PDFName.of('Filter')) && stream.contents.length >= MIN_DEFLATE_SIZE) {
+      const deflated = zlib.deflateSync(Buffer.from(stream.contents), { level: 9 });
+      if (deflated.length < stream.contents.length) {
+        const dict = stream.dict.clone(context);
+        dict.set(PDFName.of('Filter'), PDFName.of('FlateDecode'));
+        context.assign(ref, PDFRawStream.of(dict, deflated));
+      }
+    }
+
+    onProgress(((i + 1) / streams.length) * 80);
+  }
+
+  const compressed = Buffer.from(await pdfDoc.save({ useObjectStreams: true }));
+  const output = compressed.length < buffer.length ? compressed : Buffer.from(buffer);
+  const savedBytes = buffer.length - output.length;
+
+  return {
+    buffer: output,
+    originalSize: buffer.length,
+    compressedSize: output.length,
+    savedBytes,
+    savedPercent: Math.round((savedBytes / buffer.length) * 1000) / 10,
+    imagesOptimized: output === compressed ? imagesOptimized : 0,
+    ...settings,
+  };
+};
+
+export default {
+  COMPRESSION_PRESETS,
+  DEFAULT_COMPRESSION_PRESET,
+  resolveCompressionOptions,
+  compressPdf,
+};
@@ -0,0 +1,485 @@
+import zlib from 'zlib';
+import JSZip from 'jszip';
+import sharp from 'sharp';
+import { PDFDocument, PDFName, PDFArray, PDFDict, PDFNumber, PDFRawStream, PDFRef } from 'pdf-lib';
+import { ApiError } from './apiError';
+import { convertBuffer, isConversionSupported, normalizeFormat } from './converters';
+
+/**
+ * PDF page operations (merge, split, page selection, image extraction)
+ */
+
+export const SPLIT_MODES = ['pages', 'chunks', 'ranges', 'bookmarks'];
+
+/**
+ * Parse a page range expression into zero-based page indices
+ *
+ * Accepts comma separated pages and ranges, 1-based and inclusive:
+ * `1-3,5,9-` selects pages 1, 2, 3, 5 and 9 to the end. `-4` means pages 1
+ * to 4. An empty value or `all` selects every page. Order is preserved, so
+ * `3,1` puts page 3 first.
+ * @param {string} spec - Page range expression
+ * @param {number} pageCount - Number of pages in the document
+ * @returns {Array<number>} Zero-based page indices
+ */
+export const parsePageRanges = (spec, pageCount) => {
+  const value = String(spec ?? '').trim().toLowerCase();
+
+  if (!value || value === 'all') {
+    return Array.from({ length: pageCount }, (_, i) => i);
+  }
+
+  const pages = [];
+
+  value.split(',').forEach((part) => {
+    const token = part.trim();
+    const match = token.match(/^(\d*)\s*(-)?\s*(\d*)$/);
+
+    if (!token || !match || (!match[1] && !match[3])) {
+      throw ApiError.badRequest(`Invalid page range "${token}"`, 'INVALID_PAGE_RANGE');
+    }
+
+    const start = match[1] ? parseInt(match[1], 10) : 1;
+    const end = match[2] ? (match[3] ? parseInt(match[3], 10) : pageCount) : start;
+
+    if (start < 1 || end > pageCount || start > end) {
+      throw ApiError.badRequest(
+        `Page range "${token}" is outside the document (1-${pageCount})`,
+        'INVALID_PAGE_RANGE'
+      );
+    }
+
+    for (let page = start; page <= end; page++) {
+      pages.push(page - 1);
+    }
+  });
+
+  return pages;
+};
+
+/**
+ * Get a PDF version of a file, converting images and documents locally
+ * @param {Buffer} buffer - File bytes
+ * @param {string} format - File format or extension
+ * @returns {Promise<Buffer>} PDF bytes
+ */
+export const toPdfBuffer = async (buffer, format) => {
+  const from = normalizeFormat(format);
+
+  if (from === 'pdf') {
+    return buffer;
+  }
+
+  if (!isConversionSupported(from, 'pdf')) {
+    throw ApiError.badRequest(`Cannot convert .${from} files to PDF`, 'UNSUPPORTED_CONVERSION');
+  }
+
+  return convertBuffer(buffer, from, 'pdf');
+};
+
+/**
+ * Merge several documents into one PDF
+ * @param {Array<Object>} inputs - Documents in output order
+ * @param {Buffer} inputs[].buffer - File bytes
+ * @param {string} inputs[].format - File format or extension
+ * @param {string} inputs[].pages - Optional page range expression
+ * @param {Function} onProgress - Called with a completion percentage
+ * @returns {Promise<{buffer: Buffer, pageCount: number}>} The merged PDF
+ */
+export const mergePdfs = async (inputs, onProgress = () => {}) => {
+  const merged = await PDFDocument.create();
+
+  for (let i = 0; i < inputs.length; i++) {
+    const { buffer, format, pages } = inputs[i];
+    const source = await PDFDocument.load(await toPdfBuffer(buffer, format), {
+      ignoreEncryption: true,
+    });
+
+    const indices = parsePageRanges(pages, source.getPageCount());
+    const copied = await merged.copyPages(source, indices);
+    copied.forEach((page) => merged.addPage(page));
+
+    onProgress(((i + 1) / inputs.length) * 90);
+  }
+
+  return {
+    buffer: Buffer.from(await merged.save()),
+    pageCount: merged.getPageCount(),
+  };
+};
+
+/**
+ * Number of colour channels of an image colour space we can decode
+ * @returns {number|null} 1 or 3, or null for unsupported colour spaces
+ */
+const getChannels = (colorSpace, lookup) => {
+  if (colorSpace === PDFName.of('DeviceRGB')) return 3;
+  if (colorSpace === PDFName.of('DeviceGray')) return 1;
+
+  // [/ICCBased stream] with an RGB or gray profile
+  if (colorSpace instanceof PDFArray && colorSpace.get(0) === PDFName.of('ICCBased')) {
+    const profile = lookup(colorSpace.get(1));
+    const n = profile?.dict?.get(PDFName.of('N'));
+    const channels = n instanceof PDFNumber ? n.asNumber() : null;
+    return channels === 1 || channels === 3 ? channels : null;
+  }
+
+  return null;
+};
+
+/**
+ * Decode an image XObject into a sharp pipeline
+ *
+ * Handles JPEG (DCTDecode) and raw 8-bit RGB or gray pixels (FlateDecode).
+ * Masks, decode arrays, predictors, other bit depths and filters such as
+ * CCITT or JBIG2 are not supported.
+ * @param {PDFRawStream} stream - Image stream
+ * @param {Function} lookup - Resolves indirect references
+ * @returns {{image: Object, width: number, height: number, channels: number}|null}
+ *   The decoded image, or null if it is not supported
+ */
+export const decodeImageXObject = (stream, lookup) => {
+  const { dict } = stream;
+  const get = (key) => lookup(dict.get(PDFName.of(key)));
+
+  const filter = get('Filter');
+  const width = get('Width')?.asNumber?.();
+  const height = get('Height')?.asNumber?.();
+  const channels = getChannels(get('ColorSpace'), lookup);
+
+  if (
+    !width || !height || !channels ||
+    get('ImageMask') || get('Decode') || get('DecodeParms') ||
+    get('BitsPerComponent')?.asNumber?.() !== 8
+  ) {
+    return null;
+  }
+
+  if (filter === PDFName.of('DCTDecode')) {
+    return { image: sharp(Buffer.from(stream.contents)), width, height, channels };
+  }
+
+  if (filter === PDFName.of('FlateDecode')) {
+    const pixels = zlib.inflateSync(Buffer.from(stream.contents));
+    if (pixels.length !== width * height * channels) return null;
+    return { image: sharp(pixels, { raw: { width, height, channels } }), width, height, channels };
+  }
+
+  return null;
+};
+
+/**
+ * Extract the main image of every page, e.g. to OCR a scanned PDF
+ *
+ * The largest image drawn directly on a page is taken as its scan.
+ * @param {Buffer} buffer - PDF bytes
+ * @returns {Promise<Array<{page: number, image: Buffer|null, error?: string}>>}
+ *   One entry per page (1-based), with the image as PNG
+ */
+export const extractPageImages = async (buffer) => {
+  const pdfDoc = await PDFDocument.load(buffer, { ignoreEncryption: true, updateMetadata: false });
+  const { context } = pdfDoc;
+  const lookup = (value) => (value instanceof PDFRef ? context.lookup(value) : value);
+  const results = [];
+
+  const pages = pdfDoc.getPages();
+  for (let i = 0; i < pages.length; i++) {
+    const xObjects = lookup(pages[i].node.Resources()?.get(PDFName.of('XObject')));
+    const images = xObjects instanceof PDFDict
+      ? xObjects.values()
+        .map(lookup)
+        .filter(object => object instanceof PDFRawStream && object.dict.get(PDFName.of('Subtype')) === PDFName.of('Image'))
+      : [];
+
+    const area = (stream) => (lookup(stream.dict.get(PDFName.of('Width')))?.asNumber?.() || 0)
+      * (lookup(stream.dict.get(PDFName.of('Height')))?.asNumber?.() || 0);
+    const largest = images.sort((a, b) => area(b) - area(a))[0];
+
+    if (!largest) {
+      results.push({ page: i + 1, image: null, error: 'Page has no image' });
+      continue;
+    }
+
+    const decoded = decodeImageXObject(largest, lookup);
+    if (!decoded) {
+      results.push({ page: i + 1, image: null, error: 'Image encoding is not supported' });
+      continue;
+    }
+
+    // Record the scan resolution, assuming the image spans the page width
+    const density = Math.round((decoded.width * 72) / pages[i].getWidth());
+    results.push({ page: i + 1, image: await decoded.image.withMetadata({ density }).png().toBuffer() });
+  }
+
+  return results;
+};
+
+/**
+ * Resolve an outline item's destination to a page index
+ * @param {PDFDocument} pdfDoc - The document
+ * @param {PDFDict} item - Outline item dictionary
+ * @param {Map<string, number>} pageIndexByRef - Page object ref -> index
+ * @returns {number|null} Zero-based page index, or null if unresolvable
+ */
+const resolveOutlineTarget = (pdfDoc, item, pageIndexByRef) => {
+  const { context, catalog } = pdfDoc;
+  const lookup = (value) => (value instanceof PDFRef ? context.lookup(value) : value);
+
+  let dest = lookup(item.get(PDFName.of('Dest')));
+  if (!dest) {
+    const action = lookup(item.get(PDFName.of('A')));
+    if (action instanceof PDFDict) {
+      dest = lookup(action.get(PDFName.of('D')));
+    }
+  }
+
+  // Named destinations: old-style /Dests dictionary or the /Names tree
+  if (dest && !(dest instanceof PDFArray)) {
+    const name = typeof dest.decodeText === 'function' ? dest.decodeText() : dest.asString?.() || String(dest);
+    const key = name.replace(/^\//, '');
+
+    const dests = lookup(catalog.get(PDFName.of('Dests')));
+    let named = dests instanceof PDFDict ? lookup(dests.get(PDFName.of(key))) : null;
+
+    if (!named) {
+      const names = lookup(catalog.get(PDFName.of('Names')));
+      const tree = names instanceof PDFDict ? lookup(names.get(PDFName.of('Dests'))) : null;
+      named = findInNameTree(tree, key, lookup);
+    }
+
+    dest = named instanceof PDFDict ? lookup(named.get(PDFName.of('D'))) : named;
+  }
+
+  if (!(dest instanceof PDFArray) || dest.size() === 0) {
+    return null;
+  }
+
+  const target = dest.get(0);
+  if (target instanceof PDFRef) {
+    return pageIndexByRef.get(target.toString()) ?? null;
+  }
+
+  // Some writers use a page number instead of a reference
+  return typeof target.asNumber === 'function' ? target.asNumber() : null;
+};
+
+/**
+ * Look up a key in a PDF name tree
+ */
+const findInNameTree = (node, key, lookup) => {
+  if (!(node instanceof PDFDict)) return null;
+
+  const names = lookup(node.get(PDFName.of('Names')));
+  if (names instanceof PDFArray) {
+    for (let i = 0; i + 1 < names.size(); i += 2) {
+      const name = lookup(names.get(i));
+      if (name?.decodeText?.() === key) {
+        return lookup(names.get(i + 1));
+      }
+    }
+  }
+
+  const kids = lookup(node.get(PDFName.of('Kids')));
+  if (kids instanceof PDFArray) {
+    for (let i = 0; i < kids.size(); i++) {
+      const found = findInNameTree(lookup(kids.get(i)), key, lookup);
+      if (found) return found;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Read the top-level bookmarks of a PDF
+ * @param {PDFDocument} pdfDoc - The document
+ * @returns {Array<{title: string, page: number}>} Bookmarks sorted by page
+ */
+export const getBookmarks = (pdfDoc) => {
+  const { context, catalog } = pdfDoc;
+  const lookup = (value) => (value instanceof PDFRef ? context.lookup(value) : value);
+  const outlines = lookup(catalog.get(PDFName.of('Outlines')));
+
+  if (!(outlines instanceof PDFDict)) {
+    return [];
+  }
+
+  const pageIndexByRef = new Map(
+    pdfDoc.getPages().map((page, index) => [page.ref.toString(), index])
+  );
+
+  const bookmarks = [];
+  const visited = new Set();
+  let item = lookup(outlines.get(PDFName.of('First')));
+
+  while (item instanceof PDFDict && !visited.has(item)) {
+    visited.add(item);
+
+    const page = resolveOutlineTarget(pdfDoc, item, pageIndexByRef);
+    const title = lookup(item.get(PDFName.of('Title')));
+
+    if (page !== null) {
+      bookmarks.push({
+        title: title?.decodeText?.() || `Section ${bookmarks.length + 1}`,
+        page,
+      });
+    }
+
+    item = lookup(item.get(PDFName.of('Next')));
+  }
+
+  return bookmarks.sort((a, b) => a.page - b.page);
+};
+
+/**
+ * Work out which pages go into each part of a split
+ * @param {PDFDocument} pdfDoc - The document
+ * @param {Object} options - Split options
+ * @param {string} options.mode - pages, chunks, ranges or bookmarks
+ * @param {number} options.chunkSize - Pages per part (chunks mode)
+ * @param {string} options.ranges - Range expression, one part per comma (ranges mode)
+ * @returns {Array<{title: string|null, pages: Array<number>}>}
+ */
+export const getSplitParts = (pdfDoc, { mode = 'pages', chunkSize, ranges } = {}) => {
+  const pageCount = pdfDoc.getPageCount();
+
+  switch (mode) {
+    case 'pages':
+      return Array.from({ length: pageCount }, (_, i) => ({ title: null, pages: [i] }));
+
+    case 'chunks': {
+      const size = parseInt(chunkSize, 10);
+      if (!size || size < 1) {
+        throw ApiError.badRequest('chunkSize must be a positive number', 'INVALID_SPLIT_OPTIONS');
+      }
+
+      const parts = [];
+      for (let start = 0; start < pageCount; start += size) {
+        const end = Math.min(start + size, pageCount);
+        parts.push({ title: null, pages: Array.from({ length: end - start }, (_, i) => start + i) });
+      }
+      return parts;
+    }
+
+    case 'ranges': {
+      if (!ranges || !String(ranges).trim()) {
+        throw ApiError.badRequest('ranges is required, e.g. "1-3,5,9-"', 'INVALID_SPLIT_OPTIONS');
+      }
+
+      return String(ranges)
+        .split(',')
+        .map((range) => ({ title: null, pages: parsePageRanges(range, pageCount) }));
+    }
+
+    case 'bookmarks': {
+      const bookmarks = getBookmarks(pdfDoc).filter(
+        (bookmark, i, list) => i === 0 || bookmark.page !== list[i - 1].page
+      );
+
+      if (bookmarks.length === 0) {
+        throw ApiError.badRequest('This PDF has no bookmarks to split on', 'INVALID_SPLIT_OPTIONS');
+      }
+
+      const parts = [];
+      if (bookmarks[0].page > 0) {
+        parts.push({ title: null, pages: Array.from({ length: bookmarks[0].page }, (_, i) => i) });
+      }
+
+      bookmarks.forEach((bookmark, i) => {
+        const end = i + 1 < bookmarks.length ? bookmarks[i + 1].page : pageCount;
+        parts.push({
+          title: bookmark.title,
+          pages: Array.from({ length: end - bookmark.page }, (_, j) => bookmark.page + j),
+        });
+      });
+      return parts;
+    }
+
+    default:
+      throw ApiError.badRequest(
+        `Unknown split mode "${mode}". Use one of: ${SPLIT_MODES.join(', ')}`,
+        'INVALID_SPLIT_OPTIONS'
+      );
+  }
+};
+
+/**
+ * Turn a bookmark title into something safe for a file name
+ */
+const toFileNamePart = (title) => {
+  return title.replace(/[\\/:*?"<>|\x00-\x1F]+/g, ' ').replace(/\s+/g, ' ').trim().slice(0, 60);
+};
+
+/**
+ * Split a PDF into several PDFs
+ * @param {Buffer} buffer - PDF bytes
+ * @param {Object} options - Split options, see getSplitParts
+ * @param {string} options.baseName - Name used for the part files
+ * @param {Function} onProgress - Called with a completion percentage
+ * @returns {Promise<Array<{name: string, title: string|null, pages: Array<number>, buffer: Buffer}>>}
+ *   Parts in document order; `pages` are 1-based
+ */
+export const splitPdf = async (buffer, options = {}, onProgress = () => {}) => {
+  const { baseName = 'document' } = options;
+  const source = await PDFDocument.load(buffer, { ignoreEncryption: true });
+  const parts = getSplitParts(source, options);
+  const digits = String(parts.length).length;
+  const results = [];
+
+  for (let i = 0; i < parts.length; i++) {
+    const part = await PDFDocument.create();
+    const pages = await part.copyPages(source, parts[i].pages);
+    pages.forEach((page) => part.addPage(page));
+
+    const number = String(i + 1).padStart(digits, '0');
+    const suffix = parts[i].title ? `${number} ${toFileNamePart(parts[i].title)}` : `part${number}`;
+
+    results.push({
+      name: `${baseName}_${suffix}.pdf`,
+      title: parts[i].title,
+      pages: parts[i].pages.map((page) => page + 1),
+      buffer: Buffer.from(await part.save()),
+    });
+
+    onProgress(((i + 1) / parts.length) * 80);
+  }
+
+  return results;
+};
+
+/**
+ * Bundle split parts into a ZIP with a manifest.json
+ * @param {Array<Object>} parts - Output of splitPdf
+ * @param {Object} manifest - Extra manifest fields (source, mode, ...)
+ * @returns {Promise<Buffer>} ZIP bytes
+ */
+export const createPartsArchive = async (parts, manifest = {}) => {
+  const zip = new JSZip();
+
+  parts.forEach((part) => zip.file(part.name, part.buffer));
+  zip.file('manifest.json', JSON.stringify({
+    ...manifest,
+    createdAt: new Date().toISOString(),
+    parts: parts.map(({ name, title, pages, buffer }) => ({
+      file: name,
+      title,
+      pages,
+      size: buffer.length,
+    })),
+  }, null, 2));
+
+  return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+};
+
+export default {
+  SPLIT_MODES,
+  parsePageRanges,
+  toPdfBuffer,
+  mergePdfs,
+  getBookmarks,
+  getSplitParts,
+  splitPdf,
+  createPartsArchive,
+  decodeImageXObject,
+  extractPageImages,
+};
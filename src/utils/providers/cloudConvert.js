@@ -0,0 +1,94 @@
+import path from 'path';
+import { cloudConvert, getJobOutcome, isCloudConvertConfigured } from '../cloudConvert';
+
+// CloudConvert task states that will not change
+const FINAL_TASK_STATUSES = ['finished', 'error'];
+
+/**
+ * Conversion provider backed by CloudConvert
+ *
+ * Each job runs three CloudConvert tasks: import/upload, convert and
+ * export/url. `createJob` also returns the upload form so browsers can send
+ * the file to CloudConvert directly (see POST /api/cloudconvert); `tag` and
+ * `webhookUrl` are passed through so the webhook can find the job.
+ */
+const cloudConvertProvider = {
+  name: 'cloudconvert',
+  pollInterval: 2000,
+
+  isAvailable: () => isCloudConvertConfigured(),
+
+  // CloudConvert handles far more formats than we list; the capability
+  // registry decides which pairs are offered
+  supports: () => true,
+
+  async createJob({ name, from, to, options = {}, tag, webhookUrl }) {
+    const job = await cloudConvert.jobs.create({
+      ...(tag && { tag }),
+      ...(webhookUrl && { webhook_url: webhookUrl }),
+      tasks: {
+        'upload-file': {
+          operation: 'import/upload',
+          filename: name,
+        },
+        'convert-file': {
+          // Options first, so they cannot replace the task's own settings
+          ...options,
+          operation: 'convert',
+          input: 'upload-file',
+          input_format: from,
+          output_format: to,
+          engine: 'office',
+          filename: `${path.basename(name, path.extname(name))}.${to}`,
+        },
+        'export-file': {
+          operation: 'export/url',
+          input: 'convert-file',
+        },
+      },
+    });
+
+    const uploadTask = job.tasks.find(task => task.operation === 'import/upload');
+    const url = uploadTask?.result?.form?.url || uploadTask?.result?.url;
+
+    if (!url) {
+      throw new Error('Failed to get upload URL');
+    }
+
+    return {
+      id: job.id,
+      upload: { url, method: 'PUT', fields: uploadTask.result?.form?.parameters || {} },
+    };
+  },
+
+  async upload(id, { buffer, name }) {
+    const job = await cloudConvert.jobs.get(id);
+    const uploadTask = job.tasks.find(task => task.operation === 'import/upload');
+    await cloudConvert.tasks.upload(uploadTask, buffer, name, buffer.length);
+  },
+
+  async getStatus(id) {
+    const { status, progress, tasks, inputSize, error } = getJobOutcome(await cloudConvert.jobs.get(id));
+    return { status, progress, tasks, inputSize, error };
+  },
+
+  async getResult(id) {
+    const outcome = getJobOutcome(await cloudConvert.jobs.get(id));
+    if (outcome.status !== 'finished') {
+      throw new Error(outcome.error || 'Conversion has not finished');
+    }
+
+    return { name: outcome.filename, size: outcome.size, url: outcome.downloadUrl };
+  },
+
+  async cancel(id) {
+    const job = await cloudConvert.jobs.get(id);
+    await Promise.all(
+      job.tasks
+        .filter(task => !FINAL_TASK_STATUSES.includes(task.status))
+        .map(task => cloudConvert.tasks.cancel(task.id))
+    );
+  },
+};
+
+export default cloudConvertProvider;
@@ -0,0 +1,82 @@
+import crypto from 'crypto';
+import path from 'path';
+import { serverEnv } from '../../config/env';
+
+// Status checks a job takes to finish, so callers see it in progress once
+const POLLS_TO_FINISH = 2;
+
+const jobs = new Map();
+let sequence = 0;
+
+const getJob = (id) => {
+  const job = jobs.get(id);
+  if (!job) {
+    throw new Error(`Unknown fake conversion job ${id}`);
+  }
+  return job;
+};
+
+/**
+ * Offline provider with deterministic results, for development and tests
+ *
+ * Accepts every conversion and never touches the network. The output is a
+ * short text naming the conversion and the SHA-256 of the input, so the same
+ * input always gives the same bytes. With FAKE_PROVIDER_FAIL set, jobs fail
+ * instead, to exercise fallback and error handling.
+ */
+const fakeProvider = {
+  name: 'fake',
+  pollInterval: 10,
+
+  isAvailable: () => true,
+
+  supports: () => true,
+
+  async createJob({ name, from, to, options = {} }) {
+    const id = `fake-${++sequence}`;
+    jobs.set(id, { name, from, to, options, polls: 0, input: null, fail: serverEnv.FAKE_PROVIDER_FAIL });
+    return { id, upload: { url: `fake://upload/${id}`, method: 'PUT' } };
+  },
+
+  async upload(id, { buffer }) {
+    getJob(id).input = buffer;
+  },
+
+  async getStatus(id) {
+    const job = getJob(id);
+
+    if (!job.input) {
+      return { status: 'processing', progress: 0 };
+    }
+
+    if (job.fail) {
+      return { status: 'failed', progress: 0, error: 'Simulated conversion failure' };
+    }
+
+    job.polls++;
+    return job.polls >= POLLS_TO_FINISH
+      ? { status: 'finished', progress: 100 }
+      : { status: 'processing', progress: Math.round((job.polls / POLLS_TO_FINISH) * 100) };
+  },
+
+  async getResult(id) {
+    const job = getJob(id);
+    const digest = crypto.createHash('sha256').update(job.input || '').digest('hex');
+    const buffer = Buffer.from(
+      `Fake conversion of ${job.name} from ${job.from} to ${job.to}\nsha256: ${digest}\n`
+    );
+
+    jobs.delete(id);
+    return {
+      name: `${path.basename(job.name, path.extname(job.name))}.${job.to}`,
+      size: buffer.length,
+      buffer,
+    };
+  },
+
+  async cancel(id) {
+    jobs.delete(id);
+  },
+};
+
+export default fakeProvider;
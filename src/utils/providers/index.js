@@ -0,0 +1,296 @@
+import { serverEnv } from '../../config/env';
+import { ApiError } from '../apiError';
+import { normalizeFormat } from '../converters';
+import { getFileExtension } from '../fileUtils';
+import { logger } from '../logger';
+import { providerErrorsTotal } from '../metrics';
+import { storeOutputFile } from '../outputFiles';
+import { readStoredFile } from '../storage';
+import localProvider from './local';
+import cloudConvertProvider from './cloudConvert';
+import fakeProvider from './fake';
+
+/**
+ * Conversion providers
+ *
+ * A provider runs conversions somewhere (in process, on CloudConvert, ...)
+ * behind the same job-shaped interface:
+ *
+ *   {
+ *     name: 'cloudconvert',
+ *     pollInterval: 2000,
+ *     isAvailable: () => boolean,
+ *     supports: (from, to) => boolean,
+ *     createJob: async ({ name, from, to, options }) => ({ id, upload? }),
+ *     upload: async (id, { buffer, name, type }) => void,
+ *     getStatus: async (id) => ({ status: 'processing'|'finished'|'failed', progress, tasks?, error? }),
+ *     getResult: async (id) => ({ name, size, buffer } or { name, size, url }),
+ *     cancel: async (id) => void,
+ *   }
+ *
+ * CONVERSION_PROVIDERS lists the providers to use, in order of preference
+ * (default "local,cloudconvert"). `runConversion` tries each provider that is
+ * available and supports the conversion, falling back to the next when one
+ * fails.
+ */
+
+const REQUIRED_METHODS = ['isAvailable', 'supports', 'createJob', 'upload', 'getStatus', 'getResult', 'cancel'];
+
+const providers = new Map();
+
+/**
+ * Register a conversion provider
+ * @param {Object} provider - Provider implementing the interface above
+ */
+export const registerProvider = (provider) => {
+  const missing = REQUIRED_METHODS.filter(method => typeof provider?.[method] !== 'function');
+  if (!provider?.name || missing.length > 0) {
+    throw new Error(`Conversion provider must have a name and implement ${missing.join(', ')}`);
+  }
+
+  providers.set(provider.name, provider);
+};
+
+/**
+ * Get a provider by name
+ * @param {string} name - Provider name
+ * @returns {Object|null} The provider, or null if unknown
+ */
+export const getProvider = (name) => {
+  return providers.get(name) || null;
+};
+
+/**
+ * List registered providers and whether they can be used
+ * @returns {Array<{name: string, available: boolean, configured: boolean}>}
+ */
+export const listProviders = () => {
+  const configured = getConfiguredProviders();
+  return [...providers.values()].map(provider => ({
+    name: provider.name,
+    available: provider.isAvailable(),
+    configured: configured.includes(provider.name),
+  }));
+};
+
+/**
+ * Provider names from CONVERSION_PROVIDERS, in order of preference
+ * @returns {Array<string>}
+ */
+export const getConfiguredProviders = () => {
+  return serverEnv.CONVERSION_PROVIDERS
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(Boolean);
+};
+
+/**
+ * Providers able to run a conversion, in the order they are tried
+ * @param {string} from - Source format
+ * @param {string} to - Target format
+ * @param {Object} options - Selection options
+ * @param {string} options.preferred - Provider to try first, if configured
+ * @returns {Array<Object>}
+ */
+export const getProviderChain = (from, to, { preferred = null } = {}) => {
+  const configured = getConfiguredProviders();
+  const names = preferred && configured.includes(preferred)
+    ? [preferred, ...configured.filter(name => name !== preferred)]
+    : configured;
+
+  return names
+    .map(getProvider)
+    .filter(provider => provider && provider.isAvailable() && provider.supports(from, to));
+};
+
+/**
+ * Convert a file with the first provider that succeeds
+ * @param {Object} source - File to convert
+ * @param {string} source.name - File name; its extension is the source format
+ * @param {string} source.type - MIME type
+ * @param {string} source.storageKey - Key in file storage (stored file records), or
+ * @param {string} source.url - URL to fetch it from, or
+ * @param {Buffer} source.buffer - Its contents
+ * @param {string} targetFormat - Target format
+ * @param {Object} params - Conversion parameters
+ * @param {Object} params.options - Conversion options, passed to the provider
+ * @param {string} params.preferred - Provider to try first
+ * @param {string} params.originalFileId - Source file ID, recorded on the output
+ * @param {string} params.teamId - Owning team, when there is no source file
+ * @param {Function} params.onProgress - Called with a completion percentage
+ * @param {Function} params.onTask - Called with the step starting: 'import', 'convert', then 'export'
+ * @param {AbortSignal} params.signal - Stops the conversion
+ * @param {Object} params.log - Logger for provider calls (e.g. the job's)
+ * @returns {Promise<Object>} Public metadata of the stored output, with `provider`
+ */
+export const runConversion = async (source, targetFormat, {
+  options = {},
+  preferred = null,
+  originalFileId = null,
+  teamId,
+  onProgress = () => {},
+  onTask = () => {},
+  signal,
+  log = logger,
+} = {}) => {
+  const from = normalizeFormat(getFileExtension(source.name));
+  const to = normalizeFormat(targetFormat);
+  const chain = getProviderChain(from, to, { preferred });
+
+  if (chain.length === 0) {
+    throw ApiError.badRequest(`No conversion provider can convert ${from} to ${to}`, 'UNSUPPORTED_CONVERSION');
+  }
+
+  onTask('import');
+  const buffer = await readSource(source);
+  const errors = [];
+
+  for (const provider of chain) {
+    try {
+      const output = await convertWith(provider, { ...source, buffer }, { from, to, options, onProgress, onTask, signal, log });
+
+      return await storeProviderResult(provider.name, output, { originalFileId, teamId });
+    } catch (error) {
+      if (signal?.aborted) throw error;
+
+      log.warn('Conversion provider failed', { provider: provider.name, from, to, error });
+      providerErrorsTotal.inc({ provider: provider.name, code: toProviderError(provider.name, error).code });
+      errors.push({ provider: provider.name, error });
+    }
+  }
+
+  const summary = errors.map(({ provider, error }) => `${provider}: ${error.message}`).join('; ');
+  throw errors.every(({ error }) => isTimeoutError(error))
+    ? ApiError.gatewayTimeout(`Conversion timed out (${summary})`, 'PROVIDER_TIMEOUT')
+    : ApiError.badGateway(`Conversion failed (${summary})`, 'PROVIDER_ERROR');
+};
+
+/**
+ * Whether an error from a provider (or the network on the way to it) is a timeout
+ * @param {Error} error - Error thrown by a provider
+ * @returns {boolean}
+ */
+export const isTimeoutError = (error) => {
+  return error?.code === 'PROVIDER_TIMEOUT' ||
+    error?.name === 'TimeoutError' ||
+    ['ETIMEDOUT', 'ECONNABORTED', 'ESOCKETTIMEDOUT', 'UND_ERR_CONNECT_TIMEOUT', 'UND_ERR_HEADERS_TIMEOUT'].includes(error?.code) ||
+    /timed? ?out/i.test(error?.message || '');
+};
+
+/**
+ * Error for a request to a provider that failed, for route handlers to throw
+ * @param {string} providerName - Provider that failed
+ * @param {Error} error - Error it threw
+ * @returns {ApiError} 504 PROVIDER_TIMEOUT or 502 PROVIDER_ERROR
+ */
+export const toProviderError = (providerName, error) => {
+  if (error instanceof ApiError) return error;
+
+  const details = { provider: providerName };
+  return isTimeoutError(error)
+    ? ApiError.gatewayTimeout(`${providerName} did not respond in time`, 'PROVIDER_TIMEOUT', details)
+    : ApiError.badGateway(`${providerName} request failed: ${error.message}`, 'PROVIDER_ERROR', details);
+};
+
+/**
+ * Copy a provider's output into file storage
+ *
+ * Outputs only available at the provider's URL are downloaded, so clients
+ * get our signed links instead of the provider's.
+ * @param {string} providerName - Provider that produced the file
+ * @param {Object} result - Output from the provider's getResult()
+ * @param {string} result.name - File name
+ * @param {Buffer} result.buffer - Its contents, or
+ * @param {string} result.url - URL to download it from
+ * @param {Object} params - Storage parameters
+ * @param {string} params.originalFileId - Source file ID, recorded on the output
+ * @param {string} params.teamId - Owning team; defaults to the source file's team
+ * @returns {Promise<Object>} Public metadata of the stored output, with `provider`
+ */
+export const storeProviderResult = async (providerName, { name, buffer, url }, { originalFileId = null, teamId } = {}) => {
+  return storeOutputFile(buffer || await fetchBuffer(url), {
+    name,
+    originalFileId,
+    teamId,
+    extra: { provider: providerName },
+  });
+};
+
+/**
+ * Run one job on a provider and fetch its output
+ * @private
+ */
+async function convertWith(provider, source, { from, to, options, onProgress, onTask, signal, log }) {
+  const job = await provider.createJob({ name: source.name, from, to, options });
+  const providerLog = log.child({ provider: provider.name, providerJobId: job.id });
+  providerLog.debug('Provider job created', { from, to });
+
+  try {
+    await provider.upload(job.id, source);
+
+    onTask('convert');
+    for (;;) {
+      throwIfAborted(signal);
+
+      const status = await provider.getStatus(job.id);
+      if (status.status === 'finished') break;
+      if (status.status === 'failed') {
+        throw new Error(status.error || 'Conversion failed');
+      }
+
+      onProgress(status.progress);
+      await new Promise(resolve => setTimeout(resolve, provider.pollInterval || 1000));
+    }
+
+    onTask('export');
+    const result = await provider.getResult(job.id);
+    providerLog.debug('Provider job finished');
+
+    return result;
+  } catch (error) {
+    await provider.cancel(job.id).catch((cancelError) => {
+      providerLog.warn('Failed to cancel provider job', cancelError);
+    });
+    throw error;
+  }
+}
+
+function throwIfAborted(signal) {
+  if (signal?.aborted) {
+    throw new Error('Conversion was stopped');
+  }
+}
+
+async function readSource(source) {
+  const { buffer, storageKey, path, url } = source;
+  if (buffer) return buffer;
+  if (storageKey || path) return readStoredFile(source);
+  if (url) return fetchBuffer(url);
+
+  throw new Error('Conversion source has no contents');
+}
+
+async function fetchBuffer(url) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Failed to download ${url}: ${response.status} ${response.statusText}`);
+  }
+  return Buffer.from(await response.arrayBuffer());
+}
+
+// Built-in providers
+[localProvider, cloudConvertProvider, fakeProvider].forEach((provider) => {
+  registerProvider(provider);
+});
+
+export default {
+  registerProvider,
+  getProvider,
+  listProviders,
+  getConfiguredProviders,
+  getProviderChain,
+  runConversion,
+  isTimeoutError,
+  toProviderError,
+  storeProviderResult,
+};
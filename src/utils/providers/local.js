@@ -0,0 +1,71 @@
+import path from 'path';
+import { v4 as uuidv4 } from 'uuid';
+import { convertBuffer, isConversionSupported } from '../converters';
+
+// Conversions started by this process, by job ID
+const jobs = new Map();
+
+const getJob = (id) => {
+  const job = jobs.get(id);
+  if (!job) {
+    throw new Error(`Unknown local conversion job ${id}`);
+  }
+  return job;
+};
+
+/**
+ * Conversion provider backed by the in-process converters
+ *
+ * The conversion starts as soon as the input is uploaded. It cannot be
+ * interrupted; cancelling a job discards its output.
+ */
+const localProvider = {
+  name: 'local',
+  pollInterval: 200,
+
+  isAvailable: () => true,
+
+  supports: (from, to) => isConversionSupported(from, to),
+
+  async createJob({ name, from, to, options = {} }) {
+    const id = uuidv4();
+    jobs.set(id, { name, from, to, options, status: 'waiting', progress: 0 });
+    return { id };
+  },
+
+  async upload(id, { buffer }) {
+    const job = getJob(id);
+    job.status = 'processing';
+    job.progress = 10;
+
+    convertBuffer(buffer, job.from, job.to, job.options).then(
+      (output) => Object.assign(job, { status: 'finished', progress: 100, output }),
+      (error) => Object.assign(job, { status: 'failed', error: error.message })
+    );
+  },
+
+  async getStatus(id) {
+    const { status, progress, error } = getJob(id);
+    return { status, progress, error };
+  },
+
+  async getResult(id) {
+    const job = getJob(id);
+    if (job.status !== 'finished') {
+      throw new Error('Conversion has not finished');
+    }
+
+    jobs.delete(id);
+    return {
+      name: `${path.basename(job.name, path.extname(job.name))}.${job.to}`,
+      size: job.output.length,
+      buffer: job.output,
+    };
+  },
+
+  async cancel(id) {
+    jobs.delete(id);
+  },
+};
+
+export default localProvider;
@@ -0,0 +1,151 @@
+import { serverEnv } from '../config/env';
+import { ApiError } from './apiError';
+import { formatFileSize } from './fileUtils';
+import { ANONYMOUS_TEAM_ID } from './auth';
+import { conversionQueue } from './jobQueue';
+import { metadataStore } from './metadataStore';
+
+/**
+ * Per-team quotas
+ *
+ *   - conversionMinutes: time jobs may run per calendar month (UTC), counted
+ *     from when a job starts until it finishes, whatever its outcome
+ *   - storageBytes: total size of the team's uploads and outputs, including
+ *     chunked uploads in progress
+ *   - maxFileSize: largest file the team may upload
+ *
+ * A team's own quotas override the QUOTA_* defaults; 0 means unlimited.
+ * Usage is derived from the file, upload and job records, which carry the
+ * `teamId` that created them. Requests over a quota fail with a 403 whose
+ * code names the quota and whose details give the limit and the usage.
+ */
+
+const MINUTE = 60 * 1000;
+
+/**
+ * Effective quotas of a team
+ * @param {Object} team - Team record
+ * @returns {{conversionMinutes: number, storageBytes: number, maxFileSize: number}}
+ */
+export const getTeamQuotas = (team) => ({
+  conversionMinutes: serverEnv.QUOTA_CONVERSION_MINUTES,
+  storageBytes: serverEnv.QUOTA_STORAGE_BYTES,
+  maxFileSize: serverEnv.QUOTA_MAX_FILE_SIZE,
+  ...team?.quotas,
+});
+
+/**
+ * Start of the calendar month (UTC) containing a time
+ * @param {number} now - Time in milliseconds
+ * @returns {number}
+ */
+const getMonthStart = (now) => {
+  const date = new Date(now);
+  return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1);
+};
+
+// Records from before teams existed belong to the anonymous team
+const belongsTo = (teamId) => (record) => (record.teamId || ANONYMOUS_TEAM_ID) === teamId;
+
+/**
+ * What a team has used
+ * @param {string} teamId - Team ID
+ * @param {Object} options - Usage options
+ * @param {number} options.now - Current time in milliseconds
+ * @returns {{period: string, conversionMs: number, conversionMinutes: number, storageBytes: number, files: number}}
+ */
+export const getTeamUsage = (teamId, { now = Date.now() } = {}) => {
+  const monthStart = getMonthStart(now);
+  const ownedBy = belongsTo(teamId);
+
+  // Jobs still running count up to now
+  const conversionMs = conversionQueue.store
+    .list('jobs', job => ownedBy(job.data || {}) && Date.parse(job.startedAt) >= monthStart)
+    .reduce((sum, job) => {
+      const end = job.completedAt ? Date.parse(job.completedAt) : now;
+      return sum + Math.max(0, end - Date.parse(job.startedAt));
+    }, 0);
+
+  const files = metadataStore.list('files', ownedBy);
+  const uploads = metadataStore.list('uploads', ownedBy);
+  const storageBytes = [...files, ...uploads].reduce((sum, record) => sum + (record.size || 0), 0);
+
+  return {
+    period: new Date(monthStart).toISOString().slice(0, 7),
+    conversionMs,
+    conversionMinutes: Math.round((conversionMs / MINUTE) * 100) / 100,
+    storageBytes,
+    files: files.length,
+  };
+};
+
+/**
+ * A team's quotas with its usage, as reported to admins
+ * @param {Object} team - Team record
+ * @returns {{quotas: Object, usage: Object}}
+ */
+export const getQuotaReport = (team) => ({
+  quotas: getTeamQuotas(team),
+  usage: getTeamUsage(team.id),
+});
+
+/**
+ * Check that a team may store another file
+ * @param {Object} auth - Auth context from authenticate()
+ * @param {number} size - File size in bytes
+ * @throws {ApiError} 403 QUOTA_FILE_SIZE_EXCEEDED or QUOTA_STORAGE_EXCEEDED
+ */
+export const assertStorageQuota = (auth, size) => {
+  const { maxFileSize, storageBytes } = getTeamQuotas(auth.team);
+
+  if (maxFileSize > 0 && size > maxFileSize) {
+    throw ApiError.forbidden(
+      `File too large for your plan. Max size is ${formatFileSize(maxFileSize)}`,
+      'QUOTA_FILE_SIZE_EXCEEDED',
+      { quota: 'maxFileSize', limit: maxFileSize, requested: size }
+    );
+  }
+
+  if (storageBytes > 0) {
+    const used = getTeamUsage(auth.team.id).storageBytes;
+    if (used + size > storageBytes) {
+      throw ApiError.forbidden(
+        `Storage quota exceeded: ${formatFileSize(used)} of ${formatFileSize(storageBytes)} used. Delete files to free space`,
+        'QUOTA_STORAGE_EXCEEDED',
+        { quota: 'storageBytes', limit: storageBytes, used, requested: size }
+      );
+    }
+  }
+};
+
+/**
+ * Check that a team has conversion minutes left this month
+ * @param {Object} auth - Auth context from authenticate()
+ * @throws {ApiError} 403 QUOTA_CONVERSION_MINUTES_EXCEEDED
+ */
+export const assertConversionQuota = (auth) => {
+  const { conversionMinutes } = getTeamQuotas(auth.team);
+  if (!(conversionMinutes > 0)) return;
+
+  const usage = getTeamUsage(auth.team.id);
+  if (usage.conversionMs >= conversionMinutes * MINUTE) {
+    throw ApiError.forbidden(
+      `Monthly conversion quota of ${conversionMinutes} minutes used up`,
+      'QUOTA_CONVERSION_MINUTES_EXCEEDED',
+      {
+        quota: 'conversionMinutes',
+        limit: conversionMinutes,
+        used: usage.conversionMinutes,
+        period: usage.period,
+      }
+    );
+  }
+};
+
+export default {
+  getTeamQuotas,
+  getTeamUsage,
+  getQuotaReport,
+  assertStorageQuota,
+  assertConversionQuota,
+};
@@ -0,0 +1,361 @@
+import { serverEnv, getSecret } from '../config/env';
+import { ApiError } from './apiError';
+import { logger } from './logger';
+
+/**
+ * Token-bucket rate limiting for /api routes
+ *
+ * Runs in the middleware (Edge runtime), so it only uses web APIs. Each client
+ * gets one bucket per budget; a bucket holds up to `max` tokens and refills
+ * at `max` tokens per RATE_LIMIT_WINDOW_MS, so short bursts are allowed while
+ * the long-run rate stays under the budget. Clients are told apart by the
+ * credentials they send (X-Api-Key header or Bearer token, hashed) or,
+ * without any, by IP address. Credentials are not trusted for this before
+ * they are checked: a JWT counts as its own client only once its signature is
+ * verified, and an API key, which can only be checked against the stored keys
+ * in the route, only together with the IP it is sent from. Anything else
+ * counts against the IP, so sending made-up credentials gains nothing.
+ *
+ * Counters live in memory by default, which is per server process. With
+ * RATE_LIMIT_STORE=redis they are kept in Redis through its REST API
+ * (e.g. Upstash), so every instance shares the same budgets. A store is an
+ * object with:
+ *
+ *   take: async (key, { capacity, refillRate, cost, now, ttl }) => ({ allowed, tokens })
+ */
+
+// Routes that start conversion jobs
+const CONVERT_PATHS = ['/api/convert', '/api/cloudconvert', '/api/ocr'];
+
+// Called by providers, which authenticate with a signature and share a few IPs
+const EXEMPT_PATHS = ['/api/cloudconvert/webhook'];
+
+/**
+ * Budgets, checked in order; the first whose `match` accepts the request applies
+ * @returns {Array<{name: string, max: number, match: Function}>}
+ */
+export const getBudgets = () => [
+  {
+    name: 'chunk',
+    max: serverEnv.RATE_LIMIT_CHUNK_MAX,
+    // Chunks and completion of an upload already counted against `upload`
+    match: (method, path) => path.startsWith('/api/upload/chunked/') && method !== 'DELETE',
+  },
+  {
+    name: 'upload',
+    max: serverEnv.RATE_LIMIT_UPLOAD_MAX,
+    match: (method, path) => method === 'POST' && (path === '/api/upload' || path === '/api/upload/chunked'),
+  },
+  {
+    name: 'status',
+    max: serverEnv.RATE_LIMIT_STATUS_MAX,
+    match: (method, path) => path === '/api/jobs/events' ||
+      (method === 'GET' && (path === '/api/convert' || path === '/api/cloudconvert')),
+  },
+  {
+    name: 'convert',
+    max: serverEnv.RATE_LIMIT_CONVERT_MAX,
+    match: (method, path) => method === 'POST' &&
+      (CONVERT_PATHS.includes(path) || path.startsWith('/api/pdf/')),
+  },
+  {
+    name: 'default',
+    max: serverEnv.RATE_LIMIT_MAX,
+    match: () => true,
+  },
+];
+
+/**
+ * Budget that applies to a request
+ * @param {string} method - HTTP method
+ * @param {string} path - URL path
+ * @returns {{name: string, max: number}|undefined} Undefined for exempt routes
+ */
+export const getBudget = (method, path) => {
+  const normalizedPath = path.replace(/\/$/, '');
+  if (EXEMPT_PATHS.includes(normalizedPath)) return undefined;
+
+  return getBudgets().find(budget => budget.match(method.toUpperCase(), normalizedPath));
+};
+
+/**
+ * In-memory store (per process)
+ *
+ * Buckets that have been idle long enough to refill completely are dropped,
+ * as they are no different from new ones.
+ * @returns {Object} The store
+ */
+export const createMemoryStore = () => {
+  const buckets = new Map();
+  let calls = 0;
+
+  const prune = (now) => {
+    buckets.forEach((bucket, key) => {
+      if (now >= bucket.expiresAt) buckets.delete(key);
+    });
+  };
+
+  return {
+    buckets,
+
+    async take(key, { capacity, refillRate, cost, now, ttl }) {
+      if (++calls % 1000 === 0) prune(now);
+
+      const bucket = buckets.get(key) || { tokens: capacity, updatedAt: now };
+      const tokens = Math.min(capacity, bucket.tokens + Math.max(0, now - bucket.updatedAt) * refillRate);
+      const allowed = tokens >= cost;
+      const left = allowed ? tokens - cost : tokens;
+
+      buckets.set(key, { tokens: left, updatedAt: now, expiresAt: now + ttl });
+      return { allowed, tokens: left };
+    },
+  };
+};
+
+// Refill and take in one step, so concurrent requests on other instances cannot overspend
+const TAKE_SCRIPT = `
+local capacity = tonumber(ARGV[1])
+local rate = tonumber(ARGV[2])
+local cost = tonumber(ARGV[3])
+local now = tonumber(ARGV[4])
+local state = redis.call('HMGET', KEYS[1], 'tokens', 'updatedAt')
+local tokens = tonumber(state[1]) or capacity
+local updatedAt = tonumber(state[2]) or now
+tokens = math.min(capacity, tokens + math.max(0, now - updatedAt) * rate)
+local allowed = 0
+if tokens >= cost then
+  tokens = tokens - cost
+  allowed = 1
+end
+redis.call('HSET', KEYS[1], 'tokens', tostring(tokens), 'updatedAt', tostring(now))
+redis.call('PEXPIRE', KEYS[1], ARGV[5])
+return { allowed, tostring(tokens) }
+`;
+
+/**
+ * Store shared by every instance, kept in Redis through its REST API
+ * @param {Object} options - Store options
+ * @param {string} options.url - REST endpoint, e.g. https://<db>.upstash.io
+ * @param {string} options.token - Bearer token for the endpoint
+ * @param {string} options.prefix - Prefix for the Redis keys
+ * @returns {Object} The store
+ */
+export const createRedisRestStore = ({
+  url = serverEnv.RATE_LIMIT_REDIS_URL,
+  token = getSecret('RATE_LIMIT_REDIS_TOKEN'),
+  prefix = 'ratelimit:',
+} = {}) => {
+  if (!url || !token) {
+    throw new Error('The redis rate limit store needs RATE_LIMIT_REDIS_URL and RATE_LIMIT_REDIS_TOKEN');
+  }
+
+  return {
+    async take(key, { capacity, refillRate, cost, now, ttl }) {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: {
+          Authorization: `Bearer ${token}`,
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify([
+          'EVAL', TAKE_SCRIPT, '1', `${prefix}${key}`,
+          String(capacity), String(refillRate), String(cost), String(now), String(ttl),
+        ]),
+      });
+
+      const body = await response.json().catch(() => ({}));
+      if (!response.ok || body.error) {
+        throw new Error(`Rate limit store error: ${body.error || response.status}`);
+      }
+
+      const [allowed, tokens] = body.result;
+      return { allowed: allowed === 1, tokens: parseFloat(tokens) };
+    },
+  };
+};
+
+/**
+ * Store selected by RATE_LIMIT_STORE, shared across requests
+ * @returns {Object}
+ */
+export const getRateLimitStore = () => {
+  if (!globalThis.__rateLimitStore) {
+    globalThis.__rateLimitStore = serverEnv.RATE_LIMIT_STORE === 'redis'
+      ? createRedisRestStore()
+      : createMemoryStore();
+  }
+  return globalThis.__rateLimitStore;
+};
+
+// Shape of the keys issued by utils/auth: the prefix and 24 random bytes, base64url-encoded
+const API_KEY_PATTERN = /^fck_[A-Za-z0-9_-]{32}$/;
+
+/**
+ * SHA-256 of a string, hex-encoded
+ * @private
+ */
+const sha256 = async (text) => {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+};
+
+/**
+ * Decode base64url to bytes
+ * @private
+ */
+const fromBase64Url = (text) => {
+  const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+  return Uint8Array.from(binary, char => char.charCodeAt(0));
+};
+
+/**
+ * Whether a token is an unexpired HS256 JWT signed with JWT_SECRET
+ *
+ * The Web Crypto counterpart of verifyJwt in utils/auth, which needs Node.
+ * @param {string} token - Compact JWT
+ * @returns {Promise<boolean>}
+ */
+export const isValidJwt = async (token) => {
+  const secret = getSecret('JWT_SECRET');
+  const [encodedHeader, encodedPayload, signature, extra] = token.split('.');
+  if (!secret || !signature || extra !== undefined) return false;
+
+  try {
+    const decoder = new TextDecoder();
+    const header = JSON.parse(decoder.decode(fromBase64Url(encodedHeader)));
+    const claims = JSON.parse(decoder.decode(fromBase64Url(encodedPayload)));
+    if (header.alg !== 'HS256') return false;
+    if (typeof claims.exp === 'number' && claims.exp <= Math.floor(Date.now() / 1000)) return false;
+
+    const key = await crypto.subtle.importKey(
+      'raw', new TextEncoder().encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['verify']
+    );
+    return await crypto.subtle.verify(
+      'HMAC', key, fromBase64Url(signature), new TextEncoder().encode(`${encodedHeader}.${encodedPayload}`)
+    );
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * IP address a request comes from
+ *
+ * `request.ip` is set by the hosting platform (e.g. Vercel). Anyone can send
+ * X-Forwarded-For or X-Real-IP, so they are only read behind TRUST_PROXY
+ * proxies, counting their entries from the right: each trusted proxy appends
+ * the address it received the request from. Without either, every client
+ * shares one IP bucket rather than picking its own.
+ * @param {Request} request - Incoming request
+ * @returns {string} The IP address, or 'unknown'
+ */
+export const getClientIp = (request) => {
+  if (request.ip) return request.ip;
+
+  const hops = serverEnv.TRUST_PROXY;
+  if (!(hops > 0)) return 'unknown';
+
+  const forwarded = (request.headers.get('x-forwarded-for') || '')
+    .split(',').map(entry => entry.trim()).filter(Boolean);
+  if (forwarded.length > 0) {
+    return forwarded[Math.max(0, forwarded.length - hops)];
+  }
+
+  return request.headers.get('x-real-ip') || 'unknown';
+};
+
+/**
+ * Who a request counts against
+ *
+ * A verified JWT, an API key together with the request's IP, or otherwise
+ * the IP alone.
+ * @param {Request} request - Incoming request
+ * @returns {Promise<string>} e.g. "jwt:3fa1…", "key:9b2c…" or "ip:203.0.113.7"
+ */
+export const getClientId = async (request) => {
+  const ip = getClientIp(request);
+
+  const authorization = request.headers.get('authorization') || '';
+  const credential = request.headers.get('x-api-key') ||
+    (authorization.startsWith('Bearer ') ? authorization.slice(7).trim() : '');
+
+  // Credentials are secrets; only their hash is kept
+  if (API_KEY_PATTERN.test(credential)) {
+    return `key:${(await sha256(`${ip}\n${credential}`)).slice(0, 32)}`;
+  }
+
+  if (credential && await isValidJwt(credential)) {
+    return `jwt:${(await sha256(credential)).slice(0, 32)}`;
+  }
+
+  return `ip:${ip}`;
+};
+
+/**
+ * Take a token for a request from its budget
+ *
+ * A store that cannot be reached lets the request through rather than taking
+ * the API down with it.
+ * @param {Request} request - Incoming request (a NextRequest in the middleware)
+ * @param {Object} options - Limiter options
+ * @param {Object} options.store - Counter store
+ * @param {number} options.now - Current time in milliseconds
+ * @returns {Promise<{allowed: boolean, budget: string, headers: Object<string, string>, error?: ApiError}|null>}
+ *   Null when the route is exempt or its budget is turned off
+ */
+export const checkRateLimit = async (request, { store = getRateLimitStore(), now = Date.now() } = {}) => {
+  const url = new URL(request.url);
+  const budget = getBudget(request.method, url.pathname);
+  if (!budget || !(budget.max > 0)) return null;
+
+  const windowMs = serverEnv.RATE_LIMIT_WINDOW_MS;
+  const capacity = budget.max;
+  const refillRate = capacity / windowMs;
+  const clientId = await getClientId(request);
+
+  let result;
+  try {
+    result = await store.take(`${budget.name}:${clientId}`, { capacity, refillRate, cost: 1, now, ttl: windowMs });
+  } catch (error) {
+    logger.error('Rate limiting unavailable', error);
+    return null;
+  }
+
+  const headers = {
+    'X-RateLimit-Limit': String(capacity),
+    'X-RateLimit-Remaining': String(Math.max(0, Math.floor(result.tokens))),
+    // Seconds until the bucket is full again
+    'X-RateLimit-Reset': String(Math.ceil((capacity - result.tokens) / refillRate / 1000)),
+    'X-RateLimit-Policy': `${capacity};w=${Math.round(windowMs / 1000)};budget=${budget.name}`,
+  };
+
+  if (result.allowed) {
+    return { allowed: true, budget: budget.name, headers };
+  }
+
+  const retryAfter = Math.max(1, Math.ceil((1 - result.tokens) / refillRate / 1000));
+  headers['Retry-After'] = String(retryAfter);
+
+  return {
+    allowed: false,
+    budget: budget.name,
+    headers,
+    error: ApiError.tooManyRequests(
+      'Too many requests, please try again later',
+      'RATE_LIMIT_EXCEEDED',
+      { retryAfter, limit: capacity, budget: budget.name }
+    ),
+  };
+};
+
+export default {
+  getBudgets,
+  getBudget,
+  createMemoryStore,
+  createRedisRestStore,
+  getRateLimitStore,
+  isValidJwt,
+  getClientIp,
+  getClientId,
+  checkRateLimit,
+};
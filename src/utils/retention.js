@@ -0,0 +1,319 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { serverEnv } from '../config/env';
+import { metadataStore } from './metadataStore';
+import { conversionQueue, isFinalStatus } from './jobQueue';
+import { CHUNK_DIR } from './chunkedUpload';
+import { logger } from './logger';
+import { deleteStoredFile } from './storage';
+import { pruneDownloadTokens } from './signedUrls';
+
+/**
+ * Retention of stored files
+ *
+ * Every stored file belongs to a class with its own time to live:
+ *   - `upload`: files uploaded by users (`kind: 'upload'`)
+ *   - `output`: converted and generated files (`kind: 'output'`)
+ *   - `temp`: chunks of unfinished chunked uploads
+ *
+ * `sweep()` deletes the bytes and metadata of expired files, then evicts the
+ * least recently used files until the total size is under the disk cap.
+ * Files used by queued or running jobs are never removed. The sweeper started
+ * by `startRetentionSweeper()` runs it periodically.
+ */
+
+export const FILE_CLASSES = ['upload', 'output', 'temp'];
+
+/**
+ * Configured retention settings
+ * @returns {{ttl: Object<string, number>, maxBytes: number, interval: number}}
+ */
+export const getRetentionConfig = () => ({
+  ttl: {
+    upload: serverEnv.RETENTION_UPLOAD_TTL_MS,
+    output: serverEnv.RETENTION_OUTPUT_TTL_MS,
+    temp: serverEnv.RETENTION_TEMP_TTL_MS,
+  },
+  maxBytes: serverEnv.STORAGE_MAX_BYTES,
+  interval: serverEnv.RETENTION_SWEEP_INTERVAL_MS,
+});
+
+/**
+ * Class of a file record
+ * @param {Object} fileData - Stored file metadata
+ * @returns {'upload'|'output'}
+ */
+const getFileClass = (fileData) => (fileData.kind === 'output' ? 'output' : 'upload');
+
+/**
+ * When a file was stored, in milliseconds
+ * @param {Object} fileData - Stored file metadata
+ * @returns {number}
+ */
+const getStoredAt = (fileData) => Date.parse(fileData.createdAt || fileData.uploadedAt) || 0;
+
+/**
+ * When a file was last served, falling back to when it was stored
+ * @param {Object} fileData - Stored file metadata
+ * @returns {number}
+ */
+const getLastAccessedAt = (fileData) => Date.parse(fileData.lastAccessedAt) || getStoredAt(fileData);
+
+/**
+ * Record that a file was served, for least recently used eviction
+ * @param {string} fileId - File ID
+ */
+export const markFileAccessed = (fileId) => {
+  metadataStore.update('files', fileId, { lastAccessedAt: new Date().toISOString() });
+};
+
+/**
+ * IDs of the files read by jobs that have not finished yet
+ * @returns {Set<string>}
+ */
+const getFilesInUse = () => {
+  const ids = new Set();
+
+  conversionQueue.store
+    .list('jobs', job => !isFinalStatus(job.status))
+    .forEach(({ data = {} }) => {
+      [data.fileId, ...(data.inputs || []).map(input => input.fileId)]
+        .filter(Boolean)
+        .forEach(id => ids.add(id));
+    });
+
+  return ids;
+};
+
+/**
+ * Total size of the files in a directory tree
+ * @param {string} dir - Directory
+ * @returns {Promise<number>} Size in bytes; 0 if the directory is missing
+ */
+export const getDirectorySize = async (dir) => {
+  let entries;
+  try {
+    entries = await fs.readdir(dir, { withFileTypes: true });
+  } catch (error) {
+    if (error.code === 'ENOENT') return 0;
+    throw error;
+  }
+
+  let size = 0;
+  for (const entry of entries) {
+    const entryPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      size += await getDirectorySize(entryPath);
+    } else {
+      size += (await fs.stat(entryPath).catch(() => ({ size: 0 }))).size;
+    }
+  }
+
+  return size;
+};
+
+/**
+ * Chunk directories on disk, with the session they belong to (if any)
+ * @returns {Promise<Array<{id: string, dir: string, session: Object|null, size: number, updatedAt: number}>>}
+ */
+const listChunkDirs = async () => {
+  let entries;
+  try {
+    entries = await fs.readdir(CHUNK_DIR, { withFileTypes: true });
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  const dirs = [];
+  for (const entry of entries.filter(e => e.isDirectory())) {
+    const dir = path.join(CHUNK_DIR, entry.name);
+    const session = metadataStore.get('uploads', entry.name);
+    const stats = await fs.stat(dir);
+
+    dirs.push({
+      id: entry.name,
+      dir,
+      session,
+      size: await getDirectorySize(dir),
+      updatedAt: session ? Date.parse(session.updatedAt) || 0 : stats.mtimeMs,
+    });
+  }
+
+  return dirs;
+};
+
+/**
+ * Delete a file's bytes and metadata
+ * @param {Object} fileData - Stored file metadata
+ */
+const removeFile = async (fileData) => {
+  await deleteStoredFile(fileData);
+  metadataStore.delete('files', fileData.id);
+};
+
+/**
+ * Delete the chunks and session of an unfinished upload
+ * @param {Object} chunkDir - Entry from listChunkDirs
+ */
+const removeChunkDir = async ({ id, dir, session }) => {
+  await fs.rm(dir, { recursive: true, force: true });
+  if (session) metadataStore.delete('uploads', id);
+};
+
+/**
+ * Report how much storage each file class uses
+ * @returns {Promise<Object>} Usage per class, totals and the retention settings
+ */
+export const getStorageUsage = async () => {
+  const config = getRetentionConfig();
+  const classes = Object.fromEntries(
+    FILE_CLASSES.map(name => [name, { count: 0, bytes: 0, ttlMs: config.ttl[name] }])
+  );
+
+  metadataStore.list('files').forEach((fileData) => {
+    const usage = classes[getFileClass(fileData)];
+    usage.count += 1;
+    usage.bytes += fileData.size || 0;
+  });
+
+  (await listChunkDirs()).forEach(({ size }) => {
+    classes.temp.count += 1;
+    classes.temp.bytes += size;
+  });
+
+  const totalBytes = FILE_CLASSES.reduce((sum, name) => sum + classes[name].bytes, 0);
+
+  return {
+    classes,
+    totalBytes,
+    maxBytes: config.maxBytes || null,
+    usedRatio: config.maxBytes ? totalBytes / config.maxBytes : null,
+    sweepIntervalMs: config.interval,
+    lastSweep: globalThis.__retentionSweeper?.lastSweep || null,
+  };
+};
+
+/**
+ * Delete expired files, then evict the least recently used until under the cap
+ * @param {Object} options - Sweep options
+ * @param {number} options.now - Current time in milliseconds
+ * @returns {Promise<Object>} What was removed: expired and evicted file IDs, and freed bytes
+ */
+export const sweep = async ({ now = Date.now() } = {}) => {
+  const { ttl, maxBytes } = getRetentionConfig();
+  const inUse = getFilesInUse();
+  const summary = { expired: [], evicted: [], freedBytes: 0, sweptAt: new Date(now).toISOString() };
+
+  // Expired uploads and outputs; a TTL of 0 keeps the class forever
+  const files = metadataStore.list('files');
+  const live = [];
+
+  for (const fileData of files) {
+    const classTtl = ttl[getFileClass(fileData)];
+    const expired = classTtl > 0 && now - getStoredAt(fileData) > classTtl;
+
+    if (expired && !inUse.has(fileData.id)) {
+      await removeFile(fileData);
+      summary.expired.push(fileData.id);
+      summary.freedBytes += fileData.size || 0;
+    } else {
+      live.push(fileData);
+    }
+  }
+
+  // Abandoned chunked uploads, and chunks left without a session
+  const chunkDirs = await listChunkDirs();
+  let tempBytes = 0;
+
+  for (const chunkDir of chunkDirs) {
+    if (!chunkDir.session || (ttl.temp > 0 && now - chunkDir.updatedAt > ttl.temp)) {
+      await removeChunkDir(chunkDir);
+      summary.expired.push(chunkDir.id);
+      summary.freedBytes += chunkDir.size;
+    } else {
+      tempBytes += chunkDir.size;
+    }
+  }
+
+  // Sessions whose chunks never reached the disk
+  metadataStore
+    .list('uploads', session => ttl.temp > 0 && now - (Date.parse(session.updatedAt) || 0) > ttl.temp)
+    .filter(session => !chunkDirs.some(chunkDir => chunkDir.id === session.id))
+    .forEach((session) => {
+      metadataStore.delete('uploads', session.id);
+      summary.expired.push(session.id);
+    });
+
+  // Disk cap: evict the least recently used files
+  if (maxBytes > 0) {
+    let totalBytes = tempBytes + live.reduce((sum, fileData) => sum + (fileData.size || 0), 0);
+    const candidates = live
+      .filter(fileData => !inUse.has(fileData.id))
+      .sort((a, b) => getLastAccessedAt(a) - getLastAccessedAt(b));
+
+    for (const fileData of candidates) {
+      if (totalBytes <= maxBytes) break;
+
+      await removeFile(fileData);
+      summary.evicted.push(fileData.id);
+      summary.freedBytes += fileData.size || 0;
+      totalBytes -= fileData.size || 0;
+    }
+  }
+
+  // Used single-use link tokens are only needed until their links expire
+  pruneDownloadTokens(now);
+
+  if (globalThis.__retentionSweeper) {
+    globalThis.__retentionSweeper.lastSweep = summary;
+  }
+
+  return summary;
+};
+
+/**
+ * Run `sweep()` periodically
+ *
+ * Started once per process (kept on globalThis so dev hot reloads do not add
+ * timers); sweeps never overlap.
+ * @returns {Object} The sweeper state
+ */
+export const startRetentionSweeper = () => {
+  if (globalThis.__retentionSweeper) return globalThis.__retentionSweeper;
+
+  const { interval } = getRetentionConfig();
+  const sweeper = { running: false, lastSweep: null, timer: null };
+  globalThis.__retentionSweeper = sweeper;
+
+  const run = async () => {
+    if (sweeper.running) return;
+    sweeper.running = true;
+
+    try {
+      await sweep();
+    } catch (error) {
+      logger.error('Storage sweep failed', error);
+    } finally {
+      sweeper.running = false;
+    }
+  };
+
+  if (interval > 0) {
+    sweeper.timer = setInterval(run, interval);
+    // Do not keep the process alive just to sweep
+    sweeper.timer.unref?.();
+    run();
+  }
+
+  return sweeper;
+};
+
+export default {
+  FILE_CLASSES,
+  getRetentionConfig,
+  markFileAccessed,
+  getStorageUsage,
+  sweep,
+  startRetentionSweeper,
+};
@@ -0,0 +1,177 @@
+import crypto from 'crypto';
+import { serverEnv, getSecret } from '../config/env';
+import { ApiError } from './apiError';
+import { logger } from './logger';
+import { metadataStore } from './metadataStore';
+
+/**
+ * Signed, expiring links to stored files
+ *
+ * Files are only served to requests carrying a link made by `createSignedUrl`:
+ *
+ *   /api/files/<id>/download?expires=<unix seconds>&signature=<HMAC>[&token=<nonce>]
+ *
+ * The signature is an HMAC-SHA256 (DOWNLOAD_URL_SECRET) of the path, the
+ * expiry and the token, so none of them can be changed. Single-use links carry
+ * a random token that is recorded in the `downloadTokens` collection once the
+ * file has been read for the first download.
+ *
+ * Links are handed out with upload responses and job results; a leaked link
+ * stops working once it expires.
+ */
+
+const SIGNED_PATH = /^\/api\/files\/([^/?]+)(\/download)?(?:\?.*)?$/;
+
+// Links that were valid once are gone for good (410), unlike forged ones (403)
+const linkUsedError = () => new ApiError(410, 'Download link has already been used', 'LINK_USED');
+
+/**
+ * Key used to sign links
+ *
+ * Without DOWNLOAD_URL_SECRET (allowed outside production) a random key is
+ * used, so links stop working when the server restarts.
+ * @returns {string}
+ */
+const getSigningKey = () => {
+  const secret = getSecret('DOWNLOAD_URL_SECRET');
+  if (secret) return secret;
+
+  if (!globalThis.__downloadUrlKey) {
+    logger.warn('DOWNLOAD_URL_SECRET is not set; download links will stop working on restart');
+    globalThis.__downloadUrlKey = crypto.randomBytes(32).toString('hex');
+  }
+  return globalThis.__downloadUrlKey;
+};
+
+const sign = (pathname, expires, token) => crypto
+  .createHmac('sha256', getSigningKey())
+  .update(`${pathname}\n${expires}\n${token}`)
+  .digest('base64url');
+
+/**
+ * Create a signed link to a stored file
+ * @param {string} fileId - File ID
+ * @param {Object} options - Link options
+ * @param {'attachment'|'inline'} options.disposition - Download it, or show it in the browser
+ * @param {number} options.expiresIn - Lifetime in milliseconds
+ * @param {boolean} options.singleUse - Stop working after the first download
+ * @returns {string} Path with query, e.g. /api/files/<id>/download?expires=...
+ */
+export const createSignedUrl = (fileId, {
+  disposition = 'attachment',
+  expiresIn = serverEnv.DOWNLOAD_URL_TTL_MS,
+  singleUse = serverEnv.DOWNLOAD_URL_SINGLE_USE,
+} = {}) => {
+  const pathname = `/api/files/${encodeURIComponent(fileId)}${disposition === 'inline' ? '' : '/download'}`;
+  const expires = Math.floor((Date.now() + expiresIn) / 1000);
+  const token = singleUse ? crypto.randomBytes(16).toString('hex') : '';
+  const params = new URLSearchParams({ expires: String(expires) });
+
+  if (token) params.set('token', token);
+  params.set('signature', sign(pathname, expires, token));
+
+  return `${pathname}?${params}`;
+};
+
+/**
+ * Check the link a file was requested with
+ *
+ * A single-use link is not used up here; call consumeSignedUrl once the file
+ * is ready to send, so a failed read leaves the link working.
+ * @param {string} requestUrl - Full request URL
+ * @returns {ApiError|null} Null if the link is valid
+ */
+export const verifySignedUrl = (requestUrl) => {
+  const { pathname, searchParams } = new URL(requestUrl, 'http://localhost');
+  const expires = parseInt(searchParams.get('expires'), 10);
+  const token = searchParams.get('token') || '';
+  const signature = searchParams.get('signature') || '';
+
+  const expected = Buffer.from(sign(pathname, expires, token));
+  const provided = Buffer.from(signature);
+
+  if (!expires || provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+    return ApiError.forbidden('Invalid download link', 'LINK_INVALID');
+  }
+
+  if (expires * 1000 < Date.now()) {
+    return new ApiError(410, 'Download link has expired', 'LINK_EXPIRED');
+  }
+
+  if (token && metadataStore.has('downloadTokens', token)) {
+    return linkUsedError();
+  }
+
+  return null;
+};
+
+/**
+ * Use up a verified single-use link; other links are left as they are
+ *
+ * Called just before the file is sent. Of two downloads racing on the same
+ * link, only the first to get here succeeds.
+ * @param {string} requestUrl - Full request URL, already checked by verifySignedUrl
+ * @returns {ApiError|null} Null if the file may be sent
+ */
+export const consumeSignedUrl = (requestUrl) => {
+  const { pathname, searchParams } = new URL(requestUrl, 'http://localhost');
+  const token = searchParams.get('token') || '';
+  if (!token) return null;
+
+  if (metadataStore.has('downloadTokens', token)) {
+    return linkUsedError();
+  }
+
+  const expires = parseInt(searchParams.get('expires'), 10);
+  metadataStore.set('downloadTokens', token, { id: token, path: pathname, expiresAt: new Date(expires * 1000).toISOString() });
+  return null;
+};
+
+/**
+ * Forget used single-use tokens whose links have expired anyway
+ * @param {number} now - Current time in milliseconds
+ * @returns {number} Number of tokens removed
+ */
+export const pruneDownloadTokens = (now = Date.now()) => {
+  const expired = metadataStore.list('downloadTokens', ({ expiresAt }) => Date.parse(expiresAt) < now);
+  expired.forEach(({ id }) => metadataStore.delete('downloadTokens', id));
+  return expired.length;
+};
+
+/**
+ * Replace the file URLs in a file record or job result with signed links
+ *
+ * Handles the shapes job handlers return: a single file, `files` and `parts`
+ * lists and an `archive`. URLs that are not file routes are left as they are.
+ * @param {Object} value - Public file metadata or job result
+ * @param {Object} options - Link options, see createSignedUrl
+ * @returns {Object} A copy with signed URLs
+ */
+export const signFileUrls = (value, options = {}) => {
+  if (!value || typeof value !== 'object') return value;
+
+  const signFile = (file) => {
+    const match = typeof file?.url === 'string' && file.url.match(SIGNED_PATH);
+    if (!match || !file.id) return file;
+
+    return {
+      ...file,
+      url: createSignedUrl(file.id, { ...options, disposition: match[2] ? 'attachment' : 'inline' }),
+    };
+  };
+
+  return {
+    ...signFile(value),
+    ...(Array.isArray(value.files) && { files: value.files.map(signFile) }),
+    ...(Array.isArray(value.parts) && { parts: value.parts.map(signFile) }),
+    ...(value.archive && { archive: signFile(value.archive) }),
+  };
+};
+
+export default {
+  createSignedUrl,
+  verifySignedUrl,
+  consumeSignedUrl,
+  pruneDownloadTokens,
+  signFileUrls,
+};
@@ -0,0 +1,51 @@
+import path from 'path';
+import { Readable } from 'stream';
+
+// Helpers shared by the storage drivers
+
+/**
+ * Error for a key that does not exist
+ * @param {string} key - Storage key
+ * @returns {Error} Error with code 'ENOENT'
+ */
+export const notFoundError = (key) => {
+  const error = new Error(`No stored file at ${key}`);
+  error.code = 'ENOENT';
+  return error;
+};
+
+/**
+ * Check a key stays inside the storage root
+ * @param {string} key - Storage key
+ * @returns {string} The key
+ * @throws {Error} If the key is empty, absolute or contains '..'
+ */
+export const validateKey = (key) => {
+  if (!key || path.isAbsolute(key) || key.split(/[\\/]/).includes('..')) {
+    throw new Error(`Invalid storage key "${key}"`);
+  }
+  return key;
+};
+
+/**
+ * Read a stream to the end
+ * @param {Readable} stream - Node.js readable stream
+ * @returns {Promise<Buffer>}
+ */
+export const streamToBuffer = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(Buffer.from(chunk));
+  }
+  return Buffer.concat(chunks);
+};
+
+/**
+ * Normalize a put() body to a Buffer or a Node.js stream
+ * @param {Buffer|Uint8Array|string|Readable} body - Contents
+ * @returns {Buffer|Readable}
+ */
+export const toBody = (body) => {
+  if (body instanceof Readable || Buffer.isBuffer(body)) return body;
+  return Buffer.from(body);
+};
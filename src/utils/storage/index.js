@@ -0,0 +1,109 @@
+import path from 'path';
+import { serverEnv } from '../../config/env';
+import { notFoundError, streamToBuffer, toBody, validateKey } from './common';
+import createLocalDriver from './local';
+import createMemoryDriver from './memory';
+import createS3Driver from './s3';
+
+/**
+ * Storage drivers for file bytes
+ *
+ * Uploads and generated files are stored under keys such as
+ * `<id>.pdf` or `converted/<id>.docx`; file records keep the key in
+ * `storageKey`. Every driver implements:
+ *
+ *   {
+ *     name: 'local',
+ *     put: async (key, body: Buffer|Readable, { contentType, size }) => ({ key, size }),
+ *     getStream: async (key) => Readable,
+ *     stat: async (key) => ({ size, contentType, modifiedAt }) or null,
+ *     delete: async (key) => void,
+ *     getSignedUrl: async (key, { expiresIn }) => string or null,
+ *   }
+ *
+ * Reading a missing key fails with an error whose `code` is 'ENOENT', like
+ * the file system, and deleting one is not an error. `getSignedUrl` returns a
+ * URL clients can download from directly, or null when the driver can only
+ * be read through the app (local disk, memory).
+ *
+ * STORAGE_DRIVER selects the driver ('local' by default, 's3' or 'memory').
+ */
+
+const REQUIRED_METHODS = ['put', 'getStream', 'stat', 'delete', 'getSignedUrl'];
+
+const drivers = new Map();
+
+/**
+ * Register a storage driver
+ * @param {string} name - Driver name used in STORAGE_DRIVER
+ * @param {Function} factory - Creates the driver from its options
+ */
+export const registerStorageDriver = (name, factory) => {
+  drivers.set(name, factory);
+};
+
+/**
+ * Create the storage driver selected by configuration
+ * @param {Object} options - Storage options
+ * @param {'local'|'s3'|'memory'} options.driver - Driver name
+ * @returns {Object} The driver
+ */
+export const createStorage = ({ driver = serverEnv.STORAGE_DRIVER, ...options } = {}) => {
+  const factory = drivers.get(driver);
+  if (!factory) {
+    throw new Error(`Unknown storage driver "${driver}" (expected one of ${[...drivers.keys()].join(', ')})`);
+  }
+
+  const storage = factory(options);
+  const missing = REQUIRED_METHODS.filter(method => typeof storage[method] !== 'function');
+  if (missing.length > 0) {
+    throw new Error(`Storage driver "${driver}" must implement ${missing.join(', ')}`);
+  }
+
+  return storage;
+};
+
+/**
+ * Storage key of a file record
+ *
+ * Records written before storage drivers existed only have an absolute
+ * `path` under the local storage root; their key is the relative path.
+ * @param {Object} fileData - Stored file metadata
+ * @returns {string}
+ */
+export const getFileKey = (fileData) => {
+  if (fileData.storageKey) return fileData.storageKey;
+
+  const root = path.resolve(process.cwd(), serverEnv.STORAGE_LOCAL_DIR);
+  return path.relative(root, fileData.path).split(path.sep).join('/');
+};
+
+/**
+ * Read a stored file into memory
+ * @param {Object} fileData - Stored file metadata
+ * @returns {Promise<Buffer>}
+ */
+export const readStoredFile = async (fileData) => {
+  return streamToBuffer(await storage.getStream(getFileKey(fileData)));
+};
+
+/**
+ * Delete a stored file's bytes (its metadata is left to the caller)
+ * @param {Object} fileData - Stored file metadata
+ * @returns {Promise<void>}
+ */
+export const deleteStoredFile = async (fileData) => {
+  await storage.delete(getFileKey(fileData));
+};
+
+registerStorageDriver('local', createLocalDriver);
+registerStorageDriver('memory', createMemoryDriver);
+registerStorageDriver('s3', createS3Driver);
+
+// Shared across route modules and dev hot reloads
+const storage = globalThis.__storage || createStorage();
+
+globalThis.__storage = storage;
+
+export { storage, notFoundError, streamToBuffer, toBody, validateKey };
+export default storage;
@@ -0,0 +1,79 @@
+import fs from 'fs';
+import path from 'path';
+import { pipeline } from 'stream/promises';
+import { serverEnv } from '../../config/env';
+import { notFoundError, toBody, validateKey } from './common';
+
+/**
+ * Storage driver for the local file system
+ *
+ * Keys map to files under the root directory (STORAGE_LOCAL_DIR, "uploads"
+ * by default). Files are written to a temporary name and renamed, so readers
+ * never see a partial file.
+ * @param {Object} options - Driver options
+ * @param {string} options.root - Root directory, relative to the working directory
+ * @returns {Object} The driver
+ */
+const createLocalDriver = ({ root = serverEnv.STORAGE_LOCAL_DIR } = {}) => {
+  const rootDir = path.resolve(process.cwd(), root);
+  const resolve = (key) => path.join(rootDir, validateKey(key));
+
+  return {
+    name: 'local',
+    root: rootDir,
+
+    async put(key, body, { contentType } = {}) {
+      const filePath = resolve(key);
+      const tempPath = `${filePath}.${process.pid}.tmp`;
+      const data = toBody(body);
+
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+
+      try {
+        if (Buffer.isBuffer(data)) {
+          await fs.promises.writeFile(tempPath, data);
+        } else {
+          await pipeline(data, fs.createWriteStream(tempPath));
+        }
+        await fs.promises.rename(tempPath, filePath);
+      } catch (error) {
+        await fs.promises.rm(tempPath, { force: true });
+        throw error;
+      }
+
+      const stats = await fs.promises.stat(filePath);
+      return { key, size: stats.size, contentType };
+    },
+
+    async getStream(key) {
+      const filePath = resolve(key);
+
+      // Open first so a missing file fails here instead of mid-stream
+      const handle = await fs.promises.open(filePath, 'r').catch((error) => {
+        throw error.code === 'ENOENT' ? notFoundError(key) : error;
+      });
+      return handle.createReadStream();
+    },
+
+    async stat(key) {
+      try {
+        const stats = await fs.promises.stat(resolve(key));
+        return { size: stats.size, contentType: null, modifiedAt: stats.mtime.toISOString() };
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+
+    async delete(key) {
+      await fs.promises.rm(resolve(key), { force: true });
+    },
+
+    // Local files are only served through the app
+    async getSignedUrl() {
+      return null;
+    },
+  };
+};
+
+export default createLocalDriver;
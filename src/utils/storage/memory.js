@@ -0,0 +1,48 @@
+import { Readable } from 'stream';
+import { notFoundError, streamToBuffer, toBody, validateKey } from './common';
+
+/**
+ * Storage driver that keeps files in memory
+ *
+ * For development and tests: contents are lost on restart and count against
+ * the server's memory.
+ * @param {Object} options - Driver options
+ * @param {Map} options.objects - Backing map, to share contents between drivers
+ * @returns {Object} The driver
+ */
+const createMemoryDriver = ({ objects = new Map() } = {}) => ({
+  name: 'memory',
+  objects,
+
+  async put(key, body, { contentType = null } = {}) {
+    const data = toBody(body);
+    const buffer = Buffer.isBuffer(data) ? data : await streamToBuffer(data);
+
+    objects.set(validateKey(key), { buffer, contentType, modifiedAt: new Date().toISOString() });
+    return { key, size: buffer.length, contentType };
+  },
+
+  async getStream(key) {
+    const object = objects.get(validateKey(key));
+    if (!object) throw notFoundError(key);
+
+    return Readable.from([object.buffer]);
+  },
+
+  async stat(key) {
+    const object = objects.get(validateKey(key));
+    if (!object) return null;
+
+    return { size: object.buffer.length, contentType: object.contentType, modifiedAt: object.modifiedAt };
+  },
+
+  async delete(key) {
+    objects.delete(validateKey(key));
+  },
+
+  async getSignedUrl() {
+    return null;
+  },
+});
+
+export default createMemoryDriver;
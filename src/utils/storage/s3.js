@@ -0,0 +1,212 @@
+import crypto from 'crypto';
+import { Readable } from 'stream';
+import { serverEnv, getSecret } from '../../config/env';
+import { notFoundError, streamToBuffer, toBody, validateKey } from './common';
+
+/**
+ * Storage driver for S3 and S3-compatible services (MinIO, R2, ...)
+ *
+ * Requests are signed with AWS Signature Version 4, so no SDK is needed.
+ * With a custom endpoint, buckets are addressed by path
+ * (`https://minio.local:9000/<bucket>/<key>`), which is what most
+ * S3-compatible services expect.
+ */
+
+const ALGORITHM = 'AWS4-HMAC-SHA256';
+const UNSIGNED_PAYLOAD = 'UNSIGNED-PAYLOAD';
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+
+// RFC 3986 encoding, as SigV4 requires
+const encode = (value) => encodeURIComponent(value).replace(/[!'()*]/g, (c) => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+
+const toAmzDate = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+const canonicalQuery = (params) => Object.keys(params)
+  .sort()
+  .map(name => `${encode(name)}=${encode(params[name])}`)
+  .join('&');
+
+/**
+ * Create an S3 driver
+ * @param {Object} options - Driver options
+ * @param {string} options.bucket - Bucket name
+ * @param {string} options.region - Region used in signatures
+ * @param {string} options.endpoint - Service URL; defaults to AWS for the region
+ * @param {string} options.accessKeyId - Access key ID
+ * @param {string} options.secretAccessKey - Secret access key
+ * @param {boolean} options.forcePathStyle - Put the bucket in the path instead of the host name
+ * @returns {Object} The driver
+ */
+const createS3Driver = ({
+  bucket = serverEnv.S3_BUCKET,
+  region = serverEnv.S3_REGION,
+  endpoint = serverEnv.S3_ENDPOINT,
+  accessKeyId = serverEnv.S3_ACCESS_KEY_ID,
+  secretAccessKey = getSecret('S3_SECRET_ACCESS_KEY'),
+  forcePathStyle = Boolean(endpoint),
+} = {}) => {
+  if (!bucket || !accessKeyId || !secretAccessKey) {
+    throw new Error('S3 storage needs S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY');
+  }
+
+  const baseUrl = new URL(endpoint || `https://s3.${region}.amazonaws.com`);
+
+  const objectUrl = (key) => {
+    const objectPath = validateKey(key).split('/').map(encode).join('/');
+    const url = new URL(baseUrl);
+
+    if (forcePathStyle) {
+      url.pathname = `${url.pathname.replace(/\/$/, '')}/${bucket}/${objectPath}`;
+    } else {
+      url.hostname = `${bucket}.${url.hostname}`;
+      url.pathname = `/${objectPath}`;
+    }
+    return url;
+  };
+
+  const signingKey = (date) => ['s3', 'aws4_request'].reduce(
+    (key, part) => hmac(key, part),
+    hmac(hmac(`AWS4${secretAccessKey}`, date), region)
+  );
+
+  const signature = ({ method, url, query, headers, payloadHash, amzDate }) => {
+    const names = Object.keys(headers).sort();
+    const scope = `${amzDate.slice(0, 8)}/${region}/s3/aws4_request`;
+    const canonicalRequest = [
+      method,
+      url.pathname,
+      canonicalQuery(query),
+      names.map(name => `${name}:${String(headers[name]).trim()}\n`).join(''),
+      names.join(';'),
+      payloadHash,
+    ].join('\n');
+    const stringToSign = [ALGORITHM, amzDate, scope, sha256(canonicalRequest)].join('\n');
+
+    return {
+      scope,
+      signedHeaders: names.join(';'),
+      signature: crypto.createHmac('sha256', signingKey(amzDate.slice(0, 8))).update(stringToSign).digest('hex'),
+    };
+  };
+
+  /**
+   * Send a signed request for an object
+   */
+  const request = async (method, key, { body, headers = {}, payloadHash = sha256('') } = {}) => {
+    const url = objectUrl(key);
+    const amzDate = toAmzDate(new Date());
+    const signedHeaders = {
+      host: url.host,
+      'x-amz-content-sha256': payloadHash,
+      'x-amz-date': amzDate,
+      ...headers,
+    };
+    const signed = signature({ method, url, query: {}, headers: signedHeaders, payloadHash, amzDate });
+    const { host, ...sentHeaders } = signedHeaders;
+
+    return fetch(url, {
+      method,
+      body,
+      duplex: body instanceof Readable ? 'half' : undefined,
+      headers: {
+        ...sentHeaders,
+        authorization: `${ALGORITHM} Credential=${accessKeyId}/${signed.scope}, SignedHeaders=${signed.signedHeaders}, Signature=${signed.signature}`,
+      },
+    });
+  };
+
+  const fail = async (response, method, key) => {
+    const text = await response.text().catch(() => '');
+    const code = (text.match(/<Code>([^<]+)<\/Code>/) || [])[1] || response.statusText;
+    const error = new Error(`S3 ${method} ${key} failed: ${response.status} ${code}`);
+    error.status = response.status;
+    return error;
+  };
+
+  return {
+    name: 's3',
+    bucket,
+
+    async put(key, body, { contentType, size } = {}) {
+      let data = toBody(body);
+
+      // A stream can only be sent as-is when its length is known up front
+      if (!Buffer.isBuffer(data) && !size) {
+        data = await streamToBuffer(data);
+      }
+
+      const isBuffer = Buffer.isBuffer(data);
+      const length = isBuffer ? data.length : size;
+      const response = await request('PUT', key, {
+        body: data,
+        payloadHash: isBuffer ? sha256(data) : UNSIGNED_PAYLOAD,
+        headers: {
+          'content-length': String(length),
+          ...(contentType && { 'content-type': contentType }),
+        },
+      });
+
+      if (!response.ok) throw await fail(response, 'PUT', key);
+      return { key, size: length, contentType };
+    },
+
+    async getStream(key) {
+      const response = await request('GET', key);
+
+      if (response.status === 404) throw notFoundError(key);
+      if (!response.ok) throw await fail(response, 'GET', key);
+      return Readable.fromWeb(response.body);
+    },
+
+    async stat(key) {
+      const response = await request('HEAD', key);
+
+      if (response.status === 404) return null;
+      if (!response.ok) throw await fail(response, 'HEAD', key);
+
+      const modified = response.headers.get('last-modified');
+      return {
+        size: parseInt(response.headers.get('content-length') || '0', 10),
+        contentType: response.headers.get('content-type'),
+        modifiedAt: modified ? new Date(modified).toISOString() : null,
+      };
+    },
+
+    async delete(key) {
+      const response = await request('DELETE', key);
+
+      if (!response.ok && response.status !== 404) throw await fail(response, 'DELETE', key);
+    },
+
+    /**
+     * Presigned GET URL, valid for `expiresIn` seconds (at most 7 days)
+     */
+    async getSignedUrl(key, { expiresIn = 900 } = {}) {
+      const url = objectUrl(key);
+      const amzDate = toAmzDate(new Date());
+      const scope = `${amzDate.slice(0, 8)}/${region}/s3/aws4_request`;
+      const query = {
+        'X-Amz-Algorithm': ALGORITHM,
+        'X-Amz-Credential': `${accessKeyId}/${scope}`,
+        'X-Amz-Date': amzDate,
+        'X-Amz-Expires': String(Math.min(expiresIn, 7 * 24 * 3600)),
+        'X-Amz-SignedHeaders': 'host',
+      };
+      const signed = signature({
+        method: 'GET',
+        url,
+        query,
+        headers: { host: url.host },
+        payloadHash: UNSIGNED_PAYLOAD,
+        amzDate,
+      });
+
+      url.search = `${canonicalQuery(query)}&X-Amz-Signature=${signed.signature}`;
+      return url.toString();
+    },
+  };
+};
+
+export default createS3Driver;
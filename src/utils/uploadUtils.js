@@ -3,13 +3,18 @@ import {
   formatFileSize, 
   getFileExtension, 
   getFileIcon, 
-  getFileCategory 
+  getFileCategory,
+  validateFileContent
 } from './fileUtils';
 import { apiService } from '../services/api';
 import { API_CONFIG, ERROR_MESSAGES } from '../config/api';
 
 /**
  * Process a single file for upload
+ *
+ * Files larger than API_CONFIG.CHUNKED_UPLOAD_THRESHOLD are sent with the
+ * resumable chunked protocol, so retrying an interrupted upload only sends
+ * the missing chunks.
  * @param {File} file - The file to process
  * @param {Object} options - Upload options
  * @param {Function} onProgress - Progress callback
@@ -43,11 +48,17 @@ export const processFileUpload = async (file, options = {}, onProgress = null) =
       throw new Error(validation.error || 'Invalid file');
     }
     
+    // The declared type is only a guess from the file name; check the content too
+    const contentValidation = await validateFileContent(file);
+    if (!contentValidation.valid) {
+      throw new Error(contentValidation.error || ERROR_MESSAGES.INVALID_FILE_TYPE);
+    }
+    
     // Update status to uploading
     fileMeta.status = 'uploading';
     
     // Upload the file
-    const result = await apiService.upload(
+    const uploaded = await apiService.upload(
       file, 
       options,
       (progress) => {
@@ -56,16 +67,12 @@ export const processFileUpload = async (file, options = {}, onProgress = null) =
       }
     );
     
-    if (!result.success) {
-      throw new Error(result.error || 'Upload failed');
-    }
-    
     // Update file metadata with upload result
     fileMeta.status = 'completed';
     fileMeta.progress = 100;
     fileMeta.uploadedAt = new Date().toISOString();
-    fileMeta.url = result.data.url || result.data.path;
-    fileMeta.id = result.data.id || fileId;
+    fileMeta.url = uploaded.url || uploaded.path;
+    fileMeta.id = uploaded.id || fileId;
     
     return {
       success: true,
@@ -78,6 +85,7 @@ export const processFileUpload = async (file, options = {}, onProgress = null) =
     return {
       success: false,
       error: error.message || ERROR_MESSAGES.UPLOAD_FAILED,
+      code: error.code,
       file: {
         id: uuidv4(),
         name: file.name,
@@ -179,22 +187,23 @@ export const validateFile = (file, allowedTypes = [], maxFileSize = null) => {
 
 /**
  * Convert a file to a different format
+ *
+ * Conversions run as queued jobs on the server; this waits for the job to
+ * finish and reports its progress along the way.
  * @param {string} fileId - The ID of the file to convert
  * @param {string} targetFormat - The target format
  * @param {Object} options - Conversion options
+ * @param {Function} onProgress - Progress callback, receives the job
  * @returns {Promise<Object>} The conversion result
  */
-export const convertFile = async (fileId, targetFormat, options = {}) => {
+export const convertFile = async (fileId, targetFormat, options = {}, onProgress = null) => {
   try {
-    const result = await apiService.convert(fileId, targetFormat, options);
-    
-    if (!result.success) {
-      throw new Error(result.error || 'Conversion failed');
-    }
+    const queued = await apiService.convert(fileId, targetFormat, options);
+    const job = await waitForJob(queued.id, onProgress);
     
     return {
       success: true,
-      data: result.data,
+      data: job.result,
     };
     
   } catch (error) {
@@ -203,24 +212,82 @@ export const convertFile = async (fileId, targetFormat, options = {}) => {
     return {
       success: false,
       error: error.message || ERROR_MESSAGES.CONVERSION_FAILED,
+      code: error.code,
       details: error.details,
     };
   }
 };
 
 /**
- * Download a file by ID
- * @param {string} fileId - The ID of the file to download
- * @param {string} fileName - Optional custom filename
- * @returns {Promise<Object>} The download result
+ * Wait for a conversion job to complete, fail or be cancelled
+ *
+ * Each status request is a long poll that the server holds until the job
+ * changes. If long polling fails, the status is polled every `interval`
+ * instead.
+ * @param {string} jobId - The job ID
+ * @param {Function} onProgress - Progress callback, receives the job
+ * @param {number} interval - Least time between status requests, in milliseconds
+ * @returns {Promise<Object>} The completed job
+ * @throws {Error} If the job fails; `error.cancelled` is set if it was cancelled
  */
-export const downloadFile = async (fileId, fileName = '') => {
-  try {
-    const result = await apiService.download(fileId, fileName);
+export const waitForJob = async (jobId, onProgress = null, interval = 1000) => {
+  let longPoll = true;
+  let since;
+  
+  while (true) {
+    const startedAt = Date.now();
+    let job;
+    try {
+      job = await apiService.getJobStatus(jobId, { wait: longPoll, since });
+    } catch (error) {
+      if (!longPoll) throw error;
+      longPoll = false;
+      continue;
+    }
+    
+    since = job.updatedAt;
+    onProgress && onProgress(job);
+    
+    if (job.status === 'completed') {
+      return job;
+    }
+    
+    if (job.status === 'failed') {
+      throw new Error(job.error || ERROR_MESSAGES.CONVERSION_FAILED);
+    }
+    
+    if (job.status === 'cancelled') {
+      throw createCancelledError();
+    }
     
-    if (!result.success) {
-      throw new Error(result.error || 'Download failed');
+    // A long poll that returned at once (a burst of progress updates) is
+    // spaced out like a plain poll
+    const elapsed = Date.now() - startedAt;
+    if (elapsed < interval) {
+      await new Promise(resolve => setTimeout(resolve, interval - elapsed));
     }
+  }
+};
+
+/**
+ * Error thrown when a job is cancelled, so callers can tell it from a failure
+ * @returns {Error}
+ */
+export const createCancelledError = () => {
+  const error = new Error('Conversion cancelled');
+  error.cancelled = true;
+  return error;
+};
+
+/**
+ * Download a file through its signed link
+ * @param {Object|string} file - File metadata with a signed `url`, or the link itself
+ * @param {string} fileName - Optional custom filename
+ * @returns {Promise<Object>} The download result; `status` is 410 when the link has expired
+ */
+export const downloadFile = async (file, fileName = '') => {
+  try {
+    await apiService.download(file, fileName);
     
     return {
       success: true,
@@ -232,6 +299,8 @@ export const downloadFile = async (fileId, fileName = '') => {
     return {
       success: false,
       error: error.message || ERROR_MESSAGES.DOWNLOAD_FAILED,
+      code: error.code,
+      status: error.status,
       details: error.details,
     };
   }
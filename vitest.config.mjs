@@ -0,0 +1,14 @@
+import { defineConfig } from 'vitest/config';
+
+export default defineConfig({
+  test: {
+    environment: 'node',
+    include: ['src/**/*.test.js'],
+    // Keep tests off the disk and the logs quiet
+    env: {
+      METADATA_STORE: 'memory',
+      STORAGE_DRIVER: 'memory',
+      LOG_LEVEL: 'error',
+    },
+  },
+});